@@ -0,0 +1,156 @@
+// backtest-matrix.js — the parts of test_backtest.js --matrix that need no server: expanding a
+// matrix file into runs, naming each run for the baseline, and comparing a summary with a
+// baseline summary. test_matrix.js checks them, and the CLI's exit codes, against a stand-in server.
+
+'use strict';
+
+const { METRIC_INFO } = require('./public/metrics.js');
+
+// ---- --matrix: batch runs over symbols × intervals × strategies × param grids ----
+const MAX_MATRIX_RUNS = 500;
+// metrics kept per run in the summary (and compared against a baseline)
+const SUMMARY_METRICS = ['totalReturnPct', 'maxDrawdownPct', 'sharpe', 'sortino', 'profitFactor', 'winRatePct', 'roundTrips', 'totalPnl'];
+// how much worse than the baseline a metric may get before it counts as a regression, in its own
+// units (percentage points for the % metrics); a matrix file's "regression" replaces these
+const DEFAULT_TOLERANCES = { totalReturnPct: 0.5, maxDrawdownPct: 1, sharpe: 0.1 };
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// every combination of the values in grid ({ name: [values] }), as param objects
+function cartesian(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [name, values]) => combos.flatMap(combo => values.map(v => Object.assign({}, combo, { [name]: v }))),
+    [{}]
+  );
+}
+
+// JSON with the top-level keys sorted, so equal settings always read the same
+const sortedJson = obj => JSON.stringify(Object.fromEntries(Object.entries(obj).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))));
+
+const describeParams = params => Object.entries(params).map(([k, v]) => `${k}=${v}`).join(' ');
+
+// Names a run across matrix runs (for the baseline): market, strategy, params and the body /
+// extra fields it was sent with, so no two runs of a matrix share one
+function matrixRunKey({ symbol, interval, label, params, settings }) {
+  return `${symbol}|${interval}|${label}|${JSON.stringify(params)}|${sortedJson(settings)}`;
+}
+
+/* A matrix file's runs. matrix: {
+     symbols: ["BTCUSDT", ["BTCUSDT", "ETHUSDT"] (a portfolio basket), ...],
+     intervals: ["1h", ...],
+     strategies: ["rsi", { strategy, label?, params?: { name: value | [values] }, ...more /backtest fields }, ...],
+     body?: /backtest fields shared by every run, concurrency?, regression?: { metric: tolerance }
+   }
+   Param arrays expand to every combination; each payload starts from `defaults` (/backtest fields).
+   Returns { runs: [{ key, symbol, interval, label, params, settings, payload }] } or { error };
+   two runs with the same matrixRunKey are an error. */
+function expandMatrix(matrix, defaults) {
+  if (!isPlainObject(matrix)) return { error: 'the matrix must be a JSON object' };
+  const { symbols, intervals, strategies } = matrix;
+  for (const [name, list] of [['symbols', symbols], ['intervals', intervals], ['strategies', strategies]]) {
+    if (!Array.isArray(list) || !list.length) return { error: `${name} must be a non-empty array` };
+  }
+  if (matrix.body !== undefined && !isPlainObject(matrix.body)) return { error: 'body must be an object of /backtest fields' };
+
+  const markets = [];
+  for (const entry of symbols) {
+    const list = (Array.isArray(entry) ? entry : [entry]).map(s => String(s).trim().toUpperCase());
+    const invalid = list.find(s => !/^[A-Z0-9]{3,12}$/.test(s));
+    if (invalid !== undefined) return { error: `invalid symbol: ${invalid}` };
+    markets.push(list);
+  }
+  if (intervals.some(i => typeof i !== 'string' || !i.trim())) return { error: 'intervals must be strings such as "1h"' };
+
+  const variants = [];
+  for (const entry of strategies) {
+    const spec = typeof entry === 'string' ? { strategy: entry } : entry;
+    if (!isPlainObject(spec) || typeof spec.strategy !== 'string' || !spec.strategy) {
+      return { error: 'each strategies entry must be a strategy id or { strategy, params, ... }' };
+    }
+    const { strategy, label, params = {}, ...extra } = spec;
+    if (!isPlainObject(params)) return { error: `${strategy}: params must be an object` };
+    const grid = {};
+    for (const name of Object.keys(params).sort()) {
+      const values = Array.isArray(params[name]) ? params[name] : [params[name]];
+      if (!values.length) return { error: `${strategy}: params.${name} must list at least one value` };
+      grid[name] = values;
+    }
+    for (const combo of cartesian(grid)) variants.push({ strategy, label: label || (extra.plugin ? `plugin:${extra.plugin}` : strategy), params: combo, extra });
+  }
+
+  const total = markets.length * intervals.length * variants.length;
+  if (total > MAX_MATRIX_RUNS) return { error: `the matrix expands to ${total} runs (at most ${MAX_MATRIX_RUNS})` };
+
+  const runs = [];
+  const keys = new Set();
+  for (const market of markets) {
+    for (const interval of intervals) {
+      for (const v of variants) {
+        const payload = Object.assign({}, defaults, matrix.body, v.extra, { interval, strategy: v.strategy, params: v.params });
+        if (market.length > 1) payload.symbols = market;
+        else payload.symbol = market[0];
+        if (v.extra.plugin) payload.strategy = 'plugin';
+        const symbol = market.join(',');
+        const settings = Object.assign({}, matrix.body, v.extra);
+        const key = matrixRunKey({ symbol, interval, label: v.label, params: v.params, settings });
+        if (keys.has(key)) return { error: `${[symbol, interval, v.label, describeParams(v.params)].filter(Boolean).join(' ')} is listed twice with the same settings` };
+        keys.add(key);
+        runs.push({ key, symbol, interval, label: v.label, params: v.params, settings, payload });
+      }
+    }
+  }
+  return { runs };
+}
+
+// { tolerances } from a matrix's "regression" field (merged over DEFAULT_TOLERANCES), or { error }
+function resolveTolerances(regression) {
+  if (regression === undefined) return { tolerances: Object.assign({}, DEFAULT_TOLERANCES) };
+  if (!isPlainObject(regression)) return { error: 'regression must map metrics to tolerances' };
+  for (const [key, tol] of Object.entries(regression)) {
+    if (!METRIC_INFO[key]) return { error: `regression: ${key} is not one of ${Object.keys(METRIC_INFO).join(', ')}` };
+    if (!SUMMARY_METRICS.includes(key)) return { error: `regression: ${key} is not kept in the summary` };
+    if (typeof tol !== 'number' || !(tol >= 0)) return { error: `regression: ${key} needs a tolerance >= 0` };
+  }
+  return { tolerances: Object.assign({}, DEFAULT_TOLERANCES, regression) };
+}
+
+/* Runs in this summary that came out worse than in the baseline summary (same key) by more
+   than the tolerance, plus runs that failed now but not then. missing: baseline keys not run
+   now; added: runs the baseline doesn't have (neither counts as a regression). */
+function compareToBaseline(rows, baseline, tolerances) {
+  const before = new Map(baseline.runs.map(r => [r.key, r]));
+  const regressions = [];
+  for (const row of rows) {
+    const base = before.get(row.key);
+    if (!base || base.status !== 'ok') continue;
+    if (row.status !== 'ok') {
+      regressions.push({ key: row.key, text: `failed (${row.error})` });
+      continue;
+    }
+    for (const [metric, tol] of Object.entries(tolerances)) {
+      const was = base.metrics[metric], now = row.metrics[metric];
+      // profitFactor's Infinity is stored as null in JSON: nothing to compare
+      if (!Number.isFinite(was) || !Number.isFinite(now)) continue;
+      const worse = METRIC_INFO[metric].better === 'higher' ? was - now : now - was;
+      if (worse > tol) regressions.push({ key: row.key, text: `${METRIC_INFO[metric].label} ${was.toFixed(2)} → ${now.toFixed(2)} (tolerance ${tol})` });
+    }
+  }
+  const keys = new Set(rows.map(r => r.key));
+  return {
+    regressions,
+    missing: baseline.runs.filter(r => !keys.has(r.key)).map(r => r.key),
+    added: rows.filter(r => !before.has(r.key)).map(r => r.key)
+  };
+}
+
+// --matrix exit code: 4 on a regression against the baseline (comparison from compareToBaseline),
+// else 3 if any run failed, else 0
+function matrixExitCode(rows, comparison) {
+  if (comparison && comparison.regressions.length) return 4;
+  return rows.some(r => r.status !== 'ok') ? 3 : 0;
+}
+
+module.exports = {
+  MAX_MATRIX_RUNS, SUMMARY_METRICS, DEFAULT_TOLERANCES, sortedJson, describeParams, matrixRunKey, expandMatrix, resolveTolerances,
+  compareToBaseline, matrixExitCode
+};
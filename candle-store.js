@@ -0,0 +1,145 @@
+// candle-store.js — the parts of server.js's candle store that need neither SQLite nor Binance:
+// which bar ranges are missing, which of them Binance has already come back empty for, which
+// empty ranges are settled enough to remember, and paging and streaming a ranged /history
+// response. server.js owns the tables and the requests; test_candles.js checks these on fixed
+// timestamps.
+//
+// Times are unix seconds; a range { from, to } holds the open times of its first and last bar.
+
+'use strict';
+
+const { once } = require('events');
+
+// ---------------- Gaps ----------------
+// Missing [from, to] bar ranges needed for the latest `limit` bars to be complete
+function findCandleGaps(rows, step, limit, now) {
+  if (rows.length === 0) return [{ from: now - (limit + 1) * step, to: now }];
+
+  const gaps = [];
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  let missing = 0;
+
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i].time - rows[i - 1].time > step) {
+      gaps.push({ from: rows[i - 1].time + step, to: rows[i].time - step });
+      missing += Math.round((rows[i].time - rows[i - 1].time) / step) - 1;
+    }
+  }
+  if (last.time + 2 * step <= now) {
+    gaps.push({ from: last.time + step, to: now });
+    missing += Math.floor((now - last.time) / step) - 1;
+  }
+  const headBars = limit - rows.length - missing;
+  if (headBars > 0) {
+    gaps.push({ from: first.time - headBars * step, to: first.time - step });
+  }
+  return gaps;
+}
+
+/* Collects the ranges missing from bars walked in ascending time order from `from`:
+   walker.add(time) once per bar, then walker.finish(to) -> [{ from, to }], the ranges before,
+   between and after the bars (all of [from, to] when there were none). */
+function createGapWalker(from, step) {
+  let expected = from;
+  const gaps = [];
+  return {
+    add(time) {
+      if (time - expected >= step) gaps.push({ from: expected, to: time - step });
+      expected = time + step;
+    },
+    finish(to) {
+      if (expected <= to) gaps.push({ from: expected, to });
+      return gaps;
+    }
+  };
+}
+
+// Missing bar ranges inside [from, to] of the stored pages (ascending, as the store pages them);
+// only bars that have already closed at `now` count as missing
+function findRangeGaps(pages, from, to, step, now) {
+  const lastClosed = Math.min(to, now - step);
+  const walker = createGapWalker(from, step);
+  for (const page of pages) {
+    for (const c of page) walker.add(c.time);
+  }
+  return walker.finish(to).filter(gap => gap.from <= lastClosed);
+}
+
+// gap minus the known-empty ranges overlapping it (ascending by from): the parts still worth fetching
+function subtractRanges(gap, ranges, step) {
+  const open = [];
+  let from = gap.from;
+  for (const r of ranges) {
+    if (r.from - step >= from) open.push({ from, to: Math.min(gap.to, r.from - step) });
+    from = Math.max(from, r.to + step);
+  }
+  if (from <= gap.to) open.push({ from, to: gap.to });
+  return open;
+}
+
+// Empty ranges cut off at `settled`: Binance may still publish bars after it, so only the part
+// before is remembered as empty
+function settledRanges(ranges, settled) {
+  return ranges
+    .map(r => ({ from: r.from, to: Math.min(r.to, settled) }))
+    .filter(r => r.to >= r.from);
+}
+
+// ---------------- Ranged /history ----------------
+/* The [from, to] of a ranged /history request: endTime defaults to now, startTime to `limit`
+   bars before endTime. Returns { from, to } or { error }. */
+function historyRange({ startTime, endTime, limit, step, now, maxBars }) {
+  const to = endTime ?? now;
+  const from = startTime ?? to - limit * step;
+  if (from > to) return { error: 'startTime must not be after endTime' };
+  if ((to - from) / step > maxBars) return { error: `Range exceeds ${maxBars} bars` };
+  return { from, to };
+}
+
+/* Walks the bars in [from, to] one page at a time; readPage(cursor, to, pageSize) returns up to
+   pageSize bars from cursor on, oldest first. Each page is fully read before it is yielded, so
+   callers may await between pages without holding a statement open. */
+function* iterateCandlePages(readPage, from, to, pageSize) {
+  let cursor = from;
+  while (cursor <= to) {
+    const page = readPage(cursor, to, pageSize);
+    if (page.length) yield page;
+    if (page.length < pageSize) return;
+    cursor = page[page.length - 1].time + 1;
+  }
+}
+
+// true once res drains, false when the client goes away first (then no 'drain' ever comes)
+async function waitForDrain(res) {
+  if (res.destroyed) return false;
+  const ac = new AbortController();
+  try {
+    return await Promise.race([
+      once(res, 'drain', { signal: ac.signal }).then(() => true),
+      once(res, 'close', { signal: ac.signal }).then(() => false)
+    ]);
+  } catch (err) {
+    return false; // the response errored
+  } finally {
+    ac.abort(); // drops the listener that lost the race
+  }
+}
+
+// Writes { ...head, data: [...] } from the pages as they come, honouring socket backpressure.
+// Returns the number of bars written; fewer than the pages hold when the client went away.
+async function streamCandlesJSON(req, res, head, pages) {
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.write(JSON.stringify(head).slice(0, -1) + ',"data":[');
+  let count = 0;
+  for (const page of pages) {
+    if (req.destroyed || res.destroyed) return count;
+    const chunk = page.map(c => JSON.stringify(c)).join(',');
+    if (!res.write((count ? ',' : '') + chunk) && !(await waitForDrain(res))) return count;
+    count += page.length;
+  }
+  res.end(']}');
+  return count;
+}
+
+module.exports = { findCandleGaps, createGapWalker, findRangeGaps, subtractRanges, settledRanges, historyRange, iterateCandlePages, waitForDrain, streamCandlesJSON };
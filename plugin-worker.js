@@ -0,0 +1,248 @@
+// plugin-worker.js — runs one strategy plugin (plugins/<id>.js) for strategy-plugins.js.
+// Started as a worker_threads Worker with resourceLimits (memory); every call into plugin
+// code goes through vm with a timeout (CPU). The plugin is evaluated in its own vm context
+// with no require/process, but vm is not a security boundary: the worker's limits contain
+// runaway or buggy code, plugins themselves are server-side files the operator installed.
+//
+// A plugin is a script that sets module.exports = { name, params, warmup, init(ctx), onBar(ctx, candle) }:
+//   params   specs in the indicator registry shape ({ label, default, min, max, step })
+//   warmup   bars needed before the first order: a number or (params) => number (default 0)
+//   init     optional, called once before the first bar
+//   onBar    called on each closed bar; places orders with ctx.buy/sell/close, which fill at the
+//            next bar's open exactly as a built-in strategy's signals do (backtest.js engine)
+// ctx: { symbol, interval, params, state, candles, position, equity, indicators,
+//        buy({ sl, tp }), sell({ sl, tp }), close(), log(...args) }
+//   state      plain object the plugin may keep anything in between bars
+//   candles    closed bars so far (most recent last), the current one included
+//   position   null or { side: 'long'|'short', qty, entryPrice, entryTime, bars, stop, target }
+//   indicators public/indicator.js (also the global `indicators`)
+// The last order placed during an onBar wins.
+//
+// Messages (each reply carries replyTo and the log lines written since the last reply):
+//   { type: 'backtest', candles, opts }  -> { report }          runBacktest over the candles
+//   { type: 'start', seed, opts }        -> { ok }              live session, warmed on seed bars
+//   { type: 'bar', candle }              -> { trades, position, equity }
+//   { type: 'stop' }                     -> { trades }          closes an open position
+// Any failure, including a plugin exception or timeout, replies { error }.
+
+'use strict';
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { checkParams, resolveParams } = require('./public/indicator.js');
+const { createEngine, runBacktest } = require('./public/backtest.js');
+
+const { id, file, callTimeoutMs, maxLogLines, historyLimit } = workerData;
+
+// ---------------- Sandbox ----------------
+let logs = [];
+let droppedLogs = 0;
+
+function writeLog(args) {
+  if (logs.length >= maxLogLines) { droppedLogs++; return; }
+  logs.push(args.map(a => (typeof a === 'string' ? a : safeStringify(a))).join(' ').slice(0, 500));
+}
+
+function safeStringify(value) {
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (err) {
+    return String(value);
+  }
+}
+
+function drainLogs() {
+  const out = logs;
+  if (droppedLogs) out.push(`... ${droppedLogs} more log lines dropped`);
+  logs = [];
+  droppedLogs = 0;
+  return out;
+}
+
+const sandbox = {
+  console: { log: (...a) => writeLog(a), info: (...a) => writeLog(a), warn: (...a) => writeLog(a), error: (...a) => writeLog(a) }
+};
+const context = vm.createContext(sandbox, {
+  name: `plugin ${id}`,
+  codeGeneration: { strings: false, wasm: false },
+  microtaskMode: 'afterEvaluate'
+});
+
+function runTimed(source, filename) {
+  return new vm.Script(source, { filename }).runInContext(context, { timeout: callTimeoutMs });
+}
+
+// indicator.js is evaluated inside the context so plugins get the library from their own realm
+runTimed(fs.readFileSync(path.join(__dirname, 'public', 'indicator.js'), 'utf8'), 'indicator.js');
+runTimed('var indicators = JarnoxIndicators; var module = { exports: {} }; var exports = module.exports;', 'prelude.js');
+
+const callScript = new vm.Script('__call.result = __plugin[__call.fn].apply(__plugin, __call.args);', { filename: 'call.js' });
+
+function callPlugin(fn, ...args) {
+  sandbox.__call = { fn, args, result: undefined };
+  callScript.runInContext(context, { timeout: callTimeoutMs });
+  return sandbox.__call.result;
+}
+
+// ---------------- Plugin definition ----------------
+let exported = null;
+
+// Evaluates the plugin and returns its exports as a backtest.js strategy; throws when they are not usable
+function loadPlugin() {
+  runTimed(fs.readFileSync(file, 'utf8'), file);
+  runTimed('var __plugin = module.exports;', 'exports.js');
+  exported = sandbox.__plugin;
+  if (typeof exported !== 'object' || exported === null) throw new Error('plugin must set module.exports to an object');
+  if (typeof exported.onBar !== 'function') throw new Error('plugin must export onBar(ctx, candle)');
+  if (exported.init !== undefined && typeof exported.init !== 'function') throw new Error('plugin init must be a function');
+  const params = {};
+  for (const [name, spec] of Object.entries(exported.params || {})) {
+    const { label, default: def, min, max, step } = spec || {};
+    if (![def, min, max].every(Number.isFinite) || min > max || def < min || def > max) {
+      throw new Error(`plugin param ${name} needs numeric default within min..max`);
+    }
+    params[name] = { label: String(label || name), default: def, min, max, step: Number.isFinite(step) && step > 0 ? step : 1 };
+  }
+  const { warmup } = exported;
+  if (warmup !== undefined && typeof warmup !== 'function' && !Number.isFinite(warmup)) {
+    throw new Error('plugin warmup must be a number or a function');
+  }
+  return {
+    name: typeof exported.name === 'string' && exported.name ? exported.name : id,
+    params,
+    warmup: p => {
+      const bars = typeof warmup === 'function' ? callPlugin('warmup', p) : warmup;
+      return Number.isFinite(bars) ? Math.max(0, bars) : 0;
+    },
+    session: (candles, p) => openSession(p)
+  };
+}
+
+function orderSignal(side, opts) {
+  if (opts !== undefined && (typeof opts !== 'object' || opts === null)) throw new TypeError(`${side}() takes { sl, tp }`);
+  const signal = { side };
+  if (opts && Number.isFinite(opts.sl)) signal.sl = opts.sl;
+  if (opts && Number.isFinite(opts.tp)) signal.tp = opts.tp;
+  return signal;
+}
+
+// ctx for one run; returns the per-bar function backtest.js calls as the strategy's session
+function openSession(params) {
+  let order = null;
+  const candles = [];
+  const ctx = {
+    symbol: meta.symbol,
+    interval: meta.interval,
+    params: Object.freeze(Object.assign({}, params)),
+    state: {},
+    candles,
+    position: null,
+    equity: meta.initialCapital,
+    indicators: sandbox.indicators,
+    buy(opts) { order = orderSignal('buy', opts); },
+    sell(opts) { order = orderSignal('sell', opts); },
+    close() { order = { exitLong: true, exitShort: true }; },
+    log(...args) { writeLog(args); }
+  };
+  if (exported.init) callPlugin('init', ctx);
+
+  return (bar, engine) => {
+    // a copy, so nothing the plugin does to it reaches the engine
+    const candle = { time: bar.time, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume };
+    candles.push(candle);
+    if (candles.length > historyLimit) candles.shift();
+    ctx.position = engine.position();
+    ctx.equity = engine.equityNow;
+    order = null;
+    callPlugin('onBar', ctx, candle);
+    return order;
+  };
+}
+
+let definition = null;
+let meta = {};
+
+// { params } or { error }, as validateStrategyParams does for the built-ins
+function validatePluginParams(input) {
+  const error = checkParams(definition.params, input || {});
+  return error ? { error } : { params: resolveParams(definition.params, input) };
+}
+
+// ---------------- Backtest / live session ----------------
+let live = null; // { engine, step, pending }
+
+function handle(msg) {
+  switch (msg.type) {
+    case 'backtest': {
+      const { params, error } = validatePluginParams(msg.opts.params);
+      if (error) return { error };
+      meta = msg.opts;
+      if (msg.candles.length < definition.warmup(params) + 2) return { error: 'Insufficient historical data' };
+      const report = runBacktest(msg.candles, Object.assign({}, msg.opts, { strategy: id, definition, params }));
+      return { report };
+    }
+    case 'start': {
+      if (live) return { error: 'session already started' };
+      const { params, error } = validatePluginParams(msg.opts.params);
+      if (error) return { error };
+      meta = msg.opts;
+      const engine = createEngine(Object.assign({}, msg.opts, { strategy: id }));
+      const step = definition.session(msg.seed, params);
+      // seed bars only warm the plugin up; their orders are dropped, as before a backtest's startIndex
+      for (const bar of msg.seed) {
+        engine.step(bar, null, false);
+        step(bar, engine);
+      }
+      live = { engine, step, pending: null, params };
+      return { ok: true, params };
+    }
+    case 'bar': {
+      if (!live) return { error: 'session not started' };
+      const { engine } = live;
+      engine.step(msg.candle, live.pending, true);
+      live.pending = live.step(msg.candle, engine);
+      return { trades: takeLiveTrades(), position: engine.position(), equity: engine.equityNow };
+    }
+    case 'stop': {
+      if (!live) return { trades: [] };
+      live.engine.finish();
+      const trades = takeLiveTrades();
+      live = null;
+      return { trades };
+    }
+    default:
+      return { error: `unknown message type: ${msg.type}` };
+  }
+}
+
+// new fills since the last bar; a live engine keeps only its latest equity point (and no round
+// trips: its sizer keeps the Kelly history itself)
+function takeLiveTrades() {
+  const { engine } = live;
+  engine.roundTrips.length = 0;
+  engine.equity.splice(0, engine.equity.length - 1);
+  return engine.trades.splice(0);
+}
+
+function describeError(err) {
+  return (err && err.message) || String(err);
+}
+
+try {
+  definition = loadPlugin();
+  parentPort.postMessage({ type: 'ready', info: { id, name: definition.name, params: definition.params }, logs: drainLogs() });
+} catch (err) {
+  parentPort.postMessage({ type: 'ready', error: describeError(err), logs: drainLogs() });
+}
+
+parentPort.on('message', msg => {
+  let reply;
+  try {
+    reply = definition ? handle(msg) : { error: 'plugin failed to load' };
+  } catch (err) {
+    reply = { error: `plugin error: ${describeError(err)}` };
+  }
+  parentPort.postMessage(Object.assign({ replyTo: msg.requestId, logs: drainLogs() }, reply));
+});
@@ -0,0 +1,38 @@
+// ema_pullback.js — example strategy plugin (see plugin-worker.js for the API).
+// Trades in the direction of a slow EMA: goes long when price pulls back to the fast EMA and
+// closes back above it while the fast EMA is over the slow one (short the mirror image when
+// the backtest allows shorts), with an ATR stop and target. Streams keep each bar O(1).
+
+module.exports = {
+  name: 'EMA pullback',
+  params: {
+    fastPeriod: { label: 'Fast EMA', default: 20, min: 2, max: 500, step: 1 },
+    slowPeriod: { label: 'Slow EMA', default: 50, min: 3, max: 1000, step: 1 },
+    atrPeriod: { label: 'ATR period', default: 14, min: 1, max: 500, step: 1 },
+    stopAtr: { label: 'Stop (ATR)', default: 1.5, min: 0.1, max: 20, step: 0.1 },
+    targetAtr: { label: 'Target (ATR)', default: 3, min: 0.1, max: 50, step: 0.1 }
+  },
+  warmup: p => Math.max(p.slowPeriod, p.atrPeriod),
+
+  init(ctx) {
+    const { createEmaStream, createAtrStream } = ctx.indicators;
+    ctx.state.fast = createEmaStream(ctx.params.fastPeriod);
+    ctx.state.slow = createEmaStream(ctx.params.slowPeriod);
+    ctx.state.atr = createAtrStream(ctx.params.atrPeriod);
+    ctx.state.bars = 0;
+  },
+
+  onBar(ctx, candle) {
+    const { state, params } = ctx;
+    const fast = state.fast.update(candle.close);
+    const slow = state.slow.update(candle.close);
+    const atr = state.atr.update(candle);
+    if (++state.bars < Math.max(params.slowPeriod, params.atrPeriod) || ctx.position) return;
+
+    if (fast > slow && candle.low <= fast && candle.close > fast) {
+      ctx.buy({ sl: candle.close - params.stopAtr * atr, tp: candle.close + params.targetAtr * atr });
+    } else if (fast < slow && candle.high >= fast && candle.close < fast) {
+      ctx.sell({ sl: candle.close + params.stopAtr * atr, tp: candle.close - params.targetAtr * atr });
+    }
+  }
+};
@@ -24,9 +24,27 @@ const btRun = document.getElementById('btRun');
 const btStrategy = document.getElementById('btStrategy');
 const btSymbol = document.getElementById('btSymbol');
 const btInterval = document.getElementById('btInterval');
-const btSmaShort = document.getElementById('btSmaShort');
-const btSmaLong = document.getElementById('btSmaLong');
+const btParamFields = document.getElementById('btParamFields');
+const btChartSync = document.getElementById('btChartSync');
+const btFromChart = document.getElementById('btFromChart');
 const btCapital = document.getElementById('btCapital');
+const btAllowShort = document.getElementById('btAllowShort');
+const btSignalStops = document.getElementById('btSignalStops');
+const btTrailMult = document.getElementById('btTrailMult');
+const btTrailPeriod = document.getElementById('btTrailPeriod');
+const btMaxBars = document.getElementById('btMaxBars');
+const btIntrabar = document.getElementById('btIntrabar');
+const btMakerFee = document.getElementById('btMakerFee');
+const btTakerFee = document.getElementById('btTakerFee');
+const btSlippageBps = document.getElementById('btSlippageBps');
+const btSlippageAtr = document.getElementById('btSlippageAtr');
+const btFundingRate = document.getElementById('btFundingRate');
+const btSizeMode = document.getElementById('btSizeMode');
+const btSizePct = document.getElementById('btSizePct');
+const btSizeNotional = document.getElementById('btSizeNotional');
+const btRiskPct = document.getElementById('btRiskPct');
+const btSizeAtrMult = document.getElementById('btSizeAtrMult');
+const btKellyFraction = document.getElementById('btKellyFraction');
 const btStatus = document.getElementById('btStatus');
 const btResultInline = document.getElementById('btResultInline') || (function(){
   const el = document.createElement('div');
@@ -142,245 +160,90 @@ function initEquityChart(){
 }
 initEquityChart();
 
-/* ---------- ARUALGO indicator implementation (keep intact) ---------- */
-/* (unchanged) */
-function sma(arr) { if (!arr || arr.length === 0) return null; return arr.reduce((a,b)=>a+b,0)/arr.length; }
-function emaArray(src, period){
-  const out = new Array(src.length).fill(NaN);
-  const k = 2/(period+1);
-  let prev = NaN;
-  for (let i=0;i<src.length;i++){
-    const v = src[i];
-    if (i===0) { prev = v; out[i]=v; continue; }
-    if (isNaN(prev)) { prev = v; out[i]=v; continue; }
-    prev = v * k + prev * (1-k);
-    out[i] = prev;
-  }
-  return out;
-}
-function rsiArray(src, period){
-  const out = new Array(src.length).fill(NaN);
-  if (src.length < 2) return out;
-  let gains = 0, losses = 0;
-  for (let i = 1; i <= Math.min(period, src.length-1); i++){
-    const diff = src[i] - src[i-1];
-    if (diff>0) gains += diff; else losses += -diff;
-  }
-  let avgGain = (period<=src.length-1) ? gains/period : gains/Math.max(1, src.length-1);
-  let avgLoss = (period<=src.length-1) ? losses/period : losses/Math.max(1, src.length-1);
-  for (let i=0;i<src.length;i++){
-    if (i===0) { out[i] = NaN; continue; }
-    const change = src[i] - src[i-1];
-    const gain = Math.max(change, 0);
-    const loss = Math.max(-change, 0);
-    if (i <= period) {
-      if (i === period) {
-        const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-        out[i] = 100 - (100 /(1 + rs));
-      } else {
-        out[i] = NaN;
-      }
-      continue;
-    }
-    avgGain = (avgGain*(period-1) + gain)/period;
-    avgLoss = (avgLoss*(period-1) + loss)/period;
-    const rs = avgLoss === 0 ? 100 : avgGain/avgLoss;
-    out[i] = 100 - (100/(1+rs));
-  }
-  return out;
-}
-function atrArray(candles, period){
-  const out = new Array(candles.length).fill(NaN);
-  if (candles.length===0) return out;
-  const tr = new Array(candles.length).fill(0);
-  for (let i=0;i<candles.length;i++){
-    if (i===0){ tr[i] = candles[i].high - candles[i].low; continue; }
-    tr[i] = Math.max(
-      candles[i].high - candles[i].low,
-      Math.abs(candles[i].high - candles[i-1].close),
-      Math.abs(candles[i].low - candles[i-1].close)
-    );
-  }
-  let rma = NaN;
-  for (let i=0;i<candles.length;i++){
-    if (i === 0){ rma = tr[i]; out[i] = rma; continue; }
-    if (i < period) {
-      const sum = tr.slice(1, i+1).reduce((a,b)=>a+b,0);
-      out[i] = sum / Math.max(1, i);
-      continue;
-    }
-    if (i === period) {
-      const sum = tr.slice(i-period+1, i+1).reduce((a,b)=>a+b,0);
-      rma = sum / period;
-    } else {
-      rma = (rma*(period-1) + tr[i]) / period;
-    }
-    out[i] = rma;
-  }
-  return out;
-}
-function computeADX(candles, adxPeriod) {
-  const len = candles.length;
-  const plusDM = new Array(len).fill(0);
-  const minusDM = new Array(len).fill(0);
-  const tr = new Array(len).fill(0);
-  for (let i=1;i<len;i++){
-    const up = candles[i].high - candles[i-1].high;
-    const down = candles[i-1].low - candles[i].low;
-    plusDM[i] = (up > down && up > 0) ? up : 0;
-    minusDM[i] = (down > up && down > 0) ? down : 0;
-    tr[i] = Math.max(
-      candles[i].high - candles[i].low,
-      Math.abs(candles[i].high - candles[i-1].close),
-      Math.abs(candles[i].low - candles[i-1].close)
-    );
-  }
-  const rPlus = new Array(len).fill(NaN);
-  const rMinus = new Array(len).fill(NaN);
-  const rTR = new Array(len).fill(NaN);
-  let sp = 0, sm = 0, str = 0;
-  for (let i=1;i<len;i++){
-    if (i === 1) {
-      sp = plusDM[i];
-      sm = minusDM[i];
-      str = tr[i];
-    } else {
-      sp = (sp*(adxPeriod-1) + plusDM[i]) / adxPeriod;
-      sm = (sm*(adxPeriod-1) + minusDM[i]) / adxPeriod;
-      str = (str*(adxPeriod-1) + tr[i]) / adxPeriod;
-    }
-    rPlus[i] = sp;
-    rMinus[i] = sm;
-    rTR[i] = str;
-  }
-  const plusDI = new Array(len).fill(NaN);
-  const minusDI = new Array(len).fill(NaN);
-  for (let i=0;i<len;i++){
-    if (!rTR[i] || rTR[i] === 0) { plusDI[i] = NaN; minusDI[i] = NaN; continue; }
-    plusDI[i] = 100 * rPlus[i] / rTR[i];
-    minusDI[i] = 100 * rMinus[i] / rTR[i];
-  }
-  const dx = new Array(len).fill(NaN);
-  for (let i=0;i<len;i++){
-    if (isNaN(plusDI[i]) || isNaN(minusDI[i]) || (plusDI[i]+minusDI[i])===0) { dx[i] = NaN; continue; }
-    dx[i] = 100 * Math.abs(plusDI[i] - minusDI[i]) / (plusDI[i] + minusDI[i]);
-  }
-  const adx = new Array(len).fill(NaN);
-  let adxR = NaN;
-  for (let i=0;i<len;i++){
-    if (isNaN(dx[i])) { adx[i] = NaN; continue; }
-    if (i === 0) { adxR = dx[i]; adx[i] = adxR; continue; }
-    adxR = ( (isNaN(adxR) ? dx[i] : adxR)*(adxPeriod-1) + dx[i] )/adxPeriod;
-    adx[i] = adxR;
-  }
-  return adx;
-}
-
-/* computeAruAlgo: returns stops, ema, rsi, adx, atr, markers, signals */
-function computeAruAlgo(candles, params = {}) {
-  const p = Object.assign({
-    sensitivity: 8,
-    atrPeriod: 20,
-    trendEmaPeriod: 50,
-    rsiPeriod: 14,
-    rsiOverbought: 60,
-    rsiOversold: 40,
-    adxPeriod: 14,
-    adxThreshold: 15,
-    slMultiplier: 1.5,
-    tpMultiplier: 2.0
-  }, params || {});
-  const n = candles.length;
-  if (n === 0) return {};
-  const closes = candles.map(c => c.close);
-  const highs = candles.map(c => c.high);
-  const lows = candles.map(c => c.low);
-  const trendEma = emaArray(closes, p.trendEmaPeriod);
-  const atr = atrArray(candles, p.atrPeriod);
-  const smoothedAtrStop = new Array(n).fill(NaN);
-  let prevAtrStop = NaN;
-  for (let i=0;i<n;i++){
-    const src = closes[i];
-    const prevSrc = (i>0) ? closes[i-1] : src;
-    const prevAtrStopVal = (i>0) ? prevAtrStop : NaN;
-    const xATR = atr[i] || atr[Math.max(0,i-1)] || 0;
-    const nLoss = p.sensitivity * xATR;
-    let atrStop;
-    if (!isNaN(prevAtrStopVal) && src > prevAtrStopVal && prevSrc > prevAtrStopVal) {
-      atrStop = Math.max(prevAtrStopVal, src - nLoss);
-    } else if (!isNaN(prevAtrStopVal) && src < prevAtrStopVal && prevSrc < prevAtrStopVal) {
-      atrStop = Math.min(prevAtrStopVal, src + nLoss);
-    } else if (src > prevAtrStopVal || isNaN(prevAtrStopVal)) {
-      atrStop = src - nLoss;
-    } else {
-      atrStop = src + nLoss;
-    }
-    prevAtrStop = atrStop;
-    smoothedAtrStop[i] = atrStop;
-  }
-  const rawStops = smoothedAtrStop.slice();
-  const smoothStops = emaArray(rawStops.map(v => isNaN(v)?0:v), 5);
-  const rsi = rsiArray(closes, p.rsiPeriod);
-  const adx = computeADX(candles, p.adxPeriod);
-  const signals = [];
-  const markers = new Array(n).fill(null);
-  let lastSL = NaN, lastTP = NaN;
-  for (let i=0;i<n;i++){
-    const src = closes[i];
-    const sStop = smoothStops[i];
-    const prevSStop = (i>0) ? smoothStops[i-1] : sStop;
-    const emaLine = closes[i];
-    const prevEma = (i>0) ? closes[i-1] : emaLine;
-    const rsiBuyConfirm = rsi[i] < p.rsiOversold;
-    const rsiSellConfirm = rsi[i] > p.rsiOverbought;
-    const adxFilter = (adx[i] || 0) > p.adxThreshold;
-    const trendDirection = (closes[i] > trendEma[i]) ? 1 : (closes[i] < trendEma[i] ? -1 : 0);
-    const crossoverUp = (prevEma <= prevSStop) && (emaLine > sStop);
-    const crossoverDown = (prevSStop <= prevEma) && (sStop > emaLine);
-    const buyCond = (src > sStop) && crossoverUp && (trendDirection === 1 || trendDirection === 0) && rsiBuyConfirm && adxFilter;
-    const sellCond = (src < sStop) && ((prevSStop <= prevEma) && (sStop < emaLine) || ((prevEma >= prevSStop) && (sStop < emaLine))) && (trendDirection === -1 || trendDirection === 0) && rsiSellConfirm && adxFilter;
-    const simpleBuyCond = (i>0) && (closes[i-1] <= prevSStop) && (closes[i] > sStop);
-    const simpleSellCond = (i>0) && (closes[i-1] >= prevSStop) && (closes[i] < sStop);
-    const xATR = atr[i] || (i>0?atr[i-1]:0);
-    const slDistance = xATR * p.slMultiplier;
-    const tpDistance = xATR * p.tpMultiplier;
-    if (buyCond) {
-      const sl = src - slDistance;
-      const tp = src + tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx:i, type:'buy', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'belowBar', color:'#00b894', shape:'arrowUp', text: `BUY\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
-    } else if (sellCond) {
-      const sl = src + slDistance;
-      const tp = src - tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx:i, type:'sell', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'aboveBar', color:'#ff7675', shape:'arrowDown', text: `SELL\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
-    } else if (simpleBuyCond) {
-      const sl = src - slDistance;
-      const tp = src + tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx:i, type:'simpleBuy', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'belowBar', color:'#66ff99', shape:'arrowUp', text: `sBUY\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
-    } else if (simpleSellCond) {
-      const sl = src + slDistance;
-      const tp = src - tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx:i, type:'simpleSell', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'aboveBar', color:'#ff9aa2', shape:'arrowDown', text: `sSELL\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
+/* ---------- Indicators ----------
+   All indicator math lives in indicator.js (loaded before this file) so the chart,
+   the server feeder and the backtester compute identical values. */
+const { createAruAlgoStream, ARU_PARAM_SPECS, resolveAruParams } = window.JarnoxIndicators;
+
+/* ---------- Indicator panes ----------
+   Sub-charts stacked under the price chart (#indicatorPanes). Each pane is its own
+   LightweightCharts instance whose logical range follows the main chart's time scale. */
+const indicatorPanesEl = document.getElementById('indicatorPanes');
+
+const PANE_CHART_OPTIONS = {
+  layout:{ backgroundColor:'#000000', textColor:'#d8e6f6' },
+  grid:{ vertLines:{ color:'#111111' }, horzLines:{ color:'#111111' } },
+  rightPriceScale:{ borderVisible:false },
+  timeScale:{ borderVisible:false, visible:false },
+  crosshair: { mode: LightweightCharts.CrosshairMode.Normal }
+};
+
+const paneCharts = new Set();
+let syncingRange = false;
+
+// keep every pane on the main chart's logical range (pane series carry a point per candle,
+// whitespace included, so bar indexes line up)
+function syncVisibleRange(source, range) {
+  if (syncingRange || !range) return;
+  syncingRange = true;
+  try {
+    for (const c of [chart, ...paneCharts]) {
+      if (c !== source) c.timeScale().setVisibleLogicalRange(range);
     }
+  } catch (e) {
+    console.warn('syncVisibleRange', e);
+  } finally {
+    syncingRange = false;
   }
-  return {
-    smoothedAtrStop: smoothStops,
-    trendEma,
-    rsi,
-    adx,
-    atr,
-    markers,
-    signals,
-    lastSL: lastSL,
-    lastTP: lastTP
-  };
+}
+chart.timeScale().subscribeVisibleLogicalRangeChange(range => syncVisibleRange(chart, range));
+
+// the chart library doesn't track its container, so follow the layout when panes come and go
+function fitChartToContainer(c, el) {
+  if (el.clientWidth > 0 && el.clientHeight > 0) c.resize(el.clientWidth, el.clientHeight);
+}
+if (window.ResizeObserver) {
+  new ResizeObserver(() => {
+    fitChartToContainer(chart, chartDiv);
+    window.dispatchEvent(new Event('resize')); // drawing overlay re-measures on window resize
+  }).observe(chartDiv);
+}
+
+function createIndicatorPane(title, className) {
+  const el = document.createElement('div');
+  el.className = className ? `indicator-pane ${className}` : 'indicator-pane';
+  const label = document.createElement('div');
+  label.className = 'indicator-pane-title';
+  label.textContent = title;
+  el.appendChild(label);
+  indicatorPanesEl.appendChild(el);
+  const paneChart = LightweightCharts.createChart(el, Object.assign({ width: el.clientWidth, height: el.clientHeight }, PANE_CHART_OPTIONS));
+  paneChart.timeScale().subscribeVisibleLogicalRangeChange(range => syncVisibleRange(paneChart, range));
+  paneCharts.add(paneChart);
+  const pane = { el, chart: paneChart, title: label };
+  if (window.ResizeObserver) {
+    pane.observer = new ResizeObserver(() => fitChartToContainer(paneChart, el));
+    pane.observer.observe(el);
+  }
+  return pane;
+}
+
+// after a full setData a pane's scale resets; put it back on the main chart's range
+function alignPaneToChart(pane) {
+  const range = chart.timeScale().getVisibleLogicalRange();
+  if (range) pane.chart.timeScale().setVisibleLogicalRange(range);
+}
+
+// line point for pane series: NaN becomes whitespace so every candle keeps its bar index
+function paneLinePoint(time, v) {
+  return Number.isFinite(v) ? { time, value: v } : { time };
+}
+
+function removeIndicatorPane(pane) {
+  if (pane.observer) pane.observer.disconnect();
+  paneCharts.delete(pane.chart);
+  try { pane.chart.remove(); } catch (e) { console.warn('pane.chart.remove', e); }
+  pane.el.remove();
 }
 
 /* ---------- apply indicators and plot helper ---------- */
@@ -395,6 +258,11 @@ function safeApplyIndicators(paramsOverride) {
     } catch (err) {
       console.warn('applyAruAlgoAndPlot err', err);
     }
+    try {
+      plotRegistryIndicators();
+    } catch (err) {
+      console.warn('plotRegistryIndicators err', err);
+    }
   });
 }
 
@@ -403,68 +271,513 @@ function mapToChartTime(t) {
   return t;
 }
 
-function applyAruAlgoAndPlot(paramsOverride = {}) {
+/* Incremental AruAlgo state: the stream is rebuilt on history loads / param changes,
+   and live ticks only re-evaluate the last bar (createAruAlgoStream from indicator.js). */
+let currentAruParams = resolveAruParams({}); // edited by the settings panel / server presets
+let aruStream = null;
+let aruStreamKey = null;
+let aruStreamFirstTime = null;
+let aruStreamLastTime = null;
+const aruMarkersByTime = new Map();
+
+// RSI / ADX / ATR from the same stream, each in its own pane with the strategy's thresholds
+const aruRsiPane = createIndicatorPane('RSI', 'aru-pane');
+const aruAdxPane = createIndicatorPane('ADX', 'aru-pane');
+const aruAtrPane = createIndicatorPane('ATR', 'aru-pane');
+const aruRsiSeries = aruRsiPane.chart.addLineSeries({
+  color: '#b388ff', lineWidth: 1, priceLineVisible: false,
+  autoscaleInfoProvider: () => ({ priceRange: { minValue: 0, maxValue: 100 } })
+});
+const aruAdxSeries = aruAdxPane.chart.addLineSeries({ color: '#ffd166', lineWidth: 1, priceLineVisible: false });
+const aruAtrSeries = aruAtrPane.chart.addLineSeries({ color: '#4dd0e1', lineWidth: 1, priceLineVisible: false });
+let aruLevelLines = [];
+
+function setAruPaneLevels(p) {
+  for (const [s, line] of aruLevelLines) { try { s.removePriceLine(line); } catch (e) {} }
+  const level = (s, price, color) => [s, s.createPriceLine({ price, color, lineWidth: 1, lineStyle: LightweightCharts.LineStyle.Dashed, axisLabelVisible: true })];
+  aruLevelLines = [
+    level(aruRsiSeries, p.rsiOverbought, 'rgba(255,118,117,0.7)'),
+    level(aruRsiSeries, p.rsiOversold, 'rgba(0,184,148,0.7)'),
+    level(aruAdxSeries, p.adxThreshold, 'rgba(255,255,255,0.4)')
+  ];
+  aruRsiPane.title.textContent = `RSI ${p.rsiPeriod}`;
+  aruAdxPane.title.textContent = `ADX ${p.adxPeriod}`;
+  aruAtrPane.title.textContent = `ATR ${p.atrPeriod}`;
+}
+
+function toChartMarker(m) {
+  return {
+    time: mapToChartTime(m.time),
+    position: m.position || 'belowBar',
+    color: m.color || (m.shape && m.shape === 'arrowUp' ? '#00b894' : '#ff7675'),
+    shape: m.shape || 'arrowUp',
+    text: m.text || ''
+  };
+}
+
+function syncIndicatorMarkers() {
+  // keep up to 200 indicator markers
+  indicatorMarkers = Array.from(aruMarkersByTime.values()).slice(-200);
+  updateMarkers();
+}
+
+function rebuildAruAlgoPlot(paramsOverride, key) {
+  aruStream = createAruAlgoStream(paramsOverride);
+  aruStreamKey = key;
+  aruMarkersByTime.clear();
+
+  const atrLine = [];
+  const emaLine = [];
+  const rsiLine = [];
+  const adxLine = [];
+  const atrValues = [];
+  for (let i = 0; i < candles.length; i++) {
+    const o = aruStream.update(candles[i]);
+    const t = mapToChartTime(candles[i].time);
+    if (Number.isFinite(o.smoothedAtrStop)) atrLine.push({ time: t, value: o.smoothedAtrStop });
+    if (Number.isFinite(o.trendEma)) emaLine.push({ time: t, value: o.trendEma });
+    rsiLine.push(paneLinePoint(t, o.rsi));
+    adxLine.push(paneLinePoint(t, o.adx));
+    atrValues.push(paneLinePoint(t, o.atr));
+    if (o.marker) aruMarkersByTime.set(o.time, toChartMarker(o.marker));
+  }
+  aruStreamFirstTime = candles[0].time;
+  aruStreamLastTime = candles[candles.length - 1].time;
+
+  try { atrStopSeries.setData(atrLine); } catch (e) { console.warn('atrStopSeries.setData', e); }
+  try { trendEmaSeries.setData(emaLine); } catch (e) { console.warn('trendEmaSeries.setData', e); }
+  try {
+    aruRsiSeries.setData(rsiLine);
+    aruAdxSeries.setData(adxLine);
+    aruAtrSeries.setData(atrValues);
+    setAruPaneLevels(aruStream.params);
+    [aruRsiPane, aruAdxPane, aruAtrPane].forEach(alignPaneToChart);
+  } catch (e) { console.warn('AruAlgo panes setData', e); }
+  syncIndicatorMarkers();
+}
+
+function plotAruAlgoBar(o) {
+  const t = mapToChartTime(o.time);
+  if (Number.isFinite(o.smoothedAtrStop)) { try { atrStopSeries.update({ time: t, value: o.smoothedAtrStop }); } catch (e) { console.warn('atrStopSeries.update', e); } }
+  if (Number.isFinite(o.trendEma)) { try { trendEmaSeries.update({ time: t, value: o.trendEma }); } catch (e) { console.warn('trendEmaSeries.update', e); } }
+  try {
+    aruRsiSeries.update(paneLinePoint(t, o.rsi));
+    aruAdxSeries.update(paneLinePoint(t, o.adx));
+    aruAtrSeries.update(paneLinePoint(t, o.atr));
+  } catch (e) { console.warn('AruAlgo panes update', e); }
+  aruMarkersByTime.delete(o.time);
+  if (o.marker) aruMarkersByTime.set(o.time, toChartMarker(o.marker));
+}
+
+function applyAruAlgoAndPlot(paramsOverride = currentAruParams) {
   if (!candles || candles.length === 0) {
     try { atrStopSeries.setData([]); } catch(e){}
     try { trendEmaSeries.setData([]); } catch(e){}
+    for (const s of [aruRsiSeries, aruAdxSeries, aruAtrSeries]) { try { s.setData([]); } catch(e){} }
+    aruStream = null;
+    aruMarkersByTime.clear();
     indicatorMarkers = [];
     updateMarkers();
     return;
   }
-  const out = computeAruAlgo(candles, paramsOverride);
 
-  const atrLine = [];
-  const emaLine = [];
-  for (let i = 0; i < candles.length; i++) {
-    const t = mapToChartTime(candles[i].time);
-    const s = out.smoothedAtrStop && out.smoothedAtrStop[i];
-    if (Number.isFinite(s)) atrLine.push({ time: t, value: s });
-    const e = out.trendEma && out.trendEma[i];
-    if (Number.isFinite(e)) emaLine.push({ time: t, value: e });
+  // locate the stream's last bar among the current candles; anything other than
+  // "same bar ticked" or "bars appended" (history reload, insert, trim) forces a rebuild
+  const key = JSON.stringify(paramsOverride || {});
+  const n = candles.length;
+  let k = -1;
+  if (aruStream && key === aruStreamKey && candles[0].time === aruStreamFirstTime) {
+    for (let i = n - 1; i >= Math.max(0, n - 3); i--) {
+      if (candles[i].time === aruStreamLastTime) { k = i; break; }
+    }
+  }
+  if (k === -1 || k !== aruStream.length - 1) {
+    rebuildAruAlgoPlot(paramsOverride, key);
+    return;
   }
 
-  try { atrStopSeries.setData(atrLine); } catch (e) { console.warn('atrStopSeries.setData', e); }
-  try { trendEmaSeries.setData(emaLine); } catch (e) { console.warn('trendEmaSeries.setData', e); }
+  plotAruAlgoBar(aruStream.replaceLast(candles[k]));
+  for (let i = k + 1; i < n; i++) plotAruAlgoBar(aruStream.update(candles[i]));
+  aruStreamLastTime = candles[n - 1].time;
+  syncIndicatorMarkers();
+}
 
-  // build indicatorMarkers (don't directly call series.setMarkers here)
-  const markerArr = [];
-  if (out.markers && Array.isArray(out.markers)) {
-    for (let i = 0; i < out.markers.length; i++) {
-      const m = out.markers[i];
-      if (!m) continue;
-      markerArr.push({
-        time: mapToChartTime(m.time),
-        position: m.position || 'belowBar',
-        color: m.color || (m.shape && m.shape === 'arrowUp' ? '#00b894' : '#ff7675'),
-        shape: m.shape || 'arrowUp',
-        text: m.text || ''
-      });
+/* ---------- AruAlgo settings & presets ----------
+   The settings panel edits currentAruParams and re-plots immediately. Named presets live
+   on the server per symbol/interval (/presets); the one marked active is what the server
+   feed computes its signals with, and the chart adopts it whenever it loads that market. */
+const aruSettingsBtn = document.getElementById('aruSettingsBtn');
+const aruSettingsEl = document.getElementById('aruSettings');
+const aruParamFields = document.getElementById('aruParamFields');
+const aruPresetSelect = document.getElementById('aruPresetSelect');
+const aruPresetName = document.getElementById('aruPresetName');
+const aruPresetStatus = document.getElementById('aruPresetStatus');
+
+let aruPresets = [];
+let aruPresetScope = null; // { symbol, interval } the preset list belongs to
+
+function setAruParams(params) {
+  currentAruParams = resolveAruParams(params);
+  if (aruParamFields) {
+    for (const input of aruParamFields.querySelectorAll('input[data-param]')) input.value = currentAruParams[input.dataset.param];
+  }
+  safeApplyIndicators();
+}
+
+function renderAruParamFields() {
+  if (!aruParamFields) return;
+  aruParamFields.innerHTML = '';
+  for (const [name, spec] of Object.entries(ARU_PARAM_SPECS)) {
+    const label = document.createElement('label');
+    label.textContent = spec.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.dataset.param = name;
+    input.min = spec.min;
+    input.max = spec.max;
+    input.step = spec.step;
+    input.value = currentAruParams[name];
+    input.addEventListener('change', () => setAruParams(Object.assign({}, currentAruParams, { [name]: input.value })));
+    label.appendChild(input);
+    aruParamFields.appendChild(label);
+  }
+}
+
+function renderAruPresetList(selectedId) {
+  if (!aruPresetSelect) return;
+  aruPresetSelect.innerHTML = '<option value="">— presets —</option>';
+  for (const p of aruPresets) {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.active ? `${p.name} (server)` : p.name;
+    aruPresetSelect.appendChild(opt);
+  }
+  aruPresetSelect.value = selectedId != null ? String(selectedId) : '';
+  const active = aruPresets.find(p => p.active);
+  if (aruPresetStatus) aruPresetStatus.textContent = `Server signals: ${active ? active.name : 'defaults'}`;
+}
+
+// adoptActive: switch the chart to the server's active preset (on market load / server change)
+async function loadAruPresets(symbol, interval, adoptActive = true) {
+  aruPresetScope = { symbol, interval };
+  aruPresets = [];
+  try {
+    const res = await fetch(`/presets?symbol=${encodeURIComponent(symbol)}&interval=${encodeURIComponent(interval)}`, { cache: 'no-store' });
+    if (!res.ok) throw new Error('presets ' + res.status);
+    const json = await res.json();
+    aruPresets = Array.isArray(json.presets) ? json.presets : [];
+  } catch (err) {
+    console.warn('loadAruPresets err', err);
+  }
+  const active = aruPresets.find(p => p.active);
+  renderAruPresetList(active ? active.id : null);
+  if (!adoptActive) return;
+  if (aruPresetName) aruPresetName.value = active ? active.name : '';
+  setAruParams(active ? active.params : {});
+}
+
+async function saveAruPreset(activate) {
+  if (!aruPresetScope) return;
+  const name = (aruPresetName && aruPresetName.value.trim()) || '';
+  if (!name) { if (aruPresetStatus) aruPresetStatus.textContent = 'Enter a preset name first'; return; }
+  try {
+    const res = await fetch('/presets', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...aruPresetScope, name, params: currentAruParams, active: !!activate })
+    });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || res.status);
+    await loadAruPresets(aruPresetScope.symbol, aruPresetScope.interval, false);
+    renderAruPresetList(json.preset.id);
+  } catch (err) {
+    console.warn('saveAruPreset err', err);
+    if (aruPresetStatus) aruPresetStatus.textContent = `Save failed: ${err.message}`;
+  }
+}
+
+async function deleteAruPreset() {
+  const id = aruPresetSelect && aruPresetSelect.value;
+  if (!id || !aruPresetScope) return;
+  try {
+    const res = await fetch(`/presets/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error('delete ' + res.status);
+    await loadAruPresets(aruPresetScope.symbol, aruPresetScope.interval, false);
+  } catch (err) {
+    console.warn('deleteAruPreset err', err);
+    if (aruPresetStatus) aruPresetStatus.textContent = `Delete failed: ${err.message}`;
+  }
+}
+
+const aruSettingsClose = document.getElementById('aruSettingsClose');
+const aruPresetSave = document.getElementById('aruPresetSave');
+const aruPresetActivate = document.getElementById('aruPresetActivate');
+const aruPresetDelete = document.getElementById('aruPresetDelete');
+const aruParamsReset = document.getElementById('aruParamsReset');
+if (aruSettingsBtn && aruSettingsEl) aruSettingsBtn.addEventListener('click', () => { aruSettingsEl.style.display = aruSettingsEl.style.display === 'block' ? 'none' : 'block'; });
+if (aruSettingsClose && aruSettingsEl) aruSettingsClose.addEventListener('click', () => { aruSettingsEl.style.display = 'none'; });
+if (aruPresetSelect) {
+  aruPresetSelect.addEventListener('change', () => {
+    const preset = aruPresets.find(p => String(p.id) === aruPresetSelect.value);
+    if (!preset) return;
+    if (aruPresetName) aruPresetName.value = preset.name;
+    setAruParams(preset.params);
+  });
+}
+if (aruPresetSave) aruPresetSave.addEventListener('click', () => saveAruPreset(false));
+if (aruPresetActivate) aruPresetActivate.addEventListener('click', () => saveAruPreset(true));
+if (aruPresetDelete) aruPresetDelete.addEventListener('click', deleteAruPreset);
+if (aruParamsReset) aruParamsReset.addEventListener('click', () => setAruParams({}));
+renderAruParamFields();
+
+/* ---------- Indicator registry on the chart ----------
+   Any indicator declared in JarnoxIndicators.INDICATORS can be added from the Indicators menu.
+   Overlay indicators draw on the price chart; 'separate' ones get their own pane under it,
+   scrolled and zoomed together with the main time scale. The chosen list (with params)
+   is kept in localStorage so the layout survives reloads. */
+const { INDICATORS, listIndicators, computeIndicator, resolveIndicatorParams } = window.JarnoxIndicators;
+const INDICATOR_STORAGE_KEY = 'jarnox.indicators';
+const indicatorLegend = document.getElementById('indicatorLegend');
+const indicatorMenu = document.getElementById('indicatorMenu');
+const indicatorsBtn = document.getElementById('indicatorsBtn');
+
+let activeIndicators = []; // { uid, id, params, pane: {el, chart}|null, series: {key: ISeriesApi}, firstTime, count }
+let indicatorUid = 0;
+
+function indicatorLabel(inst) {
+  const def = INDICATORS[inst.id];
+  const values = Object.values(inst.params);
+  return values.length ? `${def.name} (${values.join(', ')})` : def.name;
+}
+
+function addIndicator(id, params) {
+  const def = INDICATORS[id];
+  if (!def) { console.warn('unknown indicator', id); return null; }
+  const inst = { uid: ++indicatorUid, id, params: resolveIndicatorParams(id, params), pane: null, series: {}, firstTime: null, count: 0 };
+  if (def.pane === 'separate') inst.pane = createIndicatorPane(indicatorLabel(inst));
+  const target = inst.pane ? inst.pane.chart : chart;
+  def.outputs.forEach((out, i) => {
+    const s = out.type === 'histogram'
+      ? target.addHistogramSeries({ color: out.color, priceLineVisible: false, lastValueVisible: false })
+      : target.addLineSeries({ color: out.color, lineWidth: out.lineWidth || 1, priceLineVisible: false, lastValueVisible: false, crosshairMarkerVisible: false });
+    // reference levels (e.g. 20/80) are price lines on the pane's first series
+    if (i === 0 && Array.isArray(def.levels)) {
+      def.levels.forEach(price => s.createPriceLine({ price, color: 'rgba(255,255,255,0.25)', lineWidth: 1, lineStyle: LightweightCharts.LineStyle.Dashed, axisLabelVisible: false }));
     }
+    inst.series[out.key] = s;
+  });
+  activeIndicators.push(inst);
+  plotIndicator(inst);
+  saveIndicatorLayout();
+  renderIndicatorLegend();
+  return inst;
+}
+
+function removeIndicator(uid) {
+  const inst = activeIndicators.find(a => a.uid === uid);
+  if (!inst) return;
+  if (inst.pane) removeIndicatorPane(inst.pane);
+  else for (const s of Object.values(inst.series)) { try { chart.removeSeries(s); } catch (e) { console.warn('removeSeries', e); } }
+  activeIndicators = activeIndicators.filter(a => a !== inst);
+  saveIndicatorLayout();
+  renderIndicatorLegend();
+}
+
+function updateIndicatorParams(uid, params) {
+  const inst = activeIndicators.find(a => a.uid === uid);
+  if (!inst) return;
+  inst.params = resolveIndicatorParams(inst.id, Object.assign({}, inst.params, params));
+  inst.firstTime = null; // force a full redraw
+  plotIndicator(inst);
+  if (inst.pane) inst.pane.title.textContent = indicatorLabel(inst);
+  saveIndicatorLayout();
+  renderIndicatorLegend();
+}
+
+function toIndicatorPoint(out, time, v) {
+  if (Number.isFinite(v) && out.type === 'histogram' && out.negativeColor) return { time, value: v, color: v < 0 ? out.negativeColor : out.color };
+  return paneLinePoint(time, v);
+}
+
+// full setData after a history load or param change; on ticks/new bars only the tail is updated
+function plotIndicator(inst) {
+  const def = INDICATORS[inst.id];
+  const n = candles ? candles.length : 0;
+  if (n === 0) {
+    for (const s of Object.values(inst.series)) { try { s.setData([]); } catch (e) {} }
+    inst.firstTime = null;
+    inst.count = 0;
+    return;
   }
-  // keep up to 200 indicator markers
-  indicatorMarkers = markerArr.slice(-200);
-  updateMarkers();
+  const { values } = computeIndicator(inst.id, candles, inst.params);
+  const incremental = inst.firstTime === candles[0].time && inst.count > 0 && n >= inst.count && n - inst.count <= 1;
+  for (const out of def.outputs) {
+    const s = inst.series[out.key];
+    const arr = values[out.key];
+    try {
+      if (incremental) {
+        for (let i = inst.count - 1; i < n; i++) s.update(toIndicatorPoint(out, mapToChartTime(candles[i].time), arr[i]));
+      } else {
+        s.setData(candles.map((c, i) => toIndicatorPoint(out, mapToChartTime(c.time), arr[i])));
+      }
+    } catch (e) {
+      console.warn(`indicator ${inst.id}.${out.key} plot`, e);
+    }
+  }
+  if (!incremental && inst.pane) alignPaneToChart(inst.pane);
+  inst.firstTime = candles[0].time;
+  inst.count = n;
+}
+
+function plotRegistryIndicators() {
+  for (const inst of activeIndicators) plotIndicator(inst);
+}
+
+function saveIndicatorLayout() {
+  try {
+    localStorage.setItem(INDICATOR_STORAGE_KEY, JSON.stringify(activeIndicators.map(a => ({ id: a.id, params: a.params }))));
+  } catch (e) { console.warn('saveIndicatorLayout', e); }
 }
 
+function restoreIndicatorLayout() {
+  let saved = [];
+  try { saved = JSON.parse(localStorage.getItem(INDICATOR_STORAGE_KEY) || '[]'); } catch (e) { console.warn('restoreIndicatorLayout', e); }
+  if (!Array.isArray(saved)) return;
+  for (const entry of saved) {
+    if (entry && INDICATORS[entry.id]) addIndicator(entry.id, entry.params);
+  }
+}
+
+function renderIndicatorLegend() {
+  if (!indicatorLegend) return;
+  indicatorLegend.innerHTML = '';
+  for (const inst of activeIndicators) {
+    const def = INDICATORS[inst.id];
+    const row = document.createElement('div');
+    row.className = 'indicator-legend-row';
+
+    const name = document.createElement('span');
+    name.textContent = indicatorLabel(inst);
+    name.style.borderLeft = `3px solid ${def.outputs[0].color}`;
+    row.appendChild(name);
+
+    const form = document.createElement('div');
+    form.className = 'indicator-params';
+    form.style.display = 'none';
+    for (const [key, spec] of Object.entries(def.params)) {
+      const label = document.createElement('label');
+      label.textContent = spec.label || key;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.value = inst.params[key];
+      if (spec.min != null) input.min = spec.min;
+      if (spec.max != null) input.max = spec.max;
+      if (spec.step != null) input.step = spec.step;
+      input.addEventListener('change', () => updateIndicatorParams(inst.uid, { [key]: input.value }));
+      label.appendChild(input);
+      form.appendChild(label);
+    }
+
+    if (Object.keys(def.params).length) {
+      const edit = document.createElement('button');
+      edit.className = 'icon-btn';
+      edit.title = 'Settings';
+      edit.textContent = '⚙';
+      edit.addEventListener('click', () => { form.style.display = form.style.display === 'none' ? 'flex' : 'none'; });
+      row.appendChild(edit);
+    }
+    const remove = document.createElement('button');
+    remove.className = 'icon-btn';
+    remove.title = 'Remove';
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => removeIndicator(inst.uid));
+    row.appendChild(remove);
+
+    indicatorLegend.appendChild(row);
+    indicatorLegend.appendChild(form);
+  }
+}
+
+function renderIndicatorMenu() {
+  if (!indicatorMenu) return;
+  indicatorMenu.innerHTML = '';
+  for (const def of listIndicators()) {
+    const item = document.createElement('div');
+    item.className = 'indicator-menu-item';
+    item.tabIndex = 0;
+    const name = document.createElement('span');
+    name.textContent = def.name;
+    const where = document.createElement('span');
+    where.className = 'smallMuted';
+    where.textContent = def.pane === 'separate' ? 'pane' : 'overlay';
+    item.appendChild(name);
+    item.appendChild(where);
+    item.addEventListener('click', () => {
+      addIndicator(def.id);
+      indicatorMenu.style.display = 'none';
+    });
+    indicatorMenu.appendChild(item);
+  }
+}
+
+if (indicatorsBtn && indicatorMenu) {
+  indicatorsBtn.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    indicatorMenu.style.display = indicatorMenu.style.display === 'block' ? 'none' : 'block';
+  });
+  document.addEventListener('click', (ev) => {
+    if (!indicatorMenu.contains(ev.target)) indicatorMenu.style.display = 'none';
+  });
+}
+renderIndicatorMenu();
+restoreIndicatorLayout();
+
 /* ---------- History fetchers (unchanged) ---------- */
+// bar length in seconds (months approximated as 31 days — only used to size ranged requests)
+function intervalToSeconds(interval) {
+  const m = /^(\d+)([mhdwM])$/.exec(String(interval));
+  if (!m) return 60;
+  return Number(m[1]) * { m: 60, h: 3600, d: 86400, w: 604800, M: 2678400 }[m[2]];
+}
+
 async function fetchServerHistory(symbol, interval, limit=1000){
   try{
-    const url = `/history?symbol=${encodeURIComponent(symbol)}&interval=${encodeURIComponent(interval)}&limit=${Math.min(1000, limit)}`;
+    let url = `/history?symbol=${encodeURIComponent(symbol)}&interval=${encodeURIComponent(interval)}&limit=${Math.min(1000, limit)}`;
+    // beyond the single-request limit, ask the server for a time range and let it page
+    if (limit > 1000) url += `&startTime=${Math.floor(Date.now()/1000) - limit * intervalToSeconds(interval)}`;
     const res = await fetch(url, { cache: 'no-store' });
     if(!res.ok) { console.warn('server /history returned', res.status); return null; }
     const json = await res.json();
     if(!json || !Array.isArray(json.data)) return null;
-    const arr = json.data.map(k => ({ time: Number(k.time), open: Number(k.open), high: Number(k.high), low: Number(k.low), close: Number(k.close) })).sort((a,b)=>a.time - b.time);
+    const arr = json.data.map(k => ({ time: Number(k.time), open: Number(k.open), high: Number(k.high), low: Number(k.low), close: Number(k.close), volume: Number(k.volume) || 0 })).sort((a,b)=>a.time - b.time);
     return arr;
   } catch (err) { console.warn('fetchServerHistory err', err); return null; }
 }
+/* The 1m candles inside one bar of `interval` (for SL/TP fills, backtest.js withIntrabarCandles);
+   null if unavailable. fromTs (a position opened mid-bar) drops the minutes that closed before
+   it; minutes still forming are left out, as they can't settle anything yet. */
+async function fetchIntrabarCandles(symbol, interval, bar, fromTs = bar.time) {
+  const from = Math.max(bar.time, Math.floor(fromTs / 60) * 60);
+  const to = bar.time + intervalToSeconds(interval) - 60;
+  const now = Math.floor(Date.now() / 1000);
+  try {
+    const res = await fetch(`/history?symbol=${encodeURIComponent(symbol)}&interval=1m&startTime=${from}&endTime=${to}`, { cache: 'no-store' });
+    if (!res.ok) return null;
+    const json = await res.json();
+    if (!json || !Array.isArray(json.data)) return null;
+    const lower = json.data
+      .map(k => ({ time: Number(k.time), open: Number(k.open), high: Number(k.high), low: Number(k.low), close: Number(k.close) }))
+      .filter(c => c.time + 60 > fromTs && c.time + 60 <= now);
+    return lower.length ? lower : null;
+  } catch (err) { console.warn('fetchIntrabarCandles err', err); return null; }
+}
 async function loadKlinesREST(symbol, interval, limit=1000){
   try{
     if (statusEl) statusEl.innerText = `Status: loading ${symbol} ${interval} (binance REST) ...`;
     const res = await fetch(`https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`);
     if(!res.ok) throw new Error('REST fetch failed ' + res.status);
     const data = await res.json();
-    return data.map(k => ({ time: toSeconds(k[0]), open: +k[1], high: +k[2], low: +k[3], close: +k[4] }));
+    return data.map(k => ({ time: toSeconds(k[0]), open: +k[1], high: +k[2], low: +k[3], close: +k[4], volume: +k[5] }));
   }catch(e){ console.warn('binance REST err', e); return null; }
 }
 
@@ -541,6 +854,7 @@ async function loadAndConnect(symRaw, tfRaw){
   if (currentSubscription && (currentSubscription.symbol !== sym || currentSubscription.interval !== tf)) { doUnsubscribe(currentSubscription.symbol, currentSubscription.interval); }
   try { series.setData([]); } catch(_) {}
   candles = []; // keep paperMarkers/paper shapes — don't nuke server-sourced paper markers on symbol change; they are tied to symbol/interval in pos objects
+  await loadAruPresets(sym, tf);
   await loadLocalSnapshot(sym, tf);
   pendingSubscribe = { symbol: sym, interval: tf };
   if (ws && ws.readyState === WebSocket.OPEN) doSubscribe(sym, tf);
@@ -577,191 +891,1342 @@ const btMetrics = document.getElementById('btMetrics');
 const btTrades = document.getElementById('btTrades');
 const backtestResults = document.getElementById('backtestResults');
 const btEquityChartCanvas = document.getElementById('btEquityChart');
+const btWfWindows = document.getElementById('btWfWindows');
+const btPortfolio = document.getElementById('btPortfolio');
+const btBasket = document.getElementById('btBasket');
+const btMaxPositions = document.getElementById('btMaxPositions');
+const btRebalanceBars = document.getElementById('btRebalanceBars');
+const btPortfolioRun = document.getElementById('btPortfolioRun');
+const btCompare = document.getElementById('btCompare');
+const btMonteCarlo = document.getElementById('btMonteCarlo');
+const mcMethod = document.getElementById('mcMethod');
+const mcIterations = document.getElementById('mcIterations');
+const mcRuinPct = document.getElementById('mcRuinPct');
+const mcRun = document.getElementById('mcRun');
+const mcReport = document.getElementById('mcReport');
+const btExport = document.getElementById('btExport');
+const btExportHtml = document.getElementById('btExportHtml');
+const btExportTrades = document.getElementById('btExportTrades');
+const btExportEquity = document.getElementById('btExportEquity');
+
+/* Backtest logic — strategies, engine and metrics come from backtest.js / metrics.js, the
+   same code the server's /backtest and the optimizer worker run */
+const {
+  STRATEGIES, RULES_STRATEGY, getStrategy, validateStrategyParams, validateExitOptions, runBacktest: runStrategyBacktest,
+  withIntrabarCandles, resolveBarExit
+} = window.JarnoxBacktest;
+const { validateCosts, createCostModel } = window.JarnoxCosts;
+const { validateSizing, createSizer } = window.JarnoxSizing;
+const { validateRules } = window.JarnoxRules;
+const { METRIC_INFO, describeMetrics } = window.JarnoxMetrics;
+const { gridPoints } = window.JarnoxOptimize;
+const { runMonteCarlo, MAX_MC_ITERATIONS } = window.JarnoxMonteCarlo;
+const { validatePortfolio, runPortfolioBacktest } = window.JarnoxPortfolio;
+const { compareRuns, MAX_COMPARED_RUNS } = window.JarnoxCompare;
+const { reportHtml, tradesCsv, equityCsv, reportBaseName } = window.JarnoxReport;
 
-/* Backtest logic */
 let btEquityChartInstance = null;
+let btShownRun = null; // { report, skipBars } currently in the results block, for Monte Carlo
+let btExportRun = null; // the same run as a saved run (setup, fills, equity), for the export buttons
+
+function formatMetric(v, digits = 2) {
+  if (v === Infinity) return '∞';
+  return Number.isFinite(v) ? v.toFixed(digits) : '—';
+}
+
+/* ---------- Rule strategies ----------
+   JSON rule definitions (rules.js) saved on the server (/strategies) are listed in the strategy
+   select as "rules:<id>". Picking one loads it into the editor; backtests and sweeps run the
+   editor's current text, so an edit can be tried before it is saved. */
+const btRuleOptions = document.getElementById('btRuleOptions');
+const rulePanel = document.getElementById('rulePanel');
+const ruleName = document.getElementById('ruleName');
+const ruleDefinition = document.getElementById('ruleDefinition');
+const ruleStatus = document.getElementById('ruleStatus');
+const ruleValidate = document.getElementById('ruleValidate');
+const ruleSave = document.getElementById('ruleSave');
+const ruleDelete = document.getElementById('ruleDelete');
+
+const RULE_EXAMPLE = {
+  params: { fast: { label: 'Fast EMA', default: 9, min: 2, max: 100, step: 1 } },
+  indicators: {
+    fastEma: { type: 'ema', period: '$fast' },
+    slowEma: { type: 'ema', period: 21 },
+    rsi: { type: 'rsi', period: 14 }
+  },
+  entry: { long: { all: [{ crossAbove: ['fastEma', 'slowEma'] }, { lt: ['rsi', 70] }] } },
+  exit: { long: { crossBelow: ['fastEma', 'slowEma'] } },
+  stops: { stopLossPct: 2, takeProfitPct: 4 }
+};
+
+let ruleStrategies = [];
+let btRules = null; // definition applied from the editor for the selected rules option
+let btRulesText = null;
+
+function isRulesSelected() {
+  return !!btStrategy && btStrategy.value.startsWith('rules:');
+}
+
+// { id, rules } to hand to JarnoxBacktest for the modal's strategy
+function btStrategySelection() {
+  return isRulesSelected() ? { id: RULES_STRATEGY, rules: btRules } : { id: btStrategy.value, rules: undefined };
+}
+
+// the selected strategy's definition, or null (unknown id / no valid rules applied yet)
+function selectedBtStrategy() {
+  const { id, rules } = btStrategySelection();
+  if (id === RULES_STRATEGY) return rules ? getStrategy(id, rules) : null;
+  return STRATEGIES[id] || null;
+}
+
+function selectedRuleStrategy() {
+  const id = Number(btStrategy.value.slice('rules:'.length));
+  return ruleStrategies.find(s => s.id === id) || null;
+}
+
+async function loadRuleStrategies(selectValue) {
+  try {
+    const res = await fetch('/strategies');
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    ruleStrategies = data.strategies;
+  } catch (err) {
+    console.warn('Rule strategies unavailable:', err.message);
+    ruleStrategies = [];
+  }
+  if (!btRuleOptions) return;
+  const current = selectValue || btStrategy.value;
+  btRuleOptions.querySelectorAll('option[data-rule]').forEach(o => o.remove());
+  for (const s of ruleStrategies) {
+    const option = document.createElement('option');
+    option.value = `rules:${s.id}`;
+    option.dataset.rule = String(s.id);
+    option.textContent = s.name;
+    btRuleOptions.appendChild(option);
+  }
+  btStrategy.value = current;
+  if (btStrategy.value !== current) btStrategy.value = 'sma'; // the selected one was deleted
+  onBtStrategyChange();
+}
+
+/* Parses and validates the editor; on success makes it the definition backtests use and
+   re-renders the param fields if it changed. Returns an error message or null. */
+function applyRuleEditor() {
+  if (!ruleDefinition) return 'No rule editor';
+  const text = ruleDefinition.value;
+  let definition;
+  try {
+    definition = JSON.parse(text);
+  } catch (err) {
+    btRules = null;
+    btRulesText = null;
+    return `Invalid JSON: ${err.message}`;
+  }
+  const error = validateRules(definition);
+  if (error) {
+    btRules = null;
+    btRulesText = null;
+    return error;
+  }
+  const name = ruleName ? ruleName.value.trim() : '';
+  if (name && definition.name === undefined) definition.name = name.slice(0, 64);
+  const changed = text !== btRulesText;
+  const previous = changed ? readBtParams() : null;
+  btRules = definition;
+  btRulesText = text;
+  if (changed) {
+    renderBtParamFields();
+    setBtParams(previous);
+  }
+  return null;
+}
+
+function onBtStrategyChange() {
+  if (isRulesSelected()) {
+    const saved = selectedRuleStrategy();
+    // the name lives in its own field; applyRuleEditor puts it back for report titles
+    const definition = Object.assign({}, saved ? saved.definition : RULE_EXAMPLE);
+    delete definition.name;
+    if (ruleName) ruleName.value = saved ? saved.name : '';
+    if (ruleDefinition) ruleDefinition.value = JSON.stringify(definition, null, 2);
+    if (ruleDelete) ruleDelete.disabled = !saved;
+    btRulesText = null;
+    const error = applyRuleEditor();
+    if (ruleStatus) ruleStatus.textContent = error || (saved ? '' : 'Example definition — edit it, then Save');
+  }
+  if (rulePanel) rulePanel.style.display = isRulesSelected() ? 'block' : 'none';
+  renderBtParamFields();
+}
+
+async function saveRuleStrategy() {
+  const error = applyRuleEditor();
+  if (error) {
+    ruleStatus.textContent = error;
+    return;
+  }
+  const name = ruleName.value.trim();
+  if (!name) {
+    ruleStatus.textContent = 'Give the strategy a name';
+    return;
+  }
+  try {
+    const res = await fetch('/strategies', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, definition: btRules })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    await loadRuleStrategies(`rules:${data.strategy.id}`);
+    ruleStatus.textContent = `Saved ${data.strategy.name}`;
+  } catch (err) {
+    ruleStatus.textContent = `Save failed: ${err.message}`;
+  }
+}
+
+async function deleteRuleStrategy() {
+  const saved = selectedRuleStrategy();
+  if (!saved || !confirm(`Delete rule strategy "${saved.name}"?`)) return;
+  try {
+    const res = await fetch(`/strategies/${saved.id}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+    await loadRuleStrategies('rules:new');
+    ruleStatus.textContent = `Deleted ${saved.name}`;
+  } catch (err) {
+    ruleStatus.textContent = `Delete failed: ${err.message}`;
+  }
+}
 
-function initBtEquityChart(labels, data) {
-  if (btEquityChartCanvas) {
-    const ctx = btEquityChartCanvas.getContext('2d');
-    if (btEquityChartInstance) {
-      btEquityChartInstance.destroy();
+if (ruleValidate) ruleValidate.addEventListener('click', () => { ruleStatus.textContent = applyRuleEditor() || 'Definition is valid'; });
+if (ruleSave) ruleSave.addEventListener('click', saveRuleStrategy);
+if (ruleDelete) ruleDelete.addEventListener('click', deleteRuleStrategy);
+
+// AruAlgo starts from the chart's current settings so the backtest trades what is plotted
+function renderBtParamFields() {
+  if (!btParamFields || !btStrategy) return;
+  btParamFields.innerHTML = '';
+  const strategy = selectedBtStrategy();
+  if (btChartSync) btChartSync.style.display = btStrategy.value === 'aruAlgo' ? 'flex' : 'none';
+  if (!strategy) {
+    renderOptSpace();
+    return;
+  }
+  const initial = btStrategy.value === 'aruAlgo' ? currentAruParams : {};
+  for (const [name, spec] of Object.entries(strategy.params)) {
+    const label = document.createElement('label');
+    label.textContent = spec.label;
+    const input = document.createElement('input');
+    input.dataset.param = name;
+    if (spec.toggle) {
+      input.type = 'checkbox';
+      input.checked = !!spec.default;
+    } else {
+      input.type = 'number';
+      input.min = spec.min;
+      input.max = spec.max;
+      input.step = spec.step;
+      input.value = initial[name] ?? spec.default;
     }
-    btEquityChartInstance = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: labels,
-        datasets: [{
-          label: 'Equity',
-          data: data,
-          borderColor: '#2f8cff',
-          backgroundColor: 'rgba(47, 140, 255, 0.1)',
-          tension: 0.1,
-          fill: true
-        }]
-      },
-      options: {
-        responsive: true,
-        animation: false,
-        scales: {
-          x: { display: false },
-          y: {
-            ticks: { color: '#9fb4d6' },
-            grid: { color: '#111111' }
-          }
-        },
-        plugins: { legend: { display: false } }
-      }
+    label.appendChild(input);
+    btParamFields.appendChild(label);
+  }
+  renderOptSpace();
+}
+
+function readBtParams() {
+  const params = {};
+  if (btParamFields) {
+    btParamFields.querySelectorAll('input[data-param]').forEach(input => {
+      params[input.dataset.param] = input.type === 'checkbox' ? Number(input.checked) : Number(input.value);
+    });
+  }
+  return params;
+}
+
+function setBtParams(params) {
+  if (!btParamFields) return;
+  btParamFields.querySelectorAll('input[data-param]').forEach(input => {
+    const value = params[input.dataset.param];
+    if (value === undefined) return;
+    if (input.type === 'checkbox') input.checked = !!value;
+    else input.value = value;
+  });
+}
+
+// Chart symbol, timeframe and AruAlgo params into the modal (simpleSignals stays as set)
+function useChartSettingsForBacktest() {
+  if (symbolSelect && btSymbol) btSymbol.value = normalizeSymbol(symbolSelect.value);
+  if (tfSelect && btInterval) btInterval.value = normalizeInterval(tfSelect.value);
+  setBtParams(currentAruParams);
+}
+
+// Shorts / stops / time exit from the modal, as runBacktest options: { exits } or { error }
+function readBtExitOptions() {
+  return validateExitOptions({
+    allowShort: !!(btAllowShort && btAllowShort.checked),
+    useSignalStops: !btSignalStops || btSignalStops.checked,
+    trailAtrMult: btTrailMult ? Number(btTrailMult.value) : 0,
+    trailAtrPeriod: btTrailPeriod ? Number(btTrailPeriod.value) : 14,
+    maxBarsInTrade: btMaxBars ? Number(btMaxBars.value) : 0
+  });
+}
+
+// Fees, slippage and funding from the modal (costs.js), for backtests and paper fills alike:
+// { costs } or { error }
+function readBtCostOptions() {
+  const read = (el, fallback = 0) => (el ? Number(el.value) : fallback);
+  return validateCosts({
+    makerFee: read(btMakerFee),
+    takerFee: read(btTakerFee),
+    slippageBps: read(btSlippageBps),
+    slippageAtrMult: read(btSlippageAtr),
+    fundingRate: read(btFundingRate)
+  });
+}
+
+// Position sizing from the modal (sizing.js): { sizing } or { error }
+function readBtSizingOptions() {
+  const sizing = { sizeMode: btSizeMode ? btSizeMode.value : 'equity' };
+  const fields = { sizePct: btSizePct, sizeNotional: btSizeNotional, riskPct: btRiskPct, sizeAtrMult: btSizeAtrMult, kellyFraction: btKellyFraction };
+  for (const [name, el] of Object.entries(fields)) {
+    if (el) sizing[name] = Number(el.value);
+  }
+  return validateSizing(sizing);
+}
+
+// Server history first, Binance REST when the server has too few bars; null if still short
+async function loadBacktestHistory(symbol, interval, minBars) {
+  let history = await fetchServerHistory(symbol, interval, 2000);
+  if (!history || history.length < minBars + 10) {
+    history = await loadKlinesREST(symbol, interval, 2000);
+  }
+  return history && history.length >= minBars ? history : null;
+}
+
+// bands: optional Monte Carlo percentiles { 5: [...], 25, 50, 75, 95 } aligned with labels
+function initBtEquityChart(labels, data, bands) {
+  const datasets = [{
+    label: 'Equity',
+    data: data,
+    borderColor: '#2f8cff',
+    backgroundColor: 'rgba(47, 140, 255, 0.1)',
+    tension: 0.1,
+    fill: true
+  }];
+  if (bands) {
+    // each lower line fills up to the line before it: 5th-95th and 25th-75th shaded
+    const band = (label, values, fill) => ({
+      label, data: values, fill, borderColor: 'rgba(255, 183, 77, 0.5)', backgroundColor: 'rgba(255, 183, 77, 0.12)',
+      borderWidth: 1, pointRadius: 0, stepped: true
     });
+    datasets.push(
+      band('MC 95th', bands[95], false),
+      band('MC 5th', bands[5], '-1'),
+      band('MC 75th', bands[75], false),
+      band('MC 25th', bands[25], '-1'),
+      Object.assign(band('MC median', bands[50], false), { borderColor: '#ffb74d', borderDash: [4, 3] })
+    );
   }
+  drawBtChart(labels, datasets, !!bands);
+}
+
+function drawBtChart(labels, datasets, legend) {
+  if (!btEquityChartCanvas) return;
+  const ctx = btEquityChartCanvas.getContext('2d');
+  if (btEquityChartInstance) {
+    btEquityChartInstance.destroy();
+  }
+  btEquityChartInstance = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: labels,
+      datasets
+    },
+    options: {
+      responsive: true,
+      animation: false,
+      scales: {
+        x: { display: false },
+        y: {
+          ticks: { color: '#9fb4d6' },
+          grid: { color: '#111111' }
+        }
+      },
+      plugins: { legend: { display: legend, labels: { color: '#9fb4d6', boxWidth: 10, font: { size: 10 } } } }
+    }
+  });
+}
+
+function drawBtEquity(mcBands) {
+  if (!btShownRun) return;
+  const { report, skipBars } = btShownRun;
+  const shown = report.equity.slice(skipBars);
+  let bands = null;
+  if (mcBands) {
+    bands = {};
+    for (const p of Object.keys(mcBands)) bands[p] = [];
+    let closed = 0;
+    for (const point of shown) {
+      while (closed < report.roundTrips.length && report.roundTrips[closed].ts <= point.time) closed++;
+      for (const p of Object.keys(mcBands)) bands[p].push(mcBands[p][closed]);
+    }
+  }
+  initBtEquityChart(shown.map(p => new Date(p.time * 1000).toLocaleString()), shown.map(p => p.equity), bands);
+}
+
+function runBtMonteCarlo() {
+  if (!btShownRun || !mcReport) return;
+  const { report } = btShownRun;
+  const iterations = parseInt(mcIterations && mcIterations.value, 10);
+  const ruinPct = Number(mcRuinPct && mcRuinPct.value);
+  if (!(iterations >= 100 && iterations <= MAX_MC_ITERATIONS)) {
+    mcReport.textContent = `Runs must be between 100 and ${MAX_MC_ITERATIONS}`;
+    return;
+  }
+  if (!(ruinPct > 0 && ruinPct <= 100)) {
+    mcReport.textContent = 'Ruin loss % must be between 0 and 100';
+    return;
+  }
+
+  const mc = runMonteCarlo(report.roundTrips, {
+    initialCapital: report.metrics.initialCapital,
+    iterations,
+    method: mcMethod ? mcMethod.value : 'shuffle',
+    ruinPct,
+    seed: Math.floor(Math.random() * 4294967296)
+  });
+  if (!mc) {
+    mcReport.textContent = 'No closed trades to resample';
+    return;
+  }
+
+  const money = v => `$${v.toFixed(2)}`;
+  mcReport.innerHTML = `
+    <strong>Monte Carlo: ${mc.iterations} × ${mc.method === 'bootstrap' ? 'resampled' : 'reshuffled'} ${mc.trades} trades</strong><br>
+    Final equity 5th / 50th / 95th: ${money(mc.finalEquity.p5)} / ${money(mc.finalEquity.p50)} / ${money(mc.finalEquity.p95)}<br>
+    Max drawdown median / 95th / worst: ${mc.maxDrawdownPct.p50.toFixed(2)}% / ${mc.maxDrawdownPct.p95.toFixed(2)}% / ${mc.maxDrawdownPct.max.toFixed(2)}%<br>
+    Probability of ruin (losing ${mc.ruinPct}% of capital): ${mc.ruinProbabilityPct.toFixed(1)}%
+  `;
+  drawBtEquity(mc.bands);
+}
+
+if (mcRun) mcRun.addEventListener('click', runBtMonteCarlo);
+
+// Saves text as a file through a temporary link
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// The shown run as a standalone HTML report or CSV (report.js), the same files test_backtest.js writes
+function exportBtRun(kind) {
+  if (!btExportRun) {
+    btStatus.textContent = 'Nothing to export yet: run a backtest or open a saved one';
+    return;
+  }
+  const base = reportBaseName(btExportRun);
+  if (kind === 'html') downloadFile(`${base}.html`, reportHtml(btExportRun), 'text/html');
+  else if (kind === 'trades') downloadFile(`${base}_trades.csv`, tradesCsv(btExportRun), 'text/csv');
+  else downloadFile(`${base}_equity.csv`, equityCsv(btExportRun), 'text/csv');
+}
+
+if (btExportHtml) btExportHtml.addEventListener('click', () => exportBtRun('html'));
+if (btExportTrades) btExportTrades.addEventListener('click', () => exportBtRun('trades'));
+if (btExportEquity) btExportEquity.addEventListener('click', () => exportBtRun('equity'));
+
+// Fills the results block from a runBacktest / runWalkForward report; equity before
+// skipBars (indicator warm-up) is left out of the chart
+function renderBacktestReport(title, report, skipBars) {
+  const { metrics, trades } = report;
+
+  if (btMetrics) {
+    // same rows as the server's saved reports and test_backtest.js (metrics.js describeMetrics)
+    btMetrics.innerHTML = `<div class="bt-metric-grid">${describeMetrics(metrics)
+      .map((row, i) => (i === 0
+        ? `<strong>${row.label}</strong><strong>${row.text}</strong>`
+        : `<span>${row.label}</span><span>${row.text}</span>`))
+      .join('')}</div>`;
+  }
+
+  if (btTrades) {
+    btTrades.innerHTML = trades.map(t => {
+      const color = t.pnl > 0 ? 'green' : 'red';
+      // entries carry entry_price, exits exit_price; a short opens with a sell and closes with a buy
+      const isEntry = t.entry_price != null;
+      const price = isEntry ? t.entry_price : t.exit_price;
+      return `<div style="color: ${color}; margin-bottom: 4px;">
+        ${new Date(t.ts * 1000).toLocaleString()} - ${report.portfolio ? `${escapeHtml(t.symbol)} ` : ''}${isEntry ? 'ENTRY' : 'EXIT'} ${escapeHtml(t.side)} @ ${price.toFixed(4)}
+        ${t.pnl != null ? ` (PnL: $${t.pnl.toFixed(2)})` : ''}${isEntry ? '' : ` <small>${escapeHtml(t.note ?? '')}</small>`}
+      </div>`;
+    }).join('');
+  }
+
+  btShownRun = { report, skipBars };
+  btExportRun = null; // set by saveBtRun / openBtRun once the setup is known
+  drawBtEquity(null);
+  if (mcReport) mcReport.textContent = '';
+
+  renderWalkForwardWindows(null);
+  renderPortfolioBreakdown(report.portfolio);
+  setBtCompareMode(false);
+  backtestResults.style.display = 'block';
+
+  // Update inline result
+  if (btResultInline) {
+    btResultInline.textContent = `${title}: ${metrics.totalReturnPct.toFixed(2)}% return (${metrics.roundTrips} trades)`;
+    btResultInline.classList.remove('hidden');
+  }
+}
+
+// Per-symbol contribution and return correlations of a portfolio run
+function renderPortfolioBreakdown(portfolio) {
+  if (!btPortfolio) return;
+  if (!portfolio) {
+    btPortfolio.style.display = 'none';
+    btPortfolio.innerHTML = '';
+    return;
+  }
+  const rows = portfolio.symbols.map(s => `
+      <tr>
+        <td style="text-align:left">${escapeHtml(s.symbol)}</td>
+        <td>${formatMetric(s.weight * 100, 1)}%</td>
+        <td>${s.roundTrips}</td>
+        <td>${formatMetric(s.winRatePct, 1)}%</td>
+        <td>${formatMetric(s.pnl)}</td>
+        <td>${formatMetric(s.contributionPct)}</td>
+        <td>${formatMetric(s.exposurePct, 1)}%</td>
+      </tr>`).join('');
+  const { symbols, assets, strategies } = portfolio.correlation;
+  const matrix = (title, m) => `<table><tr><th style="text-align:left">${title}</th>${symbols.map(s => `<th>${escapeHtml(s)}</th>`).join('')}</tr>${
+    m.map((row, i) => `<tr><td style="text-align:left">${escapeHtml(symbols[i])}</td>${row.map(v => `<td>${formatMetric(v)}</td>`).join('')}</tr>`).join('')}</table>`;
+  btPortfolio.innerHTML = `<table><tr><th style="text-align:left">Symbol</th><th>Weight</th><th>Trades</th><th>Win rate</th><th>P&amp;L</th><th>Return pts</th><th>In market</th></tr>${rows}</table>`
+    + matrix('Price return corr.', assets) + matrix('Strategy return corr.', strategies);
+  btPortfolio.style.display = 'block';
+}
+
+// Strategy, params, exits and capital from the modal for a run; { error } when something is invalid
+function readBtRunSetup() {
+  const rulesError = isRulesSelected() ? applyRuleEditor() : null;
+  if (rulesError) return { error: rulesError };
+  const { id: strategy, rules } = btStrategySelection();
+  const { params, error } = validateStrategyParams(strategy, readBtParams(), rules);
+  const { exits, error: exitsError } = readBtExitOptions();
+  const { costs, error: costsError } = readBtCostOptions();
+  const { sizing, error: sizingError } = readBtSizingOptions();
+  if (error || exitsError || costsError || sizingError) return { error: error || exitsError || costsError || sizingError };
+  const definition = getStrategy(strategy, rules);
+  const interval = normalizeInterval(btInterval.value);
+  return {
+    strategy, rules, params, exits, costs, sizing, interval,
+    strategyName: definition.name,
+    warmup: definition.warmup(params),
+    initialCapital: parseFloat(btCapital.value) || 10000,
+    // 1m replays only mean something above 1m bars
+    intrabar: !!(btIntrabar && btIntrabar.checked) && intervalToSeconds(interval) > 60
+  };
+}
+
+// A modal run's setup as saved with it (same keys as the server's saved runs)
+function btRunConfig({ params, rules, exits, costs, sizing, initialCapital, warmup, intrabar }) {
+  const config = Object.assign({ params, rules, exits, initialCapital }, sizing, costs, { warmup });
+  if (intrabar) config.intrabar1m = true;
+  return config;
+}
+
+// Ambiguous bars fetched from /history per run, like the server's MAX_INTRABAR_BARS
+const MAX_INTRABAR_FETCHES = 200;
+
+/* run(intrabar) -> report, with bars that reach both stop and target replayed on their 1m
+   candles when the setup asks for it (backtest.js withIntrabarCandles) */
+async function runWithIntrabar(setup, run) {
+  if (!setup.intrabar) return run(undefined);
+  let fetched = 0;
+  return withIntrabarCandles(run, (bar, symbol) => {
+    if (fetched >= MAX_INTRABAR_FETCHES) return null;
+    fetched++;
+    btStatus.textContent = `Replaying ${symbol} ${new Date(bar.time * 1000).toLocaleString()} on 1m candles...`;
+    return fetchIntrabarCandles(symbol, setup.interval, bar);
+  });
+}
+
+// " (3 of 4 bars with both SL and TP settled on 1m)" for a status line; '' when no bar was ambiguous
+function intrabarNote(intrabar) {
+  if (!intrabar || !intrabar.ambiguous) return '';
+  const { ambiguous, resolved } = intrabar;
+  return ` (${resolved} of ${ambiguous} bar${ambiguous === 1 ? '' : 's'} with both SL and TP settled on 1m${resolved < ambiguous ? ', stop assumed for the rest' : ''})`;
 }
 
 async function runBacktest() {
-  if (!btStrategy || !btSymbol || !btInterval || !btSmaShort || !btSmaLong || !btCapital || !btStatus) return;
+  if (!btStrategy || !btSymbol || !btInterval || !btCapital || !btStatus) return;
 
-  const strategy = btStrategy.value;
+  const setup = readBtRunSetup();
+  if (setup.error) {
+    btStatus.textContent = setup.error;
+    return;
+  }
+  const { strategy, rules, params, exits, costs, sizing, strategyName, warmup, interval, initialCapital } = setup;
   const symbol = normalizeSymbol(btSymbol.value);
-  const interval = normalizeInterval(btInterval.value);
-  const shortPeriod = parseInt(btSmaShort.value) || 10;
-  const longPeriod = parseInt(btSmaLong.value) || 30;
-  const initialCapital = parseFloat(btCapital.value) || 10000;
 
-  btStatus.textContent = `Running ${strategy.toUpperCase()} backtest for ${symbol} ${interval}...`;
+  btStatus.textContent = `Running ${strategyName} backtest for ${symbol} ${interval}...`;
   backtestResults.style.display = 'none';
 
   try {
     // Fetch historical data (up to 2000 bars for backtest)
-    let history = await fetchServerHistory(symbol, interval, 2000);
-    if (!history || history.length < Math.max(shortPeriod, longPeriod) + 10) {
-      history = await loadKlinesREST(symbol, interval, 2000);
-    }
-    if (!history || history.length < Math.max(shortPeriod, longPeriod)) {
+    const history = await loadBacktestHistory(symbol, interval, warmup + 2);
+    if (!history) {
       btStatus.textContent = 'Insufficient historical data';
       return;
     }
 
-    // Prepare closes for indicators
-    const closes = history.map(c => c.close);
-    const times = history.map(c => new Date(c.time * 1000).toLocaleString());
-
-    let trades = [];
-    let equityCurve = [initialCapital];
-    let position = null; // {side: 'long'/'short', entryIndex: i, size: amount}
-    let currentCapital = initialCapital;
-
-    for (let i = Math.max(shortPeriod, longPeriod); i < history.length; i++) {
-      const close = closes[i];
-      let signal = null;
-
-      if (strategy === 'sma') {
-        const shortSMA = sma(closes.slice(i - shortPeriod + 1, i + 1));
-        const longSMA = sma(closes.slice(i - longPeriod + 1, i + 1));
-        if (shortSMA > longSMA && !position) {
-          signal = 'buy';
-        } else if (shortSMA < longSMA && position && position.side === 'long') {
-          signal = 'sell';
-        }
-      } else if (strategy === 'rsi') {
-        const rsiPeriod = shortPeriod; // Use short as RSI period
-        const rsiValues = rsiArray(closes.slice(0, i + 1), rsiPeriod);
-        const rsi = rsiValues[i];
-        if (rsi < 30 && !position) {
-          signal = 'buy';
-        } else if (rsi > 70 && position && position.side === 'long') {
-          signal = 'sell';
-        }
-      }
+    const opts = Object.assign({ symbol, strategy, rules, params, initialCapital }, sizing, exits, costs);
+    const report = await runWithIntrabar(setup, intrabar => runStrategyBacktest(history, Object.assign({ intrabar }, opts)));
+    renderBacktestReport(strategyName, report, warmup);
+    btStatus.textContent = `Backtest complete${intrabarNote(report.intrabar)}`;
+    saveBtRun({
+      symbols: [symbol], interval, strategy, name: strategyName, report,
+      config: Object.assign(btRunConfig(setup), { bars: history.length })
+    });
 
-      // Execute signal
-      if (signal === 'buy' && !position) {
-        const size = currentCapital; // All-in for simplicity
-        position = { side: 'long', entryIndex: i, entryPrice: close, size };
-        trades.push({ time: times[i], type: 'entry', side: 'buy', price: close });
-      } else if (signal === 'sell' && position) {
-        const pnl = position.size * (close - position.entryPrice) / position.entryPrice;
-        currentCapital += pnl;
-        trades.push({
-          time: times[i],
-          type: 'exit',
-          side: 'sell',
-          price: close,
-          pnl: pnl,
-          return: (pnl / position.size) * 100
-        });
-        position = null;
-      }
+  } catch (err) {
+    console.error('Backtest error:', err);
+    btStatus.textContent = 'Backtest failed';
+  }
+}
 
-      // Update equity (unrealized if position open)
-      let eq = currentCapital;
-      if (position) {
-        const unreal = position.size * (close - position.entryPrice) / position.entryPrice;
-        eq += unreal;
+// "BTCUSDT:2, ETHUSDT SOLUSDT" -> { symbols, weights }; weights only when one is given (default 1)
+function parseBasket(text) {
+  const entries = String(text || '').split(/[\s,;]+/).filter(Boolean).map(token => token.split(':'));
+  const symbols = entries.map(([symbol]) => normalizeSymbol(symbol));
+  if (!entries.some(e => e.length > 1)) return { symbols };
+  const weights = {};
+  entries.forEach(([, weight], i) => { weights[symbols[i]] = weight === undefined ? 1 : Number(weight); });
+  return { symbols, weights };
+}
+
+// Same strategy over the basket on shared capital (portfolio.js); the symbol field is not used
+async function runPortfolio() {
+  if (!btStrategy || !btInterval || !btCapital || !btStatus || !btBasket) return;
+
+  const setup = readBtRunSetup();
+  if (setup.error) {
+    btStatus.textContent = setup.error;
+    return;
+  }
+  const { strategy, rules, params, exits, costs, sizing, strategyName, warmup, interval, initialCapital } = setup;
+  // a basket sizes each symbol by its weight (portfolio.js)
+  if (sizing.sizeMode !== 'equity') {
+    btStatus.textContent = 'Portfolio runs size by weight: set Sizing to % of equity';
+    return;
+  }
+  const { portfolio, error } = validatePortfolio(Object.assign(parseBasket(btBasket.value), {
+    maxPositions: Number(btMaxPositions && btMaxPositions.value) || 0,
+    rebalanceBars: Number(btRebalanceBars && btRebalanceBars.value) || 0
+  }));
+  if (error) {
+    btStatus.textContent = error;
+    return;
+  }
+
+  btStatus.textContent = `Running ${strategyName} on ${portfolio.symbols.join(', ')} ${interval}...`;
+  backtestResults.style.display = 'none';
+
+  try {
+    const series = [];
+    for (const symbol of portfolio.symbols) {
+      const history = await loadBacktestHistory(symbol, interval, warmup + 2);
+      if (!history) {
+        btStatus.textContent = `Insufficient historical data for ${symbol}`;
+        return;
       }
-      equityCurve.push(eq);
+      series.push({ symbol, candles: history });
     }
 
-    // Close final position if open
-    if (position) {
-      const lastClose = closes[closes.length - 1];
-      const pnl = position.size * (lastClose - position.entryPrice) / position.entryPrice;
-      currentCapital += pnl;
-      trades.push({
-        time: times[times.length - 1],
-        type: 'exit',
-        side: 'sell',
-        price: lastClose,
-        pnl: pnl,
-        return: (pnl / position.size) * 100
-      });
+    const { weights, maxPositions, rebalanceBars } = portfolio;
+    const opts = Object.assign({ strategy, rules, params, initialCapital, sizePct: sizing.sizePct, weights, maxPositions, rebalanceBars }, exits, costs);
+    const report = await runWithIntrabar(setup, intrabar => runPortfolioBacktest(series, Object.assign({ intrabar }, opts)));
+    renderBacktestReport(`${strategyName} portfolio`, report, warmup);
+    btStatus.textContent = `Portfolio backtest complete${intrabarNote(report.intrabar)}`;
+    saveBtRun({
+      symbols: portfolio.symbols, interval, strategy, name: strategyName, report,
+      config: Object.assign(btRunConfig(setup), {
+        bars: Math.max(...series.map(s => s.candles.length)),
+        portfolio: { weights, maxPositions, rebalanceBars }
+      })
+    });
+
+  } catch (err) {
+    console.error('Portfolio backtest error:', err);
+    btStatus.textContent = 'Portfolio backtest failed';
+  }
+}
+
+if (btRun) btRun.addEventListener('click', runBacktest);
+if (btPortfolioRun) btPortfolioRun.addEventListener('click', runPortfolio);
+if (btStrategy) btStrategy.addEventListener('change', onBtStrategyChange);
+if (btFromChart) btFromChart.addEventListener('click', useChartSettingsForBacktest);
+
+/* ---------- Saved runs ----------
+   Every backtest is kept on the server (/backtests): the modal's own runs are posted there, and
+   /backtest (test_backtest.js) saves its runs itself. Opening one fills the results block as if
+   it had just run, Monte Carlo included. */
+const btHistoryPanel = document.getElementById('btHistoryPanel');
+const btHistoryRefresh = document.getElementById('btHistoryRefresh');
+const btHistoryCompare = document.getElementById('btHistoryCompare');
+const btHistoryStatus = document.getElementById('btHistoryStatus');
+const btHistoryList = document.getElementById('btHistoryList');
+const BT_HISTORY_LIMIT = 100;
+const BT_COMPARE_COLORS = ['#2f8cff', '#ffb74d', '#4caf50', '#e57373', '#ba68c8', '#4dd0e1', '#fff176', '#a1887f'];
+
+let btCompareIds = []; // ticked runs, in the order they were ticked (the first is the baseline)
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// run: { symbols, interval, strategy, name, config, report }; a failed save only costs the history entry
+// The run is also what the export buttons write, with its history id once it has one.
+async function saveBtRun(run) {
+  const { report } = run;
+  const saved = { metrics: report.metrics, trades: report.trades, equity: report.equity, roundTrips: report.roundTrips };
+  if (report.portfolio) saved.portfolio = report.portfolio;
+  if (report.walkForward) saved.walkForward = report.walkForward;
+  if (report.intrabar) saved.intrabar = report.intrabar;
+  const shown = Object.assign({ symbols: run.symbols, interval: run.interval, strategy: run.strategy, name: run.name, config: run.config }, saved);
+  btExportRun = shown;
+  try {
+    const res = await fetch('/backtests', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(Object.assign({}, run, { report: saved }))
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    if (btExportRun === shown) shown.id = data.run.id;
+    if (btHistoryPanel && btHistoryPanel.open) await loadBtHistory();
+  } catch (err) {
+    console.warn('Backtest run not saved:', err.message);
+  }
+}
+
+async function loadBtHistory() {
+  if (!btHistoryList || !btHistoryStatus) return;
+  btHistoryStatus.textContent = 'Loading...';
+  let runs;
+  try {
+    const res = await fetch(`/backtests?limit=${BT_HISTORY_LIMIT}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    runs = data.runs;
+  } catch (err) {
+    btHistoryStatus.textContent = `History unavailable: ${err.message}`;
+    return;
+  }
+
+  btHistoryStatus.textContent = runs.length ? `${runs.length} most recent runs` : 'No saved runs yet';
+  const rows = runs.map(r => {
+    const m = r.metrics || {};
+    return `
+      <tr>
+        <td><input type="checkbox" data-compare="${r.id}"${btCompareIds.includes(r.id) ? ' checked' : ''}/></td>
+        <td>${r.id}</td>
+        <td style="text-align:left">${new Date(r.createdAt * 1000).toLocaleString()}</td>
+        <td style="text-align:left">${r.symbols.join(', ')} ${r.interval}</td>
+        <td style="text-align:left">${escapeHtml(r.name)}</td>
+        <td>${formatMetric(m.totalReturnPct)}</td>
+        <td>${formatMetric(m.maxDrawdownPct)}</td>
+        <td>${m.roundTrips ?? '—'}</td>
+        <td>${r.source}</td>
+        <td><button class="btn small" data-open="${r.id}">Open</button> <button class="btn small" data-delete="${r.id}">Delete</button></td>
+      </tr>`;
+  }).join('');
+  btHistoryList.innerHTML = runs.length
+    ? `<table><tr><th></th><th>#</th><th style="text-align:left">When</th><th style="text-align:left">Market</th><th style="text-align:left">Strategy</th><th>Return %</th><th>Max DD %</th><th>Trades</th><th>From</th><th></th></tr>${rows}</table>`
+    : '';
+}
+
+async function openBtRun(id) {
+  btHistoryStatus.textContent = `Loading run #${id}...`;
+  try {
+    const res = await fetch(`/backtests/${id}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    const { run } = data;
+    renderBacktestReport(`#${run.id} ${run.name}`, run, (run.config && run.config.warmup) || 0);
+    btExportRun = run;
+    if (run.walkForward) renderWalkForwardWindows(run.walkForward, run.walkForward.swept);
+    const when = new Date(run.createdAt * 1000).toLocaleString();
+    if (btStatus) btStatus.textContent = `Run #${run.id}: ${run.symbols.join(', ')} ${run.interval}, ${when}${intrabarNote(run.intrabar)}`;
+    btHistoryStatus.textContent = `Opened run #${run.id}`;
+  } catch (err) {
+    btHistoryStatus.textContent = `Open failed: ${err.message}`;
+  }
+}
+
+async function deleteBtRun(id) {
+  if (!confirm(`Delete saved backtest run #${id}?`)) return;
+  try {
+    const res = await fetch(`/backtests/${id}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error((await res.json()).error || `HTTP ${res.status}`);
+    btCompareIds = btCompareIds.filter(x => x !== id);
+    await loadBtHistory();
+  } catch (err) {
+    btHistoryStatus.textContent = `Delete failed: ${err.message}`;
+  }
+}
+
+// Single-run extras (Monte Carlo, trade list) make way for the comparison tables and back
+function setBtCompareMode(on) {
+  if (btMonteCarlo) btMonteCarlo.style.display = on ? 'none' : '';
+  if (btTrades) btTrades.style.display = on ? 'none' : '';
+  if (btExport) btExport.style.display = on ? 'none' : '';
+  if (btCompare) {
+    btCompare.style.display = on ? 'block' : 'none';
+    if (!on) btCompare.innerHTML = '';
+  }
+}
+
+async function compareBtRuns() {
+  if (btCompareIds.length < 2 || btCompareIds.length > MAX_COMPARED_RUNS) {
+    btHistoryStatus.textContent = `Tick 2 to ${MAX_COMPARED_RUNS} runs to compare`;
+    return;
+  }
+  btHistoryStatus.textContent = `Loading ${btCompareIds.length} runs...`;
+  const runs = [];
+  try {
+    for (const id of btCompareIds) {
+      const res = await fetch(`/backtests/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(`#${id}: ${data.error || `HTTP ${res.status}`}`);
+      runs.push(data.run);
     }
+  } catch (err) {
+    btHistoryStatus.textContent = `Compare failed: ${err.message}`;
+    return;
+  }
+  const comparison = compareRuns(runs);
+  if (comparison.error) {
+    btHistoryStatus.textContent = comparison.error;
+    return;
+  }
+  renderBtComparison(comparison);
+  btHistoryStatus.textContent = `Comparing ${comparison.runs.map(r => r.label).join(', ')} against ${comparison.runs[0].label}`;
+}
 
-    // Compute metrics
-    const finalEquity = equityCurve[equityCurve.length - 1];
-    const totalReturn = ((finalEquity - initialCapital) / initialCapital) * 100;
-    const numTrades = trades.filter(t => t.type === 'exit').length;
-    const winningTrades = trades.filter(t => t.type === 'exit' && t.pnl > 0).length;
-    const winRate = numTrades > 0 ? (winningTrades / numTrades) * 100 : 0;
-    const totalPnL = trades.reduce((sum, t) => sum + (t.pnl || 0), 0);
-
-    // Update UI
-    if (btMetrics) {
-      btMetrics.innerHTML = `
-        <strong>Total Return: ${totalReturn.toFixed(2)}%</strong><br>
-        Total P&L: $${totalPnL.toFixed(2)}<br>
-        Number of Trades: ${numTrades}<br>
-        Win Rate: ${winRate.toFixed(1)}%<br>
-        Final Equity: $${finalEquity.toFixed(2)}
-      `;
+// Overlaid equity on btEquityChart, then metrics (with deltas to the baseline) and settings side by side
+function renderBtComparison({ runs, metrics, params, equity }) {
+  btShownRun = null;
+  btExportRun = null;
+  if (mcReport) mcReport.textContent = '';
+  renderWalkForwardWindows(null);
+  renderPortfolioBreakdown(null);
+  setBtCompareMode(true);
+
+  const color = i => BT_COMPARE_COLORS[i % BT_COMPARE_COLORS.length];
+  drawBtChart(equity.times.map(t => new Date(t * 1000).toLocaleString()), runs.map((run, i) => ({
+    label: `${run.label} ${run.name}`,
+    data: equity.series[i],
+    borderColor: color(i),
+    borderWidth: 1.5,
+    pointRadius: 0,
+    spanGaps: true,
+    fill: false
+  })), true);
+
+  const head = runs.map((run, i) => `<th style="color:${color(i)}">${run.label}${i === 0 ? ' (base)' : ''}</th>`).join('');
+  if (btMetrics) {
+    const rows = metrics.map(row => `
+      <tr>
+        <td style="text-align:left">${row.label}</td>
+        ${row.texts.map((text, i) => `<td>${row.best === i ? `<strong>${text}</strong>` : text}${i > 0 ? ` <small>${row.deltas[i]}</small>` : ''}</td>`).join('')}
+      </tr>`).join('');
+    btMetrics.innerHTML = `<div class="opt-results"><table><tr><th style="text-align:left">Metric</th>${head}</tr>${rows}</table></div>`;
+  }
+  if (btCompare) {
+    const rows = params.map(row => `
+      <tr${row.differs ? ' style="color:#e6eef8"' : ''}>
+        <td style="text-align:left">${row.differs ? '≠ ' : ''}${escapeHtml(row.name)}</td>
+        ${row.values.map(v => `<td>${escapeHtml(v)}</td>`).join('')}
+      </tr>`).join('');
+    btCompare.innerHTML = `<table><tr><th style="text-align:left">Setting</th>${head}</tr>${rows}</table>`;
+  }
+  backtestResults.style.display = 'block';
+
+  if (btResultInline) {
+    btResultInline.textContent = `Comparing ${runs.map(r => `${r.label} ${formatMetric(r.metrics.totalReturnPct)}%`).join(' vs ')}`;
+    btResultInline.classList.remove('hidden');
+  }
+}
+
+if (btHistoryPanel) btHistoryPanel.addEventListener('toggle', () => { if (btHistoryPanel.open) loadBtHistory(); });
+if (btHistoryRefresh) btHistoryRefresh.addEventListener('click', loadBtHistory);
+if (btHistoryCompare) btHistoryCompare.addEventListener('click', compareBtRuns);
+if (btHistoryList) {
+  btHistoryList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-open], button[data-delete]');
+    if (!btn) return;
+    if (btn.dataset.open) openBtRun(Number(btn.dataset.open));
+    else deleteBtRun(Number(btn.dataset.delete));
+  });
+  btHistoryList.addEventListener('change', (e) => {
+    const id = Number(e.target.dataset && e.target.dataset.compare);
+    if (!id) return;
+    btCompareIds = btCompareIds.filter(x => x !== id);
+    if (e.target.checked) btCompareIds.push(id);
+  });
+}
+
+/* Parameter optimizer
+   Grid or random search over the ticked params, run in optimizer-worker.js so the page stays
+   responsive. Unticked params keep their value from the fields above. Results are ranked by
+   the chosen metric; the heatmap shows the best score per cell of the first two swept params.
+   The same space and metric drive walk-forward runs.
+*/
+const optSpace = document.getElementById('optSpace');
+const optMode = document.getElementById('optMode');
+const optSamples = document.getElementById('optSamples');
+const optMetric = document.getElementById('optMetric');
+const optRun = document.getElementById('optRun');
+const optCancel = document.getElementById('optCancel');
+const optStatus = document.getElementById('optStatus');
+const optOutput = document.getElementById('optOutput');
+const optHeatmap = document.getElementById('optHeatmap');
+const optHeatmapTip = document.getElementById('optHeatmapTip');
+const optResults = document.getElementById('optResults');
+const wfRun = document.getElementById('wfRun');
+const wfInSample = document.getElementById('wfInSample');
+const wfOutOfSample = document.getElementById('wfOutOfSample');
+
+const OPT_TOP_RESULTS = 20;
+let optWorker = null;
+let optRunId = 0;          // bumped on every run/cancel so a stale history load is ignored
+let optShownResults = [];  // rows of the results table, for the Apply buttons
+let optHeatmapCells = [];  // [{ x, y, w, h, text }] hit boxes for the tooltip
+
+if (optMetric) {
+  optMetric.innerHTML = Object.entries(METRIC_INFO)
+    .map(([id, info]) => `<option value="${id}">${info.label}</option>`).join('');
+}
+
+// starting range for a param: half to double its default, about ten steps across
+function defaultSweepRange(spec) {
+  if (spec.toggle) return { from: spec.min, to: spec.max, step: 1 };
+  const decimals = (String(spec.step).split('.')[1] || '').length;
+  const snap = v => Number((Math.round(v / spec.step) * spec.step).toFixed(decimals));
+  const from = snap(Math.max(spec.min, spec.default / 2));
+  const to = snap(Math.min(spec.max, spec.default * 2));
+  const stride = Math.max(1, Math.round((to - from) / spec.step / 10));
+  return { from, to, step: Number((spec.step * stride).toFixed(decimals)) };
+}
+
+function renderOptSpace() {
+  if (!optSpace || !btStrategy) return;
+  optSpace.innerHTML = '<tr><th></th><th>Param</th><th>From</th><th>To</th><th>Step</th></tr>';
+  const strategy = selectedBtStrategy();
+  if (!strategy) return;
+  Object.entries(strategy.params).forEach(([name, spec], i) => {
+    const range = defaultSweepRange(spec);
+    const row = document.createElement('tr');
+    row.dataset.param = name;
+    const sweepCell = document.createElement('td');
+    const sweep = document.createElement('input');
+    sweep.type = 'checkbox';
+    sweep.className = 'opt-sweep';
+    sweep.checked = i < 2;
+    sweepCell.appendChild(sweep);
+    const labelCell = document.createElement('td');
+    labelCell.textContent = spec.label;
+    row.append(sweepCell, labelCell);
+    for (const key of ['from', 'to', 'step']) {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.className = `opt-${key}`;
+      input.min = key === 'step' ? spec.step : spec.min;
+      input.max = spec.max;
+      input.step = spec.step;
+      input.value = range[key];
+      cell.appendChild(input);
+      row.appendChild(cell);
     }
+    optSpace.appendChild(row);
+  });
+  updateOptEstimate();
+}
 
-    if (btTrades) {
-      btTrades.innerHTML = trades.map(t => {
-        const color = t.pnl > 0 ? 'green' : 'red';
-        return `<div style="color: ${color}; margin-bottom: 4px;">
-          ${t.time} - ${t.type.toUpperCase()} ${t.side} @ ${t.price.toFixed(4)}
-          ${t.pnl !== undefined ? ` (PnL: $${t.pnl.toFixed(2)})` : ''}
-        </div>`;
-      }).join('');
+function readOptSpace() {
+  const space = {};
+  if (!optSpace) return space;
+  optSpace.querySelectorAll('tr[data-param]').forEach(row => {
+    if (!row.querySelector('.opt-sweep').checked) return;
+    space[row.dataset.param] = {
+      from: Number(row.querySelector('.opt-from').value),
+      to: Number(row.querySelector('.opt-to').value),
+      step: Number(row.querySelector('.opt-step').value)
+    };
+  });
+  return space;
+}
+
+// run count preview; gridPoints throws for bad ranges or an oversized grid
+function updateOptEstimate() {
+  if (!optStatus || optWorker) return;
+  const space = readOptSpace();
+  if (!Object.keys(space).length) {
+    optStatus.textContent = 'Tick the params to sweep';
+  } else if (optMode && optMode.value === 'random') {
+    optStatus.textContent = `${Number(optSamples && optSamples.value) || 0} random samples`;
+  } else {
+    try {
+      optStatus.textContent = `${gridPoints(space).length} runs`;
+    } catch (err) {
+      optStatus.textContent = err.message;
     }
+  }
+}
 
-    initBtEquityChart(times.slice(Math.max(shortPeriod, longPeriod)), equityCurve.slice(Math.max(shortPeriod, longPeriod)));
+function setOptRunning(running) {
+  if (optRun) optRun.disabled = running;
+  if (wfRun) wfRun.disabled = running;
+  if (optCancel) optCancel.disabled = !running;
+}
 
-    backtestResults.style.display = 'block';
-    btStatus.textContent = 'Backtest complete';
+function stopOptimizerWorker() {
+  if (optWorker) {
+    optWorker.terminate();
+    optWorker = null;
+  }
+  setOptRunning(false);
+}
 
-    // Update inline result
-    if (btResultInline) {
-      btResultInline.textContent = `${strategy.toUpperCase()}: ${totalReturn.toFixed(2)}% return (${numTrades} trades)`;
-      btResultInline.classList.remove('hidden');
-    }
+// Reads the modal + optimizer fields shared by sweeps and walk-forward runs; writes any
+// problem to optStatus and returns null
+function readSweepSetup() {
+  const rulesError = isRulesSelected() ? applyRuleEditor() : null;
+  if (rulesError) {
+    optStatus.textContent = rulesError;
+    return null;
+  }
+  const { id: strategy, rules } = btStrategySelection();
+  const space = readOptSpace();
+  const sweep = {
+    mode: optMode ? optMode.value : 'grid',
+    space,
+    samples: Number(optSamples && optSamples.value) || 0,
+    seed: Math.floor(Math.random() * 4294967296),
+    metric: optMetric ? optMetric.value : 'totalReturnPct'
+  };
 
+  if (!Object.keys(space).length) {
+    optStatus.textContent = 'Tick at least one param to sweep';
+    return null;
+  }
+  if (sweep.mode === 'random' && !(sweep.samples >= 1)) {
+    optStatus.textContent = 'Samples must be at least 1';
+    return null;
+  }
+  const { params, error } = validateStrategyParams(strategy, readBtParams(), rules);
+  const { exits, error: exitsError } = readBtExitOptions();
+  const { costs, error: costsError } = readBtCostOptions();
+  const { sizing, error: sizingError } = readBtSizingOptions();
+  if (error || exitsError || costsError || sizingError) {
+    optStatus.textContent = error || exitsError || costsError || sizingError;
+    return null;
+  }
+  try {
+    if (sweep.mode === 'grid') gridPoints(space);
   } catch (err) {
-    console.error('Backtest error:', err);
-    btStatus.textContent = 'Backtest failed';
+    optStatus.textContent = err.message;
+    return null;
   }
+
+  // enough bars for the slowest combination (every strategy's warmup grows with its params)
+  const slowest = Object.assign({}, params);
+  for (const [name, axis] of Object.entries(space)) slowest[name] = axis.to;
+
+  const symbol = normalizeSymbol(btSymbol.value);
+  return {
+    symbol,
+    interval: normalizeInterval(btInterval.value),
+    base: Object.assign({ symbol, strategy, rules, params, initialCapital: parseFloat(btCapital.value) || 10000 }, sizing, exits, costs),
+    exits,
+    costs,
+    sizing,
+    sweep,
+    warmup: getStrategy(strategy, rules).warmup(slowest)
+  };
 }
 
-if (btRun) btRun.addEventListener('click', runBacktest);
+// Loads history then hands the job to a fresh worker; one job (sweep or walk-forward) at a time
+async function startOptimizerJob(setup, minBars, makeJob, label, onDone) {
+  const runId = ++optRunId;
+  stopOptimizerWorker();
+  setOptRunning(true);
+  optStatus.textContent = `Loading ${setup.symbol} ${setup.interval} history...`;
+
+  const history = await loadBacktestHistory(setup.symbol, setup.interval, minBars);
+  if (runId !== optRunId) return;
+  if (!history) {
+    setOptRunning(false);
+    optStatus.textContent = 'Insufficient historical data';
+    return;
+  }
+
+  const job = makeJob(history);
+  optWorker = new Worker('optimizer-worker.js');
+  optWorker.onmessage = (e) => {
+    const msg = e.data;
+    if (msg.type === 'progress') {
+      optStatus.textContent = `${label}: ${msg.done}/${msg.total} runs...`;
+    } else if (msg.type === 'done') {
+      stopOptimizerWorker();
+      onDone(job, msg.result);
+    } else if (msg.type === 'error') {
+      stopOptimizerWorker();
+      optStatus.textContent = `${label} failed: ${msg.error}`;
+    }
+  };
+  optWorker.onerror = (err) => {
+    console.error('Optimizer worker error:', err.message);
+    stopOptimizerWorker();
+    optStatus.textContent = `${label} failed`;
+  };
+  optWorker.postMessage(job);
+}
+
+async function runOptimizer() {
+  if (!btStrategy || !btSymbol || !btInterval || !btCapital || !optStatus) return;
+  const setup = readSweepSetup();
+  if (!setup) return;
+  await startOptimizerJob(setup, setup.warmup + 2,
+    candles => ({ candles, base: setup.base, sweep: setup.sweep }),
+    'Sweep', renderOptResults);
+}
+
+/* Walk-forward: re-optimise the ticked params on each in-sample window, trade the winner on
+   the out-of-sample window after it, and show the stitched out-of-sample run in the results */
+async function runWalkForwardBacktest() {
+  if (!btStrategy || !btSymbol || !btInterval || !btCapital || !optStatus || !btStatus) return;
+  const setup = readSweepSetup();
+  if (!setup) return;
+  const inSample = parseInt(wfInSample && wfInSample.value, 10);
+  const outOfSample = parseInt(wfOutOfSample && wfOutOfSample.value, 10);
+  if (!(inSample > setup.warmup + 1) || !(outOfSample >= 1)) {
+    optStatus.textContent = `In-sample must exceed ${setup.warmup + 1} bars (slowest warm-up) and out-of-sample be >= 1`;
+    return;
+  }
+
+  const strategyName = getStrategy(setup.base.strategy, setup.base.rules).name;
+  btStatus.textContent = `Running ${strategyName} walk-forward for ${setup.symbol} ${setup.interval}...`;
+  await startOptimizerJob(setup, inSample + outOfSample,
+    candles => ({ candles, base: setup.base, walkForward: { inSample, outOfSample, sweep: setup.sweep } }),
+    'Walk-forward', (job, report) => {
+      const swept = Object.keys(job.walkForward.sweep.space);
+      renderBacktestReport(`${strategyName} walk-forward`, report, 0);
+      renderWalkForwardWindows(report, swept);
+      btStatus.textContent = 'Walk-forward complete';
+      optStatus.textContent = `${report.windows.length} windows of ${inSample} + ${outOfSample} bars, re-optimised on ${METRIC_INFO[report.metric].label}`;
+      const { symbol, strategy, rules, params, initialCapital } = job.base;
+      saveBtRun({
+        symbols: [symbol], interval: setup.interval, strategy, name: strategyName,
+        report: Object.assign({}, report, { walkForward: { inSample, outOfSample, metric: report.metric, swept, windows: report.windows } }),
+        config: Object.assign(btRunConfig({ params, rules, exits: setup.exits, costs: setup.costs, sizing: setup.sizing, initialCapital, warmup: 0 }), {
+          bars: job.candles.length,
+          walkForward: Object.assign({ in_sample: inSample, out_of_sample: outOfSample }, job.walkForward.sweep)
+        })
+      });
+    });
+}
+
+function cancelOptimizer() {
+  optRunId++;
+  stopOptimizerWorker();
+  if (optStatus) optStatus.textContent = 'Cancelled';
+}
+
+// Per-window table under the equity chart (swept params only); report null hides it
+function renderWalkForwardWindows(report, swept) {
+  if (!btWfWindows) return;
+  if (!report) {
+    btWfWindows.style.display = 'none';
+    btWfWindows.innerHTML = '';
+    return;
+  }
+  const info = METRIC_INFO[report.metric];
+  const when = t => new Date(t * 1000).toLocaleString();
+  const rows = report.windows.map((w, i) => {
+    const params = w.params ? escapeHtml(swept.map(name => `${name}=${w.params[name]}`).join(' ')) : 'no valid run';
+    const oos = w.outOfSampleMetrics;
+    return `
+      <tr>
+        <td>${i + 1}</td>
+        <td>${when(w.outOfSampleStart)} – ${when(w.outOfSampleEnd)}</td>
+        <td style="text-align:left">${params}</td>
+        <td>${w.inSampleMetrics ? formatMetric(w.inSampleMetrics[report.metric]) : '—'}</td>
+        <td>${oos ? formatMetric(oos.totalReturnPct) : '0.00'}</td>
+        <td>${oos ? oos.roundTrips : 0}</td>
+      </tr>`;
+  }).join('');
+  btWfWindows.innerHTML = `<table><tr><th>#</th><th>Out-of-sample</th><th>Params</th><th>IS ${info.label}</th><th>OOS Return %</th><th>Trades</th></tr>${rows}</table>`;
+  btWfWindows.style.display = 'block';
+}
+
+function renderOptResults(job, result) {
+  const { metric, results, total, skipped } = result;
+  const specs = getStrategy(job.base.strategy, job.base.rules).params;
+  const swept = Object.keys(job.sweep.space);
+
+  if (optStatus) {
+    optStatus.textContent = `${results.length} of ${total} runs ranked by ${METRIC_INFO[metric].label}`
+      + (skipped ? ` (${skipped} invalid combinations skipped)` : '')
+      + (job.sweep.mode === 'random' ? ` · seed ${job.sweep.seed}` : '');
+  }
+  if (optOutput) optOutput.style.display = results.length ? 'block' : 'none';
+  if (!results.length) return;
+
+  drawOptHeatmap(result, swept.slice(0, 2), specs);
+
+  optShownResults = results.slice(0, OPT_TOP_RESULTS);
+  if (optResults) {
+    const head = swept.map(name => `<th>${specs[name].label}</th>`).join('');
+    const rows = optShownResults.map((r, i) => `
+      <tr>
+        <td>${i + 1}</td>
+        ${swept.map(name => `<td>${r.point[name]}</td>`).join('')}
+        <td>${formatMetric(r.metrics.totalReturnPct)}</td>
+        <td>${formatMetric(r.metrics.sharpe)}</td>
+        <td>${formatMetric(r.metrics.maxDrawdownPct)}</td>
+        <td>${formatMetric(r.metrics.profitFactor)}</td>
+        <td>${r.metrics.roundTrips}</td>
+        <td><button class="btn small" data-result="${i}" title="Copy these params to the backtest fields and run it">Apply</button></td>
+      </tr>`).join('');
+    optResults.innerHTML = `<table><tr><th>#</th>${head}<th>Return %</th><th>Sharpe</th><th>Max DD %</th><th>PF</th><th>Trades</th><th></th></tr>${rows}</table>`;
+  }
+}
+
+// 0 = worst (red) .. 1 = best (green)
+function heatColor(t) {
+  return `hsl(${Math.round(t * 120)}, 60%, 38%)`;
+}
+
+function drawOptHeatmap(result, axes, specs) {
+  if (!optHeatmap) return;
+  const ctx = optHeatmap.getContext('2d');
+  const W = optHeatmap.width, H = optHeatmap.height;
+  const pad = { left: 48, right: 6, top: 6, bottom: 30 };
+  const [xName, yName] = axes;
+  const info = METRIC_INFO[result.metric];
+  ctx.clearRect(0, 0, W, H);
+  optHeatmapCells = [];
+
+  const uniqueSorted = name => [...new Set(result.results.map(r => r.point[name]))].sort((a, b) => a - b);
+  const xs = uniqueSorted(xName);
+  const ys = yName ? uniqueSorted(yName) : [null];
+
+  // results are ranked best-first, so the first one seen per cell is that cell's best
+  const best = new Map();
+  for (const r of result.results) {
+    const key = `${r.point[xName]}|${yName ? r.point[yName] : ''}`;
+    if (!best.has(key)) best.set(key, r);
+  }
+
+  // colour scale over finite scores; an infinite profit factor is painted as the best finite one
+  const finite = [...best.values()].map(r => r.metrics[result.metric]).filter(Number.isFinite);
+  const lo = finite.length ? Math.min(...finite) : 0;
+  const hi = finite.length ? Math.max(...finite) : 0;
+  const scale = v => {
+    if (v === Infinity) v = hi;
+    if (v === -Infinity) v = lo;
+    const t = hi > lo ? (v - lo) / (hi - lo) : 1;
+    return info.better === 'lower' ? 1 - t : t;
+  };
+
+  const cellW = (W - pad.left - pad.right) / xs.length;
+  const cellH = (H - pad.top - pad.bottom) / ys.length;
+  ys.forEach((yv, yi) => {
+    xs.forEach((xv, xi) => {
+      const r = best.get(`${xv}|${yName ? yv : ''}`);
+      const x = pad.left + xi * cellW;
+      const y = pad.top + (ys.length - 1 - yi) * cellH; // larger y values at the top
+      const v = r ? r.metrics[result.metric] : NaN;
+      ctx.fillStyle = r && !Number.isNaN(v) ? heatColor(scale(v)) : '#15181d';
+      ctx.fillRect(x, y, Math.max(1, cellW - 1), Math.max(1, cellH - 1));
+      const where = `${specs[xName].label} ${xv}` + (yName ? `, ${specs[yName].label} ${yv}` : '');
+      const text = r ? `${where}: ${info.label} ${formatMetric(v)} (${r.metrics.roundTrips} trades)` : `${where}: no valid run`;
+      optHeatmapCells.push({ x, y, w: cellW, h: cellH, text });
+    });
+  });
+
+  // axis ticks, thinned so labels don't collide
+  ctx.fillStyle = '#9fb4d6';
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'center';
+  const xEvery = Math.ceil(xs.length / 8);
+  xs.forEach((xv, xi) => {
+    if (xi % xEvery === 0) ctx.fillText(String(xv), pad.left + (xi + 0.5) * cellW, H - pad.bottom + 12);
+  });
+  ctx.fillText(specs[xName].label, pad.left + (W - pad.left - pad.right) / 2, H - 4);
+  if (yName) {
+    ctx.textAlign = 'right';
+    const yEvery = Math.ceil(ys.length / 8);
+    ys.forEach((yv, yi) => {
+      if (yi % yEvery === 0) ctx.fillText(String(yv), pad.left - 4, pad.top + (ys.length - 1 - yi + 0.5) * cellH + 3);
+    });
+    ctx.save();
+    ctx.translate(10, pad.top + (H - pad.top - pad.bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText(specs[yName].label, 0, 0);
+    ctx.restore();
+  }
+}
+
+if (optHeatmap && optHeatmapTip) {
+  optHeatmap.addEventListener('mousemove', (e) => {
+    const rect = optHeatmap.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (optHeatmap.width / rect.width);
+    const py = (e.clientY - rect.top) * (optHeatmap.height / rect.height);
+    const cell = optHeatmapCells.find(c => px >= c.x && px < c.x + c.w && py >= c.y && py < c.y + c.h);
+    if (!cell) {
+      optHeatmapTip.style.display = 'none';
+      return;
+    }
+    optHeatmapTip.textContent = cell.text;
+    optHeatmapTip.style.left = `${e.clientX - rect.left + 12}px`;
+    optHeatmapTip.style.top = `${e.clientY - rect.top + 12}px`;
+    optHeatmapTip.style.display = 'block';
+  });
+  optHeatmap.addEventListener('mouseleave', () => { optHeatmapTip.style.display = 'none'; });
+}
+
+if (optResults) {
+  optResults.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-result]');
+    if (!btn) return;
+    const r = optShownResults[Number(btn.dataset.result)];
+    if (!r) return;
+    setBtParams(r.params);
+    runBacktest();
+  });
+}
+
+if (optSpace) {
+  optSpace.addEventListener('input', updateOptEstimate);
+  optSpace.addEventListener('change', updateOptEstimate);
+}
+if (optMode) optMode.addEventListener('change', updateOptEstimate);
+if (optSamples) optSamples.addEventListener('input', updateOptEstimate);
+if (optRun) optRun.addEventListener('click', runOptimizer);
+if (wfRun) wfRun.addEventListener('click', runWalkForwardBacktest);
+if (optCancel) optCancel.addEventListener('click', cancelOptimizer);
+
+renderBtParamFields();
+loadRuleStrategies();
 
 /* --- WebSocket connection & handlers --- */
 function startWS(){
@@ -792,7 +2257,7 @@ function startWS(){
     if (msg.type === 'welcome' || msg.type === 'auth_ok') return;
 
     if (msg.type === 'snapshot' && Array.isArray(msg.data)) {
-      const arr = msg.data.map(k => ({ time: Number(k.time), open: Number(k.open), high: Number(k.high), low: Number(k.low), close: Number(k.close) })).sort((a,b)=>a.time - b.time);
+      const arr = msg.data.map(k => ({ time: Number(k.time), open: Number(k.open), high: Number(k.high), low: Number(k.low), close: Number(k.close), volume: Number(k.volume) || 0 })).sort((a,b)=>a.time - b.time);
       if (!candles || candles.length < 5) {
         candles = arr;
         try { series.setData(candles); } catch(e){ console.warn('series.setData snapshot', e); }
@@ -810,7 +2275,7 @@ function startWS(){
 
     if (msg.type === 'candles_update' && msg.candle) {
       const c = msg.candle;
-      const o = { time: Number(c.time), open: Number(c.open), high: Number(c.high), low: Number(c.low), close: Number(c.close) };
+      const o = { time: Number(c.time), open: Number(c.open), high: Number(c.high), low: Number(c.low), close: Number(c.close), volume: Number(c.volume) || 0 };
       if (!candles || candles.length === 0) {
         candles = [o];
         try { series.setData(candles); } catch(e){ console.warn('series.setData on empty', e); }
@@ -851,6 +2316,20 @@ function startWS(){
       return;
     }
 
+    if (msg.type === 'aru_preset') {
+      // the server feed switched params for a market we're showing — follow it
+      if (aruPresetScope && msg.symbol === aruPresetScope.symbol && msg.interval === aruPresetScope.interval) {
+        loadAruPresets(msg.symbol, msg.interval);
+      }
+      return;
+    }
+
+    if (msg.type === 'plugin_update') {
+      // a server-side plugin paper session closed a trade — the history lists closed rows
+      if (Array.isArray(msg.trades) && msg.trades.some(t => t.exit_price != null)) loadPaperHistory();
+      return;
+    }
+
     if (msg.type === 'indicator_update' || msg.type === 'signal' || (msg.type === 'indicator' && msg.data)) {
       const payload = msg.data || msg;
       if (payload.signal) { addSignalToUI(payload.signal); addIndicatorMarker(payload.signal); }
@@ -908,7 +2387,8 @@ function addSignalToUI(signal){
   el.className = 'signalItem ' + (side==='buy' ? 'buy' : 'sell');
   const timeVal = signal.time || signal.ts || signal.t || null;
   const timeStr = timeVal ? new Date(Number(timeVal)*1000).toLocaleTimeString() : '';
-  el.innerHTML = `<div style="flex:1"><strong>${String(side).toUpperCase()}</strong> <div class="smallMuted">${signal.reason || ''}</div></div>
+  const levels = (Number.isFinite(signal.sl) && Number.isFinite(signal.tp)) ? ` SL:${Number(signal.sl).toFixed(2)} TP:${Number(signal.tp).toFixed(2)}` : '';
+  el.innerHTML = `<div style="flex:1"><strong>${String(side).toUpperCase()}</strong> <div class="smallMuted">${signal.reason || ''}${levels}</div></div>
                   <div style="text-align:right"><div>${(signal.price!=null)?Number(signal.price).toFixed(2):''}</div><div class="smallMuted">${timeStr}</div></div>`;
   if(signalListEl.children.length===0 || (signalListEl.children[0] && signalListEl.children[0].innerText==='No signals yet')) signalListEl.innerHTML = '';
   signalListEl.insertBefore(el, signalListEl.firstChild);
@@ -1744,7 +3224,7 @@ let paperAccount = {
   unrealized: 0,
   equity: 100000.0
 };
-let openPositions = []; // array of { id, side, entry_price, qty, sl, tp, entry_time, symbol, interval }
+let openPositions = []; // array of { id, side, entry_price, qty, sl, tp, entry_time, opened_at, symbol, interval }
 let closedTrades = [];  // for UI or later persistence
 
 /* UI refs (from index.html snippet) */
@@ -1763,6 +3243,10 @@ const orderSL = document.getElementById('orderSL');
 const orderTP = document.getElementById('orderTP');
 const amountLabel = document.getElementById('amountLabel');
 const qtyLabel = document.getElementById('qtyLabel');
+const orderPct = document.getElementById('orderPct');
+const pctLabel = document.getElementById('pctLabel');
+const pctLabelText = document.getElementById('pctLabelText');
+const orderSizeHint = document.getElementById('orderSizeHint');
 
 function formatMoney(v) {
   return (typeof v === 'number') ? ('$' + v.toLocaleString(undefined, {minimumFractionDigits:2, maximumFractionDigits:2})) : '—';
@@ -1824,16 +3308,27 @@ function updateChartTradeOverlay() {
   }
 }
 
+/* Order types that size the position with sizing.js: the mode, and the sizing setting the
+   ticket's % field sets. The rest (ATR distance, Kelly's trade counts) come from the modal. */
+const ORDER_SIZING_MODES = {
+  equity: { field: 'sizePct', label: '% equity' },
+  risk: { field: 'riskPct', label: 'Risk %' },
+  atr: { field: 'riskPct', label: 'Risk %' },
+  kelly: { field: 'kellyFraction', label: 'Kelly %' }
+};
+
 /* toggle orderMode UI */
 if (orderMode) orderMode.addEventListener('change', (e) => {
-  if (e.target.value === 'qty') {
-    if (amountLabel) amountLabel.style.display = 'none';
-    if (qtyLabel) qtyLabel.style.display = 'flex';
-  } else {
-    if (amountLabel) amountLabel.style.display = 'flex';
-    if (qtyLabel) qtyLabel.style.display = 'none';
-  }
+  const sized = ORDER_SIZING_MODES[e.target.value];
+  if (amountLabel) amountLabel.style.display = e.target.value === 'amount' ? 'flex' : 'none';
+  if (qtyLabel) qtyLabel.style.display = e.target.value === 'qty' ? 'flex' : 'none';
+  if (pctLabel) pctLabel.style.display = sized ? 'flex' : 'none';
+  if (sized && pctLabelText) pctLabelText.textContent = sized.label;
+  updateOrderSizeHint();
 });
+for (const input of [orderPct, orderSL]) {
+  if (input) input.addEventListener('input', () => updateOrderSizeHint());
+}
 
 /* helper to get current mid/last price from candles (use last candle close) */
 function getCurrentPrice() {
@@ -1907,21 +3402,89 @@ function showTradeAlert(type, pnl) {
   setTimeout(() => alertEl.classList.remove('show'), 3000);
 }
 
+/* Paper fills are priced by the same cost model as backtests (costs.js), with the modal's
+   cost settings: market orders, manual closes and stops pay the taker fee and slippage, take
+   profits the maker fee. Fees and funding come out of the balance when they are paid. */
+const PAPER_COST_ATR_BARS = 200; // chart bars the volatility slippage is measured on
+
+// settings the modal would reject count as no costs (a backtest run reports the error)
+function paperCosts() {
+  return readBtCostOptions().costs || {};
+}
+
+/* The model for a fill in symbol / interval. Volatility slippage is measured on that market's
+   own bars, which are only loaded while it is on the chart; elsewhere only slippageBps applies. */
+function paperCostModel(symbol, interval) {
+  const onChart = normalizeSymbol(symbol) === normalizeSymbol((symbolSelect && symbolSelect.value) || 'BTCUSDT')
+    && normalizeInterval(interval) === normalizeInterval((tfSelect && tfSelect.value) || '1m');
+  const model = createCostModel(onChart ? paperCosts() : Object.assign({}, paperCosts(), { slippageAtrMult: 0 }));
+  if (onChart) for (const c of (candles || []).slice(-PAPER_COST_ATR_BARS)) model.update(c);
+  return model;
+}
+
+/* Books a paper exit at `price` (maker: a take profit) on the account; returns
+   { exitPrice, pnl, grossPnl, fees, slippage, funding } with pnl after every cost */
+function settlePaperExit(pos, price, maker) {
+  const dir = pos.side === 'buy' ? 1 : -1;
+  const fill = paperCostModel(pos.symbol, pos.interval).fill(price, dir < 0, maker);
+  const exitFee = pos.qty * fill.price * fill.feeRate;
+  const pricePnl = dir * (fill.price - pos.entry_price) * pos.qty;
+  const fees = (pos.fees || 0) + exitFee;
+  const slippage = (pos.slippage || 0) + pos.qty * fill.slip;
+  const funding = pos.funding || 0;
+  const pnl = pricePnl - fees - funding;
+  paperAccount.realized += pnl;
+  // return margin + price P&L; the entry fee and funding were taken when paid
+  paperAccount.balance += pos.initial_notional + pricePnl - exitFee;
+  return { exitPrice: fill.price, pnl, grossPnl: pnl + fees + slippage + funding, fees, slippage, funding };
+}
+
+/* What a sized order (ORDER_SIZING_MODES) should be worth at `price` with stop loss `stop`
+   (or null): { value } in $, fee included, or { error }. Sized on the paper equity, the chart's
+   ATR and the paper trades closed so far, like a backtest position. */
+function paperOrderValue(price, stop) {
+  const sized = ORDER_SIZING_MODES[orderMode && orderMode.value];
+  if (!sized) return { error: 'Not a sized order type' };
+  const pct = orderPct ? Number(orderPct.value) : NaN;
+  if (!(pct > 0 && pct <= 100)) return { error: `Enter ${sized.label} between 0 and 100` };
+  const { sizing, error } = validateSizing(Object.assign({}, readBtSizingOptions().sizing, {
+    sizeMode: orderMode.value,
+    [sized.field]: pct / 100
+  }));
+  if (error) return { error };
+  const sizer = createSizer(sizing);
+  for (const c of (candles || []).slice(-PAPER_COST_ATR_BARS)) sizer.update(c);
+  return sizer.size({ equity: paperAccount.equity, price, stop, pnls: closedTrades.map(t => t.pnl) });
+}
+
+// "≈ 0.012000 ($1,200.00)" under the ticket for sized order types; empty for the others
+function updateOrderSizeHint() {
+  if (!orderSizeHint) return;
+  const price = getCurrentPrice();
+  if (!ORDER_SIZING_MODES[orderMode && orderMode.value] || !price) {
+    orderSizeHint.innerText = '';
+    return;
+  }
+  const stop = orderSL && orderSL.value.trim() ? Number(orderSL.value) : null;
+  const { value, error } = paperOrderValue(price, Number.isFinite(stop) && stop > 0 ? stop : null);
+  orderSizeHint.innerText = error ? `Size: ${error}` : `Size: ≈ ${(value / price).toFixed(6)} (${formatMoney(value)})`;
+}
+
 async function closePosition(posId) {
   const posIdx = openPositions.findIndex(p => p.id === posId);
   if (posIdx === -1) return;
   const pos = openPositions[posIdx];
+  if (pos.closing) return;
   const currentPrice = getCurrentPrice();
   if (!currentPrice) { alert('No current price'); return; }
-  const pnl = (pos.side === 'buy') ? (currentPrice - pos.entry_price) * pos.qty : (pos.entry_price - currentPrice) * pos.qty;
-  paperAccount.realized += pnl;
-  // return margin + pnl
-  paperAccount.balance += pos.initial_notional + pnl;
-  const closedObj = Object.assign({}, pos, { exit_price: currentPrice, pnl, exit_time: Math.floor(Date.now()/1000), reason: 'manual' });
-  const tradeId = await persistTrade({ ts: closedObj.exit_time, symbol: closedObj.symbol, side: closedObj.side, entry_price: pos.entry_price, exit_price: currentPrice, qty: pos.qty, pnl, note: 'paper_exit_manual', pos_id: pos.id });
+  pos.closing = true;
+  const exit = settlePaperExit(pos, currentPrice, false);
+  const { exitPrice, pnl } = exit;
+  const closedObj = Object.assign({}, pos, { exit_price: exitPrice, pnl, gross_pnl: exit.grossPnl, fees: exit.fees, slippage: exit.slippage, funding: exit.funding, exit_time: Math.floor(Date.now()/1000), reason: 'manual' });
+  const tradeId = await persistTrade({ ts: closedObj.exit_time, symbol: closedObj.symbol, side: closedObj.side, entry_price: pos.entry_price, exit_price: exitPrice, qty: pos.qty, pnl, note: 'paper_exit_manual', pos_id: pos.id });
   if (tradeId) closedObj.id = tradeId;
   closedTrades.push(closedObj);
-  openPositions.splice(posIdx, 1);
+  openPositions = openPositions.filter(p => p !== pos);
   // Remove SL/TP shapes and entry marker
   for (let sIdx = shapes.length - 1; sIdx >= 0; sIdx--) {
     const s = shapes[sIdx];
@@ -1945,18 +3508,9 @@ if (placeOrderBtn) placeOrderBtn.addEventListener('click', async () => {
   if (!priceNow) { alert('No market price available'); return; }
 
   let qty = 0;
-  let isAmountMode = !(orderMode && orderMode.value === 'qty');
+  const mode = (orderMode && orderMode.value) || 'amount';
   let effectiveSide = selectedSide;
   let amount = 0;
-  if (isAmountMode) {
-    amount = Number(orderAmount.value) || 0;
-    if (amount <= 0) { alert('Enter an amount to invest'); return; }
-    qty = amount / priceNow;
-  } else {
-    qty = Number(orderQty.value) || 0;
-    if (qty <= 0) { alert('Enter quantity'); return; }
-    amount = qty * priceNow;
-  }
 
   let slInput = orderSL ? orderSL.value.trim() : '';
   let tpInput = orderTP ? orderTP.value.trim() : '';
@@ -1965,6 +3519,26 @@ if (placeOrderBtn) placeOrderBtn.addEventListener('click', async () => {
   if (slInput && (!Number.isFinite(sl) || sl <= 0)) sl = null;
   if (tpInput && (!Number.isFinite(tp) || tp <= 0)) tp = null;
 
+  // a market order: taker fee and slippage, the fee on top of the amount
+  const fill = paperCostModel((symbolSelect && symbolSelect.value) || 'BTCUSDT', (tfSelect && tfSelect.value) || '1m').fill(priceNow, effectiveSide === 'buy', false);
+  if (mode === 'qty') {
+    qty = Number(orderQty.value) || 0;
+    if (qty <= 0) { alert('Enter quantity'); return; }
+    amount = qty * fill.price;
+  } else if (ORDER_SIZING_MODES[mode]) {
+    const sized = paperOrderValue(fill.price, sl);
+    if (sized.error) { alert(`Cannot size the order: ${sized.error}`); return; }
+    // like a backtest entry, the sized value covers the entry fee too
+    amount = sized.value / (1 + fill.feeRate);
+    if (!(amount > 0)) { alert('The sizing mode sizes this order to nothing (no edge yet for Kelly)'); return; }
+    qty = amount / fill.price;
+  } else {
+    amount = Number(orderAmount.value) || 0;
+    if (amount <= 0) { alert('Enter an amount to invest'); return; }
+    qty = amount / fill.price;
+  }
+  const entryFee = amount * fill.feeRate;
+
   // Validate SL/TP direction
   if (effectiveSide === 'buy') {
     if ((sl !== null && sl >= priceNow) || (tp !== null && tp <= priceNow)) {
@@ -1978,8 +3552,8 @@ if (placeOrderBtn) placeOrderBtn.addEventListener('click', async () => {
     }
   }
 
-  if (amount > paperAccount.balance) {
-    if (!confirm(`Required $${amount.toFixed(2)} exceeds available balance $${paperAccount.balance.toFixed(2)}. Place anyway?`)) return;
+  if (amount + entryFee > paperAccount.balance) {
+    if (!confirm(`Required $${(amount + entryFee).toFixed(2)} exceeds available balance $${paperAccount.balance.toFixed(2)}. Place anyway?`)) return;
   }
 
   const pos = {
@@ -1987,17 +3561,22 @@ if (placeOrderBtn) placeOrderBtn.addEventListener('click', async () => {
     symbol: (symbolSelect && symbolSelect.value) || 'BTCUSDT',
     interval: (tfSelect && tfSelect.value) || '1m',
     side: effectiveSide,
-    entry_price: priceNow,
+    entry_price: fill.price,
     qty,
     initial_notional: amount,
     sl,
     tp,
     entry_time: (candles && candles.length ? candles[candles.length-1].time : Math.floor(Date.now()/1000)),
-    status: 'open'
+    opened_at: Math.floor(Date.now()/1000), // entry_time is the forming bar's open; this is the fill itself
+    status: 'open',
+    fees: entryFee,
+    slippage: qty * fill.slip,
+    funding: 0
   };
+  pos.funded_to = pos.entry_time;
 
-  // deduct notional as margin for position
-  paperAccount.balance -= amount;
+  // deduct notional as margin for position, and the entry fee
+  paperAccount.balance -= amount + entryFee;
   openPositions.push(pos);
   addPaperMarker(pos, false);
   persistTrade({ ts: pos.entry_time, symbol: pos.symbol, side: pos.side, entry_price: pos.entry_price, qty: pos.qty, pnl: null, note: 'paper_entry', pos_id: pos.id }).catch(()=>{});
@@ -2039,11 +3618,12 @@ if (placeOrderBtn) placeOrderBtn.addEventListener('click', async () => {
     }
   } catch (e) { console.warn('create SL/TP shapes err', e); }
 
-  // Clear inputs after place
+  // Clear inputs after place; a sizing percentage stays for the next order
   if (orderAmount) orderAmount.value = '';
   if (orderQty) orderQty.value = '';
   if (orderSL) orderSL.value = '';
   if (orderTP) orderTP.value = '';
+  updateOrderSizeHint();
 });
 
 /* Quick buy/sell from leftbar */
@@ -2104,29 +3684,37 @@ async function evaluatePaperPositionsOnCandle(candle) {
   const current = candle.close;
   if (lastPriceEl) lastPriceEl.innerText = `Price: ${current.toFixed(2)}`;
 
-  const high = candle.high, low = candle.low;
   const toClose = [];
-  for (let i = 0; i < openPositions.length; i++) {
-    const pos = openPositions[i];
+  const costs = paperCosts();
+  const funding = costs.fundingRate ? createCostModel(costs).funding : null;
+  for (const pos of openPositions.slice()) {
     if (candle.time < pos.entry_time) continue; // Allow evaluation on entry candle for intra-bar hits
-    let closed = false;
-    let exitPrice = null;
-    let reason = null;
-
-    if (pos.side === 'buy') {
-      if (pos.tp != null && Number.isFinite(pos.tp) && high >= pos.tp) { exitPrice = pos.tp; reason = 'tp'; closed = true; }
-      else if (pos.sl != null && Number.isFinite(pos.sl) && low <= pos.sl) { exitPrice = pos.sl; reason = 'sl'; closed = true; }
-    } else if (pos.side === 'sell') {
-      if (pos.tp != null && Number.isFinite(pos.tp) && low <= pos.tp) { exitPrice = pos.tp; reason = 'tp'; closed = true; }
-      else if (pos.sl != null && Number.isFinite(pos.sl) && high >= pos.sl) { exitPrice = pos.sl; reason = 'sl'; closed = true; }
+    if (pos.closing) continue; // already being closed by an earlier update
+    const dir = pos.side === 'buy' ? 1 : (pos.side === 'sell' ? -1 : 0);
+    if (!dir) continue;
+
+    // funding settlements since the position was last charged, on its value at this price
+    if (funding && candle.time > (pos.funded_to ?? pos.entry_time)) {
+      const paid = funding(dir, pos.qty * current, pos.funded_to ?? pos.entry_time, candle.time);
+      pos.funded_to = candle.time;
+      pos.funding = (pos.funding || 0) + paid;
+      paperAccount.balance -= paid;
     }
 
-    if (closed) {
-      const pnl = (pos.side === 'buy') ? (exitPrice - pos.entry_price) * pos.qty : (pos.entry_price - exitPrice) * pos.qty;
-      paperAccount.realized += pnl;
-      // return margin + pnl
-      paperAccount.balance += pos.initial_notional + pnl;
-      const closedObj = Object.assign({}, pos, { exit_price: exitPrice, pnl, exit_time: candle.time, reason });
+    // A bar that reached both SL and TP is replayed on its 1m candles; if they do not settle it, the SL is assumed
+    const level = { dir, stop: Number.isFinite(pos.sl) ? pos.sl : null, target: Number.isFinite(pos.tp) ? pos.tp : null };
+    let hit = resolveBarExit(level, candle);
+    const posInterval = normalizeInterval(pos.interval) || '1m';
+    if (hit && hit.ambiguous && intervalToSeconds(posInterval) > 60) {
+      pos.closing = true;
+      hit = resolveBarExit(level, candle, await fetchIntrabarCandles(pos.symbol, posInterval, candle, Math.max(candle.time, pos.opened_at ?? pos.entry_time)));
+    }
+    if (hit) {
+      pos.closing = true;
+      const reason = hit.reason === 'target' ? 'tp' : 'sl';
+      const exit = settlePaperExit(pos, hit.price, reason === 'tp');
+      const { exitPrice, pnl } = exit;
+      const closedObj = Object.assign({}, pos, { exit_price: exitPrice, pnl, gross_pnl: exit.grossPnl, fees: exit.fees, slippage: exit.slippage, funding: exit.funding, exit_time: candle.time, reason });
       const tradeId = await persistTrade({ ts: closedObj.exit_time, symbol: closedObj.symbol, side: closedObj.side, entry_price: pos.entry_price, exit_price: exitPrice, qty: pos.qty, pnl, note: 'paper_exit', pos_id: pos.id });
       if (tradeId) closedObj.id = tradeId;
       closedTrades.push(closedObj);
@@ -2143,16 +3731,14 @@ async function evaluatePaperPositionsOnCandle(candle) {
 
       showTradeAlert(reason, pnl);
 
-      toClose.push(i);
+      toClose.push(pos);
     } else {
       // nothing to do here now
     }
   }
 
-  for (let j = toClose.length - 1; j >= 0; j--) {
-    const idx = toClose[j];
-    openPositions.splice(idx, 1);
-  }
+  // by identity: other updates may have changed the list while this one awaited
+  if (toClose.length) openPositions = openPositions.filter(p => !toClose.includes(p));
 
   // recompute unrealized & equity
   let unrealTotal = 0;
@@ -2182,6 +3768,7 @@ function updateHistoryUI() {
             <div class="details" style="flex: 1;">
               <div><strong>${trade.side.toUpperCase()} ${trade.reason?.toUpperCase() || 'CLOSED'}</strong> @ ${trade.exit_price?.toFixed(4) || '—'} (PnL: <span style="color:${pnlColor}">${(trade.pnl || 0) >= 0 ? '+' : ''}$${Math.abs(trade.pnl || 0).toFixed(2)}</span>)</div>
               <div style="color:var(--muted-2);font-size:11px">Entry: ${trade.entry_price.toFixed(4)} | Exit: ${exitTime}</div>
+              ${trade.gross_pnl != null ? `<div style="color:var(--muted-2);font-size:11px">Before costs: $${trade.gross_pnl.toFixed(2)} | Fees $${trade.fees.toFixed(2)} · Slippage $${trade.slippage.toFixed(2)} · Funding $${trade.funding.toFixed(2)}</div>` : ''}
             </div>
             ${trade.id ? `<button class="delete-trade-btn" onclick="deleteTrade('${trade.id}')" style="background: #ff4444; color: white; border: none; border-radius: 4px; width: 24px; height: 24px; cursor: pointer; font-size: 12px; margin-left: 8px;">×</button>` : ''}
           </div>
@@ -0,0 +1,478 @@
+// backtest.js — strategy signals and the bar-by-bar backtest engine.
+// One engine for the server (/backtest), the backtest modal and the optimizer worker, so a
+// parameter set scores the same wherever it runs. Loaded after indicator.js, metrics.js,
+// costs.js, sizing.js and rules.js as a <script>/importScripts (window.JarnoxBacktest), or via
+// require() in Node.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./indicator.js'), require('./metrics.js'), require('./costs.js'), require('./sizing.js'), require('./rules.js'));
+  else root.JarnoxBacktest = factory(root.JarnoxIndicators, root.JarnoxMetrics, root.JarnoxCosts, root.JarnoxSizing, root.JarnoxRules);
+})(typeof self !== 'undefined' ? self : this, function (indicators, metrics, costModel, positionSizing, rules) {
+  'use strict';
+
+  const { smaArray, rsiArray, createAtrStream, computeAruAlgo, ARU_PARAM_SPECS, resolveParams, checkParams } = indicators;
+  const { computeMetrics } = metrics;
+  const { createCostModel } = costModel;
+  const { createSizer } = positionSizing;
+  const { validateRules, compileRules } = rules;
+
+  /* ---------- Strategies ----------
+     Each strategy declares its params (same spec shape as the indicator registry), a
+     cross-param validate(), how many bars it needs before its first signal, and
+     signals(candles, params) returning one entry per bar, evaluated on that bar's close:
+     null, 'buy' | 'sell', or { side, sl, tp } when the strategy sets its own exit levels
+     (rule strategies may also flag exitLong / exitShort). A strategy that needs to see its own
+     position can provide session(candles, params) instead; see runBacktest.
+     A spec with toggle: true is an on/off switch (0 or 1); the modal shows it as a checkbox.
+  */
+  // AruAlgo trades its full buy/sell signals; simpleSignals also trades the weaker
+  // simpleBuy/simpleSell crossovers the chart plots as sBUY/sSELL
+  const ARU_STRATEGY_SPECS = Object.assign({}, ARU_PARAM_SPECS, {
+    simpleSignals: { label: 'Trade sBUY/sSELL', default: 0, min: 0, max: 1, step: 1, toggle: true }
+  });
+  const ARU_SIGNAL_SIDES = { buy: 'buy', sell: 'sell' };
+  const ARU_SIMPLE_SIGNAL_SIDES = { buy: 'buy', sell: 'sell', simpleBuy: 'buy', simpleSell: 'sell' };
+
+  const STRATEGIES = {
+    sma: {
+      name: 'SMA Crossover',
+      params: {
+        smaShort: { label: 'SMA short', default: 10, min: 1, max: 500, step: 1 },
+        smaLong: { label: 'SMA long', default: 30, min: 2, max: 1000, step: 1 }
+      },
+      validate: p => (p.smaShort < p.smaLong ? null : 'smaShort must be less than smaLong'),
+      warmup: p => p.smaLong,
+      signals(candles, p) {
+        const closes = candles.map(c => c.close);
+        const fast = smaArray(closes, p.smaShort);
+        const slow = smaArray(closes, p.smaLong);
+        const out = new Array(candles.length).fill(null);
+        for (let i = 1; i < candles.length; i++) {
+          if ([fast[i - 1], slow[i - 1], fast[i], slow[i]].some(Number.isNaN)) continue;
+          if (fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) out[i] = 'buy';
+          else if (fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) out[i] = 'sell';
+        }
+        return out;
+      }
+    },
+
+    rsi: {
+      name: 'RSI Momentum',
+      params: {
+        rsiPeriod: { label: 'RSI period', default: 14, min: 2, max: 500, step: 1 },
+        rsiOversold: { label: 'Oversold', default: 30, min: 0, max: 100, step: 0.5 },
+        rsiOverbought: { label: 'Overbought', default: 70, min: 0, max: 100, step: 0.5 }
+      },
+      validate: p => (p.rsiOversold < p.rsiOverbought ? null : 'rsiOversold must be below rsiOverbought'),
+      warmup: p => p.rsiPeriod,
+      signals(candles, p) {
+        const rsi = rsiArray(candles.map(c => c.close), p.rsiPeriod);
+        const out = new Array(candles.length).fill(null);
+        for (let i = 1; i < candles.length; i++) {
+          if (!Number.isFinite(rsi[i - 1]) || !Number.isFinite(rsi[i])) continue;
+          if (rsi[i - 1] < p.rsiOversold && rsi[i] >= p.rsiOversold) out[i] = 'buy';
+          else if (rsi[i - 1] > p.rsiOverbought && rsi[i] <= p.rsiOverbought) out[i] = 'sell';
+        }
+        return out;
+      }
+    },
+
+    aruAlgo: {
+      name: 'AruAlgo',
+      params: ARU_STRATEGY_SPECS,
+      validate: p => (p.rsiOversold < p.rsiOverbought ? null : 'rsiOversold must be below rsiOverbought'),
+      warmup: p => Math.max(p.atrPeriod, p.trendEmaPeriod, 2 * p.adxPeriod),
+      signals(candles, p) {
+        const out = new Array(candles.length).fill(null);
+        const sides = p.simpleSignals ? ARU_SIMPLE_SIGNAL_SIDES : ARU_SIGNAL_SIDES;
+        for (const s of computeAruAlgo(candles, p).signals) {
+          if (sides[s.type]) out[s.idx] = { side: sides[s.type], sl: s.sl, tp: s.tp };
+        }
+        return out;
+      }
+    }
+  };
+
+  /* Strategy id 'rules' is a JSON rule definition (rules.js) passed alongside it — as
+     opts.rules to runBacktest — instead of one of the built-ins above. Compiled definitions are
+     cached per object, so a sweep reusing one base.rules compiles it once. */
+  const RULES_STRATEGY = 'rules';
+  const compiledRules = new WeakMap();
+
+  function getStrategy(id, definition) {
+    if (id === RULES_STRATEGY) {
+      if (typeof definition !== 'object' || definition === null) throw new Error('Strategy rules need a definition');
+      if (!compiledRules.has(definition)) compiledRules.set(definition, compileRules(definition));
+      return compiledRules.get(definition);
+    }
+    const strategy = STRATEGIES[id];
+    if (!strategy) throw new Error(`Unknown strategy: ${id}`);
+    return strategy;
+  }
+
+  function resolveStrategyParams(id, params, definition) {
+    return resolveParams(getStrategy(id, definition).params, params);
+  }
+
+  // Returns { params } or { error } for user-supplied params (unknown/out-of-range keys rejected)
+  function validateStrategyParams(id, input, definition) {
+    if (id === RULES_STRATEGY) {
+      const rulesError = validateRules(definition);
+      if (rulesError) return { error: rulesError };
+    } else if (!STRATEGIES[id]) {
+      return { error: `Unknown strategy: ${id}` };
+    }
+    const strategy = getStrategy(id, definition);
+    const error = checkParams(strategy.params, input || {});
+    if (error) return { error };
+    const params = resolveParams(strategy.params, input);
+    const crossError = strategy.validate ? strategy.validate(params) : null;
+    return crossError ? { error: crossError } : { params };
+  }
+
+  /* ---------- Exit options ----------
+     Engine settings that apply to every strategy, on top of its own signals. Numeric ones use
+     the param spec shape so callers can validate them with checkParams; 0 switches one off.
+  */
+  const EXIT_OPTION_SPECS = {
+    trailAtrMult: { label: 'ATR trail ×', default: 0, min: 0, max: 50, step: 0.1 },
+    trailAtrPeriod: { label: 'Trail ATR period', default: 14, min: 1, max: 500, step: 1 },
+    maxBarsInTrade: { label: 'Max bars in trade', default: 0, min: 0, max: 100000, step: 1 }
+  };
+
+  // allowShort: false keeps the long-only behaviour; useSignalStops: honour a signal's sl/tp
+  function resolveExitOptions(opts) {
+    return Object.assign(resolveParams(EXIT_OPTION_SPECS, opts), {
+      allowShort: !!opts.allowShort,
+      useSignalStops: opts.useSignalStops !== false
+    });
+  }
+
+  // strict counterpart for user input: { exits } resolved, or { error } for an out-of-range number
+  function validateExitOptions(opts) {
+    const numeric = {};
+    for (const name of Object.keys(EXIT_OPTION_SPECS)) {
+      if (opts[name] !== undefined) numeric[name] = opts[name];
+    }
+    const error = checkParams(EXIT_OPTION_SPECS, numeric);
+    return error ? { error } : { exits: resolveExitOptions(opts) };
+  }
+
+  const EXIT_NOTES = { stop: 'stop_loss', target: 'take_profit', trail: 'trailing_stop', time: 'time_exit', finish: 'exit_on_finish' };
+
+  /* Where a stop/target exits inside one bar, or null. Conservative when the bar's range covers
+     both levels: the stop is assumed to have been hit first, and the exit is flagged ambiguous.
+     A bar that opens beyond a level fills at the open (gap), not at the level. */
+  function intrabarExit(pos, bar) {
+    const long = pos.dir > 0;
+    const stopHit = pos.stop != null && (long ? bar.low <= pos.stop : bar.high >= pos.stop);
+    const targetHit = pos.target != null && (long ? bar.high >= pos.target : bar.low <= pos.target);
+    const stopReason = pos.stopIsTrail ? 'trail' : 'stop';
+    if (stopHit && (long ? bar.open <= pos.stop : bar.open >= pos.stop)) return { price: bar.open, reason: stopReason };
+    if (targetHit && (long ? bar.open >= pos.target : bar.open <= pos.target)) return { price: bar.open, reason: 'target' };
+    if (stopHit) return { price: pos.stop, reason: stopReason, ambiguous: targetHit };
+    if (targetHit) return { price: pos.target, reason: 'target' };
+    return null;
+  }
+
+  // An ambiguous bar replayed on its lower-timeframe candles (oldest first): the first candle
+  // to reach a level decides. null when they do not settle it (one candle covers both, or none hits).
+  function replayExit(pos, lowerCandles) {
+    for (const c of lowerCandles) {
+      const hit = intrabarExit(pos, c);
+      if (hit) return hit.ambiguous ? null : hit;
+    }
+    return null;
+  }
+
+  /* Stop/target check for code outside the engine (the paper trader), where a position can be
+     opened in the middle of a bar, so there is no gap-at-the-open fill: a level that is reached
+     fills at the level. level: { dir: 1 | -1, stop, target } (either may be null); lowerCandles:
+     the bar's 1m candles (oldest first) to settle a bar that reached both. Returns
+     { price, reason: 'stop' | 'target', ambiguous } or null; ambiguous means the stop is a guess. */
+  function resolveBarExit(level, bar, lowerCandles) {
+    const long = level.dir > 0;
+    const reached = c => {
+      const stop = level.stop != null && (long ? c.low <= level.stop : c.high >= level.stop);
+      const target = level.target != null && (long ? c.high >= level.target : c.low <= level.target);
+      return stop && target ? 'both' : stop ? 'stop' : target ? 'target' : null;
+    };
+    let reason = reached(bar);
+    if (reason === 'both' && lowerCandles) {
+      const first = lowerCandles.map(reached).find(Boolean);
+      if (first && first !== 'both') reason = first;
+    }
+    if (!reason) return null;
+    const ambiguous = reason === 'both';
+    if (ambiguous) reason = 'stop';
+    return { price: reason === 'stop' ? level.stop : level.target, reason, ambiguous };
+  }
+
+  /* Backtests with opts.intrabar resolve ambiguous bars on lower-timeframe candles, which have
+     to be fetched first (the engine itself is synchronous). This runs run(intrabar) — a
+     backtest given that lookup — records the bars it had to guess, loads them with
+     fetchLower(bar, symbol) (async; the bar's 1m candles or null) and runs again, since a
+     settled exit can change every trade after it. Returns the last run's report. */
+  const MAX_INTRABAR_PASSES = 5;
+
+  async function withIntrabarCandles(run, fetchLower) {
+    const loaded = new Map(); // symbol|time -> candles or null
+    let report;
+    for (let pass = 1; ; pass++) {
+      const missing = new Map();
+      report = run((bar, symbol) => {
+        const key = `${symbol}|${bar.time}`;
+        if (loaded.has(key)) return loaded.get(key);
+        missing.set(key, { bar, symbol });
+        return null;
+      });
+      if (!missing.size || pass === MAX_INTRABAR_PASSES) return report;
+      for (const [key, { bar, symbol }] of missing) loaded.set(key, await fetchLower(bar, symbol));
+    }
+  }
+
+  /* ---------- Engine ----------
+     A signal on bar i fills at the open of bar i+1, priced by the cost model (costs.js): slippage
+     moves the fill price, fees and funding come out of cash and are tracked per round trip next
+     to its P&L before costs (grossPnl); a take-profit fills as a maker order. 'buy' opens a long (closing a short first); 'sell' closes a long and, with
+     allowShort, opens a short. While a position is open each bar is checked, in order, for
+     stop/target hits inside the bar (intrabarExit), then the time exit at its close; the
+     trailing stop is then moved using that bar, so it takes effect from the next one.
+     createEngine(opts) is that loop fed one bar at a time, so the same fills drive a backtest
+     and a live paper session: step(bar, signal, trade) takes the signal given on the previous
+     bar's close; trade = false only warms the trailing-stop ATR (no fills, no equity point).
+     finish() closes an open position at the last traded close.
+     Portfolio runs (portfolio.js) give every symbol's engine one shared opts.account ({ cash })
+     and an opts.budget(dir) callback for the cash to commit to a new position (0 skips it);
+     on its own an engine sizes positions with sizing.js (opts.sizeMode and its settings).
+     opts.intrabar(bar, symbol), when given, returns the lower-timeframe candles of a bar that
+     hit both the stop and the target (or null), to settle which came first (replayExit).
+  */
+  function createEngine(opts) {
+    const { symbol, strategy, initialCapital } = opts;
+    const costs = createCostModel(opts);
+    const sizer = createSizer(opts);
+    const exits = resolveExitOptions(opts);
+    const trailAtr = exits.trailAtrMult > 0 ? createAtrStream(exits.trailAtrPeriod) : null;
+
+    const account = opts.account || { cash: initialCapital };
+    // flat, cash is the whole equity; sized on the stop the position will get and its closed trades' P&L
+    const budget = opts.budget || ((dir, price, stop) => {
+      const sized = sizer.size({ equity: account.cash, price, stop });
+      return sized.error ? 0 : sized.value;
+    });
+    let closedPnl = 0;
+    const intrabar = { ambiguous: 0, resolved: 0 }; // bars that hit both levels / settled on lower candles
+    let pos = null; // { dir: 1 | -1, qty, entryPrice, entryTime, entryIndex, stop, target, stopIsTrail, extreme, ...costs so far }
+    let i = -1;
+    let lastBar = null;
+    const trades = [];
+    const roundTrips = [];
+    const equity = [];
+
+    function open(dir, bar, signal) {
+      const fill = costs.fill(bar.open, dir > 0, false);
+      const useStops = exits.useSignalStops && signal;
+      const stop = useStops && Number.isFinite(signal.sl) ? signal.sl : null;
+      // the budget covers the entry fee too
+      const qty = budget(dir, fill.price, stop) / (fill.price * (1 + fill.feeRate));
+      if (!(qty > 0)) return;
+      const fee = qty * fill.price * fill.feeRate;
+      account.cash -= dir * qty * fill.price + fee;
+      pos = {
+        dir, qty, entryPrice: fill.price, entryTime: bar.time, entryIndex: i,
+        stop,
+        target: useStops && Number.isFinite(signal.tp) ? signal.tp : null,
+        stopIsTrail: false,
+        extreme: dir > 0 ? bar.high : bar.low,
+        realized: 0, // price P&L taken by rebalance() trims, added to the round trip on close
+        fees: fee, slippage: qty * fill.slip, funding: 0, fundedTo: bar.time
+      };
+      trades.push({ ts: bar.time, symbol, side: dir > 0 ? 'buy' : 'sell', entry_price: fill.price, exit_price: null, qty, pnl: null, note: `${strategy}_${dir > 0 ? 'buy' : 'short'}` });
+    }
+
+    // P&L of the open position at price, after the fees and funding paid so far
+    const openPnl = price => pos.dir * pos.qty * (price - pos.entryPrice) + pos.realized - pos.fees - pos.funding;
+
+    // heldBars: bars the position was exposed to, counting a partly held exit bar; maker: a resting target
+    function close(price, time, heldBars, note, maker = false) {
+      const fill = costs.fill(price, pos.dir < 0, maker);
+      const fee = pos.qty * fill.price * fill.feeRate;
+      pos.fees += fee;
+      pos.slippage += pos.qty * fill.slip;
+      const pnl = openPnl(fill.price);
+      account.cash += pos.dir * pos.qty * fill.price - fee;
+      closedPnl += pnl;
+      sizer.record(pnl);
+      trades.push({ ts: time, symbol, side: pos.dir > 0 ? 'sell' : 'buy', entry_price: null, exit_price: fill.price, qty: pos.qty, pnl, note });
+      roundTrips.push({
+        ts: time, side: pos.dir > 0 ? 'long' : 'short', entryTime: pos.entryTime, entryPrice: pos.entryPrice,
+        exitPrice: fill.price, qty: pos.qty, pnl, bars: heldBars, exitReason: note,
+        grossPnl: pnl + pos.fees + pos.slippage + pos.funding, fees: pos.fees, slippage: pos.slippage, funding: pos.funding
+      });
+      pos = null;
+    }
+
+    // funding settled since the position was last charged, at this bar's open
+    function settleFunding(bar) {
+      const paid = costs.funding(pos.dir, pos.qty * bar.open, pos.fundedTo, bar.time);
+      pos.fundedTo = bar.time;
+      if (!paid) return;
+      account.cash -= paid;
+      pos.funding += paid;
+    }
+
+    function step(bar, raw, trade = true) {
+      i++;
+      const atr = trailAtr ? trailAtr.update(bar) : NaN;
+      if (!trade) {
+        costs.update(bar);
+        sizer.update(bar);
+        return;
+      }
+      lastBar = bar;
+      const signal = typeof raw === 'string' ? { side: raw } : raw;
+      if (pos) settleFunding(bar);
+
+      // exit rules (rule strategies) close without reversing; an entry on the same bar still applies
+      if (signal && pos && (pos.dir > 0 ? signal.exitLong : signal.exitShort)) {
+        close(bar.open, bar.time, i - pos.entryIndex, `${strategy}_exit`);
+      }
+      if (signal && signal.side === 'buy') {
+        if (pos && pos.dir < 0) close(bar.open, bar.time, i - pos.entryIndex, `${strategy}_cover`);
+        if (!pos) open(1, bar, signal);
+      } else if (signal && signal.side === 'sell') {
+        if (pos && pos.dir > 0) close(bar.open, bar.time, i - pos.entryIndex, `${strategy}_sell`);
+        if (!pos && exits.allowShort) open(-1, bar, signal);
+      }
+
+      if (pos) {
+        let hit = intrabarExit(pos, bar);
+        if (hit && hit.ambiguous) {
+          intrabar.ambiguous++;
+          const lower = opts.intrabar ? opts.intrabar(bar, symbol) : null;
+          const replayed = lower ? replayExit(pos, lower) : null;
+          if (replayed) {
+            hit = replayed;
+            intrabar.resolved++;
+          }
+        }
+        if (hit) close(hit.price, bar.time, i - pos.entryIndex + 1, EXIT_NOTES[hit.reason], hit.reason === 'target');
+      }
+      if (pos && exits.maxBarsInTrade > 0 && i - pos.entryIndex + 1 >= exits.maxBarsInTrade) {
+        close(bar.close, bar.time, i - pos.entryIndex + 1, EXIT_NOTES.time);
+      }
+      if (pos && Number.isFinite(atr)) {
+        // chandelier-style: best price since entry, minus (long) / plus (short) a multiple of ATR
+        pos.extreme = pos.dir > 0 ? Math.max(pos.extreme, bar.high) : Math.min(pos.extreme, bar.low);
+        const trail = pos.extreme - pos.dir * exits.trailAtrMult * atr;
+        if (pos.stop == null || (pos.dir > 0 ? trail > pos.stop : trail < pos.stop)) {
+          pos.stop = trail;
+          pos.stopIsTrail = true;
+        }
+      }
+
+      costs.update(bar);
+      sizer.update(bar);
+      equity.push({ time: bar.time, equity: account.cash + (pos ? pos.dir * pos.qty * bar.close : 0) });
+    }
+
+    function finish() {
+      if (!pos) return;
+      close(lastBar.close, lastBar.time, i + 1 - pos.entryIndex, EXIT_NOTES.finish);
+      equity[equity.length - 1] = { time: lastBar.time, equity: account.cash };
+    }
+
+    /* Resizes the open position to `value` (absolute, at price) as a taker fill; a trim realises
+       its share of the price P&L. Average entry price moves on an add. */
+    function rebalance(value, price, time) {
+      if (!pos) return;
+      const delta = value / price - pos.qty;
+      if (!delta) return;
+      const buying = (delta > 0) === (pos.dir > 0);
+      const fill = costs.fill(price, buying, false);
+      const qty = Math.abs(delta);
+      const fee = qty * fill.price * fill.feeRate;
+      pos.fees += fee;
+      pos.slippage += qty * fill.slip;
+      if (delta > 0) {
+        account.cash -= pos.dir * qty * fill.price + fee;
+        pos.entryPrice = (pos.entryPrice * pos.qty + fill.price * qty) / (pos.qty + qty);
+        pos.qty += qty;
+        trades.push({ ts: time, symbol, side: buying ? 'buy' : 'sell', entry_price: fill.price, exit_price: null, qty, pnl: null, note: 'rebalance' });
+      } else {
+        const pnl = pos.dir * qty * (fill.price - pos.entryPrice);
+        account.cash += pos.dir * qty * fill.price - fee;
+        pos.realized += pnl;
+        pos.qty -= qty;
+        trades.push({ ts: time, symbol, side: buying ? 'buy' : 'sell', entry_price: null, exit_price: fill.price, qty, pnl: pnl - fee, note: 'rebalance' });
+      }
+    }
+
+    // what a strategy may see of the open position after the latest bar; null when flat
+    function position() {
+      if (!pos) return null;
+      return {
+        side: pos.dir > 0 ? 'long' : 'short', qty: pos.qty, entryPrice: pos.entryPrice, entryTime: pos.entryTime,
+        bars: i - pos.entryIndex + 1, stop: pos.stop, target: pos.target
+      };
+    }
+
+    return {
+      step, finish, rebalance, position, trades, roundTrips, equity, intrabar,
+      get equityNow() { return equity.length ? equity[equity.length - 1].equity : initialCapital; },
+      // signed value of the open position at the last traded close (0 when flat)
+      get markValue() { return pos && lastBar ? pos.dir * pos.qty * lastBar.close : 0; },
+      // realised + open P&L since the engine started, at the last traded close, after costs
+      get pnl() {
+        return closedPnl + (pos && lastBar ? openPnl(lastBar.close) : 0);
+      }
+    };
+  }
+
+  /* Bars before opts.startIndex only warm the indicators up: no fills, no equity points
+     (walk-forward uses this to trade an out-of-sample window with in-sample history behind it).
+     A strategy with session(candles, params) instead of signals() gets back a function that is
+     called with each bar in turn and the engine, after that bar has been traded, and returns the
+     bar's signal — so it can look at engine.position() first. opts.definition runs
+     such a strategy object directly instead of looking opts.strategy up (server plugins).
+     opts: { symbol, strategy, definition, rules, params, initialCapital, sizeMode and sizing.js SIZING_SPECS,
+             costs.js COST_SPECS (or the older commissionPct), startIndex, allowShort, useSignalStops, trailAtrMult, trailAtrPeriod, maxBarsInTrade, intrabar }
+     The report's intrabar counts the bars that hit both stop and target, and how many of those
+     lower-timeframe candles settled (the rest assume the stop came first).
+  */
+  function runBacktest(candles, opts) {
+    const { initialCapital } = opts;
+    const definition = opts.definition || getStrategy(opts.strategy, opts.rules);
+    const params = resolveParams(definition.params, opts.params);
+    // a rule definition's own sizing / trailing stop / time exit take precedence over opts
+    const fixed = definition.options ? definition.options(params) : {};
+    const sizePct = fixed.sizePct ?? opts.sizePct ?? 1;
+    const startIndex = Math.max(0, opts.startIndex || 0);
+    const engine = createEngine(Object.assign({}, opts, fixed, { sizePct }));
+    const signals = definition.session ? null : definition.signals(candles, params);
+    const session = definition.session ? definition.session(candles, params) : null;
+
+    let raw = null;
+    for (let i = 0; i < candles.length; i++) {
+      engine.step(candles[i], i > startIndex ? raw : null, i >= startIndex);
+      raw = session ? session(candles[i], engine) : signals[i];
+    }
+    engine.finish();
+
+    const { equity, roundTrips, trades } = engine;
+    const result = Object.assign(computeMetrics({ equity, roundTrips, initialCapital }), {
+      trades: trades.length,
+      startTime: equity.length ? equity[0].time : null,
+      endTime: equity.length ? equity[equity.length - 1].time : null
+    });
+
+    return { params, metrics: result, trades, equity, roundTrips, intrabar: engine.intrabar };
+  }
+
+  return {
+    STRATEGIES, RULES_STRATEGY, getStrategy, resolveStrategyParams, validateStrategyParams,
+    EXIT_OPTION_SPECS, resolveExitOptions, validateExitOptions, resolveBarExit, withIntrabarCandles,
+    createEngine, runBacktest
+  };
+});
@@ -0,0 +1,125 @@
+// compare.js — side-by-side comparison of backtest runs.
+// Takes runs as saved by the server (GET /backtests/:id) or as a /backtest response (what
+// test_backtest.js --out writes, including the older files whose metrics predate metrics.js),
+// and lines up their metrics, the setup that produced them and their equity curves. Shared by
+// the backtest modal and test_backtest.js --compare. Loaded after metrics.js as a <script>
+// (window.JarnoxCompare), or via require() in Node.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./metrics.js'));
+  else root.JarnoxCompare = factory(root.JarnoxMetrics);
+})(typeof self !== 'undefined' ? self : this, function (metrics) {
+  'use strict';
+
+  const { computeMetrics, compareMetrics } = metrics;
+
+  const MAX_COMPARED_RUNS = 8;
+
+  // Closed trades from a fill list: each exit (a fill with pnl) closes the symbol's last entry
+  function roundTripsFromFills(trades, equity) {
+    const open = new Map();
+    const out = [];
+    for (const t of trades || []) {
+      if (t.entry_price != null) {
+        open.set(t.symbol, t);
+      } else if (t.pnl != null) {
+        const entry = open.get(t.symbol);
+        open.delete(t.symbol);
+        const entryTime = entry ? entry.ts : t.ts;
+        const bars = (equity || []).filter(p => p.time > entryTime && p.time <= t.ts).length;
+        out.push({ ts: t.ts, entryTime, pnl: t.pnl, bars });
+      }
+    }
+    return out;
+  }
+
+  /* One run in the shape compareRuns works on: { id, label, symbols, interval, strategy, name,
+     config, metrics, equity }. Reports without metrics.js metrics (older /backtest responses
+     only had a handful) are re-scored from their equity and fills. */
+  function normalizeRun(input, label) {
+    const symbols = input.symbols || (input.symbol ? [input.symbol] : []);
+    const equity = Array.isArray(input.equity) ? input.equity : [];
+    let runMetrics = input.metrics || {};
+    if (!('roundTrips' in runMetrics) && equity.length) {
+      const roundTrips = Array.isArray(input.roundTrips) ? input.roundTrips : roundTripsFromFills(input.trades, equity);
+      runMetrics = computeMetrics({ equity, roundTrips, initialCapital: runMetrics.initialCapital || equity[0].equity });
+    }
+    const config = input.config || {};
+    return {
+      id: input.id ?? null,
+      label: label || (input.id != null ? `#${input.id}` : input.name || input.strategy || 'run'),
+      symbols,
+      interval: input.interval || '',
+      strategy: input.strategy || '',
+      name: input.name || input.strategy || '',
+      // a /backtest response carries params / rules / plugin beside the report instead of a config
+      config: input.config ? config : { params: input.params, rules: input.rules, plugin: input.plugin },
+      metrics: runMetrics,
+      equity
+    };
+  }
+
+  // nested setup -> { 'params.smaShort': '10', ... }; arrays and rule definitions stay whole
+  function flattenConfig(value, prefix, out) {
+    if (value === undefined || value === null) return out;
+    if (typeof value === 'object' && !Array.isArray(value) && prefix !== 'rules') {
+      for (const [k, v] of Object.entries(value)) flattenConfig(v, prefix ? `${prefix}.${k}` : k, out);
+    } else {
+      out[prefix] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+    return out;
+  }
+
+  const RUN_FIELDS = [
+    ['market', run => `${run.symbols.join(', ')} ${run.interval}`.trim()],
+    ['strategy', run => run.name],
+    ['period', run => (run.equity.length
+      ? `${new Date(run.equity[0].time * 1000).toISOString().slice(0, 16)} – ${new Date(run.equity[run.equity.length - 1].time * 1000).toISOString().slice(0, 16)}`
+      : '')]
+  ];
+
+  /* Every setting any of the runs has, one row each: [{ name, values, differs }], values '—'
+     where a run does not have the setting. Rows that differ come first. */
+  function diffParams(runs) {
+    const flat = runs.map(run => {
+      const out = {};
+      for (const [name, read] of RUN_FIELDS) out[name] = read(run);
+      return flattenConfig(run.config, '', out);
+    });
+    const names = [];
+    for (const f of flat) for (const name of Object.keys(f)) if (!names.includes(name)) names.push(name);
+    const rows = names.map(name => {
+      const values = flat.map(f => (name in f ? f[name] : '—'));
+      return { name, values, differs: values.some(v => v !== values[0]) };
+    });
+    return rows.filter(r => r.differs).concat(rows.filter(r => !r.differs));
+  }
+
+  // Equity curves on one timeline (the union of their timestamps): { times, series: [[equity|null]] }
+  function alignEquity(runs) {
+    const times = [...new Set(runs.flatMap(run => run.equity.map(p => p.time)))].sort((a, b) => a - b);
+    const series = runs.map(run => {
+      const byTime = new Map(run.equity.map(p => [p.time, p.equity]));
+      return times.map(t => (byTime.has(t) ? byTime.get(t) : null));
+    });
+    return { times, series };
+  }
+
+  /* inputs: saved runs or /backtest responses (2 to MAX_COMPARED_RUNS), the first being the
+     baseline the deltas are measured from; labels optional. Returns
+     { runs, metrics: compareMetrics rows, params: diffParams rows, equity: alignEquity } or { error }. */
+  function compareRuns(inputs, labels) {
+    if (!Array.isArray(inputs) || inputs.length < 2 || inputs.length > MAX_COMPARED_RUNS) {
+      return { error: `Pick 2 to ${MAX_COMPARED_RUNS} runs to compare` };
+    }
+    const runs = inputs.map((input, i) => normalizeRun(input, labels && labels[i]));
+    return {
+      runs,
+      metrics: compareMetrics(runs.map(r => r.metrics)),
+      params: diffParams(runs),
+      equity: alignEquity(runs)
+    };
+  }
+
+  return { MAX_COMPARED_RUNS, normalizeRun, diffParams, alignEquity, compareRuns };
+});
@@ -0,0 +1,96 @@
+// costs.js — trading costs: maker/taker fees, fixed or volatility-scaled slippage and perpetual
+// funding. One model for the backtest engine (backtest.js: /backtest, the modal, the optimizer,
+// plugin runs and plugin paper sessions) and the chart's paper trader, so a fill costs the same
+// wherever it happens. Loaded after indicator.js as a <script>/importScripts
+// (window.JarnoxCosts), or via require() in Node.
+//
+// Fills that take liquidity — market entries and exits, stops, time exits — pay the taker fee
+// and slippage. Take-profit targets rest as limit orders: maker fee, no slippage. Slippage is
+// slippageBps of the price plus slippageAtrMult x ATR(slippageAtrPeriod) of the bars seen so far,
+// always against the trade. Funding is settled on open positions at every fundingIntervalHours
+// boundary (UTC, as on Binance perpetuals): longs pay fundingRate x position value, shorts
+// receive it (the other way round when the rate is negative).
+//
+// Fee rates and the funding rate are fractions (0.001 = 0.1%), like the older commissionPct,
+// which still works as both fees when makerFee / takerFee are not given.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./indicator.js'));
+  else root.JarnoxCosts = factory(root.JarnoxIndicators);
+})(typeof self !== 'undefined' ? self : this, function (indicators) {
+  'use strict';
+
+  const { createAtrStream, resolveParams, checkParams } = indicators;
+
+  const COST_SPECS = {
+    makerFee: { label: 'Maker fee', default: 0, min: 0, max: 0.05, step: 0.0001 },
+    takerFee: { label: 'Taker fee', default: 0, min: 0, max: 0.05, step: 0.0001 },
+    slippageBps: { label: 'Slippage (bps)', default: 0, min: 0, max: 1000, step: 0.5 },
+    slippageAtrMult: { label: 'Slippage (× ATR)', default: 0, min: 0, max: 5, step: 0.01 },
+    slippageAtrPeriod: { label: 'Slippage ATR period', default: 14, min: 1, max: 500, step: 1 },
+    fundingRate: { label: 'Funding rate', default: 0, min: -0.01, max: 0.01, step: 0.0001 },
+    fundingIntervalHours: { label: 'Funding every (hours)', default: 8, min: 1, max: 24, step: 1 }
+  };
+
+  // Cost settings from runBacktest-style options; commissionPct stands in for either fee left out
+  function resolveCosts(opts = {}) {
+    const input = {};
+    for (const name of Object.keys(COST_SPECS)) {
+      if (opts[name] !== undefined) input[name] = opts[name];
+    }
+    if (opts.commissionPct !== undefined) {
+      if (input.makerFee === undefined) input.makerFee = opts.commissionPct;
+      if (input.takerFee === undefined) input.takerFee = opts.commissionPct;
+    }
+    return resolveParams(COST_SPECS, input);
+  }
+
+  /* strict counterpart for user input: { costs } resolved, or { error, key } for an out-of-range
+     number, key the option at fault (the error starts with it) */
+  function validateCosts(opts) {
+    if (opts.commissionPct !== undefined) {
+      const error = checkParams({ commissionPct: COST_SPECS.takerFee }, { commissionPct: opts.commissionPct });
+      if (error) return { error, key: 'commissionPct' };
+    }
+    for (const name of Object.keys(COST_SPECS)) {
+      if (opts[name] === undefined) continue;
+      const error = checkParams(COST_SPECS, { [name]: opts[name] });
+      if (error) return { error, key: name };
+    }
+    return { costs: resolveCosts(opts) };
+  }
+
+  /* The model for one position stream (one symbol). update(bar) with every closed bar keeps the
+     slippage ATR current; fill(price, buying, maker) -> { price, feeRate, slip } is a fill at
+     `price` after slippage (slip = slippage per unit); funding(dir, value, from, to) is what a
+     position of signed direction dir and absolute value pays for the boundaries in (from, to]
+     (negative = received). */
+  function createCostModel(opts) {
+    const costs = resolveCosts(opts);
+    const atrStream = costs.slippageAtrMult > 0 ? createAtrStream(costs.slippageAtrPeriod) : null;
+    const fundingStep = costs.fundingIntervalHours * 3600;
+    let atr = NaN;
+
+    function update(bar) {
+      if (!atrStream) return;
+      const v = atrStream.update(bar);
+      if (Number.isFinite(v)) atr = v;
+    }
+
+    function fill(price, buying, maker) {
+      if (maker) return { price, feeRate: costs.makerFee, slip: 0 };
+      const slip = price * costs.slippageBps / 10000 + (Number.isFinite(atr) ? costs.slippageAtrMult * atr : 0);
+      return { price: buying ? price + slip : price - slip, feeRate: costs.takerFee, slip };
+    }
+
+    function funding(dir, value, from, to) {
+      if (!costs.fundingRate || !(to > from)) return 0;
+      const settlements = Math.floor(to / fundingStep) - Math.floor(from / fundingStep);
+      return settlements * dir * value * costs.fundingRate;
+    }
+
+    return { costs, update, fill, funding };
+  }
+
+  return { COST_SPECS, resolveCosts, validateCosts, createCostModel };
+});
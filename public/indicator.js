@@ -2,226 +2,409 @@
 // computeAruAlgo: converts the Pine logic to JS working on an array of candles.
 // candles: [{time: <unix sec>, open, high, low, close}, ...] oldest -> newest
 // params: { sensitivity, atrPeriod, trendEmaPeriod, rsiPeriod, rsiOverbought, rsiOversold, adxPeriod, adxThreshold, slMultiplier, tpMultiplier }
-
-'use strict';
-
-/* Small numeric helpers */
-const safeNum = (v, fallback = NaN) => (v == null || Number.isNaN(Number(v))) ? fallback : Number(v);
-const isFiniteNum = v => (typeof v === 'number' && Number.isFinite(v));
-
-/* Efficient EMA: returns array of same length (NaN for initial until it's seeded).
-   Implementation computes in one pass and seeds the EMA with the first value.
-*/
-function emaArray(src, period) {
-  const n = src.length;
-  const out = new Array(n);
-  if (n === 0) return out.fill(NaN);
-  const k = 2 / (period + 1);
-  let ema = safeNum(src[0], NaN);
-  out[0] = ema;
-  for (let i = 1; i < n; i++) {
-    const v = safeNum(src[i], NaN);
-    if (!isFiniteNum(ema)) {
-      ema = v;
-    } else if (!isFiniteNum(v)) {
-      // preserve ema if current value invalid
-      ema = ema;
-    } else {
-      ema = v * k + ema * (1 - k);
+//
+// One library for every consumer: loaded as a classic <script> it exposes
+// window.JarnoxIndicators; require()d from Node (server.js, tests) it is module.exports.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory();
+  else root.JarnoxIndicators = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /* Small numeric helpers */
+  const safeNum = (v, fallback = NaN) => (v == null || Number.isNaN(Number(v))) ? fallback : Number(v);
+  const isFiniteNum = v => (typeof v === 'number' && Number.isFinite(v));
+
+  /* Simple moving average over a sliding window (NaN until `len` values are in). */
+  function smaArray(values, len) {
+    const out = new Array(values.length).fill(NaN);
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= len) sum -= values[i - len];
+      if (i >= len - 1) out[i] = sum / len;
     }
-    out[i] = ema;
+    return out;
   }
-  return out;
-}
-
-/* ATR (True Range + Wilder's RMA). Returns array of ATR values.
-   Implemented in a single pass; TR computed per bar and RMA (Wilder) applied.
-*/
-function atrArray(candles, period) {
-  const n = candles.length;
-  const out = new Array(n).fill(NaN);
-  if (n === 0) return out;
-
-  let prevClose = safeNum(candles[0].close, NaN);
-  // TR for i=0 is high-low
-  let tr0 = safeNum(candles[0].high, NaN) - safeNum(candles[0].low, NaN);
-  if (!isFiniteNum(tr0)) tr0 = 0;
-  let rma = tr0;
-  out[0] = rma;
-
-  // compute progressively
-  for (let i = 1; i < n; i++) {
-    const high = safeNum(candles[i].high, NaN);
-    const low = safeNum(candles[i].low, NaN);
-    const close = safeNum(candles[i].close, NaN);
-    const t1 = (isFiniteNum(high) && isFiniteNum(low)) ? (high - low) : 0;
-    const t2 = (isFiniteNum(high) && isFiniteNum(prevClose)) ? Math.abs(high - prevClose) : 0;
-    const t3 = (isFiniteNum(low) && isFiniteNum(prevClose)) ? Math.abs(low - prevClose) : 0;
-    const tr = Math.max(t1, t2, t3);
-    if (i === period) {
-      // compute initial RMA as simple average of last `period` TRs (approx)
-      // but we already have rma from index 0; we will recompute sum from i-period+1..i
-      let sum = 0;
-      // fallback loop (few iterations); avoids extra allocations
-      for (let j = Math.max(1, i - period + 1); j <= i; j++) {
-        const hh = safeNum(candles[j].high, NaN);
-        const ll = safeNum(candles[j].low, NaN);
-        const pc = safeNum(candles[j - 1]?.close, NaN);
-        const tt1 = (isFiniteNum(hh) && isFiniteNum(ll)) ? (hh - ll) : 0;
-        const tt2 = (isFiniteNum(hh) && isFiniteNum(pc)) ? Math.abs(hh - pc) : 0;
-        const tt3 = (isFiniteNum(ll) && isFiniteNum(pc)) ? Math.abs(ll - pc) : 0;
-        sum += Math.max(tt1, tt2, tt3);
+
+  /* Efficient EMA: returns array of same length (NaN for initial until it's seeded).
+     Implementation computes in one pass and seeds the EMA with the first value.
+  */
+  function emaArray(src, period) {
+    const n = src.length;
+    const out = new Array(n);
+    if (n === 0) return out.fill(NaN);
+    const k = 2 / (period + 1);
+    let ema = safeNum(src[0], NaN);
+    out[0] = ema;
+    for (let i = 1; i < n; i++) {
+      const v = safeNum(src[i], NaN);
+      if (!isFiniteNum(ema)) {
+        ema = v;
+      } else if (!isFiniteNum(v)) {
+        // preserve ema if current value invalid
+        ema = ema;
+      } else {
+        ema = v * k + ema * (1 - k);
       }
-      rma = sum / period;
-    } else if (i > period) {
-      rma = (rma * (period - 1) + tr) / period;
-    } else {
-      // for i < period, produce a simple average up to i
-      // compute running average cheaply: rma holds previous average * (i) so far
-      rma = ((rma * (i - 1 || 1)) + tr) / i;
+      out[i] = ema;
     }
-    out[i] = rma;
-    prevClose = close;
-  }
-  return out;
-}
-
-/* RSI (Wilder smoothing). Returns array of RSI values.
-   Uses initial avg gain/loss based on first `period` intervals then Wilder smoothing.
-*/
-function rsiArray(src, period) {
-  const n = src.length;
-  const out = new Array(n).fill(NaN);
-  if (n < 2) return out;
-
-  // initial sums over first 'period' diffs
-  let gains = 0, losses = 0;
-  const maxInit = Math.min(period, n - 1);
-  for (let i = 1; i <= maxInit; i++) {
-    const diff = safeNum(src[i], NaN) - safeNum(src[i - 1], NaN);
-    if (diff > 0) gains += diff; else losses += -diff;
+    return out;
   }
-  let avgGain = gains / Math.max(1, maxInit);
-  let avgLoss = losses / Math.max(1, maxInit);
 
-  // fill out array
-  for (let i = 1; i < n; i++) {
-    const change = safeNum(src[i], NaN) - safeNum(src[i - 1], NaN);
-    const gain = (change > 0) ? change : 0;
-    const loss = (change < 0) ? -change : 0;
-
-    if (i <= period) {
-      // during warm-up, we've already computed avgGain/avgLoss from the initial window
+  /* ATR (True Range + Wilder's RMA). Returns array of ATR values.
+     Implemented in a single pass; TR computed per bar and RMA (Wilder) applied.
+  */
+  function atrArray(candles, period) {
+    const n = candles.length;
+    const out = new Array(n).fill(NaN);
+    if (n === 0) return out;
+
+    let prevClose = safeNum(candles[0].close, NaN);
+    // TR for i=0 is high-low
+    let tr0 = safeNum(candles[0].high, NaN) - safeNum(candles[0].low, NaN);
+    if (!isFiniteNum(tr0)) tr0 = 0;
+    let rma = tr0;
+    out[0] = rma;
+
+    // compute progressively
+    for (let i = 1; i < n; i++) {
+      const high = safeNum(candles[i].high, NaN);
+      const low = safeNum(candles[i].low, NaN);
+      const close = safeNum(candles[i].close, NaN);
+      const t1 = (isFiniteNum(high) && isFiniteNum(low)) ? (high - low) : 0;
+      const t2 = (isFiniteNum(high) && isFiniteNum(prevClose)) ? Math.abs(high - prevClose) : 0;
+      const t3 = (isFiniteNum(low) && isFiniteNum(prevClose)) ? Math.abs(low - prevClose) : 0;
+      const tr = Math.max(t1, t2, t3);
       if (i === period) {
-        // compute RSI at index == period
-        const rs = (avgLoss === 0) ? Infinity : (avgGain / avgLoss);
-        out[i] = 100 - (100 / (1 + rs));
+        // compute initial RMA as simple average of last `period` TRs (approx)
+        // but we already have rma from index 0; we will recompute sum from i-period+1..i
+        let sum = 0;
+        // fallback loop (few iterations); avoids extra allocations
+        for (let j = Math.max(1, i - period + 1); j <= i; j++) {
+          const hh = safeNum(candles[j].high, NaN);
+          const ll = safeNum(candles[j].low, NaN);
+          const pc = safeNum(candles[j - 1]?.close, NaN);
+          const tt1 = (isFiniteNum(hh) && isFiniteNum(ll)) ? (hh - ll) : 0;
+          const tt2 = (isFiniteNum(hh) && isFiniteNum(pc)) ? Math.abs(hh - pc) : 0;
+          const tt3 = (isFiniteNum(ll) && isFiniteNum(pc)) ? Math.abs(ll - pc) : 0;
+          sum += Math.max(tt1, tt2, tt3);
+        }
+        rma = sum / period;
+      } else if (i > period) {
+        rma = (rma * (period - 1) + tr) / period;
       } else {
-        out[i] = NaN;
+        // for i < period, produce a simple average up to i
+        // compute running average cheaply: rma holds previous average * (i) so far
+        rma = ((rma * (i - 1 || 1)) + tr) / i;
       }
-      // update rolling avg for next steps if needed (but do not apply Wilder yet)
-      // We'll transition to Wilder update after i > period
-      avgGain = ((avgGain * (i - 1 || 1)) + gain) / Math.max(1, i);
-      avgLoss = ((avgLoss * (i - 1 || 1)) + loss) / Math.max(1, i);
-      continue;
+      out[i] = rma;
+      prevClose = close;
     }
-
-    // Wilder smoothing
-    avgGain = ((avgGain * (period - 1)) + gain) / period;
-    avgLoss = ((avgLoss * (period - 1)) + loss) / period;
-    const rs = (avgLoss === 0) ? Infinity : (avgGain / avgLoss);
-    out[i] = 100 - (100 / (1 + rs));
+    return out;
   }
-  return out;
-}
-
-/* ADX computation optimized: single-pass smoothing for +DM, -DM and TR using Wilder's method */
-function computeADX(candles, adxPeriod) {
-  const n = candles.length;
-  const adx = new Array(n).fill(NaN);
-  if (n < 2) return adx;
-
-  let prevHigh = safeNum(candles[0].high, NaN);
-  let prevLow = safeNum(candles[0].low, NaN);
-  let prevClose = safeNum(candles[0].close, NaN);
-
-  // initial accumulators
-  let sp = 0, sm = 0, str = 0;
-  // temp arrays only for the portion we need (we avoid large arrays)
-  const plusDI = new Array(n).fill(NaN);
-  const minusDI = new Array(n).fill(NaN);
-  const dx = new Array(n).fill(NaN);
-
-  // compute TR, +DM, -DM and their Wilder smoothed values
-  for (let i = 1; i < n; i++) {
-    const high = safeNum(candles[i].high, NaN);
-    const low = safeNum(candles[i].low, NaN);
-    const close = safeNum(candles[i].close, NaN);
-
-    const up = high - prevHigh;
-    const down = prevLow - low;
-
-    const plus = (up > down && up > 0) ? up : 0;
-    const minus = (down > up && down > 0) ? down : 0;
-
-    const t1 = isFiniteNum(high) && isFiniteNum(low) ? (high - low) : 0;
-    const t2 = isFiniteNum(high) && isFiniteNum(prevClose) ? Math.abs(high - prevClose) : 0;
-    const t3 = isFiniteNum(low) && isFiniteNum(prevClose) ? Math.abs(low - prevClose) : 0;
-    const tr = Math.max(t1, t2, t3);
-
-    if (i === 1) {
-      sp = plus;
-      sm = minus;
-      str = tr;
-    } else {
-      sp = (sp * (adxPeriod - 1) + plus) / adxPeriod;
-      sm = (sm * (adxPeriod - 1) + minus) / adxPeriod;
-      str = (str * (adxPeriod - 1) + tr) / adxPeriod;
-    }
 
-    // compute DI values
-    if (str === 0) {
-      plusDI[i] = NaN;
-      minusDI[i] = NaN;
-    } else {
-      plusDI[i] = 100 * (sp / str);
-      minusDI[i] = 100 * (sm / str);
+  /* RSI (Wilder smoothing). Returns array of RSI values.
+     Uses initial avg gain/loss based on first `period` intervals then Wilder smoothing.
+  */
+  function rsiArray(src, period) {
+    const n = src.length;
+    const out = new Array(n).fill(NaN);
+    if (n < 2) return out;
+
+    // initial sums over first 'period' diffs
+    let gains = 0, losses = 0;
+    const maxInit = Math.min(period, n - 1);
+    for (let i = 1; i <= maxInit; i++) {
+      const diff = safeNum(src[i], NaN) - safeNum(src[i - 1], NaN);
+      if (diff > 0) gains += diff; else losses += -diff;
     }
+    let avgGain = gains / Math.max(1, maxInit);
+    let avgLoss = losses / Math.max(1, maxInit);
+
+    // fill out array
+    for (let i = 1; i < n; i++) {
+      const change = safeNum(src[i], NaN) - safeNum(src[i - 1], NaN);
+      const gain = (change > 0) ? change : 0;
+      const loss = (change < 0) ? -change : 0;
+
+      if (i <= period) {
+        // during warm-up, we've already computed avgGain/avgLoss from the initial window
+        if (i === period) {
+          // compute RSI at index == period
+          const rs = (avgLoss === 0) ? Infinity : (avgGain / avgLoss);
+          out[i] = 100 - (100 / (1 + rs));
+        } else {
+          out[i] = NaN;
+        }
+        // update rolling avg for next steps if needed (but do not apply Wilder yet)
+        // We'll transition to Wilder update after i > period
+        avgGain = ((avgGain * (i - 1 || 1)) + gain) / Math.max(1, i);
+        avgLoss = ((avgLoss * (i - 1 || 1)) + loss) / Math.max(1, i);
+        continue;
+      }
 
-    // compute dx
-    const p = plusDI[i], m = minusDI[i];
-    if (!isFiniteNum(p) || !isFiniteNum(m) || (p + m) === 0) {
-      dx[i] = NaN;
-    } else {
-      dx[i] = 100 * Math.abs(p - m) / (p + m);
+      // Wilder smoothing
+      avgGain = ((avgGain * (period - 1)) + gain) / period;
+      avgLoss = ((avgLoss * (period - 1)) + loss) / period;
+      const rs = (avgLoss === 0) ? Infinity : (avgGain / avgLoss);
+      out[i] = 100 - (100 / (1 + rs));
     }
-
-    prevHigh = high;
-    prevLow = low;
-    prevClose = close;
+    return out;
   }
 
-  // ADX as Wilder's RMA of dx
-  let adxR = NaN;
-  for (let i = 0; i < n; i++) {
-    const d = dx[i];
-    if (!isFiniteNum(d)) {
-      adx[i] = NaN;
-      continue;
+  /* ADX computation optimized: single-pass smoothing for +DM, -DM and TR using Wilder's method */
+  function computeADX(candles, adxPeriod) {
+    const n = candles.length;
+    const adx = new Array(n).fill(NaN);
+    if (n < 2) return adx;
+
+    let prevHigh = safeNum(candles[0].high, NaN);
+    let prevLow = safeNum(candles[0].low, NaN);
+    let prevClose = safeNum(candles[0].close, NaN);
+
+    // initial accumulators
+    let sp = 0, sm = 0, str = 0;
+    // temp arrays only for the portion we need (we avoid large arrays)
+    const plusDI = new Array(n).fill(NaN);
+    const minusDI = new Array(n).fill(NaN);
+    const dx = new Array(n).fill(NaN);
+
+    // compute TR, +DM, -DM and their Wilder smoothed values
+    for (let i = 1; i < n; i++) {
+      const high = safeNum(candles[i].high, NaN);
+      const low = safeNum(candles[i].low, NaN);
+      const close = safeNum(candles[i].close, NaN);
+
+      const up = high - prevHigh;
+      const down = prevLow - low;
+
+      const plus = (up > down && up > 0) ? up : 0;
+      const minus = (down > up && down > 0) ? down : 0;
+
+      const t1 = isFiniteNum(high) && isFiniteNum(low) ? (high - low) : 0;
+      const t2 = isFiniteNum(high) && isFiniteNum(prevClose) ? Math.abs(high - prevClose) : 0;
+      const t3 = isFiniteNum(low) && isFiniteNum(prevClose) ? Math.abs(low - prevClose) : 0;
+      const tr = Math.max(t1, t2, t3);
+
+      if (i === 1) {
+        sp = plus;
+        sm = minus;
+        str = tr;
+      } else {
+        sp = (sp * (adxPeriod - 1) + plus) / adxPeriod;
+        sm = (sm * (adxPeriod - 1) + minus) / adxPeriod;
+        str = (str * (adxPeriod - 1) + tr) / adxPeriod;
+      }
+
+      // compute DI values
+      if (str === 0) {
+        plusDI[i] = NaN;
+        minusDI[i] = NaN;
+      } else {
+        plusDI[i] = 100 * (sp / str);
+        minusDI[i] = 100 * (sm / str);
+      }
+
+      // compute dx
+      const p = plusDI[i], m = minusDI[i];
+      if (!isFiniteNum(p) || !isFiniteNum(m) || (p + m) === 0) {
+        dx[i] = NaN;
+      } else {
+        dx[i] = 100 * Math.abs(p - m) / (p + m);
+      }
+
+      prevHigh = high;
+      prevLow = low;
+      prevClose = close;
     }
-    if (!isFiniteNum(adxR)) {
-      adxR = d;
-    } else {
-      adxR = ((adxR * (adxPeriod - 1)) + d) / adxPeriod;
+
+    // ADX as Wilder's RMA of dx
+    let adxR = NaN;
+    for (let i = 0; i < n; i++) {
+      const d = dx[i];
+      if (!isFiniteNum(d)) {
+        adx[i] = NaN;
+        continue;
+      }
+      if (!isFiniteNum(adxR)) {
+        adxR = d;
+      } else {
+        adxR = ((adxR * (adxPeriod - 1)) + d) / adxPeriod;
+      }
+      adx[i] = adxR;
     }
-    adx[i] = adxR;
+    return adx;
+  }
+
+  /* ---------- Streaming (incremental) calculators ----------
+     Each calculator consumes one bar at a time and returns that bar's value, matching the
+     batch function above bit for bit. update() appends a bar; replaceLast() re-evaluates
+     the most recent bar (e.g. a forming candle tick) from the state saved before it.
+  */
+  function makeStream(initialState, step) {
+    let state = Object.assign({}, initialState);
+    let prevState = null;
+    const stream = {
+      value: NaN,
+      get length() { return state.n; },
+      update(input) {
+        prevState = Object.assign({}, state);
+        stream.value = step(state, input);
+        return stream.value;
+      },
+      replaceLast(input) {
+        if (!prevState) return stream.update(input);
+        state = Object.assign({}, prevState);
+        stream.value = step(state, input);
+        return stream.value;
+      }
+    };
+    return stream;
   }
-  return adx;
-}
 
-/* computeAruAlgo: optimized version using incremental arrays and fewer allocations */
-function computeAruAlgo(candles, params = {}) {
-  const p = Object.assign({
+  /* EMA / RSI accept either a number or a candle (uses its close) */
+  const srcValue = v => (v != null && typeof v === 'object') ? v.close : v;
+
+  function createEmaStream(period) {
+    const k = 2 / (period + 1);
+    return makeStream({ n: 0, ema: NaN }, (st, input) => {
+      const v = safeNum(srcValue(input), NaN);
+      if (st.n === 0 || !isFiniteNum(st.ema)) {
+        st.ema = v;
+      } else if (isFiniteNum(v)) {
+        st.ema = v * k + st.ema * (1 - k);
+      }
+      st.n++;
+      return st.ema;
+    });
+  }
+
+  function createAtrStream(period) {
+    return makeStream({ n: 0, rma: NaN, prevClose: NaN, trSum: 0 }, (st, c) => {
+      const i = st.n++;
+      const high = safeNum(c.high, NaN);
+      const low = safeNum(c.low, NaN);
+      const close = safeNum(c.close, NaN);
+      if (i === 0) {
+        let tr0 = high - low;
+        if (!isFiniteNum(tr0)) tr0 = 0;
+        st.rma = tr0;
+        st.prevClose = close;
+        return st.rma;
+      }
+      const t1 = (isFiniteNum(high) && isFiniteNum(low)) ? (high - low) : 0;
+      const t2 = (isFiniteNum(high) && isFiniteNum(st.prevClose)) ? Math.abs(high - st.prevClose) : 0;
+      const t3 = (isFiniteNum(low) && isFiniteNum(st.prevClose)) ? Math.abs(low - st.prevClose) : 0;
+      const tr = Math.max(t1, t2, t3);
+      // atrArray seeds with the plain average of TRs 1..period
+      if (i <= period) st.trSum += tr;
+      if (i === period) {
+        st.rma = st.trSum / period;
+      } else if (i > period) {
+        st.rma = (st.rma * (period - 1) + tr) / period;
+      } else {
+        st.rma = ((st.rma * (i - 1 || 1)) + tr) / i;
+      }
+      st.prevClose = close;
+      return st.rma;
+    });
+  }
+
+  /* rsiArray seeds its averages from the first `period` changes before walking its warm-up,
+     so the stream buffers values until index `period` and then replays that warm-up once. */
+  function createRsiStream(period) {
+    const rsiOf = (avgGain, avgLoss) => {
+      const rs = (avgLoss === 0) ? Infinity : (avgGain / avgLoss);
+      return 100 - (100 / (1 + rs));
+    };
+    const stepAt = (st, i, change) => {
+      const gain = (change > 0) ? change : 0;
+      const loss = (change < 0) ? -change : 0;
+      if (i <= period) {
+        const out = (i === period) ? rsiOf(st.avgGain, st.avgLoss) : NaN;
+        st.avgGain = ((st.avgGain * (i - 1 || 1)) + gain) / Math.max(1, i);
+        st.avgLoss = ((st.avgLoss * (i - 1 || 1)) + loss) / Math.max(1, i);
+        return out;
+      }
+      st.avgGain = ((st.avgGain * (period - 1)) + gain) / period;
+      st.avgLoss = ((st.avgLoss * (period - 1)) + loss) / period;
+      return rsiOf(st.avgGain, st.avgLoss);
+    };
+
+    return makeStream({ n: 0, buf: [], avgGain: 0, avgLoss: 0, prev: NaN }, (st, input) => {
+      const i = st.n++;
+      const v = safeNum(srcValue(input), NaN);
+      if (st.buf) {
+        st.buf = st.buf.concat(v);
+        if (i < 1 || i < period) return NaN;
+
+        // seed from the first `period` changes, exactly as rsiArray does
+        const buf = st.buf;
+        const maxInit = Math.min(period, i);
+        let gains = 0, losses = 0;
+        for (let j = 1; j <= maxInit; j++) {
+          const diff = buf[j] - buf[j - 1];
+          if (diff > 0) gains += diff; else losses += -diff;
+        }
+        st.avgGain = gains / Math.max(1, maxInit);
+        st.avgLoss = losses / Math.max(1, maxInit);
+        let out = NaN;
+        for (let j = 1; j <= i; j++) out = stepAt(st, j, buf[j] - buf[j - 1]);
+        st.buf = null;
+        st.prev = v;
+        return out;
+      }
+      const out = stepAt(st, i, v - st.prev);
+      st.prev = v;
+      return out;
+    });
+  }
+
+  function createAdxStream(adxPeriod) {
+    const init = { n: 0, prevHigh: NaN, prevLow: NaN, prevClose: NaN, sp: 0, sm: 0, str: 0, adxR: NaN };
+    return makeStream(init, (st, c) => {
+      const i = st.n++;
+      const high = safeNum(c.high, NaN);
+      const low = safeNum(c.low, NaN);
+      const close = safeNum(c.close, NaN);
+      if (i === 0) {
+        st.prevHigh = high; st.prevLow = low; st.prevClose = close;
+        return NaN;
+      }
+
+      const up = high - st.prevHigh;
+      const down = st.prevLow - low;
+      const plus = (up > down && up > 0) ? up : 0;
+      const minus = (down > up && down > 0) ? down : 0;
+
+      const t1 = isFiniteNum(high) && isFiniteNum(low) ? (high - low) : 0;
+      const t2 = isFiniteNum(high) && isFiniteNum(st.prevClose) ? Math.abs(high - st.prevClose) : 0;
+      const t3 = isFiniteNum(low) && isFiniteNum(st.prevClose) ? Math.abs(low - st.prevClose) : 0;
+      const tr = Math.max(t1, t2, t3);
+
+      if (i === 1) {
+        st.sp = plus; st.sm = minus; st.str = tr;
+      } else {
+        st.sp = (st.sp * (adxPeriod - 1) + plus) / adxPeriod;
+        st.sm = (st.sm * (adxPeriod - 1) + minus) / adxPeriod;
+        st.str = (st.str * (adxPeriod - 1) + tr) / adxPeriod;
+      }
+      st.prevHigh = high; st.prevLow = low; st.prevClose = close;
+
+      const p = (st.str === 0) ? NaN : 100 * (st.sp / st.str);
+      const m = (st.str === 0) ? NaN : 100 * (st.sm / st.str);
+      if (!isFiniteNum(p) || !isFiniteNum(m) || (p + m) === 0) return NaN;
+      const dx = 100 * Math.abs(p - m) / (p + m);
+      if (!isFiniteNum(dx)) return NaN;
+      st.adxR = isFiniteNum(st.adxR) ? ((st.adxR * (adxPeriod - 1)) + dx) / adxPeriod : dx;
+      return st.adxR;
+    });
+  }
+
+  /* Default AruAlgo parameters (shared by the batch and streaming versions) */
+  const ARU_DEFAULTS = {
     sensitivity: 8,
     atrPeriod: 20,
     trendEmaPeriod: 50,
@@ -232,141 +415,558 @@ function computeAruAlgo(candles, params = {}) {
     adxThreshold: 15,
     slMultiplier: 1.5,
     tpMultiplier: 2.0
-  }, params || {});
-
-  const n = candles.length;
-  if (n === 0) return {
-    smoothedAtrStop: [],
-    trendEma: [],
-    rsi: [],
-    adx: [],
-    atr: [],
-    markers: [],
-    signals: [],
-    lastSL: NaN,
-    lastTP: NaN
   };
 
-  // extract arrays once (avoids repeated map overhead)
-  const closes = new Array(n);
-  const highs = new Array(n);
-  const lows = new Array(n);
-  for (let i = 0; i < n; i++) {
-    closes[i] = safeNum(candles[i].close, NaN);
-    highs[i] = safeNum(candles[i].high, NaN);
-    lows[i] = safeNum(candles[i].low, NaN);
+  /* Bounds for each AruAlgo param, used by the chart's settings panel to build its inputs
+     and by the server to validate presets before the signal feed runs with them. */
+  const ARU_PARAM_SPECS = {
+    sensitivity: { label: 'Sensitivity', min: 0.1, max: 50, step: 0.1 },
+    atrPeriod: { label: 'ATR period', min: 1, max: 500, step: 1 },
+    trendEmaPeriod: { label: 'Trend EMA', min: 1, max: 1000, step: 1 },
+    rsiPeriod: { label: 'RSI period', min: 2, max: 500, step: 1 },
+    rsiOverbought: { label: 'RSI overbought', min: 0, max: 100, step: 0.5 },
+    rsiOversold: { label: 'RSI oversold', min: 0, max: 100, step: 0.5 },
+    adxPeriod: { label: 'ADX period', min: 2, max: 500, step: 1 },
+    adxThreshold: { label: 'ADX threshold', min: 0, max: 100, step: 0.5 },
+    slMultiplier: { label: 'SL × ATR', min: 0.1, max: 20, step: 0.1 },
+    tpMultiplier: { label: 'TP × ATR', min: 0.1, max: 50, step: 0.1 }
+  };
+  for (const [name, spec] of Object.entries(ARU_PARAM_SPECS)) spec.default = ARU_DEFAULTS[name];
+
+  // defaults for missing params, clamped to the declared bounds; step-1 params stay whole numbers
+  function resolveParams(specs, params = {}) {
+    const out = {};
+    for (const [name, spec] of Object.entries(specs)) {
+      let v = safeNum((params || {})[name], spec.default);
+      if (isFiniteNum(spec.min)) v = Math.max(spec.min, v);
+      if (isFiniteNum(spec.max)) v = Math.min(spec.max, v);
+      if (spec.step === 1) v = Math.round(v);
+      out[name] = v;
+    }
+    return out;
   }
 
-  // trend EMA of closes
-  const trendEma = emaArray(closes, p.trendEmaPeriod);
-
-  // ATR (Wilder)
-  const atr = atrArray(candles, p.atrPeriod);
+  // strict counterpart for user input: null when every value is a known, in-range number
+  function checkParams(specs, params) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) return 'params must be an object';
+    for (const [name, value] of Object.entries(params)) {
+      const spec = specs[name];
+      if (!spec) return `Unknown param: ${name}`;
+      const v = Number(value);
+      if (value === null || value === '' || !Number.isFinite(v) || v < spec.min || v > spec.max) {
+        return `${name} must be a number between ${spec.min} and ${spec.max}`;
+      }
+    }
+    return null;
+  }
 
-  // Build raw ATR-stop values using incremental prev logic (similar to Pine)
-  const rawAtrStop = new Array(n).fill(NaN);
-  let prevAtrStop = NaN;
-  for (let i = 0; i < n; i++) {
-    const src = closes[i];
-    const prevSrc = (i > 0) ? closes[i - 1] : src;
-    const prevAtrStopVal = (i > 0) ? prevAtrStop : NaN;
-    const xATR = isFiniteNum(atr[i]) ? atr[i] : (i > 0 && isFiniteNum(atr[i - 1]) ? atr[i - 1] : 0);
-    const nLoss = p.sensitivity * xATR;
+  function resolveAruParams(params) {
+    return resolveParams(ARU_PARAM_SPECS, params);
+  }
 
-    let atrStop;
+  /* One step of the raw ATR trailing stop (Pine's nz(prev) logic) */
+  function nextAtrStop(src, prevSrc, prevAtrStopVal, nLoss) {
     if (isFiniteNum(prevAtrStopVal) && src > prevAtrStopVal && prevSrc > prevAtrStopVal) {
-      atrStop = Math.max(prevAtrStopVal, src - nLoss);
+      return Math.max(prevAtrStopVal, src - nLoss);
     } else if (isFiniteNum(prevAtrStopVal) && src < prevAtrStopVal && prevSrc < prevAtrStopVal) {
-      atrStop = Math.min(prevAtrStopVal, src + nLoss);
+      return Math.min(prevAtrStopVal, src + nLoss);
     } else if (!isFiniteNum(prevAtrStopVal) || src > prevAtrStopVal) {
-      atrStop = src - nLoss;
-    } else {
-      atrStop = src + nLoss;
+      return src - nLoss;
     }
-    prevAtrStop = atrStop;
-    rawAtrStop[i] = atrStop;
+    return src + nLoss;
   }
 
-  // Smooth rawAtrStop with EMA(5)
-  const smoothedAtrStop = emaArray(rawAtrStop.map(v => isFiniteNum(v) ? v : 0), 5);
-
-  // RSI and ADX
-  const rsi = rsiArray(closes, p.rsiPeriod);
-  const adx = computeADX(candles, p.adxPeriod);
-
-  // Signals & markers
-  const signals = [];
-  const markers = new Array(n).fill(null);
-  let lastSL = NaN, lastTP = NaN;
-
-  for (let i = 0; i < n; i++) {
-    const src = closes[i];
-    const sStop = smoothedAtrStop[i];
-    const prevSStop = (i > 0) ? smoothedAtrStop[i - 1] : sStop;
+  /* Signal + marker for bar i. `bar` holds that bar's values and the previous bar's
+     close / smoothed stop / ATR; returns null when no signal fires. */
+  function aruAlgoSignalAt(i, bar, p) {
+    const src = bar.close;
+    const sStop = bar.sStop;
+    const prevSStop = (i > 0) ? bar.prevSStop : sStop;
     // In original pine, emaLine was close (ema of length 1)
-    const emaLine = closes[i];
-    const prevEma = (i > 0) ? closes[i - 1] : emaLine;
+    const emaLine = bar.close;
+    const prevEma = (i > 0) ? bar.prevClose : emaLine;
 
-    const rsiBuyConfirm = isFiniteNum(rsi[i]) && (rsi[i] < p.rsiOversold);
-    const rsiSellConfirm = isFiniteNum(rsi[i]) && (rsi[i] > p.rsiOverbought);
-    const adxFilter = isFiniteNum(adx[i]) ? (adx[i] > p.adxThreshold) : false;
+    const rsiBuyConfirm = isFiniteNum(bar.rsi) && (bar.rsi < p.rsiOversold);
+    const rsiSellConfirm = isFiniteNum(bar.rsi) && (bar.rsi > p.rsiOverbought);
+    const adxFilter = isFiniteNum(bar.adx) ? (bar.adx > p.adxThreshold) : false;
 
-    const trendDirection = (isFiniteNum(trendEma[i]) && isFiniteNum(closes[i])) ? ((closes[i] > trendEma[i]) ? 1 : (closes[i] < trendEma[i] ? -1 : 0)) : 0;
+    const trendDirection = (isFiniteNum(bar.trendEma) && isFiniteNum(src)) ? ((src > bar.trendEma) ? 1 : (src < bar.trendEma ? -1 : 0)) : 0;
 
     const crossoverUp = (isFiniteNum(prevEma) && isFiniteNum(prevSStop) && isFiniteNum(emaLine) && isFiniteNum(sStop)) ? ((prevEma <= prevSStop) && (emaLine > sStop)) : false;
-    const crossoverDown = (isFiniteNum(prevEma) && isFiniteNum(prevSStop) && isFiniteNum(emaLine) && isFiniteNum(sStop)) ? ((prevSStop <= prevEma) && (sStop > emaLine)) : false;
 
     const buyCond = isFiniteNum(src) && isFiniteNum(sStop) && crossoverUp && (trendDirection === 1 || trendDirection === 0) && rsiBuyConfirm && adxFilter;
     const sellCond = isFiniteNum(src) && isFiniteNum(sStop) && ( ( (prevSStop <= prevEma) && (sStop < emaLine) ) || ( (prevEma >= prevSStop) && (sStop < emaLine) ) ) && (trendDirection === -1 || trendDirection === 0) && rsiSellConfirm && adxFilter;
 
-    const simpleBuyCond = (i > 0 && isFiniteNum(closes[i - 1]) && isFiniteNum(prevSStop) && isFiniteNum(closes[i]) && isFiniteNum(sStop)) ? ((closes[i - 1] <= prevSStop) && (closes[i] > sStop)) : false;
-    const simpleSellCond = (i > 0 && isFiniteNum(closes[i - 1]) && isFiniteNum(prevSStop) && isFiniteNum(closes[i]) && isFiniteNum(sStop)) ? ((closes[i - 1] >= prevSStop) && (closes[i] < sStop)) : false;
+    const simpleBuyCond = (i > 0 && isFiniteNum(bar.prevClose) && isFiniteNum(prevSStop) && isFiniteNum(src) && isFiniteNum(sStop)) ? ((bar.prevClose <= prevSStop) && (src > sStop)) : false;
+    const simpleSellCond = (i > 0 && isFiniteNum(bar.prevClose) && isFiniteNum(prevSStop) && isFiniteNum(src) && isFiniteNum(sStop)) ? ((bar.prevClose >= prevSStop) && (src < sStop)) : false;
 
-    const xATR = isFiniteNum(atr[i]) ? atr[i] : (i > 0 && isFiniteNum(atr[i - 1]) ? atr[i - 1] : 0);
+    const xATR = isFiniteNum(bar.atr) ? bar.atr : (i > 0 && isFiniteNum(bar.prevAtr) ? bar.prevAtr : 0);
     const slDistance = xATR * p.slMultiplier;
     const tpDistance = xATR * p.tpMultiplier;
 
     if (buyCond) {
       const sl = src - slDistance;
       const tp = src + tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx: i, type: 'buy', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'belowBar', color: '#00b894', shape: 'arrowUp', text: `BUY\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
+      return { signal: { idx: i, type: 'buy', sl, tp }, marker: { time: bar.time, position: 'belowBar', color: '#00b894', shape: 'arrowUp', text: `BUY\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` } };
     } else if (sellCond) {
       const sl = src + slDistance;
       const tp = src - tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx: i, type: 'sell', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'aboveBar', color: '#ff7675', shape: 'arrowDown', text: `SELL\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
+      return { signal: { idx: i, type: 'sell', sl, tp }, marker: { time: bar.time, position: 'aboveBar', color: '#ff7675', shape: 'arrowDown', text: `SELL\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` } };
     } else if (simpleBuyCond) {
       const sl = src - slDistance;
       const tp = src + tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx: i, type: 'simpleBuy', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'belowBar', color: '#66ff99', shape: 'arrowUp', text: `sBUY\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
+      return { signal: { idx: i, type: 'simpleBuy', sl, tp }, marker: { time: bar.time, position: 'belowBar', color: '#66ff99', shape: 'arrowUp', text: `sBUY\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` } };
     } else if (simpleSellCond) {
       const sl = src + slDistance;
       const tp = src - tpDistance;
-      lastSL = sl; lastTP = tp;
-      signals.push({ idx: i, type: 'simpleSell', sl, tp });
-      markers[i] = { time: candles[i].time, position: 'aboveBar', color: '#ff9aa2', shape: 'arrowDown', text: `sSELL\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` };
+      return { signal: { idx: i, type: 'simpleSell', sl, tp }, marker: { time: bar.time, position: 'aboveBar', color: '#ff9aa2', shape: 'arrowDown', text: `sSELL\nSL:${sl.toFixed(2)} TP:${tp.toFixed(2)}` } };
     }
+    return null;
   }
 
-  return {
-    smoothedAtrStop,
-    trendEma,
-    rsi,
-    adx,
-    atr,
-    markers,
-    signals,
-    lastSL,
-    lastTP
+  /* computeAruAlgo: optimized version using incremental arrays and fewer allocations */
+  function computeAruAlgo(candles, params = {}) {
+    const p = Object.assign({}, ARU_DEFAULTS, params || {});
+
+    const n = candles.length;
+    if (n === 0) return {
+      smoothedAtrStop: [],
+      trendEma: [],
+      rsi: [],
+      adx: [],
+      atr: [],
+      markers: [],
+      signals: [],
+      lastSL: NaN,
+      lastTP: NaN
+    };
+
+    // extract arrays once (avoids repeated map overhead)
+    const closes = new Array(n);
+    const highs = new Array(n);
+    const lows = new Array(n);
+    for (let i = 0; i < n; i++) {
+      closes[i] = safeNum(candles[i].close, NaN);
+      highs[i] = safeNum(candles[i].high, NaN);
+      lows[i] = safeNum(candles[i].low, NaN);
+    }
+
+    // trend EMA of closes
+    const trendEma = emaArray(closes, p.trendEmaPeriod);
+
+    // ATR (Wilder)
+    const atr = atrArray(candles, p.atrPeriod);
+
+    // Build raw ATR-stop values using incremental prev logic (similar to Pine)
+    const rawAtrStop = new Array(n).fill(NaN);
+    let prevAtrStop = NaN;
+    for (let i = 0; i < n; i++) {
+      const src = closes[i];
+      const prevSrc = (i > 0) ? closes[i - 1] : src;
+      const prevAtrStopVal = (i > 0) ? prevAtrStop : NaN;
+      const xATR = isFiniteNum(atr[i]) ? atr[i] : (i > 0 && isFiniteNum(atr[i - 1]) ? atr[i - 1] : 0);
+      const atrStop = nextAtrStop(src, prevSrc, prevAtrStopVal, p.sensitivity * xATR);
+      prevAtrStop = atrStop;
+      rawAtrStop[i] = atrStop;
+    }
+
+    // Smooth rawAtrStop with EMA(5)
+    const smoothedAtrStop = emaArray(rawAtrStop.map(v => isFiniteNum(v) ? v : 0), 5);
+
+    // RSI and ADX
+    const rsi = rsiArray(closes, p.rsiPeriod);
+    const adx = computeADX(candles, p.adxPeriod);
+
+    // Signals & markers
+    const signals = [];
+    const markers = new Array(n).fill(null);
+    let lastSL = NaN, lastTP = NaN;
+
+    for (let i = 0; i < n; i++) {
+      const hit = aruAlgoSignalAt(i, {
+        time: candles[i].time,
+        close: closes[i],
+        prevClose: (i > 0) ? closes[i - 1] : NaN,
+        sStop: smoothedAtrStop[i],
+        prevSStop: (i > 0) ? smoothedAtrStop[i - 1] : NaN,
+        atr: atr[i],
+        prevAtr: (i > 0) ? atr[i - 1] : NaN,
+        rsi: rsi[i],
+        adx: adx[i],
+        trendEma: trendEma[i]
+      }, p);
+      if (hit) {
+        lastSL = hit.signal.sl; lastTP = hit.signal.tp;
+        signals.push(hit.signal);
+        markers[i] = hit.marker;
+      }
+    }
+
+    return {
+      smoothedAtrStop,
+      trendEma,
+      rsi,
+      adx,
+      atr,
+      markers,
+      signals,
+      lastSL,
+      lastTP
+    };
+  }
+
+  /* createAruAlgoStream: incremental computeAruAlgo. update(candle) / replaceLast(candle) return
+     that bar's { idx, time, smoothedAtrStop, trendEma, rsi, adx, atr, signal, marker, lastSL, lastTP },
+     identical to index idx of computeAruAlgo over the same candles. */
+  function createAruAlgoStream(params = {}) {
+    const p = Object.assign({}, ARU_DEFAULTS, params || {});
+    const subs = {
+      trendEma: createEmaStream(p.trendEmaPeriod),
+      atr: createAtrStream(p.atrPeriod),
+      smooth: createEmaStream(5),
+      rsi: createRsiStream(p.rsiPeriod),
+      adx: createAdxStream(p.adxPeriod)
+    };
+    let state = { n: 0, prevClose: NaN, prevAtr: NaN, prevAtrStop: NaN, prevSStop: NaN, lastSL: NaN, lastTP: NaN };
+    let prevState = null;
+
+    function step(candle, method) {
+      const i = state.n;
+      const close = safeNum(candle.close, NaN);
+      const trendEma = subs.trendEma[method](close);
+      const atr = subs.atr[method](candle);
+      const prevSrc = (i > 0) ? state.prevClose : close;
+      const xATR = isFiniteNum(atr) ? atr : (i > 0 && isFiniteNum(state.prevAtr) ? state.prevAtr : 0);
+      const rawStop = nextAtrStop(close, prevSrc, (i > 0) ? state.prevAtrStop : NaN, p.sensitivity * xATR);
+      const sStop = subs.smooth[method](isFiniteNum(rawStop) ? rawStop : 0);
+      const rsi = subs.rsi[method](close);
+      const adx = subs.adx[method](candle);
+
+      const hit = aruAlgoSignalAt(i, {
+        time: candle.time,
+        close,
+        prevClose: state.prevClose,
+        sStop,
+        prevSStop: state.prevSStop,
+        atr,
+        prevAtr: state.prevAtr,
+        rsi,
+        adx,
+        trendEma
+      }, p);
+      if (hit) { state.lastSL = hit.signal.sl; state.lastTP = hit.signal.tp; }
+
+      state.n = i + 1;
+      state.prevClose = close;
+      state.prevAtr = atr;
+      state.prevAtrStop = rawStop;
+      state.prevSStop = sStop;
+
+      return {
+        idx: i,
+        time: candle.time,
+        smoothedAtrStop: sStop,
+        trendEma,
+        rsi,
+        adx,
+        atr,
+        signal: hit ? hit.signal : null,
+        marker: hit ? hit.marker : null,
+        lastSL: state.lastSL,
+        lastTP: state.lastTP
+      };
+    }
+
+    return {
+      params: p,
+      get length() { return state.n; },
+      update(candle) {
+        prevState = Object.assign({}, state);
+        return step(candle, 'update');
+      },
+      replaceLast(candle) {
+        if (!prevState) return this.update(candle);
+        state = Object.assign({}, prevState);
+        return step(candle, 'replaceLast');
+      }
+    };
+  }
+
+  /* ---------- Indicator registry ----------
+     Every chartable indicator is one entry: its numeric params (default/min/max/step), the
+     series it outputs (line or histogram) and the pane it draws in — 'overlay' on the price
+     chart or 'separate' below it. compute(candles, params) returns one array per output key,
+     aligned with `candles` and NaN where the indicator has no value yet. The chart builds its
+     add/remove UI from this table, so a new indicator needs nothing but an entry here.
+  */
+  const nanArray = n => new Array(n).fill(NaN);
+
+  // hide the first `bars` values of an indicator that is still warming up
+  function maskWarmup(values, bars) {
+    for (let i = 0; i < Math.min(bars, values.length); i++) values[i] = NaN;
+    return values;
+  }
+
+  // run a series function on the part of `src` after its leading NaNs, keeping alignment
+  function afterWarmup(src, fn) {
+    const out = nanArray(src.length);
+    const first = src.findIndex(isFiniteNum);
+    if (first === -1) return out;
+    const part = fn(src.slice(first));
+    for (let i = 0; i < part.length; i++) out[first + i] = part[i];
+    return out;
+  }
+
+  function rollingExtreme(values, len, pickMax) {
+    const out = nanArray(values.length);
+    for (let i = len - 1; i < values.length; i++) {
+      let v = values[i];
+      for (let j = i - len + 1; j < i; j++) {
+        if (pickMax ? values[j] > v : values[j] < v) v = values[j];
+      }
+      out[i] = v;
+    }
+    return out;
+  }
+
+  // population standard deviation around an already computed rolling mean
+  function rollingStdev(values, len, means) {
+    const out = nanArray(values.length);
+    for (let i = len - 1; i < values.length; i++) {
+      let sq = 0;
+      for (let j = i - len + 1; j <= i; j++) sq += (values[j] - means[i]) ** 2;
+      out[i] = Math.sqrt(sq / len);
+    }
+    return out;
+  }
+
+  const closesOf = candles => candles.map(c => safeNum(c.close, NaN));
+
+  const INDICATORS = {
+    macd: {
+      name: 'MACD',
+      pane: 'separate',
+      params: {
+        fast: { label: 'Fast', default: 12, min: 1, max: 500, step: 1 },
+        slow: { label: 'Slow', default: 26, min: 1, max: 500, step: 1 },
+        signal: { label: 'Signal', default: 9, min: 1, max: 500, step: 1 }
+      },
+      outputs: [
+        { key: 'hist', label: 'Histogram', type: 'histogram', color: 'rgba(38,166,154,0.6)', negativeColor: 'rgba(239,83,80,0.6)' },
+        { key: 'macd', label: 'MACD', type: 'line', color: '#2f8cff' },
+        { key: 'signal', label: 'Signal', type: 'line', color: '#ff9f43' }
+      ],
+      levels: [0],
+      compute(candles, p) {
+        const closes = closesOf(candles);
+        const fast = emaArray(closes, p.fast);
+        const slow = emaArray(closes, p.slow);
+        const macd = maskWarmup(closes.map((_, i) => fast[i] - slow[i]), Math.max(p.fast, p.slow) - 1);
+        const signal = afterWarmup(macd, v => emaArray(v, p.signal));
+        return { macd, signal, hist: macd.map((v, i) => v - signal[i]) };
+      }
+    },
+
+    bollinger: {
+      name: 'Bollinger Bands',
+      pane: 'overlay',
+      params: {
+        length: { label: 'Length', default: 20, min: 2, max: 500, step: 1 },
+        mult: { label: 'StdDev', default: 2, min: 0.1, max: 10, step: 0.1 }
+      },
+      outputs: [
+        { key: 'upper', label: 'Upper', type: 'line', color: 'rgba(47,140,255,0.8)' },
+        { key: 'basis', label: 'Basis', type: 'line', color: 'rgba(255,159,67,0.8)' },
+        { key: 'lower', label: 'Lower', type: 'line', color: 'rgba(47,140,255,0.8)' }
+      ],
+      compute(candles, p) {
+        const closes = closesOf(candles);
+        const basis = smaArray(closes, p.length);
+        const dev = rollingStdev(closes, p.length, basis);
+        return {
+          basis,
+          upper: basis.map((b, i) => b + p.mult * dev[i]),
+          lower: basis.map((b, i) => b - p.mult * dev[i])
+        };
+      }
+    },
+
+    vwap: {
+      name: 'VWAP (session)',
+      pane: 'overlay',
+      params: {},
+      outputs: [{ key: 'vwap', label: 'VWAP', type: 'line', color: '#e056fd' }],
+      compute(candles) {
+        // sessions reset at 00:00 UTC, like Binance's daily candles
+        const vwap = nanArray(candles.length);
+        let session = null, pv = 0, vol = 0;
+        candles.forEach((c, i) => {
+          const day = Math.floor(c.time / 86400);
+          if (day !== session) { session = day; pv = 0; vol = 0; }
+          const typical = (safeNum(c.high, NaN) + safeNum(c.low, NaN) + safeNum(c.close, NaN)) / 3;
+          const v = safeNum(c.volume, 0);
+          pv += typical * v;
+          vol += v;
+          vwap[i] = vol > 0 ? pv / vol : typical;
+        });
+        return { vwap };
+      }
+    },
+
+    supertrend: {
+      name: 'Supertrend',
+      pane: 'overlay',
+      params: {
+        atrPeriod: { label: 'ATR length', default: 10, min: 1, max: 500, step: 1 },
+        factor: { label: 'Factor', default: 3, min: 0.1, max: 20, step: 0.1 }
+      },
+      outputs: [
+        { key: 'up', label: 'Up trend', type: 'line', color: '#26a69a' },
+        { key: 'down', label: 'Down trend', type: 'line', color: '#ef5350' }
+      ],
+      compute(candles, p) {
+        // same band ratcheting as Pine's ta.supertrend
+        const atr = maskWarmup(atrArray(candles, p.atrPeriod), p.atrPeriod - 1);
+        const up = nanArray(candles.length);
+        const down = nanArray(candles.length);
+        let prevLower = NaN, prevUpper = NaN, prevTrend = NaN, dir = 1;
+        for (let i = 0; i < candles.length; i++) {
+          if (!isFiniteNum(atr[i])) continue;
+          const c = candles[i];
+          const hl2 = (safeNum(c.high, NaN) + safeNum(c.low, NaN)) / 2;
+          const prevClose = i > 0 ? safeNum(candles[i - 1].close, NaN) : NaN;
+          let lower = hl2 - p.factor * atr[i];
+          let upper = hl2 + p.factor * atr[i];
+          if (isFiniteNum(prevLower) && !(lower > prevLower || prevClose < prevLower)) lower = prevLower;
+          if (isFiniteNum(prevUpper) && !(upper < prevUpper || prevClose > prevUpper)) upper = prevUpper;
+          if (!isFiniteNum(prevTrend)) dir = 1;
+          else if (prevTrend === prevUpper) dir = c.close > upper ? -1 : 1;
+          else dir = c.close < lower ? 1 : -1;
+          prevTrend = dir === -1 ? lower : upper;
+          if (dir === -1) up[i] = lower; else down[i] = upper;
+          prevLower = lower;
+          prevUpper = upper;
+        }
+        return { up, down };
+      }
+    },
+
+    stochRsi: {
+      name: 'Stochastic RSI',
+      pane: 'separate',
+      params: {
+        rsiLength: { label: 'RSI length', default: 14, min: 2, max: 500, step: 1 },
+        stochLength: { label: 'Stoch length', default: 14, min: 1, max: 500, step: 1 },
+        k: { label: '%K smoothing', default: 3, min: 1, max: 100, step: 1 },
+        d: { label: '%D smoothing', default: 3, min: 1, max: 100, step: 1 }
+      },
+      outputs: [
+        { key: 'k', label: '%K', type: 'line', color: '#2f8cff' },
+        { key: 'd', label: '%D', type: 'line', color: '#ff9f43' }
+      ],
+      levels: [20, 80],
+      compute(candles, p) {
+        const rsi = rsiArray(closesOf(candles), p.rsiLength);
+        const stoch = afterWarmup(rsi, r => {
+          const hi = rollingExtreme(r, p.stochLength, true);
+          const lo = rollingExtreme(r, p.stochLength, false);
+          return r.map((v, i) => hi[i] > lo[i] ? 100 * (v - lo[i]) / (hi[i] - lo[i]) : (isFiniteNum(hi[i]) ? 0 : NaN));
+        });
+        const k = afterWarmup(stoch, s => smaArray(s, p.k));
+        return { k, d: afterWarmup(k, v => smaArray(v, p.d)) };
+      }
+    },
+
+    obv: {
+      name: 'On-Balance Volume',
+      pane: 'separate',
+      params: {},
+      outputs: [{ key: 'obv', label: 'OBV', type: 'line', color: '#00cec9' }],
+      compute(candles) {
+        const obv = nanArray(candles.length);
+        let total = 0;
+        candles.forEach((c, i) => {
+          if (i > 0) {
+            const change = safeNum(c.close, NaN) - safeNum(candles[i - 1].close, NaN);
+            if (change > 0) total += safeNum(c.volume, 0);
+            else if (change < 0) total -= safeNum(c.volume, 0);
+          }
+          obv[i] = total;
+        });
+        return { obv };
+      }
+    },
+
+    keltner: {
+      name: 'Keltner Channels',
+      pane: 'overlay',
+      params: {
+        length: { label: 'EMA length', default: 20, min: 1, max: 500, step: 1 },
+        mult: { label: 'Multiplier', default: 2, min: 0.1, max: 10, step: 0.1 },
+        atrPeriod: { label: 'ATR length', default: 10, min: 1, max: 500, step: 1 }
+      },
+      outputs: [
+        { key: 'upper', label: 'Upper', type: 'line', color: 'rgba(0,206,201,0.8)' },
+        { key: 'basis', label: 'Basis', type: 'line', color: 'rgba(255,159,67,0.8)' },
+        { key: 'lower', label: 'Lower', type: 'line', color: 'rgba(0,206,201,0.8)' }
+      ],
+      compute(candles, p) {
+        const basis = maskWarmup(emaArray(closesOf(candles), p.length), p.length - 1);
+        const atr = maskWarmup(atrArray(candles, p.atrPeriod), p.atrPeriod - 1);
+        return {
+          basis,
+          upper: basis.map((b, i) => b + p.mult * atr[i]),
+          lower: basis.map((b, i) => b - p.mult * atr[i])
+        };
+      }
+    },
+
+    donchian: {
+      name: 'Donchian Channels',
+      pane: 'overlay',
+      params: {
+        length: { label: 'Length', default: 20, min: 1, max: 500, step: 1 }
+      },
+      outputs: [
+        { key: 'upper', label: 'Upper', type: 'line', color: 'rgba(116,185,255,0.8)' },
+        { key: 'basis', label: 'Basis', type: 'line', color: 'rgba(253,203,110,0.8)' },
+        { key: 'lower', label: 'Lower', type: 'line', color: 'rgba(116,185,255,0.8)' }
+      ],
+      compute(candles, p) {
+        const upper = rollingExtreme(candles.map(c => safeNum(c.high, NaN)), p.length, true);
+        const lower = rollingExtreme(candles.map(c => safeNum(c.low, NaN)), p.length, false);
+        return { upper, lower, basis: upper.map((u, i) => (u + lower[i]) / 2) };
+      }
+    }
   };
-}
 
-/* Export for Node / bundlers */
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { computeAruAlgo, atrArray, rsiArray, computeADX, emaArray };
-}
+  function registerIndicator(id, def) {
+    if (!id || !def || typeof def.compute !== 'function' || !Array.isArray(def.outputs) || !['overlay', 'separate'].includes(def.pane)) {
+      throw new Error(`Invalid indicator definition: ${id}`);
+    }
+    INDICATORS[id] = Object.assign({ name: id, params: {} }, def);
+    return INDICATORS[id];
+  }
+
+  function listIndicators() {
+    return Object.keys(INDICATORS).map(id => Object.assign({ id }, INDICATORS[id]));
+  }
+
+  function resolveIndicatorParams(id, params) {
+    const def = INDICATORS[id];
+    if (!def) throw new Error(`Unknown indicator: ${id}`);
+    return resolveParams(def.params, params);
+  }
+
+  function computeIndicator(id, candles, params) {
+    const resolved = resolveIndicatorParams(id, params);
+    return { params: resolved, values: INDICATORS[id].compute(candles || [], resolved) };
+  }
+
+  return {
+    smaArray, emaArray, atrArray, rsiArray, computeADX, computeAruAlgo,
+    createEmaStream, createAtrStream, createRsiStream, createAdxStream, createAruAlgoStream,
+    ARU_DEFAULTS, ARU_PARAM_SPECS, resolveAruParams, resolveParams, checkParams,
+    INDICATORS, registerIndicator, listIndicators, resolveIndicatorParams, computeIndicator
+  };
+});
@@ -0,0 +1,281 @@
+// metrics.js — performance metrics for backtest results.
+// Shared by the server (/backtest), the backtest modal, the optimizer worker and
+// test_backtest.js so a run is scored — and reported — the same way wherever it is computed.
+//
+// equity: [{ time: <unix sec>, equity }, ...] one point per bar, oldest -> newest
+// roundTrips: [{ pnl, bars, ... }, ...] closed trades; bars = bars the position was held; pnl is
+//   after costs, which the engine also itemises per trade (fees, slippage, funding)
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory();
+  else root.JarnoxMetrics = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SECONDS_PER_YEAR = 365 * 86400;
+  // compounding a few hours of 1m bars up to a year gives meaningless numbers (1e40 %)
+  const MIN_ANNUALISE_SEC = 30 * 86400;
+
+  // bars per year from the median spacing of the equity timestamps (crypto trades 24/7)
+  function periodsPerYear(equity) {
+    const gaps = [];
+    for (let i = 1; i < equity.length; i++) gaps.push(equity[i].time - equity[i - 1].time);
+    if (!gaps.length) return 0;
+    gaps.sort((a, b) => a - b);
+    const median = gaps[Math.floor(gaps.length / 2)];
+    return median > 0 ? SECONDS_PER_YEAR / median : 0;
+  }
+
+  function barReturns(equity) {
+    const out = [];
+    for (let i = 1; i < equity.length; i++) {
+      const prev = equity[i - 1].equity;
+      if (prev > 0) out.push(equity[i].equity / prev - 1);
+    }
+    return out;
+  }
+
+  function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+
+  function stdev(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / (values.length - 1));
+  }
+
+  // annualised mean/stdev of per-bar returns (risk-free rate 0)
+  function sharpeRatio(equity) {
+    const rets = barReturns(equity);
+    const sd = stdev(rets);
+    return sd > 0 ? (mean(rets) / sd) * Math.sqrt(periodsPerYear(equity)) : 0;
+  }
+
+  // like Sharpe, but only returns below zero count as risk (target return 0)
+  function sortinoRatio(equity) {
+    const rets = barReturns(equity);
+    if (!rets.length) return 0;
+    const downside = Math.sqrt(rets.reduce((a, r) => a + Math.min(r, 0) ** 2, 0) / rets.length);
+    return downside > 0 ? (mean(rets) / downside) * Math.sqrt(periodsPerYear(equity)) : 0;
+  }
+
+  /* Deepest peak-to-trough fall, as a positive percentage of the peak, and how long that
+     episode lasted: from the peak until equity got back to it (or the last bar if it never did). */
+  function drawdownStats(equity) {
+    let peak = -Infinity, peakIdx = 0;
+    let worst = 0, worstPeakIdx = 0, worstPeak = 0;
+    equity.forEach((p, i) => {
+      if (p.equity > peak) { peak = p.equity; peakIdx = i; }
+      if (peak > 0 && (peak - p.equity) / peak > worst) {
+        worst = (peak - p.equity) / peak;
+        worstPeakIdx = peakIdx;
+        worstPeak = peak;
+      }
+    });
+    if (worst === 0) return { maxDrawdownPct: 0, maxDrawdownBars: 0, maxDrawdownDurationSec: 0 };
+    let endIdx = equity.length - 1;
+    for (let i = worstPeakIdx + 1; i < equity.length; i++) {
+      if (equity[i].equity >= worstPeak) { endIdx = i; break; }
+    }
+    return {
+      maxDrawdownPct: worst * 100,
+      maxDrawdownBars: endIdx - worstPeakIdx,
+      maxDrawdownDurationSec: equity[endIdx].time - equity[worstPeakIdx].time
+    };
+  }
+
+  function maxDrawdownPct(equity) {
+    return drawdownStats(equity).maxDrawdownPct;
+  }
+
+  // gross profit / gross loss; Infinity when nothing was lost (serialises to null in JSON)
+  function profitFactor(roundTrips) {
+    let won = 0, lost = 0;
+    for (const t of roundTrips) {
+      if (t.pnl > 0) won += t.pnl;
+      else if (t.pnl < 0) lost -= t.pnl;
+    }
+    if (lost === 0) return won > 0 ? Infinity : 0;
+    return won / lost;
+  }
+
+  // compound annual growth over the equity's time span; null when the span is under 30 days
+  function annualReturnPct(equity, initialCapital) {
+    if (equity.length < 2 || !(initialCapital > 0)) return null;
+    const span = equity[equity.length - 1].time - equity[0].time;
+    if (span < MIN_ANNUALISE_SEC) return null;
+    const growth = equity[equity.length - 1].equity / initialCapital;
+    return growth > 0 ? (Math.pow(growth, SECONDS_PER_YEAR / span) - 1) * 100 : -100;
+  }
+
+  function longestLosingStreak(roundTrips) {
+    let longest = 0, run = 0;
+    for (const t of roundTrips) {
+      run = t.pnl < 0 ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+    return longest;
+  }
+
+  // barsInMarket: equity points with a position open, for round trips that overlap (a basket);
+  // by default the round trips' bars added up
+  function computeMetrics({ equity = [], roundTrips = [], initialCapital, barsInMarket }) {
+    const finalEquity = equity.length ? equity[equity.length - 1].equity : initialCapital;
+    const wins = roundTrips.filter(t => t.pnl > 0);
+    const losses = roundTrips.filter(t => t.pnl < 0);
+    const grossProfit = wins.reduce((a, t) => a + t.pnl, 0);
+    const grossLoss = -losses.reduce((a, t) => a + t.pnl, 0);
+    const barsHeld = roundTrips.reduce((a, t) => a + (t.bars || 0), 0);
+    const drawdown = drawdownStats(equity);
+    const annual = annualReturnPct(equity, initialCapital);
+    const sum = key => roundTrips.reduce((a, t) => a + (t[key] || 0), 0);
+    const feesPaid = sum('fees'), slippageCost = sum('slippage'), fundingPaid = sum('funding');
+    return {
+      initialCapital,
+      finalEquity,
+      totalReturnPct: ((finalEquity - initialCapital) / initialCapital) * 100,
+      annualReturnPct: annual,
+      totalPnl: finalEquity - initialCapital,
+      // before fees, slippage and funding
+      grossPnl: finalEquity - initialCapital + feesPaid + slippageCost + fundingPaid,
+      feesPaid,
+      slippageCost,
+      fundingPaid,
+      roundTrips: roundTrips.length,
+      winRatePct: roundTrips.length ? (wins.length / roundTrips.length) * 100 : 0,
+      maxDrawdownPct: drawdown.maxDrawdownPct,
+      maxDrawdownBars: drawdown.maxDrawdownBars,
+      maxDrawdownDurationSec: drawdown.maxDrawdownDurationSec,
+      sharpe: sharpeRatio(equity),
+      sortino: sortinoRatio(equity),
+      calmar: annual === null ? null : (drawdown.maxDrawdownPct > 0 ? annual / drawdown.maxDrawdownPct : 0),
+      profitFactor: profitFactor(roundTrips),
+      grossProfit,
+      grossLoss,
+      expectancy: roundTrips.length ? roundTrips.reduce((a, t) => a + t.pnl, 0) / roundTrips.length : 0,
+      avgWin: wins.length ? grossProfit / wins.length : 0,
+      avgLoss: losses.length ? -grossLoss / losses.length : 0,
+      maxConsecutiveLosses: longestLosingStreak(roundTrips),
+      exposurePct: equity.length ? ((barsInMarket ?? barsHeld) / equity.length) * 100 : 0,
+      avgBarsInTrade: roundTrips.length ? barsHeld / roundTrips.length : 0
+    };
+  }
+
+  // how the optimizer should rank each metric
+  const METRIC_INFO = {
+    totalReturnPct: { label: 'Total return %', better: 'higher' },
+    sharpe: { label: 'Sharpe', better: 'higher' },
+    sortino: { label: 'Sortino', better: 'higher' },
+    calmar: { label: 'Calmar', better: 'higher' },
+    maxDrawdownPct: { label: 'Max drawdown %', better: 'lower' },
+    profitFactor: { label: 'Profit factor', better: 'higher' },
+    expectancy: { label: 'Expectancy', better: 'higher' }
+  };
+
+  /* ---------- Report formatting ----------
+     One list of rows for every place that prints a metrics block (modal, CLI), so they read
+     the same. Works on a metrics object straight from computeMetrics or parsed back from JSON
+     (where Infinity has become null).
+  */
+  const REPORT_FIELDS = [
+    ['totalReturnPct', 'Total return', 'pct'],
+    ['annualReturnPct', 'Annualised return', 'pct'],
+    ['totalPnl', 'Total P&L', 'money'],
+    ['grossPnl', 'P&L before costs', 'money'],
+    ['feesPaid', 'Fees', 'money'],
+    ['slippageCost', 'Slippage', 'money'],
+    ['fundingPaid', 'Funding', 'money'],
+    ['finalEquity', 'Final equity', 'money'],
+    ['roundTrips', 'Trades', 'count'],
+    ['winRatePct', 'Win rate', 'pct'],
+    ['maxDrawdownPct', 'Max drawdown', 'pct'],
+    ['maxDrawdownDurationSec', 'Max drawdown duration', 'duration'],
+    ['sharpe', 'Sharpe', 'ratio'],
+    ['sortino', 'Sortino', 'ratio'],
+    ['calmar', 'Calmar', 'ratio'],
+    ['profitFactor', 'Profit factor', 'ratio'],
+    ['expectancy', 'Expectancy per trade', 'money'],
+    ['avgWin', 'Average win', 'money'],
+    ['avgLoss', 'Average loss', 'money'],
+    ['maxConsecutiveLosses', 'Longest losing streak', 'count'],
+    ['exposurePct', 'Time in market', 'pct'],
+    ['avgBarsInTrade', 'Average bars in trade', 'bars']
+  ];
+
+  function formatDuration(sec) {
+    const d = Math.floor(sec / 86400), h = Math.floor((sec % 86400) / 3600), m = Math.floor((sec % 3600) / 60);
+    if (d) return `${d}d ${h}h`;
+    if (h) return `${h}h ${m}m`;
+    return `${m}m`;
+  }
+
+  function formatReportValue(format, v, metrics) {
+    if (!Number.isFinite(v)) return '—';
+    switch (format) {
+      case 'pct': return `${v.toFixed(2)}%`;
+      case 'money': return `${v < 0 ? '-' : ''}$${Math.abs(v).toFixed(2)}`;
+      case 'count': return String(v);
+      case 'bars': return v.toFixed(1);
+      case 'duration': return `${formatDuration(v)} (${metrics.maxDrawdownBars} bars)`;
+      default: return v.toFixed(2);
+    }
+  }
+
+  // [{ key, label, text }] in report order
+  function describeMetrics(metrics) {
+    return REPORT_FIELDS.filter(([key]) => key in metrics).map(([key, label, format]) => {
+      let text = formatReportValue(format, metrics[key], metrics);
+      // no losing trades: Infinity in memory, null once sent as JSON
+      if (key === 'profitFactor' && metrics.grossLoss === 0 && metrics.grossProfit > 0) text = '∞';
+      return { key, label, text };
+    });
+  }
+
+  // signed difference in a field's own units; percentages as percentage points
+  function formatReportDelta(format, d) {
+    if (!Number.isFinite(d)) return '—';
+    const sign = d > 0 ? '+' : d < 0 ? '-' : '±';
+    const a = Math.abs(d);
+    switch (format) {
+      case 'pct': return `${sign}${a.toFixed(2)} pts`;
+      case 'money': return `${sign}$${a.toFixed(2)}`;
+      case 'count': return `${sign}${a}`;
+      case 'bars': return `${sign}${a.toFixed(1)}`;
+      case 'duration': return `${sign}${formatDuration(a)}`;
+      default: return `${sign}${a.toFixed(2)}`;
+    }
+  }
+
+  /* Side-by-side rows for several runs' metrics, in describeMetrics' order and formatting:
+     [{ key, label, texts, deltas, best }] — deltas against the first run (null for it), best the
+     index of the best run on the metrics METRIC_INFO ranks (null elsewhere or on a tie). */
+  function compareMetrics(list) {
+    return REPORT_FIELDS.filter(([key]) => list.some(m => m && key in m)).map(([key, label]) => {
+      const texts = list.map(m => {
+        const row = m && describeMetrics(m).find(r => r.key === key);
+        return row ? row.text : '—';
+      });
+      const format = REPORT_FIELDS.find(f => f[0] === key)[2];
+      const base = list[0] ? list[0][key] : null;
+      const deltas = list.map((m, i) => {
+        if (i === 0) return null;
+        return formatReportDelta(format, m && Number.isFinite(m[key]) && Number.isFinite(base) ? m[key] - base : NaN);
+      });
+      let best = null;
+      const info = METRIC_INFO[key];
+      if (info && list.length > 1) {
+        const values = list.map(m => (m && Number.isFinite(m[key]) ? m[key] : null));
+        const ranked = values.map((v, i) => [v, i]).filter(([v]) => v !== null)
+          .sort((a, b) => (info.better === 'higher' ? b[0] - a[0] : a[0] - b[0]));
+        if (ranked.length && !(ranked.length > 1 && ranked[0][0] === ranked[1][0])) best = ranked[0][1];
+      }
+      return { key, label, texts, deltas, best };
+    });
+  }
+
+  return {
+    computeMetrics, sharpeRatio, sortinoRatio, maxDrawdownPct, drawdownStats, profitFactor, periodsPerYear,
+    METRIC_INFO, describeMetrics, compareMetrics
+  };
+});
@@ -0,0 +1,123 @@
+// montecarlo.js — Monte Carlo robustness checks on a backtest's closed trades.
+// Each trade is turned into a return on the equity it was opened with, then the sequence is
+// reshuffled (same trades, different order) or resampled with replacement (bootstrap) many
+// times. Paths are compounded trade by trade from the initial capital, so they describe
+// realised equity — the drawdowns are those seen between closed trades.
+// Loaded as a <script> (window.JarnoxMonteCarlo) after metrics.js, or via require() in Node.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./metrics.js'));
+  else root.JarnoxMonteCarlo = factory(root.JarnoxMetrics);
+})(typeof self !== 'undefined' ? self : this, function (metrics) {
+  'use strict';
+
+  const { maxDrawdownPct } = metrics;
+
+  const MC_PERCENTILES = [5, 25, 50, 75, 95];
+  const MAX_MC_ITERATIONS = 10000;
+
+  // mulberry32 — seeded so a report can be reproduced
+  function makeRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // nearest-rank percentile of an ascending-sorted array
+  function percentile(sorted, p) {
+    if (!sorted.length) return NaN;
+    const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[idx];
+  }
+
+  // per-trade returns on the realised equity before each trade, in closing order
+  function tradeReturns(roundTrips, initialCapital) {
+    let equity = initialCapital;
+    const out = [];
+    for (const t of roundTrips) {
+      out.push(equity > 0 ? t.pnl / equity : 0);
+      equity += t.pnl;
+    }
+    return out;
+  }
+
+  function summarize(values) {
+    const sorted = Float64Array.from(values).sort();
+    const out = { mean: values.reduce((a, b) => a + b, 0) / values.length, min: sorted[0], max: sorted[sorted.length - 1] };
+    for (const p of MC_PERCENTILES) out[`p${p}`] = percentile(sorted, p);
+    return out;
+  }
+
+  /* opts: { initialCapital, iterations = 2000, method: 'shuffle'|'bootstrap', ruinPct = 50, seed }
+     Ruin is equity falling to (100 - ruinPct)% of the initial capital at any point on a path.
+     Returns null when there are no closed trades. bands[p][k] is the p-th percentile of equity
+     after k trades (k = 0..trades), for drawing percentile bands over the equity curve. */
+  function runMonteCarlo(roundTrips, opts) {
+    const { initialCapital } = opts;
+    const iterations = Math.min(MAX_MC_ITERATIONS, Math.max(1, Math.floor(opts.iterations || 2000)));
+    const method = opts.method === 'bootstrap' ? 'bootstrap' : 'shuffle';
+    const ruinPct = opts.ruinPct ?? 50;
+    const ruinLevel = initialCapital * (1 - ruinPct / 100);
+    const returns = tradeReturns(roundTrips, initialCapital);
+    const n = returns.length;
+    if (!n) return null;
+
+    const rand = makeRandom(opts.seed ?? 1);
+    const steps = new Float64Array((n + 1) * iterations); // [k * iterations + it] = equity after k trades
+    const finals = [];
+    const drawdowns = [];
+    let ruined = 0;
+    const order = returns.slice();
+    const path = new Array(n + 1);
+
+    for (let it = 0; it < iterations; it++) {
+      if (method === 'shuffle') {
+        for (let i = n - 1; i > 0; i--) { // Fisher–Yates
+          const j = Math.floor(rand() * (i + 1));
+          const tmp = order[i]; order[i] = order[j]; order[j] = tmp;
+        }
+      } else {
+        for (let i = 0; i < n; i++) order[i] = returns[Math.floor(rand() * n)];
+      }
+
+      let equity = initialCapital;
+      let hitRuin = equity <= ruinLevel;
+      path[0] = { equity };
+      steps[it] = equity;
+      for (let k = 1; k <= n; k++) {
+        equity = Math.max(0, equity * (1 + order[k - 1]));
+        if (equity <= ruinLevel) hitRuin = true;
+        path[k] = { equity };
+        steps[k * iterations + it] = equity;
+      }
+      finals.push(equity);
+      drawdowns.push(maxDrawdownPct(path));
+      if (hitRuin) ruined++;
+    }
+
+    const bands = {};
+    for (const p of MC_PERCENTILES) bands[p] = new Array(n + 1);
+    for (let k = 0; k <= n; k++) {
+      const sorted = steps.subarray(k * iterations, (k + 1) * iterations).sort();
+      for (const p of MC_PERCENTILES) bands[p][k] = percentile(sorted, p);
+    }
+
+    return {
+      method,
+      iterations,
+      trades: n,
+      ruinPct,
+      ruinProbabilityPct: (ruined / iterations) * 100,
+      finalEquity: summarize(finals),
+      maxDrawdownPct: summarize(drawdowns),
+      bands
+    };
+  }
+
+  return { MC_PERCENTILES, MAX_MC_ITERATIONS, tradeReturns, runMonteCarlo };
+});
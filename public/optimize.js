@@ -0,0 +1,182 @@
+// optimize.js — parameter sweeps (grid or random search) and walk-forward analysis over the
+// shared backtest engine. Runs inside the optimizer Web Worker in the browser, or via
+// require() in Node (server /backtest walk-forward mode).
+//
+// space: { paramName: { from, to, step }, ... } — only the swept params; everything else
+// comes from base.params. Results are ranked by one metric from JarnoxMetrics.METRIC_INFO.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./backtest.js'), require('./metrics.js'));
+  else root.JarnoxOptimize = factory(root.JarnoxBacktest, root.JarnoxMetrics);
+})(typeof self !== 'undefined' ? self : this, function (backtest, metrics) {
+  'use strict';
+
+  const { runBacktest, validateStrategyParams } = backtest;
+  const { METRIC_INFO, computeMetrics } = metrics;
+
+  const MAX_SWEEP_RUNS = 5000;
+
+  // inclusive list of values for one axis; rounding keeps 0.1 steps from drifting (0.30000000000000004)
+  function axisValues({ from, to, step }) {
+    from = Number(from); to = Number(to); step = Number(step);
+    if (![from, to, step].every(Number.isFinite) || step <= 0 || to < from) {
+      throw new Error('Each swept param needs numeric from <= to and step > 0');
+    }
+    const decimals = (String(step).split('.')[1] || '').length;
+    const out = [];
+    for (let k = 0; from + k * step <= to + step * 1e-9; k++) {
+      out.push(Number((from + k * step).toFixed(decimals)));
+      if (out.length > MAX_SWEEP_RUNS) break;
+    }
+    return out;
+  }
+
+  function gridPoints(space) {
+    let points = [{}];
+    for (const [name, axis] of Object.entries(space)) {
+      const values = axisValues(axis);
+      if (points.length * values.length > MAX_SWEEP_RUNS) {
+        throw new Error(`Grid has more than ${MAX_SWEEP_RUNS} combinations; narrow the ranges or use random search`);
+      }
+      const next = [];
+      for (const p of points) for (const v of values) next.push(Object.assign({}, p, { [name]: v }));
+      points = next;
+    }
+    return points;
+  }
+
+  // mulberry32 — seeded so a random sweep can be reproduced
+  function makeRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // samples snapped to each axis' step; duplicates are dropped, so small spaces may yield fewer
+  function randomPoints(space, samples, seed) {
+    const axes = Object.entries(space).map(([name, axis]) => [name, axisValues(axis)]);
+    const rand = makeRandom(seed);
+    const seen = new Set();
+    const points = [];
+    const wanted = Math.min(Number(samples) || 0, MAX_SWEEP_RUNS);
+    for (let tries = 0; points.length < wanted && tries < wanted * 20; tries++) {
+      const p = {};
+      for (const [name, values] of axes) p[name] = values[Math.floor(rand() * values.length)];
+      const key = JSON.stringify(p);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      points.push(p);
+    }
+    return points;
+  }
+
+  // best first; NaN/null scores sink to the bottom
+  function rankResults(results, metric) {
+    const info = METRIC_INFO[metric];
+    if (!info) throw new Error(`Unknown metric: ${metric}`);
+    const score = r => {
+      const v = r.metrics[metric];
+      return typeof v === 'number' && !Number.isNaN(v) ? v : null;
+    };
+    return results.slice().sort((a, b) => {
+      const x = score(a), y = score(b);
+      if (x === null || y === null) return (x === null) - (y === null);
+      return info.better === 'lower' ? x - y : y - x;
+    });
+  }
+
+  // sweep: { mode: 'grid'|'random', space, samples, seed, metric }
+  function sweepPoints(sweep) {
+    return sweep.mode === 'random'
+      ? randomPoints(sweep.space, sweep.samples, sweep.seed ?? 1)
+      : gridPoints(sweep.space);
+  }
+
+  /* Runs one backtest per sweep point. base: the runBacktest opts shared by every run.
+     onProgress(done, total) is called after each run. */
+  function runSweep(candles, base, sweep, onProgress) {
+    const points = sweepPoints(sweep);
+    const results = [];
+    let skipped = 0;
+    points.forEach((point, i) => {
+      const { params, error } = validateStrategyParams(base.strategy, Object.assign({}, base.params, point), base.rules);
+      if (error) {
+        skipped++; // e.g. smaShort >= smaLong
+      } else {
+        const { metrics: m } = runBacktest(candles, Object.assign({}, base, { params }));
+        results.push({ point, params, metrics: m });
+      }
+      if (onProgress) onProgress(i + 1, points.length);
+    });
+    return { metric: sweep.metric, total: points.length, skipped, results: rankResults(results, sweep.metric) };
+  }
+
+  /* Walk-forward: the history is cut into rolling windows of wf.inSample bars, each followed
+     by wf.outOfSample bars. Every in-sample window is re-optimised with runSweep and the winner
+     trades the out-of-sample bars after it (with the in-sample bars as indicator warm-up).
+     Out-of-sample segments are chained — each starts from the previous one's ending equity and
+     any open position is closed at a segment's end — into one equity curve and trade list.
+     A window with no valid sweep result stays flat.
+     wf: { inSample, outOfSample, sweep } */
+  function runWalkForward(candles, base, wf, onProgress) {
+    const inSample = Math.floor(wf.inSample);
+    const outOfSample = Math.floor(wf.outOfSample);
+    if (!(inSample >= 2) || !(outOfSample >= 1)) {
+      throw new Error('Walk-forward needs inSample >= 2 and outOfSample >= 1 bars');
+    }
+    const windowCount = Math.ceil((candles.length - inSample) / outOfSample);
+    if (!(windowCount >= 1)) throw new Error('Not enough candles for one in-sample + out-of-sample window');
+    const runsPerWindow = sweepPoints(wf.sweep).length;
+
+    let capital = base.initialCapital;
+    const windows = [];
+    const trades = [];
+    const roundTrips = [];
+    const equity = [];
+
+    for (let w = 0; w < windowCount; w++) {
+      const isStart = w * outOfSample;
+      const oosStart = isStart + inSample;
+      const oosEnd = Math.min(candles.length, oosStart + outOfSample);
+      const sweep = runSweep(candles.slice(isStart, oosStart), Object.assign({}, base, { initialCapital: capital }), wf.sweep,
+        onProgress ? (done) => onProgress(w * runsPerWindow + done, windowCount * runsPerWindow) : null);
+      const best = sweep.results[0];
+      const window = {
+        inSampleStart: candles[isStart].time,
+        inSampleEnd: candles[oosStart - 1].time,
+        outOfSampleStart: candles[oosStart].time,
+        outOfSampleEnd: candles[oosEnd - 1].time,
+        params: best ? best.params : null,
+        inSampleMetrics: best ? best.metrics : null,
+        outOfSampleMetrics: null
+      };
+
+      if (best) {
+        const run = runBacktest(candles.slice(isStart, oosEnd),
+          Object.assign({}, base, { params: best.params, initialCapital: capital, startIndex: inSample }));
+        trades.push(...run.trades);
+        roundTrips.push(...run.roundTrips);
+        equity.push(...run.equity);
+        window.outOfSampleMetrics = run.metrics;
+        capital = run.metrics.finalEquity;
+      } else {
+        for (let i = oosStart; i < oosEnd; i++) equity.push({ time: candles[i].time, equity: capital });
+      }
+      windows.push(window);
+    }
+
+    const result = Object.assign(computeMetrics({ equity, roundTrips, initialCapital: base.initialCapital }), {
+      trades: trades.length,
+      startTime: equity[0].time,
+      endTime: equity[equity.length - 1].time
+    });
+    return { metric: wf.sweep.metric, windows, metrics: result, trades, equity, roundTrips };
+  }
+
+  return { MAX_SWEEP_RUNS, axisValues, gridPoints, randomPoints, sweepPoints, rankResults, runSweep, runWalkForward };
+});
@@ -0,0 +1,29 @@
+// optimizer-worker.js — runs parameter sweeps and walk-forward analyses off the UI thread.
+// In:  { candles, base, sweep }            (see JarnoxOptimize.runSweep)
+//   or { candles, base, walkForward }      (see JarnoxOptimize.runWalkForward)
+// Out: { type: 'progress', done, total } … then { type: 'done', result } or { type: 'error', error }
+// The page cancels a sweep by terminating the worker.
+
+importScripts('indicator.js', 'metrics.js', 'costs.js', 'sizing.js', 'rules.js', 'backtest.js', 'optimize.js');
+
+const PROGRESS_INTERVAL_MS = 100;
+
+self.onmessage = (e) => {
+  const { candles, base, sweep, walkForward } = e.data;
+  let lastProgress = 0;
+  const onProgress = (done, total) => {
+    const now = Date.now();
+    if (done === total || now - lastProgress >= PROGRESS_INTERVAL_MS) {
+      lastProgress = now;
+      self.postMessage({ type: 'progress', done, total });
+    }
+  };
+  try {
+    const result = walkForward
+      ? self.JarnoxOptimize.runWalkForward(candles, base, walkForward, onProgress)
+      : self.JarnoxOptimize.runSweep(candles, base, sweep, onProgress);
+    self.postMessage({ type: 'done', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: err.message });
+  }
+};
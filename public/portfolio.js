@@ -0,0 +1,247 @@
+// portfolio.js — basket backtests: one strategy run over several symbols on shared capital.
+// Each symbol gets its own backtest.js engine, all drawing on one cash account, stepped bar by
+// bar on the union of the symbols' timestamps (basket order within a timestamp). Shared by the
+// server (/backtest with symbols) and the backtest modal. Loaded after backtest.js as a <script>
+// (window.JarnoxPortfolio), or via require() in Node.
+//
+// Allocation: a new position is sized at weight x portfolio equity x sizePct, capped by the
+// equity not already tied up in open positions; with maxPositions set, entries beyond that many
+// open positions are skipped. rebalanceBars > 0 resizes every open position back to that target
+// every N timestamps, when it has drifted more than REBALANCE_TOLERANCE from it. This replaces
+// sizing.js for the basket: only sizePct (the equity mode's size) applies.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./indicator.js'), require('./metrics.js'), require('./backtest.js'));
+  else root.JarnoxPortfolio = factory(root.JarnoxIndicators, root.JarnoxMetrics, root.JarnoxBacktest);
+})(typeof self !== 'undefined' ? self : this, function (indicators, metrics, backtest) {
+  'use strict';
+
+  const { resolveParams, checkParams } = indicators;
+  const { computeMetrics } = metrics;
+  const { getStrategy, createEngine } = backtest;
+
+  const MIN_PORTFOLIO_SYMBOLS = 2;
+  const MAX_PORTFOLIO_SYMBOLS = 10;
+  const REBALANCE_TOLERANCE = 0.05;
+
+  const PORTFOLIO_OPTION_SPECS = {
+    maxPositions: { label: 'Max open positions', default: 0, min: 0, max: MAX_PORTFOLIO_SYMBOLS, step: 1 },
+    rebalanceBars: { label: 'Rebalance every (bars)', default: 0, min: 0, max: 100000, step: 1 }
+  };
+
+  /* Basket settings from user input: { symbols, weights?, maxPositions?, rebalanceBars? }.
+     weights (optional) maps every symbol to a positive number; they are scaled to sum to 1,
+     and left out means equal weights. Returns { portfolio } or { error }. */
+  function validatePortfolio(input) {
+    const { symbols, weights } = input;
+    if (!Array.isArray(symbols) || symbols.length < MIN_PORTFOLIO_SYMBOLS || symbols.length > MAX_PORTFOLIO_SYMBOLS) {
+      return { error: `symbols must list ${MIN_PORTFOLIO_SYMBOLS} to ${MAX_PORTFOLIO_SYMBOLS} symbols` };
+    }
+    const list = symbols.map(s => String(s).trim().toUpperCase());
+    if (list.some(s => !s)) return { error: 'symbols must not be empty' };
+    if (new Set(list).size !== list.length) return { error: 'symbols must not repeat' };
+
+    const normalized = {};
+    if (weights === undefined || weights === null) {
+      for (const s of list) normalized[s] = 1 / list.length;
+    } else {
+      if (typeof weights !== 'object' || Array.isArray(weights)) return { error: 'weights must map symbols to numbers' };
+      const upper = {};
+      for (const [s, w] of Object.entries(weights)) upper[s.toUpperCase()] = w;
+      const unknown = Object.keys(upper).find(s => !list.includes(s));
+      if (unknown) return { error: `weights: ${unknown} is not in symbols` };
+      let total = 0;
+      for (const s of list) {
+        const w = Number(upper[s]);
+        if (!(w > 0)) return { error: `weights: ${s} needs a weight > 0` };
+        total += w;
+      }
+      for (const s of list) normalized[s] = Number(upper[s]) / total;
+    }
+
+    const numeric = {};
+    for (const name of Object.keys(PORTFOLIO_OPTION_SPECS)) {
+      if (input[name] !== undefined) numeric[name] = input[name];
+    }
+    const error = checkParams(PORTFOLIO_OPTION_SPECS, numeric);
+    if (error) return { error };
+    return { portfolio: Object.assign({ symbols: list, weights: normalized }, resolveParams(PORTFOLIO_OPTION_SPECS, numeric)) };
+  }
+
+  // Pearson correlation; null when either series is flat or too short
+  function correlation(a, b) {
+    const n = Math.min(a.length, b.length);
+    if (n < 2) return null;
+    let ma = 0, mb = 0;
+    for (let i = 0; i < n; i++) { ma += a[i]; mb += b[i]; }
+    ma /= n; mb /= n;
+    let cov = 0, va = 0, vb = 0;
+    for (let i = 0; i < n; i++) {
+      cov += (a[i] - ma) * (b[i] - mb);
+      va += (a[i] - ma) ** 2;
+      vb += (b[i] - mb) ** 2;
+    }
+    return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : null;
+  }
+
+  function correlationMatrix(series) {
+    return series.map((a, i) => series.map((b, j) => (i === j ? 1 : correlation(a, b))));
+  }
+
+  /* series: [{ symbol, candles }] in basket order.
+     opts: runBacktest's options (strategy, rules, params, initialCapital, sizePct, costs, exit
+           options) plus { weights, maxPositions, rebalanceBars } as from validatePortfolio.
+     Returns runBacktest's { params, metrics, trades, equity, roundTrips, intrabar } for the whole basket
+     (roundTrips carry their symbol) plus portfolio: { symbols: [per-symbol contribution],
+     correlation: { symbols, assets, strategies }, maxPositions, rebalanceBars }.
+     Correlations use bars where every symbol traded: assets on close-to-close returns,
+     strategies on each symbol's P&L change as a fraction of portfolio equity. */
+  function runPortfolioBacktest(series, opts) {
+    const { initialCapital } = opts;
+    const definition = getStrategy(opts.strategy, opts.rules);
+    const params = resolveParams(definition.params, opts.params);
+    const fixed = definition.options ? definition.options(params) : {};
+    const sizePct = fixed.sizePct ?? opts.sizePct ?? 1;
+    const maxPositions = opts.maxPositions || 0;
+    const rebalanceBars = opts.rebalanceBars || 0;
+    const weights = opts.weights || Object.fromEntries(series.map(s => [s.symbol, 1 / series.length]));
+    const account = { cash: initialCapital };
+
+    const legs = series.map(({ symbol, candles }) => {
+      const leg = {
+        symbol, candles, weight: weights[symbol], next: 0, pending: null,
+        refPrice: NaN, // last close before the timestamp being stepped
+        lastPnl: 0, assetReturns: [], strategyReturns: []
+      };
+      leg.engine = createEngine(Object.assign({}, opts, fixed, { symbol, sizePct, account, budget: () => entryBudget(leg) }));
+      leg.signals = definition.session ? null : definition.signals(candles, params);
+      leg.session = definition.session ? definition.session(candles, params) : null;
+      return leg;
+    });
+
+    // net and gross value of the open positions, at each symbol's price before this timestamp
+    function exposure() {
+      let net = 0, gross = 0;
+      for (const leg of legs) {
+        const p = leg.engine.position();
+        if (!p || !Number.isFinite(leg.refPrice)) continue;
+        const value = (p.side === 'long' ? 1 : -1) * p.qty * leg.refPrice;
+        net += value;
+        gross += Math.abs(value);
+      }
+      return { net, gross };
+    }
+
+    function entryBudget(leg) {
+      if (maxPositions > 0 && legs.filter(l => l.engine.position()).length >= maxPositions) return 0;
+      const { net, gross } = exposure();
+      const equityNow = account.cash + net;
+      return Math.max(0, Math.min(leg.weight * equityNow * sizePct, equityNow - gross));
+    }
+
+    function rebalance(time) {
+      const equityNow = account.cash + legs.reduce((a, l) => a + l.engine.markValue, 0);
+      let free = equityNow - legs.reduce((a, l) => a + Math.abs(l.engine.markValue), 0);
+      for (const leg of legs) {
+        const p = leg.engine.position();
+        if (!p) continue;
+        const price = leg.candles[leg.next - 1].close;
+        const current = p.qty * price;
+        const target = leg.weight * equityNow * sizePct;
+        if (Math.abs(current - target) <= REBALANCE_TOLERANCE * target) continue;
+        const value = Math.min(target, current + Math.max(0, free));
+        free -= value - current;
+        leg.engine.rebalance(value, price, time);
+      }
+    }
+
+    const times = [...new Set(series.flatMap(s => s.candles.map(c => c.time)))].sort((a, b) => a - b);
+    const equity = [];
+    let prevEquity = initialCapital;
+    times.forEach((time, n) => {
+      let stepped = 0;
+      for (const leg of legs) {
+        const bar = leg.candles[leg.next];
+        if (!bar || bar.time !== time) continue;
+        leg.engine.step(bar, leg.pending, true);
+        leg.pending = leg.session ? leg.session(bar, leg.engine) : leg.signals[leg.next];
+        leg.next++;
+        stepped++;
+      }
+      if (rebalanceBars > 0 && (n + 1) % rebalanceBars === 0) rebalance(time);
+
+      const value = account.cash + legs.reduce((a, l) => a + l.engine.markValue, 0);
+      equity.push({ time, equity: value });
+      const aligned = stepped === legs.length;
+      for (const leg of legs) {
+        const close = leg.candles[leg.next - 1] ? leg.candles[leg.next - 1].close : NaN;
+        const pnl = leg.engine.pnl;
+        if (aligned && Number.isFinite(leg.refPrice) && leg.refPrice > 0) {
+          leg.assetReturns.push(close / leg.refPrice - 1);
+          leg.strategyReturns.push(prevEquity > 0 ? (pnl - leg.lastPnl) / prevEquity : 0);
+        }
+        leg.lastPnl = pnl;
+        leg.refPrice = close;
+      }
+      prevEquity = value;
+    });
+
+    for (const leg of legs) leg.engine.finish();
+    if (equity.length) equity[equity.length - 1] = { time: equity[equity.length - 1].time, equity: account.cash };
+
+    // stable sort keeps basket order within a timestamp
+    const trades = legs.flatMap(l => l.engine.trades).sort((a, b) => a.ts - b.ts);
+    const roundTrips = legs.flatMap(l => l.engine.roundTrips.map(t => Object.assign({ symbol: l.symbol }, t))).sort((a, b) => a.ts - b.ts);
+    // timestamps with at least one position open: the legs' round trips overlap in time
+    const held = new Set();
+    for (const leg of legs) {
+      const index = new Map(leg.candles.map((c, k) => [c.time, k]));
+      for (const t of leg.engine.roundTrips) {
+        const from = index.get(t.entryTime);
+        for (let k = from; k < from + t.bars; k++) held.add(leg.candles[k].time);
+      }
+    }
+    const result = Object.assign(computeMetrics({ equity, roundTrips, initialCapital, barsInMarket: held.size }), {
+      trades: trades.length,
+      startTime: equity.length ? equity[0].time : null,
+      endTime: equity.length ? equity[equity.length - 1].time : null
+    });
+
+    const symbols = legs.map(leg => {
+      const trips = leg.engine.roundTrips;
+      const pnl = leg.engine.pnl;
+      return {
+        symbol: leg.symbol,
+        weight: leg.weight,
+        bars: leg.candles.length,
+        roundTrips: trips.length,
+        winRatePct: trips.length ? (trips.filter(t => t.pnl > 0).length / trips.length) * 100 : 0,
+        pnl,
+        // percentage points of the basket's total return
+        contributionPct: (pnl / initialCapital) * 100,
+        exposurePct: times.length ? (trips.reduce((a, t) => a + t.bars, 0) / times.length) * 100 : 0
+      };
+    });
+
+    const intrabar = {
+      ambiguous: legs.reduce((a, l) => a + l.engine.intrabar.ambiguous, 0),
+      resolved: legs.reduce((a, l) => a + l.engine.intrabar.resolved, 0)
+    };
+
+    return {
+      params, metrics: result, trades, equity, roundTrips, intrabar,
+      portfolio: {
+        symbols,
+        correlation: {
+          symbols: legs.map(l => l.symbol),
+          assets: correlationMatrix(legs.map(l => l.assetReturns)),
+          strategies: correlationMatrix(legs.map(l => l.strategyReturns))
+        },
+        maxPositions,
+        rebalanceBars
+      }
+    };
+  }
+
+  return { MIN_PORTFOLIO_SYMBOLS, MAX_PORTFOLIO_SYMBOLS, PORTFOLIO_OPTION_SPECS, validatePortfolio, runPortfolioBacktest };
+});
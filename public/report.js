@@ -0,0 +1,190 @@
+// report.js — backtest results as files for people who don't run the app: a standalone HTML
+// report (equity curve, drawdown, metrics, settings and the trade list) and CSV of the fills and
+// the equity curve. The HTML is one file with its charts drawn as inline SVG — no scripts, no
+// CDN — so it opens offline and prints. Takes the same inputs as compare.js (a saved run from
+// GET /backtests/:id or a /backtest response). Shared by the backtest modal and
+// test_backtest.js --html / --csv. Loaded after metrics.js and compare.js as a <script>
+// (window.JarnoxReport), or via require() in Node.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./metrics.js'), require('./compare.js'));
+  else root.JarnoxReport = factory(root.JarnoxMetrics, root.JarnoxCompare);
+})(typeof self !== 'undefined' ? self : this, function (metrics, compare) {
+  'use strict';
+
+  const { describeMetrics } = metrics;
+  const { normalizeRun, diffParams } = compare;
+
+  const MAX_CHART_POINTS = 2000; // longer curves are thinned (keeping each stretch's low and high)
+  const CHART_WIDTH = 960;
+  const CHART_HEIGHT = 240;
+  const CHART_PAD = { left: 80, right: 16, top: 12, bottom: 28 };
+
+  const isoTime = ts => new Date(ts * 1000).toISOString().replace('.000Z', 'Z');
+
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // RFC 4180: quoted when it holds a comma, quote or line break
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // header: column names; rows: arrays of cells in the same order
+  function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // One row per fill: entries carry the entry price, exits the exit price and the trade's P&L
+  function tradesCsv(input) {
+    const rows = (input.trades || []).map(t => {
+      const isEntry = t.entry_price != null;
+      return [isoTime(t.ts), t.ts, t.symbol, t.side, isEntry ? 'entry' : 'exit', isEntry ? t.entry_price : t.exit_price, t.qty, t.pnl, t.note];
+    });
+    return toCsv(['time', 'ts', 'symbol', 'side', 'type', 'price', 'qty', 'pnl', 'note'], rows);
+  }
+
+  // [{ time, pct }]: how far each point is below the highest equity so far (0 or negative)
+  function drawdownSeries(equity) {
+    let peak = -Infinity;
+    return equity.map(p => {
+      peak = Math.max(peak, p.equity);
+      return { time: p.time, pct: peak > 0 ? (p.equity / peak - 1) * 100 : 0 };
+    });
+  }
+
+  function equityCsv(input) {
+    const equity = Array.isArray(input.equity) ? input.equity : [];
+    const drawdown = drawdownSeries(equity);
+    const rows = equity.map((p, i) => [isoTime(p.time), p.time, p.equity, drawdown[i].pct]);
+    return toCsv(['time', 'ts', 'equity', 'drawdown_pct'], rows);
+  }
+
+  // at most MAX_CHART_POINTS points, each bucket kept as its lowest and highest value in time order
+  function thin(points) {
+    if (points.length <= MAX_CHART_POINTS) return points;
+    const size = Math.ceil(points.length / (MAX_CHART_POINTS / 2));
+    const out = [];
+    for (let i = 0; i < points.length; i += size) {
+      const bucket = points.slice(i, i + size);
+      let lo = bucket[0], hi = bucket[0];
+      for (const p of bucket) {
+        if (p.value < lo.value) lo = p;
+        if (p.value > hi.value) hi = p;
+      }
+      if (lo === hi) out.push(lo);
+      else out.push(...(lo.time < hi.time ? [lo, hi] : [hi, lo]));
+    }
+    return out;
+  }
+
+  /* points: [{ time, value }] -> an <svg> line chart with the value range on the left and the
+     first / last date underneath; fill shades the area down to (or up to) zero */
+  function svgChart(points, { color, fill, format }) {
+    const { left, right, top, bottom } = CHART_PAD;
+    const w = CHART_WIDTH - left - right;
+    const h = CHART_HEIGHT - top - bottom;
+    const open = `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="100%" role="img">`;
+    if (points.length < 2) return `${open}<text x="${CHART_WIDTH / 2}" y="${CHART_HEIGHT / 2}" text-anchor="middle" class="muted">No data</text></svg>`;
+
+    const shown = thin(points);
+    const t0 = shown[0].time, t1 = shown[shown.length - 1].time;
+    let lo = Math.min(...shown.map(p => p.value)), hi = Math.max(...shown.map(p => p.value));
+    if (fill) { lo = Math.min(lo, 0); hi = Math.max(hi, 0); }
+    if (hi === lo) { hi += 1; lo -= 1; }
+    const x = t => left + (t1 > t0 ? ((t - t0) / (t1 - t0)) * w : 0);
+    const y = v => top + ((hi - v) / (hi - lo)) * h;
+    const path = shown.map((p, i) => `${i ? 'L' : 'M'}${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join('');
+
+    const ticks = [hi, (hi + lo) / 2, lo].map(v =>
+      `<line x1="${left}" x2="${left + w}" y1="${y(v).toFixed(1)}" y2="${y(v).toFixed(1)}" class="grid"/>`
+      + `<text x="${left - 6}" y="${(y(v) + 4).toFixed(1)}" text-anchor="end">${escapeHtml(format(v))}</text>`).join('');
+    const dates = `<text x="${left}" y="${CHART_HEIGHT - 8}">${isoTime(t0).slice(0, 16).replace('T', ' ')}</text>`
+      + `<text x="${left + w}" y="${CHART_HEIGHT - 8}" text-anchor="end">${isoTime(t1).slice(0, 16).replace('T', ' ')}</text>`;
+    const area = fill
+      ? `<path d="${path}L${x(t1).toFixed(1)},${y(0).toFixed(1)}L${x(t0).toFixed(1)},${y(0).toFixed(1)}Z" fill="${fill}" stroke="none"/>`
+      : '';
+    return `${open}${ticks}${dates}${area}<path d="${path}" fill="none" stroke="${color}" stroke-width="1.5"/></svg>`;
+  }
+
+  const money = v => `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+  const pct = v => `${v.toFixed(1)}%`;
+  const number = v => (v === null || v === undefined ? '' : String(Math.round(v * 1e8) / 1e8));
+
+  const REPORT_CSS = `
+    body { font: 14px/1.45 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1d2733; margin: 24px auto; max-width: 1000px; padding: 0 16px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 24px 0 8px; }
+    .muted, .sub { color: #6b7785; }
+    svg text { font-size: 11px; fill: #6b7785; }
+    svg .grid { stroke: #e3e8ee; }
+    .cols { display: flex; gap: 24px; flex-wrap: wrap; }
+    .cols > section { flex: 1 1 420px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { padding: 3px 8px; border-bottom: 1px solid #e3e8ee; text-align: right; white-space: nowrap; }
+    th:first-child, td:first-child, td.text { text-align: left; }
+    td.wrap { white-space: normal; word-break: break-all; text-align: left; }
+    .pos { color: #1e8e3e; } .neg { color: #c62828; }
+  `;
+
+  /* The whole report as one HTML document. input: a saved run or /backtest response;
+     opts: { title, generatedAt (Date) } */
+  function reportHtml(input, opts = {}) {
+    const run = normalizeRun(input);
+    const title = opts.title || `${run.name || 'Backtest'} — ${run.symbols.join(', ')} ${run.interval}`.trim();
+    const generatedAt = opts.generatedAt || new Date();
+    const trades = input.trades || [];
+
+    const metricRows = describeMetrics(run.metrics)
+      .map(row => `<tr><td>${escapeHtml(row.label)}</td><td>${escapeHtml(row.text)}</td></tr>`).join('');
+    const settingRows = diffParams([run])
+      .map(row => `<tr><td>${escapeHtml(row.name)}</td><td class="wrap">${escapeHtml(row.values[0])}</td></tr>`).join('');
+    const tradeRows = trades.map(t => {
+      const isEntry = t.entry_price != null;
+      const pnlClass = t.pnl > 0 ? 'pos' : t.pnl < 0 ? 'neg' : '';
+      return `<tr><td>${isoTime(t.ts).slice(0, 19).replace('T', ' ')}</td><td class="text">${escapeHtml(t.symbol || '')}</td>`
+        + `<td class="text">${isEntry ? 'entry' : 'exit'} ${escapeHtml(t.side)}</td><td>${number(isEntry ? t.entry_price : t.exit_price)}</td>`
+        + `<td>${number(t.qty)}</td><td class="${pnlClass}">${t.pnl != null ? t.pnl.toFixed(2) : ''}</td><td class="text">${escapeHtml(t.note || '')}</td></tr>`;
+    }).join('');
+
+    const equityChart = svgChart(run.equity.map(p => ({ time: p.time, value: p.equity })), { color: '#2f6fdb', format: money });
+    const drawdownChart = svgChart(drawdownSeries(run.equity).map(p => ({ time: p.time, value: p.pct })), { color: '#c62828', fill: 'rgba(198,40,40,0.15)', format: pct });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="sub">${run.id != null ? `Run #${escapeHtml(run.id)} · ` : ''}Generated ${escapeHtml(generatedAt.toISOString().slice(0, 16).replace('T', ' '))} UTC</div>
+<section><h2>Equity</h2>${equityChart}</section>
+<section><h2>Drawdown</h2>${drawdownChart}</section>
+<div class="cols">
+<section><h2>Metrics</h2><table>${metricRows}</table></section>
+<section><h2>Settings</h2><table>${settingRows}</table></section>
+</div>
+<section><h2>Trades (${trades.length} fills)</h2>
+<table><tr><th>Time (UTC)</th><th>Symbol</th><th>Fill</th><th>Price</th><th>Qty</th><th>P&amp;L</th><th>Note</th></tr>${tradeRows}</table>
+</section>
+</body>
+</html>
+`;
+  }
+
+  // "backtest_BTCUSDT_1h_run12" (+ '.html', '_trades.csv', '_equity.csv'); unsaved runs get a timestamp
+  function reportBaseName(input, now = new Date()) {
+    const run = normalizeRun(input);
+    const market = `${run.symbols.join('-') || 'run'}${run.interval ? `_${run.interval}` : ''}`;
+    const suffix = run.id != null ? `run${run.id}` : now.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    return `backtest_${market}_${suffix}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+  }
+
+  return { toCsv, tradesCsv, equityCsv, drawdownSeries, reportHtml, reportBaseName };
+});
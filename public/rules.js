@@ -0,0 +1,390 @@
+// rules.js — declarative (JSON) strategy definitions for the backtest engine.
+// A definition names some indicator series, then builds entry/exit conditions from them with
+// comparisons, crossovers and all/any/not. It can declare its own tunable params (optimizer-
+// ready), position size and stop rules. Validated and compiled here so the backtest modal,
+// the optimizer worker and the server's /backtest read definitions identically.
+// Loaded as a <script> (window.JarnoxRules) after indicator.js, or via require() in Node.
+//
+// {
+//   "name": "EMA cross + RSI filter",
+//   "params": { "fast": { "label": "Fast EMA", "default": 9, "min": 2, "max": 200, "step": 1 } },
+//   "indicators": {
+//     "fastEma": { "type": "ema", "period": "$fast" },
+//     "slowEma": { "type": "ema", "period": 21 },
+//     "rsi": { "type": "rsi", "period": 14 },
+//     "bb": { "type": "bollinger", "length": 20 }
+//   },
+//   "entry": { "long": { "all": [{ "crossAbove": ["fastEma", "slowEma"] }, { "lt": ["rsi", 70] }] } },
+//   "exit": { "long": { "any": [{ "crossBelow": ["fastEma", "slowEma"] }, { "gt": ["close", "bb.upper"] }] } },
+//   "sizing": { "pct": 0.5 },
+//   "stops": { "stopLossPct": 2, "takeProfitAtr": 3, "trailAtr": 2.5, "maxBars": 100 }
+// }
+//
+// Operands: a number, "$param", a price field (open/high/low/close/volume/hl2), an indicator
+// name or "name.output" for multi-output indicators; append "[n]" for the value n bars ago.
+// Conditions: { all: [...] }, { any: [...] }, { not: cond }, or one comparison
+// { gt|gte|lt|lte|crossAbove|crossBelow: [left, right] }. Any operand that is not a finite
+// number on a bar (e.g. still warming up) makes that comparison false.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./indicator.js'));
+  else root.JarnoxRules = factory(root.JarnoxIndicators);
+})(typeof self !== 'undefined' ? self : this, function (indicators) {
+  'use strict';
+
+  const { smaArray, emaArray, rsiArray, atrArray, computeADX, INDICATORS, resolveParams } = indicators;
+
+  const MAX_CONDITION_DEPTH = 12;
+  const MAX_CONDITION_NODES = 200;
+  const MAX_RULE_INDICATORS = 20;
+
+  const PRICE_FIELDS = {
+    open: c => c.open,
+    high: c => c.high,
+    low: c => c.low,
+    close: c => c.close,
+    volume: c => c.volume,
+    hl2: c => (c.high + c.low) / 2
+  };
+
+  const DEFINITION_KEYS = ['name', 'params', 'indicators', 'entry', 'exit', 'sizing', 'stops'];
+  const COMPARISONS = ['gt', 'gte', 'lt', 'lte', 'crossAbove', 'crossBelow'];
+
+  // allowed ranges of the stop rules; pct/ATR distances are measured from the signal bar's close
+  const STOP_SPECS = {
+    stopLossPct: { min: 0.01, max: 100 },
+    takeProfitPct: { min: 0.01, max: 1000 },
+    stopLossAtr: { min: 0.01, max: 50 },
+    takeProfitAtr: { min: 0.01, max: 50 },
+    atrPeriod: { min: 1, max: 500 },
+    trailAtr: { min: 0.01, max: 50 },
+    maxBars: { min: 1, max: 100000 }
+  };
+
+  const periodSpec = { label: 'Period', default: 14, min: 1, max: 1000, step: 1 };
+
+  // NaN for the first `bars` values so seeded averages don't trade on a half-filled window
+  const mask = (values, bars) => values.map((v, i) => (i < bars ? NaN : v));
+
+  /* Single-series indicators for rules, on top of the chart's INDICATORS registry (which
+     they can also use by id). Each returns { value }; warmup(p) is bars before it is valid. */
+  const RULE_SERIES = {
+    sma: {
+      params: { period: periodSpec },
+      source: true,
+      warmup: p => p.period,
+      compute: (candles, p, src) => ({ value: smaArray(src, p.period) })
+    },
+    ema: {
+      params: { period: periodSpec },
+      source: true,
+      warmup: p => p.period,
+      compute: (candles, p, src) => ({ value: mask(emaArray(src, p.period), p.period - 1) })
+    },
+    rsi: {
+      params: { period: periodSpec },
+      source: true,
+      warmup: p => p.period + 1,
+      compute: (candles, p, src) => ({ value: rsiArray(src, p.period) })
+    },
+    atr: {
+      params: { period: periodSpec },
+      warmup: p => p.period,
+      compute: (candles, p) => ({ value: mask(atrArray(candles, p.period), p.period - 1) })
+    },
+    adx: {
+      params: { period: periodSpec },
+      warmup: p => 2 * p.period,
+      compute: (candles, p) => ({ value: computeADX(candles, p.period) })
+    }
+  };
+
+  function isPlainObject(v) {
+    return typeof v === 'object' && v !== null && !Array.isArray(v);
+  }
+
+  // definitions are user JSON: "constructor" or "toString" must not resolve to inherited members
+  const own = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+  // the spec set, output keys and warmup of an indicator type, or null when unknown
+  function seriesType(type) {
+    if (own(RULE_SERIES, type)) {
+      const t = RULE_SERIES[type];
+      return { params: t.params, outputs: ['value'], source: !!t.source, warmup: t.warmup, compute: t.compute };
+    }
+    if (!own(INDICATORS, type)) return null;
+    const def = INDICATORS[type];
+    return {
+      params: def.params,
+      outputs: def.outputs.map(o => o.key),
+      source: false,
+      // registry indicators don't declare a warm-up; summing their lengths over-counts safely
+      warmup: p => Object.values(p).reduce((a, v) => a + v, 0),
+      compute: (candles, p) => def.compute(candles, p)
+    };
+  }
+
+  // "$name" -> params.name; numbers pass through
+  function numberOf(value, params) {
+    return typeof value === 'string' && value[0] === '$' ? params[value.slice(1)] : value;
+  }
+
+  const OPERAND_RE = /^([A-Za-z_$][\w$]*)(?:\.(\w+))?(?:\[(\d+)\])?$/;
+
+  function parseOperand(operand) {
+    const m = OPERAND_RE.exec(operand);
+    return m ? { name: m[1], output: m[2] || null, ago: m[3] ? Number(m[3]) : 0 } : null;
+  }
+
+  /* ---------- Validation ----------
+     validateRules(def) returns null or the first problem as a message with its path, e.g.
+     'entry.long.all[1].lt[0]: unknown operand "rsi2"'. */
+  function validateRules(def) {
+    if (!isPlainObject(def)) return 'strategy definition must be an object';
+    const unknown = Object.keys(def).find(k => !DEFINITION_KEYS.includes(k));
+    if (unknown) return `unknown key ${unknown} (${DEFINITION_KEYS.join(', ')})`;
+    if (def.name !== undefined && (typeof def.name !== 'string' || def.name.length > 64)) {
+      return 'name must be a string of at most 64 characters';
+    }
+
+    const params = def.params === undefined ? {} : def.params;
+    if (!isPlainObject(params)) return 'params must be an object';
+    for (const [name, spec] of Object.entries(params)) {
+      if (!/^\w+$/.test(name)) return `params.${name}: names may only use letters, digits and _`;
+      if (!isPlainObject(spec) || !['default', 'min', 'max', 'step'].every(k => Number.isFinite(spec[k]))) {
+        return `params.${name} needs numeric default, min, max and step`;
+      }
+      if (spec.min > spec.max || spec.default < spec.min || spec.default > spec.max || !(spec.step > 0)) {
+        return `params.${name} needs min <= default <= max and step > 0`;
+      }
+    }
+
+    // a literal number, or a "$param" (checked against the param's whole range)
+    const checkNumber = (path, value, min, max) => {
+      if (typeof value === 'string' && value[0] === '$') {
+        if (!own(params, value.slice(1))) return `${path}: unknown param ${value}`;
+        const spec = params[value.slice(1)];
+        return spec.min >= min && spec.max <= max ? null : `${path}: param ${value} must stay between ${min} and ${max}`;
+      }
+      return Number.isFinite(value) && value >= min && value <= max ? null : `${path} must be a number between ${min} and ${max}`;
+    };
+
+    const series = def.indicators === undefined ? {} : def.indicators;
+    if (!isPlainObject(series)) return 'indicators must be an object';
+    if (Object.keys(series).length > MAX_RULE_INDICATORS) return `at most ${MAX_RULE_INDICATORS} indicators`;
+    for (const [name, ind] of Object.entries(series)) {
+      const path = `indicators.${name}`;
+      if (!/^[A-Za-z_]\w*$/.test(name) || own(PRICE_FIELDS, name)) return `${path}: invalid or reserved name`;
+      if (!isPlainObject(ind)) return `${path} must be an object`;
+      const type = seriesType(ind.type);
+      if (!type) return `${path}: unknown type ${JSON.stringify(ind.type)}`;
+      for (const [key, value] of Object.entries(ind)) {
+        if (key === 'type') continue;
+        if (key === 'source') {
+          if (!type.source || !own(PRICE_FIELDS, value)) return `${path}.source must be one of ${Object.keys(PRICE_FIELDS).join(', ')}`;
+          continue;
+        }
+        if (!own(type.params, key)) return `${path}: unknown param ${key} for ${ind.type}`;
+        const spec = type.params[key];
+        const error = checkNumber(`${path}.${key}`, value, spec.min, spec.max);
+        if (error) return error;
+      }
+    }
+
+    const checkOperand = (path, operand) => {
+      if (typeof operand === 'number') return Number.isFinite(operand) ? null : `${path} must be finite`;
+      if (typeof operand !== 'string') return `${path} must be a number or a string`;
+      if (operand[0] === '$') return own(params, operand.slice(1)) ? null : `${path}: unknown param ${operand}`;
+      const ref = parseOperand(operand);
+      if (!ref) return `${path}: cannot read operand ${JSON.stringify(operand)}`;
+      if (own(PRICE_FIELDS, ref.name)) return ref.output ? `${path}: ${ref.name} has no outputs` : null;
+      if (!own(series, ref.name)) return `${path}: unknown operand ${JSON.stringify(operand)}`;
+      const outputs = seriesType(series[ref.name].type).outputs;
+      if (ref.output ? !outputs.includes(ref.output) : outputs.length > 1) {
+        return `${path}: ${ref.name} outputs ${outputs.join(', ')} — use ${ref.name}.<output>`;
+      }
+      return null;
+    };
+
+    let nodes = 0;
+    const checkCondition = (path, cond, depth) => {
+      if (++nodes > MAX_CONDITION_NODES) return `conditions may have at most ${MAX_CONDITION_NODES} nodes`;
+      if (depth > MAX_CONDITION_DEPTH) return `${path}: conditions nest at most ${MAX_CONDITION_DEPTH} deep`;
+      if (!isPlainObject(cond) || Object.keys(cond).length !== 1) {
+        return `${path} must be an object with exactly one key (all, any, not, ${COMPARISONS.join(', ')})`;
+      }
+      const [key, value] = Object.entries(cond)[0];
+      if (key === 'all' || key === 'any') {
+        if (!Array.isArray(value) || !value.length) return `${path}.${key} must be a non-empty array`;
+        for (let i = 0; i < value.length; i++) {
+          const error = checkCondition(`${path}.${key}[${i}]`, value[i], depth + 1);
+          if (error) return error;
+        }
+        return null;
+      }
+      if (key === 'not') return checkCondition(`${path}.not`, value, depth + 1);
+      if (!COMPARISONS.includes(key)) return `${path}: unknown condition ${key}`;
+      if (!Array.isArray(value) || value.length !== 2) return `${path}.${key} must be [left, right]`;
+      return checkOperand(`${path}.${key}[0]`, value[0]) || checkOperand(`${path}.${key}[1]`, value[1]);
+    };
+
+    let anyEntry = false;
+    for (const part of ['entry', 'exit']) {
+      const sides = def[part] === undefined ? {} : def[part];
+      if (!isPlainObject(sides)) return `${part} must be an object`;
+      for (const [side, cond] of Object.entries(sides)) {
+        if (side !== 'long' && side !== 'short') return `${part}.${side}: sides are long and short`;
+        const error = checkCondition(`${part}.${side}`, cond, 1);
+        if (error) return error;
+        if (part === 'entry') anyEntry = true;
+      }
+    }
+    if (!anyEntry) return 'entry needs a long or short condition';
+
+    if (def.sizing !== undefined) {
+      if (!isPlainObject(def.sizing) || Object.keys(def.sizing).some(k => k !== 'pct')) return 'sizing only supports { pct }';
+      const error = checkNumber('sizing.pct', def.sizing.pct, 0.0001, 1);
+      if (error) return error;
+    }
+    if (def.stops !== undefined) {
+      if (!isPlainObject(def.stops)) return 'stops must be an object';
+      for (const [key, value] of Object.entries(def.stops)) {
+        if (!own(STOP_SPECS, key)) return `stops: unknown rule ${key} (${Object.keys(STOP_SPECS).join(', ')})`;
+        const error = checkNumber(`stops.${key}`, value, STOP_SPECS[key].min, STOP_SPECS[key].max);
+        if (error) return error;
+      }
+      if (def.stops.stopLossPct !== undefined && def.stops.stopLossAtr !== undefined) return 'stops: use stopLossPct or stopLossAtr, not both';
+      if (def.stops.takeProfitPct !== undefined && def.stops.takeProfitAtr !== undefined) return 'stops: use takeProfitPct or takeProfitAtr, not both';
+    }
+    return null;
+  }
+
+  /* ---------- Compilation ----------
+     compileRules(def) turns a valid definition into the shape backtest.js uses for its built-in
+     strategies ({ name, params, validate, warmup, signals }) plus options(params), the engine
+     settings the definition fixes (size, trailing stop, time exit). Throws on an invalid one.
+     Each bar's signal is { side: 'buy'|'sell', sl, tp } for an entry, with exitLong / exitShort
+     flags when an exit rule holds; an entry on both sides at once cancels out. */
+  function compileRules(def) {
+    const error = validateRules(def);
+    if (error) throw new Error(error);
+    const specs = def.params || {};
+    const series = def.indicators || {};
+    const stops = def.stops || {};
+
+    function resolvedSeries(p) {
+      const out = {};
+      for (const [name, ind] of Object.entries(series)) {
+        const type = seriesType(ind.type);
+        const values = {};
+        for (const key of Object.keys(type.params)) values[key] = numberOf(ind[key], p);
+        out[name] = { ind, type, params: resolveParams(type.params, values) };
+      }
+      return out;
+    }
+
+    function warmup(p) {
+      let bars = stops.atrPeriod ? numberOf(stops.atrPeriod, p) : 0;
+      for (const { type, params } of Object.values(resolvedSeries(p))) bars = Math.max(bars, type.warmup(params));
+      return bars;
+    }
+
+    function signals(candles, p) {
+      const arrays = {};
+      for (const [name, { ind, type, params }] of Object.entries(resolvedSeries(p))) {
+        const src = type.source ? candles.map(PRICE_FIELDS[ind.source || 'close']) : null;
+        arrays[name] = type.compute(candles, params, src);
+      }
+
+      // operand -> (i) => number
+      const operand = value => {
+        if (typeof value === 'number') return () => value;
+        if (value[0] === '$') { const v = p[value.slice(1)]; return () => v; }
+        const ref = parseOperand(value);
+        if (own(PRICE_FIELDS, ref.name)) {
+          const field = PRICE_FIELDS[ref.name];
+          return i => (i - ref.ago >= 0 ? field(candles[i - ref.ago]) : NaN);
+        }
+        const values = arrays[ref.name][ref.output || Object.keys(arrays[ref.name])[0]];
+        return i => (i - ref.ago >= 0 ? values[i - ref.ago] : NaN);
+      };
+
+      // condition -> (i) => boolean
+      const condition = cond => {
+        const [key, value] = Object.entries(cond)[0];
+        if (key === 'all') { const parts = value.map(condition); return i => parts.every(f => f(i)); }
+        if (key === 'any') { const parts = value.map(condition); return i => parts.some(f => f(i)); }
+        if (key === 'not') { const inner = condition(value); return i => !inner(i); }
+        const left = operand(value[0]);
+        const right = operand(value[1]);
+        const compare = {
+          gt: (a, b) => a > b,
+          gte: (a, b) => a >= b,
+          lt: (a, b) => a < b,
+          lte: (a, b) => a <= b
+        }[key];
+        if (compare) {
+          return i => {
+            const a = left(i), b = right(i);
+            return Number.isFinite(a) && Number.isFinite(b) && compare(a, b);
+          };
+        }
+        const above = key === 'crossAbove';
+        return i => {
+          if (i < 1) return false;
+          const a0 = left(i - 1), b0 = right(i - 1), a1 = left(i), b1 = right(i);
+          if (![a0, b0, a1, b1].every(Number.isFinite)) return false;
+          return above ? a0 <= b0 && a1 > b1 : a0 >= b0 && a1 < b1;
+        };
+      };
+
+      const never = () => false;
+      const rule = (part, side) => (def[part] && def[part][side] ? condition(def[part][side]) : never);
+      const entryLong = rule('entry', 'long'), entryShort = rule('entry', 'short');
+      const exitLong = rule('exit', 'long'), exitShort = rule('exit', 'short');
+
+      const stopAtr = stops.stopLossAtr !== undefined || stops.takeProfitAtr !== undefined
+        ? atrArray(candles, numberOf(stops.atrPeriod ?? 14, p))
+        : null;
+      // distance from the signal bar's close; null when the rule is absent or ATR isn't ready
+      const distance = (i, pctKey, atrKey) => {
+        if (stops[pctKey] !== undefined) return candles[i].close * numberOf(stops[pctKey], p) / 100;
+        if (stops[atrKey] !== undefined && Number.isFinite(stopAtr[i])) return stopAtr[i] * numberOf(stops[atrKey], p);
+        return null;
+      };
+
+      const out = new Array(candles.length).fill(null);
+      for (let i = 0; i < candles.length; i++) {
+        const long = entryLong(i), short = entryShort(i);
+        const signal = {};
+        if (long !== short) {
+          const dir = long ? 1 : -1;
+          const sl = distance(i, 'stopLossPct', 'stopLossAtr');
+          const tp = distance(i, 'takeProfitPct', 'takeProfitAtr');
+          signal.side = long ? 'buy' : 'sell';
+          if (sl !== null) signal.sl = candles[i].close - dir * sl;
+          if (tp !== null) signal.tp = candles[i].close + dir * tp;
+        }
+        if (exitLong(i)) signal.exitLong = true;
+        if (exitShort(i)) signal.exitShort = true;
+        if (Object.keys(signal).length) out[i] = signal;
+      }
+      return out;
+    }
+
+    function options(p) {
+      const opts = {};
+      if (def.sizing) opts.sizePct = numberOf(def.sizing.pct, p);
+      if (stops.trailAtr !== undefined) {
+        opts.trailAtrMult = numberOf(stops.trailAtr, p);
+        opts.trailAtrPeriod = numberOf(stops.atrPeriod ?? 14, p);
+      }
+      if (stops.maxBars !== undefined) opts.maxBarsInTrade = numberOf(stops.maxBars, p);
+      return opts;
+    }
+
+    return { name: def.name || 'Custom rules', params: specs, validate: () => null, warmup, signals, options };
+  }
+
+  return { RULE_SERIES, validateRules, compileRules };
+});
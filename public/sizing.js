@@ -0,0 +1,136 @@
+// sizing.js — position sizing policies: how much of the account a new position commits.
+// One set of rules for the backtest engine (backtest.js: /backtest, the modal, the optimizer,
+// plugin runs and plugin paper sessions) and the chart's paper order ticket, so "risk 1% per
+// trade" buys the same quantity in both. Loaded after indicator.js as a <script>/importScripts
+// (window.JarnoxSizing), or via require() in Node.
+//
+// Modes (sizeMode):
+//   equity  sizePct of equity (1 = all-in, the engine's long-standing behaviour)
+//   fixed   sizeNotional in quote currency per position
+//   risk    riskPct of equity lost if the stop loss is hit: qty = risk / |entry - stop|; entries
+//           without a stop use sizeAtrMult x ATR(sizeAtrPeriod) as the stop distance
+//   atr     volatility targeting: a sizeAtrMult x ATR move costs riskPct of equity
+//   kelly   kellyFraction x the Kelly fraction (W - (1 - W) / R) of the last kellyLookback closed
+//           trades; sized as equity mode until kellyMinTrades have closed, nothing at no edge
+// Every mode is capped at the equity on hand: sizing never adds leverage.
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) module.exports = factory(require('./indicator.js'));
+  else root.JarnoxSizing = factory(root.JarnoxIndicators);
+})(typeof self !== 'undefined' ? self : this, function (indicators) {
+  'use strict';
+
+  const { createAtrStream, resolveParams, checkParams } = indicators;
+
+  const SIZING_MODES = {
+    equity: '% of equity',
+    fixed: 'Fixed notional',
+    risk: 'Risk % to stop',
+    atr: 'Risk % per ATR',
+    kelly: 'Fractional Kelly'
+  };
+  const DEFAULT_SIZING_MODE = 'equity';
+
+  const SIZING_SPECS = {
+    sizePct: { label: 'Size (fraction of equity)', default: 1, min: 0.0001, max: 1, step: 0.01 },
+    sizeNotional: { label: 'Notional per trade', default: 1000, min: 0, max: 1e12, step: 1 },
+    riskPct: { label: 'Risk per trade', default: 0.01, min: 0.0001, max: 1, step: 0.001 },
+    sizeAtrPeriod: { label: 'Sizing ATR period', default: 14, min: 1, max: 500, step: 1 },
+    sizeAtrMult: { label: 'Risk distance (× ATR)', default: 2, min: 0.1, max: 50, step: 0.1 },
+    kellyFraction: { label: 'Kelly fraction', default: 0.5, min: 0.01, max: 1, step: 0.01 },
+    kellyMinTrades: { label: 'Kelly: min trades', default: 20, min: 1, max: 10000, step: 1 },
+    kellyLookback: { label: 'Kelly: lookback trades', default: 100, min: 1, max: 100000, step: 1 }
+  };
+
+  function resolveSizing(opts = {}) {
+    const mode = SIZING_MODES[opts.sizeMode] ? opts.sizeMode : DEFAULT_SIZING_MODE;
+    const input = {};
+    for (const name of Object.keys(SIZING_SPECS)) {
+      if (opts[name] !== undefined) input[name] = opts[name];
+    }
+    return Object.assign({ sizeMode: mode }, resolveParams(SIZING_SPECS, input));
+  }
+
+  /* strict counterpart for user input: { sizing } resolved, or { error, key } with the option
+     at fault as key (the error starts with it, so callers can name their own field instead) */
+  function validateSizing(opts) {
+    if (opts.sizeMode !== undefined && !SIZING_MODES[opts.sizeMode]) {
+      return { error: `sizeMode must be one of ${Object.keys(SIZING_MODES).join(', ')}`, key: 'sizeMode' };
+    }
+    for (const name of Object.keys(SIZING_SPECS)) {
+      if (opts[name] === undefined) continue;
+      const error = checkParams(SIZING_SPECS, { [name]: opts[name] });
+      if (error) return { error, key: name };
+    }
+    return { sizing: resolveSizing(opts) };
+  }
+
+  // Kelly fraction W - (1 - W) / R of closed trades' pnl; null while there is no loss or win to measure R on
+  function kellyOf(pnls) {
+    const wins = pnls.filter(p => p > 0);
+    const losses = pnls.filter(p => p < 0);
+    if (!pnls.length) return null;
+    if (!losses.length) return wins.length ? 1 : null;
+    if (!wins.length) return 0;
+    const winRate = wins.length / pnls.length;
+    const payoff = (wins.reduce((a, p) => a + p, 0) / wins.length) / (losses.reduce((a, p) => a - p, 0) / losses.length);
+    return winRate - (1 - winRate) / payoff;
+  }
+
+  /* What a new position should be worth under `sizing` (resolveSizing's shape), given
+     { equity, price, stop, atr, pnls }: stop the stop loss price or null, atr the latest
+     ATR(sizeAtrPeriod) (NaN while warming up), pnls the closed trades' P&L oldest first.
+     Returns { value } in quote currency, or { error } when the mode has nothing to size on. */
+  function positionValue(sizing, { equity, price, stop, atr, pnls }) {
+    if (!(equity > 0) || !(price > 0)) return { error: 'no equity to size on' };
+    let value;
+    if (sizing.sizeMode === 'fixed') {
+      value = sizing.sizeNotional;
+    } else if (sizing.sizeMode === 'risk' || sizing.sizeMode === 'atr') {
+      const atrDistance = Number.isFinite(atr) ? sizing.sizeAtrMult * atr : NaN;
+      const distance = sizing.sizeMode === 'risk' && Number.isFinite(stop) ? Math.abs(price - stop) : atrDistance;
+      if (!(distance > 0)) {
+        return { error: sizing.sizeMode === 'risk' ? 'no stop loss (or ATR yet) to size the risk on' : 'no ATR yet to size on' };
+      }
+      value = (equity * sizing.riskPct / distance) * price;
+    } else if (sizing.sizeMode === 'kelly') {
+      const recent = (pnls || []).slice(-sizing.kellyLookback);
+      const kelly = recent.length >= sizing.kellyMinTrades ? kellyOf(recent) : null;
+      value = equity * (kelly === null ? sizing.sizePct : sizing.kellyFraction * Math.min(1, Math.max(0, kelly)));
+    } else {
+      value = equity * sizing.sizePct;
+    }
+    return { value: Math.min(value, equity) };
+  }
+
+  /* The sizer for one position stream (one symbol): update(bar) with every closed bar keeps the
+     sizing ATR current, record(pnl) with every closed trade the Kelly history (its last
+     kellyLookback trades, kept here so a live engine can hand its round trips off);
+     size({ equity, price, stop, pnls? }) is positionValue with that ATR and, unless pnls are
+     given, that history. */
+  function createSizer(opts) {
+    const sizing = resolveSizing(opts);
+    const usesAtr = sizing.sizeMode === 'risk' || sizing.sizeMode === 'atr';
+    const atrStream = usesAtr ? createAtrStream(sizing.sizeAtrPeriod) : null;
+    const pnls = [];
+    let atr = NaN;
+
+    function update(bar) {
+      if (!atrStream) return;
+      const v = atrStream.update(bar);
+      if (Number.isFinite(v)) atr = v;
+    }
+
+    function record(pnl) {
+      if (sizing.sizeMode !== 'kelly') return;
+      pnls.push(pnl);
+      if (pnls.length > sizing.kellyLookback) pnls.shift();
+    }
+
+    const size = input => positionValue(sizing, Object.assign({ pnls }, input, { atr }));
+
+    return { sizing, update, record, size };
+  }
+
+  return { SIZING_MODES, DEFAULT_SIZING_MODE, SIZING_SPECS, resolveSizing, validateSizing, kellyOf, positionValue, createSizer };
+});
@@ -11,6 +11,17 @@ const axios = require('axios');
 const path = require('path');
 const bodyParser = require('body-parser');
 const Database = require('better-sqlite3');
+const { Worker } = require('worker_threads');
+const { createAruAlgoStream, ARU_PARAM_SPECS, resolveAruParams, checkParams } = require('./public/indicator.js');
+const { validateCosts } = require('./public/costs.js');
+const { validateSizing } = require('./public/sizing.js');
+const { STRATEGIES, RULES_STRATEGY, EXIT_OPTION_SPECS, getStrategy, validateStrategyParams, runBacktest, withIntrabarCandles } = require('./public/backtest.js');
+const { validateRules } = require('./public/rules.js');
+const { METRIC_INFO } = require('./public/metrics.js');
+const { sweepPoints } = require('./public/optimize.js');
+const { MAX_PORTFOLIO_SYMBOLS, validatePortfolio, runPortfolioBacktest } = require('./public/portfolio.js');
+const { isPluginId, listPlugins, runPluginBacktest, startPluginSession } = require('./strategy-plugins.js');
+const { findCandleGaps, createGapWalker, findRangeGaps, subtractRanges, settledRanges, iterateCandlePages, historyRange, streamCandlesJSON } = require('./candle-store.js');
 
 const app = express();
 app.use(bodyParser.json({ limit: '2mb' }));
@@ -24,9 +35,17 @@ const wss = new WebSocket.Server({ server });
 const BINANCE_REST = process.env.BINANCE_REST || 'https://api.binance.com';
 const BINANCE_WS_BASE = process.env.BINANCE_WS || 'wss://stream.binance.com:9443/ws';
 
-const MAX_CANDLES_CACHE = 2000;
+const MAX_SNAPSHOT_CANDLES = 1000;
 const MAX_SEED_CANDLES = 1000;
+const INDICATOR_WARMUP_BARS = 50;
 const MAX_HISTORY_FETCH = 1000;
+const MAX_HISTORY_RANGE_BARS = 100000;
+const HISTORY_STREAM_PAGE = 1000;
+const MAX_BACKTEST_BARS = 5000;
+const MAX_WALK_FORWARD_RUNS = 5000; // backtests per walk-forward request (windows x sweep points)
+const MAX_WALK_FORWARD_WORKERS = 2; // walk-forwards running at once, one worker thread each
+const WALK_FORWARD_TIMEOUT_MS = 180000;
+const MAX_INTRABAR_BARS = 500; // ambiguous bars per backtest replayed on 1m candles (intrabar_1m)
 const FEEDER_BASE_RETRY_MS = 5000; // Increased retry time
 const FEEDER_MAX_RETRY_MS = 60000;
 const HEARTBEAT_INTERVAL = 30000;
@@ -45,8 +64,9 @@ const axiosInst = axios.create({
 const users = new Map();
 const connections = new Map();
 const indicatorInstances = new Map();
-const currentCandles = new Map();
+const liveCandles = new Map(); // key -> latest (possibly still forming) candle
 const feeders = new Map();
+const pluginSessions = new Map(); // plugin|symbol::interval -> live paper session
 
 // ---------------- SQLite storage ----------------
 const db = new Database(path.join(__dirname, 'trades.db'));
@@ -63,7 +83,92 @@ db.prepare(`CREATE TABLE IF NOT EXISTS trades (
   note TEXT
 )`).run();
 
+db.prepare(`CREATE TABLE IF NOT EXISTS candles (
+  symbol TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  time INTEGER NOT NULL,
+  open REAL NOT NULL,
+  high REAL NOT NULL,
+  low REAL NOT NULL,
+  close REAL NOT NULL,
+  volume REAL,
+  PRIMARY KEY (symbol, interval, time)
+) WITHOUT ROWID`).run();
+
+// Bar ranges Binance was asked for and had no bars in (before a symbol's listing, exchange
+// outages), so gap backfills don't ask for them again on every /history call
+db.prepare(`CREATE TABLE IF NOT EXISTS candle_empty_ranges (
+  symbol TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  from_ts INTEGER NOT NULL,
+  to_ts INTEGER NOT NULL,
+  PRIMARY KEY (symbol, interval, from_ts)
+) WITHOUT ROWID`).run();
+
+// Named AruAlgo parameter sets per symbol/interval; the active one drives the server signal feed
+db.prepare(`CREATE TABLE IF NOT EXISTS aru_presets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  symbol TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  name TEXT NOT NULL,
+  params TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER NOT NULL,
+  UNIQUE (symbol, interval, name)
+)`).run();
+
+// User-built JSON rule strategies (public/rules.js format), by unique name
+db.prepare(`CREATE TABLE IF NOT EXISTS rule_strategies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  definition TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+)`).run();
+
+// Every backtest run (/backtest and the modal) with the full setup that produced it; config,
+// metrics and report (equity, round trips, portfolio / walk-forward / plugin log extras) are
+// JSON. symbol lists a basket run's symbols joined by ','. Fills go to backtest_trades.
+db.prepare(`CREATE TABLE IF NOT EXISTS backtest_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  source TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  interval TEXT NOT NULL,
+  strategy TEXT NOT NULL,
+  name TEXT NOT NULL,
+  config TEXT NOT NULL,
+  metrics TEXT NOT NULL,
+  report TEXT NOT NULL
+)`).run();
+
+db.prepare(`CREATE TABLE IF NOT EXISTS backtest_trades (
+  run_id INTEGER NOT NULL,
+  seq INTEGER NOT NULL,
+  ts INTEGER NOT NULL,
+  symbol TEXT NOT NULL,
+  side TEXT NOT NULL,
+  entry_price REAL,
+  exit_price REAL,
+  qty REAL,
+  pnl REAL,
+  note TEXT,
+  PRIMARY KEY (run_id, seq)
+) WITHOUT ROWID`).run();
+
 const insertTradeStmt = db.prepare('INSERT INTO trades (ts,symbol,side,entry_price,exit_price,qty,pnl,note) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+const closeTradeStmt = db.prepare('UPDATE trades SET exit_price = ?, pnl = ?, note = ? WHERE id = ?');
+const upsertCandleStmt = db.prepare('INSERT OR REPLACE INTO candles (symbol,interval,time,open,high,low,close,volume) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+const selectLatestCandlesStmt = db.prepare('SELECT time,open,high,low,close,volume FROM candles WHERE symbol = ? AND interval = ? ORDER BY time DESC LIMIT ?');
+const selectCandlesPageStmt = db.prepare('SELECT time,open,high,low,close,volume FROM candles WHERE symbol = ? AND interval = ? AND time >= ? AND time <= ? ORDER BY time LIMIT ?');
+const selectFirstCandleTimeStmt = db.prepare('SELECT MIN(time) AS time FROM candles WHERE symbol = ? AND interval = ?');
+const insertEmptyRangeStmt = db.prepare('INSERT OR REPLACE INTO candle_empty_ranges (symbol,interval,from_ts,to_ts) VALUES (?, ?, ?, ?)');
+const selectEmptyRangesStmt = db.prepare('SELECT from_ts AS "from",to_ts AS "to" FROM candle_empty_ranges WHERE symbol = ? AND interval = ? AND to_ts >= ? AND from_ts <= ? ORDER BY from_ts');
+
+const upsertCandles = db.transaction((symbol, interval, rows) => {
+  for (const c of rows) {
+    upsertCandleStmt.run(symbol, interval, c.time, c.open, c.high, c.low, c.close, c.volume ?? 0);
+  }
+});
 
 // ---------------- Utilities ----------------
 function keyFor(symbol, interval) { 
@@ -88,76 +193,444 @@ function parseCandle(input) {
   };
 }
 
-// ---------------- Simple Indicator Class ----------------
-class SimpleIndicator {
-  constructor() {
-    this.candles = [];
-    this.closes = [];
+function mapKline(k) {
+  return {
+    time: Math.floor(k[0] / 1000),
+    open: parseFloat(k[1]),
+    high: parseFloat(k[2]),
+    low: parseFloat(k[3]),
+    close: parseFloat(k[4]),
+    volume: parseFloat(k[5])
+  };
+}
+
+// Bar length in seconds; null for calendar months, which have no fixed length
+function intervalToSeconds(interval) {
+  const m = /^(\d+)([mhdw])$/.exec(String(interval));
+  if (!m) return null;
+  return Number(m[1]) * { m: 60, h: 3600, d: 86400, w: 604800 }[m[2]];
+}
+
+async function fetchKlines(symbol, interval, limit, startTime, endTime) {
+  let url = `${BINANCE_REST}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
+  if (startTime != null) url += `&startTime=${startTime * 1000}`;
+  if (endTime != null) url += `&endTime=${endTime * 1000 + 999}`;
+  const response = await axiosInst.get(url);
+  if (!response.data || !Array.isArray(response.data)) {
+    throw new Error(`Invalid response from Binance (HTTP ${response.status})`);
   }
+  return response.data.map(mapKline);
+}
 
-  _pushCandle(candle) {
-    this.candles.push(candle);
-    this.closes.push(candle.close);
-    if (this.candles.length > 1000) {
-      this.candles.shift();
-      this.closes.shift();
-    }
+// Pages forward through Binance klines covering [from, to] (unix seconds),
+// handing each page to onPage so long ranges are never held in memory at once
+async function fetchKlinesRange(symbol, interval, from, to, onPage) {
+  let cursor = from;
+  while (cursor <= to) {
+    const page = await fetchKlines(symbol, interval, MAX_HISTORY_FETCH, cursor, to);
+    if (page.length) onPage(page);
+    if (page.length < MAX_HISTORY_FETCH) break;
+    cursor = page[page.length - 1].time + 1;
   }
+}
+
+// Accepts unix seconds or milliseconds, like mapToChartTime on the client
+function parseTimeParam(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) return NaN;
+  return n > 1e12 ? Math.floor(n / 1000) : Math.floor(n);
+}
+
+// A row count: a whole number between 1 and max, or fallback when missing, zero or not a number.
+// Never negative, which SQLite would take as no LIMIT at all.
+function parseLimitParam(v, fallback, max) {
+  const n = Math.floor(Number(v));
+  return n ? Math.min(max, Math.max(1, n)) : fallback;
+}
+
+// ---------------- Candle store ----------------
+function readStoredCandles(symbol, interval, limit) {
+  return selectLatestCandlesStmt.all(symbol, interval, limit).reverse();
+}
+
+// Only bars whose close time has passed are written, so the store never holds a forming bar
+function storeClosedCandles(symbol, interval, candles) {
+  const step = intervalToSeconds(interval);
+  const now = Math.floor(Date.now() / 1000);
+  const closed = step ? candles.filter(c => c.time + step <= now) : candles.slice(0, -1);
+  if (closed.length) upsertCandles(symbol, interval, closed);
+  return closed.length;
+}
+
+// gaps minus the ranges Binance has already come back empty for (candle_empty_ranges)
+function withoutKnownEmpty(symbol, interval, gaps, step) {
+  return gaps.flatMap(gap => subtractRanges(gap, selectEmptyRangesStmt.all(symbol, interval, gap.from, gap.to), step));
+}
+
+/* Fetches one gap from Binance into the store and records the parts of it that came back
+   empty: before, between and after the bars returned. Bars from the last two bar lengths may
+   not be published yet and are never recorded. When the empty head reaches the first stored
+   bar, one more request finds the symbol's first bar ever and records everything before it. */
+async function backfillGap(symbol, interval, gap, step) {
+  const walker = createGapWalker(gap.from, step);
+  await fetchKlinesRange(symbol, interval, gap.from, gap.to, page => {
+    for (const c of page) walker.add(c.time);
+    storeClosedCandles(symbol, interval, page);
+  });
+  const empty = walker.finish(gap.to);
+  for (const range of settledRanges(empty, Math.floor(Date.now() / 1000) - 2 * step)) {
+    insertEmptyRangeStmt.run(symbol, interval, range.from, range.to);
+  }
+
+  const head = empty[0];
+  const stored = selectFirstCandleTimeStmt.get(symbol, interval).time;
+  if (head && stored != null && head.from === gap.from && gap.from < stored && head.to + step >= stored) {
+    const [listed] = await fetchKlines(symbol, interval, 1, 0);
+    if (listed && listed.time > 0) insertEmptyRangeStmt.run(symbol, interval, 0, listed.time - step);
+  }
+}
 
-  _sma(len) {
-    const arr = this.closes;
-    if (arr.length < len) return null;
-    let sum = 0;
-    for (let i = arr.length - len; i < arr.length; i++) {
-      sum += arr[i];
+// Returns the latest `limit` closed bars from SQLite, backfilling gaps from Binance first.
+// Falls back to whatever is stored when Binance is unreachable.
+async function loadCandles(symbol, interval, limit) {
+  const step = intervalToSeconds(interval);
+  let rows = readStoredCandles(symbol, interval, limit);
+
+  if (!step) {
+    try {
+      storeClosedCandles(symbol, interval, await fetchKlines(symbol, interval, Math.min(limit, MAX_HISTORY_FETCH)));
+      rows = readStoredCandles(symbol, interval, limit);
+    } catch (error) {
+      if (!rows.length) throw error;
+      console.warn(`Serving stored ${keyFor(symbol, interval)} bars, refresh failed:`, error.message);
     }
-    return sum / len;
+    return rows;
   }
 
-  _rsi(period = 14) {
-    const arr = this.closes;
-    if (arr.length <= period) return null;
-    
-    let gains = 0, losses = 0;
-    for (let i = arr.length - period; i < arr.length - 1; i++) {
-      const diff = arr[i + 1] - arr[i];
-      if (diff > 0) gains += diff;
-      else losses -= diff;
+  const gaps = withoutKnownEmpty(symbol, interval, findCandleGaps(rows, step, limit, Math.floor(Date.now() / 1000)), step);
+  if (gaps.length === 0) return rows;
+
+  try {
+    for (const gap of gaps) await backfillGap(symbol, interval, gap, step);
+    console.log(`Backfilled ${gaps.length} gap(s) for ${keyFor(symbol, interval)}`);
+  } catch (error) {
+    if (!rows.length) throw error;
+    console.warn(`Backfill failed for ${keyFor(symbol, interval)}, serving stored bars:`, error.message);
+    return rows;
+  }
+  return readStoredCandles(symbol, interval, limit);
+}
+
+// Stored bars in [from, to], one page at a time (candle-store.js iterateCandlePages)
+function iterateStoredCandles(symbol, interval, from, to) {
+  const readPage = (cursor, end, size) => selectCandlesPageStmt.all(symbol, interval, cursor, end, size);
+  return iterateCandlePages(readPage, from, to, HISTORY_STREAM_PAGE);
+}
+
+async function backfillRange(symbol, interval, from, to) {
+  const step = intervalToSeconds(interval);
+  if (!step) {
+    await fetchKlinesRange(symbol, interval, from, to, page => storeClosedCandles(symbol, interval, page));
+    return 1;
+  }
+  const stored = iterateStoredCandles(symbol, interval, from, to);
+  const gaps = withoutKnownEmpty(symbol, interval, findRangeGaps(stored, from, to, step, Math.floor(Date.now() / 1000)), step);
+  for (const gap of gaps) await backfillGap(symbol, interval, gap, step);
+  return gaps.length;
+}
+
+// Lower-timeframe lookup for withIntrabarCandles (intrabar_1m backtests): the 1m bars inside a
+// bar of `interval`, backfilled from Binance when missing. After MAX_INTRABAR_BARS bars it
+// returns null, leaving the rest to the engine's stop-first assumption.
+function intrabarFetcher(interval) {
+  const step = intervalToSeconds(interval);
+  let fetched = 0;
+  return async (bar, symbol) => {
+    if (fetched >= MAX_INTRABAR_BARS) return null;
+    fetched++;
+    const to = bar.time + step - 60;
+    try {
+      await backfillRange(symbol, '1m', bar.time, to);
+    } catch (error) {
+      console.warn(`1m backfill failed for ${symbol} at ${bar.time}, using stored bars:`, error.message);
     }
-    
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    if (avgLoss === 0) return 100;
-    
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    const rows = [];
+    for (const page of iterateStoredCandles(symbol, '1m', bar.time, to)) rows.push(...page);
+    return rows.length ? rows : null;
+  };
+}
+
+// Stored bars plus the live forming bar, for WebSocket snapshots
+function snapshotCandles(symbol, interval, limit) {
+  const rows = readStoredCandles(symbol, interval, limit);
+  const live = liveCandles.get(keyFor(symbol, interval));
+  if (live && (!rows.length || live.time > rows[rows.length - 1].time)) {
+    rows.push(live);
+    if (rows.length > limit) rows.shift();
+  }
+  return rows;
+}
+
+// ---------------- AruAlgo Indicator ----------------
+// Feeds closed bars into the same AruAlgo the chart draws (public/indicator.js) via its
+// streaming form, so each bar costs O(1) and server signals match what is plotted.
+class AruAlgoIndicator {
+  constructor(params = {}) {
+    this.params = params;
+    this.stream = createAruAlgoStream(params);
+    this.lastTime = null;
+  }
+
+  seed(candles) {
+    for (const c of candles) this._pushCandle(c);
+  }
+
+  _pushCandle(candle) {
+    if (this.lastTime != null && candle.time < this.lastTime) return null;
+    const res = candle.time === this.lastTime ? this.stream.replaceLast(candle) : this.stream.update(candle);
+    this.lastTime = candle.time;
+    return res;
   }
 
   processCandle(candle) {
-    this._pushCandle(candle);
-    
+    const res = this._pushCandle(candle);
+    if (!res) return { ready: false, time: candle.time, close: candle.close };
+
     const out = {
-      ready: this.closes.length > 30,
+      ready: this.stream.length > INDICATOR_WARMUP_BARS,
       time: candle.time,
       close: candle.close,
-      sma20: this._sma(20),
-      sma50: this._sma(50),
-      rsi: this._rsi(14)
+      atrStop: res.smoothedAtrStop,
+      trendEma: res.trendEma,
+      rsi: res.rsi,
+      adx: res.adx,
+      atr: res.atr,
+      sl: res.lastSL,
+      tp: res.lastTP
     };
 
-    // Simple crossover signal
-    if (out.sma20 && out.sma50) {
-      if (out.sma20 > out.sma50) {
-        out.signal = { side: 'buy', reason: 'sma_cross', time: candle.time, price: candle.close };
-      } else {
-        out.signal = { side: 'sell', reason: 'sma_cross', time: candle.time, price: candle.close };
-      }
+    if (res.signal) {
+      const isBuy = res.signal.type === 'buy' || res.signal.type === 'simpleBuy';
+      out.signal = {
+        side: isBuy ? 'buy' : 'sell',
+        type: res.signal.type,
+        reason: res.signal.type,
+        time: candle.time,
+        price: candle.close,
+        sl: res.signal.sl,
+        tp: res.signal.tp
+      };
     }
 
     return out;
   }
 }
 
+function getIndicator(symbol, interval) {
+  const key = keyFor(symbol, interval);
+  let indicator = indicatorInstances.get(key);
+  if (!indicator) {
+    indicator = new AruAlgoIndicator(activeAruParams(symbol, interval));
+    indicator.seed(readStoredCandles(String(symbol).toUpperCase(), interval, MAX_SEED_CANDLES));
+    indicatorInstances.set(key, indicator);
+  }
+  return indicator;
+}
+
+// ---------------- AruAlgo presets ----------------
+const selectPresetsStmt = db.prepare('SELECT * FROM aru_presets WHERE symbol = ? AND interval = ? ORDER BY name');
+const selectPresetStmt = db.prepare('SELECT * FROM aru_presets WHERE id = ?');
+const selectPresetByNameStmt = db.prepare('SELECT * FROM aru_presets WHERE symbol = ? AND interval = ? AND name = ?');
+const selectActivePresetStmt = db.prepare('SELECT * FROM aru_presets WHERE symbol = ? AND interval = ? AND active = 1');
+const upsertPresetStmt = db.prepare(`INSERT INTO aru_presets (symbol,interval,name,params,updated_at) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT (symbol, interval, name) DO UPDATE SET params = excluded.params, updated_at = excluded.updated_at`);
+const clearActivePresetStmt = db.prepare('UPDATE aru_presets SET active = 0 WHERE symbol = ? AND interval = ?');
+const setActivePresetStmt = db.prepare('UPDATE aru_presets SET active = 1 WHERE id = ?');
+
+const setActivePreset = db.transaction((symbol, interval, id) => {
+  clearActivePresetStmt.run(symbol, interval);
+  if (id != null) setActivePresetStmt.run(id);
+});
+
+function presetFromRow(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    interval: row.interval,
+    name: row.name,
+    params: resolveAruParams(safeParseJSON(row.params) || {}),
+    active: !!row.active,
+    updatedAt: row.updated_at
+  };
+}
+
+function activeAruParams(symbol, interval) {
+  const row = selectActivePresetStmt.get(String(symbol).toUpperCase(), String(interval));
+  return row ? presetFromRow(row).params : resolveAruParams({});
+}
+
+// Returns { params } or { error } — unknown keys and out-of-range values are rejected, not clamped
+function parseAruParams(input) {
+  const error = checkParams(ARU_PARAM_SPECS, input);
+  if (error) return { error };
+  const params = resolveAruParams(input);
+  if (!(params.rsiOversold < params.rsiOverbought)) return { error: 'rsiOversold must be below rsiOverbought' };
+  return { params };
+}
+
+function parsePresetScope(src) {
+  const symbol = String(src.symbol || '').toUpperCase();
+  const interval = String(src.interval || '');
+  if (!/^[A-Z0-9]{3,12}$/.test(symbol)) return { error: 'Invalid symbol' };
+  if (!/^\d+[mhdwM]$/.test(interval)) return { error: 'Invalid interval' };
+  return { symbol, interval };
+}
+
+// Re-seed the feed's indicator with the new active params and tell clients to follow
+function onActivePresetChanged(symbol, interval) {
+  indicatorInstances.delete(keyFor(symbol, interval));
+  const row = selectActivePresetStmt.get(symbol, interval);
+  broadcastToAll({ type: 'aru_preset', symbol, interval, preset: row ? presetFromRow(row) : null });
+}
+
+// ---------------- Rule strategies ----------------
+const MAX_RULE_DEFINITION_CHARS = 20000;
+const selectRuleStrategiesStmt = db.prepare('SELECT * FROM rule_strategies ORDER BY name');
+const selectRuleStrategyStmt = db.prepare('SELECT * FROM rule_strategies WHERE id = ?');
+const selectRuleStrategyByNameStmt = db.prepare('SELECT * FROM rule_strategies WHERE name = ?');
+const upsertRuleStrategyStmt = db.prepare(`INSERT INTO rule_strategies (name,definition,updated_at) VALUES (?, ?, ?)
+  ON CONFLICT (name) DO UPDATE SET definition = excluded.definition, updated_at = excluded.updated_at`);
+
+function ruleStrategyFromRow(row) {
+  return { id: row.id, name: row.name, definition: safeParseJSON(row.definition), updatedAt: row.updated_at };
+}
+
+// Returns { definition } or { error } — size-capped, then checked by rules.js validateRules
+function parseRuleDefinition(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) return { error: 'definition must be an object' };
+  if (JSON.stringify(input).length > MAX_RULE_DEFINITION_CHARS) {
+    return { error: `definition is larger than ${MAX_RULE_DEFINITION_CHARS} characters` };
+  }
+  const error = validateRules(input);
+  return error ? { error } : { definition: input };
+}
+
+// ---------------- Saved backtest runs ----------------
+const MAX_LISTED_BACKTESTS = 500;
+const insertBacktestRunStmt = db.prepare('INSERT INTO backtest_runs (created_at,source,symbol,interval,strategy,name,config,metrics,report) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)');
+const insertBacktestTradeStmt = db.prepare('INSERT INTO backtest_trades (run_id,seq,ts,symbol,side,entry_price,exit_price,qty,pnl,note) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+// symbol matches a single-symbol run or any basket containing it
+const selectBacktestRunsStmt = db.prepare(`SELECT id,created_at,source,symbol,interval,strategy,name,metrics FROM backtest_runs
+  WHERE (@symbol IS NULL OR ',' || symbol || ',' LIKE '%,' || @symbol || ',%')
+    AND (@interval IS NULL OR interval = @interval)
+    AND (@strategy IS NULL OR strategy = @strategy)
+  ORDER BY id DESC LIMIT @limit`);
+const selectBacktestRunStmt = db.prepare('SELECT * FROM backtest_runs WHERE id = ?');
+const selectBacktestTradesStmt = db.prepare('SELECT ts,symbol,side,entry_price,exit_price,qty,pnl,note FROM backtest_trades WHERE run_id = ? ORDER BY seq');
+
+/* run: { source: 'server'|'modal', symbols, interval, strategy, name, config, metrics, trades,
+          report: { equity, roundTrips, ...extras } }. Returns the new run id. */
+const saveBacktestRun = db.transaction(run => {
+  const { lastInsertRowid } = insertBacktestRunStmt.run(
+    Math.floor(Date.now() / 1000), run.source, run.symbols.join(','), run.interval, run.strategy, run.name,
+    JSON.stringify(run.config), JSON.stringify(run.metrics), JSON.stringify(run.report)
+  );
+  const id = Number(lastInsertRowid);
+  run.trades.forEach((t, seq) => {
+    insertBacktestTradeStmt.run(id, seq, t.ts, t.symbol, t.side, t.entry_price ?? null, t.exit_price ?? null, t.qty ?? null, t.pnl ?? null, t.note ?? null);
+  });
+  return id;
+});
+
+// Returns the number of runs removed (0 or 1)
+const deleteBacktestRun = db.transaction(id => {
+  db.prepare('DELETE FROM backtest_trades WHERE run_id = ?').run(id);
+  return db.prepare('DELETE FROM backtest_runs WHERE id = ?').run(id).changes;
+});
+
+// List entry: everything but the config, fills and report
+function backtestRunSummary(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    source: row.source,
+    symbols: row.symbol.split(','),
+    interval: row.interval,
+    strategy: row.strategy,
+    name: row.name,
+    metrics: safeParseJSON(row.metrics)
+  };
+}
+
+// Full run: the summary plus config, trades and the report fields (equity, roundTrips, extras)
+function backtestRunFromRow(row) {
+  return Object.assign(backtestRunSummary(row), {
+    config: safeParseJSON(row.config),
+    trades: selectBacktestTradesStmt.all(row.id)
+  }, safeParseJSON(row.report));
+}
+
+const BACKTEST_REPORT_EXTRAS = ['portfolio', 'walkForward', 'logs', 'intrabar'];
+const BACKTEST_TRADE_NUMBERS = ['entry_price', 'exit_price', 'qty', 'pnl'];
+const MAX_TRADE_NOTE_LENGTH = 128;
+
+/* One posted fill into backtest_trades' columns; returns { trade } or { error }. An entry
+   carries entry_price, an exit exit_price (the modal formats whichever is set). */
+function parseBacktestTrade(t, defaultSymbol) {
+  if (!Number.isFinite(t.ts) || (t.side !== 'buy' && t.side !== 'sell')) return { error: 'needs ts and a side of buy or sell' };
+  const symbol = t.symbol == null ? defaultSymbol : String(t.symbol).toUpperCase();
+  if (!/^[A-Z0-9]{3,12}$/.test(symbol)) return { error: `invalid symbol ${symbol}` };
+  const notNumber = BACKTEST_TRADE_NUMBERS.find(key => t[key] != null && !Number.isFinite(t[key]));
+  if (notNumber) return { error: `${notNumber} must be a number or null` };
+  if ((t.entry_price == null) === (t.exit_price == null)) return { error: 'needs one of entry_price and exit_price' };
+  if (t.note != null && (typeof t.note !== 'string' || t.note.length > MAX_TRADE_NOTE_LENGTH)) {
+    return { error: `note must be text of at most ${MAX_TRADE_NOTE_LENGTH} chars` };
+  }
+  return {
+    trade: {
+      ts: t.ts, symbol, side: t.side, entry_price: t.entry_price ?? null, exit_price: t.exit_price ?? null,
+      qty: t.qty ?? null, pnl: t.pnl ?? null, note: t.note ?? null
+    }
+  };
+}
+
+// Validates a run posted by the modal into saveBacktestRun's shape; returns { run } or { error }
+function parseBacktestRunBody(body) {
+  const symbols = Array.isArray(body.symbols) ? body.symbols.map(s => String(s).toUpperCase()) : [String(body.symbol || '').toUpperCase()];
+  if (!symbols.length || symbols.length > MAX_PORTFOLIO_SYMBOLS || symbols.some(s => !/^[A-Z0-9]{3,12}$/.test(s))) {
+    return { error: 'Invalid symbol' };
+  }
+  const interval = String(body.interval || '');
+  if (!/^\d+[mhdwM]$/.test(interval)) return { error: 'Invalid interval' };
+  const strategy = String(body.strategy || '');
+  const name = String(body.name || strategy).trim();
+  if (!strategy || strategy.length > 64 || name.length > 128) return { error: 'strategy is required (max 64 chars, name max 128)' };
+
+  const isObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+  const { config, report } = body;
+  if (!isObject(config)) return { error: 'config must be an object' };
+  if (!isObject(report) || !isObject(report.metrics) || !Array.isArray(report.trades) || !Array.isArray(report.equity)) {
+    return { error: 'report needs metrics, trades and equity' };
+  }
+  const trades = [];
+  for (const [i, t] of report.trades.entries()) {
+    const parsed = isObject(t) ? parseBacktestTrade(t, symbols[0]) : { error: 'must be an object' };
+    if (parsed.error) return { error: `report.trades[${i}]: ${parsed.error}` };
+    trades.push(parsed.trade);
+  }
+  const saved = { equity: report.equity, roundTrips: Array.isArray(report.roundTrips) ? report.roundTrips : [] };
+  for (const key of BACKTEST_REPORT_EXTRAS) {
+    if (report[key] !== undefined) saved[key] = report[key];
+  }
+  return {
+    run: {
+      source: 'modal', symbols, interval, strategy, name, config, metrics: report.metrics, trades,
+      report: saved
+    }
+  };
+}
+
 // ---------------- Broadcast functions ----------------
 function broadcastToClient(ws, obj) {
   if (ws && ws.readyState === WebSocket.OPEN) {
@@ -214,14 +687,14 @@ wss.on('connection', (ws, req) => {
           meta.subscriptions.add(key);
           console.log('Client subscribed to:', key);
           
-          // Send current candles if available
-          const candles = currentCandles.get(key);
-          if (candles && candles.length > 0) {
+          // Send stored candles if available
+          const candles = snapshotCandles(symbol, interval, 500);
+          if (candles.length > 0) {
             broadcastToClient(ws, {
               type: 'snapshot',
               symbol,
               interval,
-              data: candles.slice(-500)
+              data: candles
             });
           }
           
@@ -235,13 +708,13 @@ wss.on('connection', (ws, req) => {
           break;
 
         case 'get_snapshot':
-          const snapKey = keyFor(msg.symbol, msg.interval);
-          const snapCandles = currentCandles.get(snapKey) || [];
+          const snapSymbol = String(msg.symbol || 'BTCUSDT').toUpperCase();
+          const snapLimit = parseLimitParam(msg.limit, 500, MAX_SNAPSHOT_CANDLES);
           broadcastToClient(ws, {
             type: 'snapshot',
             symbol: msg.symbol,
             interval: msg.interval,
-            data: snapCandles.slice(-(msg.limit || 500))
+            data: snapshotCandles(snapSymbol, String(msg.interval || '1m'), snapLimit)
           });
           break;
 
@@ -301,41 +774,51 @@ app.get('/history', async (req, res) => {
   try {
     const symbol = (req.query.symbol || 'BTCUSDT').toUpperCase();
     const interval = req.query.interval || '1m';
-    const limit = Math.min(MAX_HISTORY_FETCH, Number(req.query.limit || 500));
+    const limit = parseLimitParam(req.query.limit, 500, MAX_HISTORY_FETCH);
+    const startTime = parseTimeParam(req.query.startTime);
+    const endTime = parseTimeParam(req.query.endTime);
 
-    console.log('Fetching history for:', symbol, interval, limit);
-
-    // Try to get from cache first
-    const key = keyFor(symbol, interval);
-    const cached = currentCandles.get(key);
-    if (cached && cached.length > 100) {
-      return res.json({ 
-        ok: true, 
-        symbol, 
-        interval, 
-        data: cached.slice(-limit) 
-      });
+    if (Number.isNaN(startTime) || Number.isNaN(endTime)) {
+      return res.status(400).json({ error: 'startTime/endTime must be unix seconds or milliseconds' });
     }
 
-    // Fetch from Binance
-    const url = `${BINANCE_REST}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-    const response = await axiosInst.get(url);
-    
-    if (!response.data || !Array.isArray(response.data)) {
-      return res.status(502).json({ error: 'Invalid response from Binance' });
+    // Ranged request: page through the store (backfilling from Binance) and stream the result
+    if (startTime != null || endTime != null) {
+      const step = intervalToSeconds(interval) || 86400 * 31;
+      const now = Math.floor(Date.now() / 1000);
+      const { from, to, error: rangeError } = historyRange({ startTime, endTime, limit, step, now, maxBars: MAX_HISTORY_RANGE_BARS });
+      if (rangeError) {
+        return res.status(400).json({ error: rangeError });
+      }
+
+      console.log('Fetching history range for:', symbol, interval, from, to);
+      try {
+        await backfillRange(symbol, interval, from, to);
+      } catch (error) {
+        console.warn(`Range backfill failed for ${keyFor(symbol, interval)}, streaming stored bars:`, error.message);
+      }
+
+      startFeeder(symbol, interval);
+      const head = { ok: true, symbol, interval, startTime: from, endTime: to };
+      await streamCandlesJSON(req, res, head, iterateStoredCandles(symbol, interval, from, to));
+      return;
     }
 
-    const data = response.data.map(k => ({
-      time: Math.floor(k[0] / 1000),
-      open: parseFloat(k[1]),
-      high: parseFloat(k[2]),
-      low: parseFloat(k[3]),
-      close: parseFloat(k[4]),
-      volume: parseFloat(k[5])
-    }));
+    console.log('Fetching history for:', symbol, interval, limit);
+
+    // Serve from the candle store, backfilling any gaps from Binance
+    let data;
+    try {
+      data = await loadCandles(symbol, interval, limit);
+    } catch (error) {
+      return res.status(502).json({ error: 'Invalid response from Binance', message: error.message });
+    }
 
-    // Cache the data
-    currentCandles.set(key, data);
+    // Append the forming bar so the chart shows the current price
+    const live = liveCandles.get(keyFor(symbol, interval));
+    if (live && (!data.length || live.time > data[data.length - 1].time)) {
+      data.push(live);
+    }
     
     // Start feeder for this symbol
     startFeeder(symbol, interval);
@@ -344,6 +827,7 @@ app.get('/history', async (req, res) => {
 
   } catch (error) {
     console.error('History error:', error.message);
+    if (res.headersSent) return res.destroy(error);
     res.status(500).json({ 
       error: 'Failed to fetch history',
       message: error.message 
@@ -425,46 +909,764 @@ app.delete('/paper/trade/:id', (req, res) => {
   }
 });
 
+// AruAlgo preset endpoints
+app.get('/presets', (req, res) => {
+  try {
+    const scope = parsePresetScope(req.query);
+    if (scope.error) return res.status(400).json({ error: scope.error });
+    const presets = selectPresetsStmt.all(scope.symbol, scope.interval).map(presetFromRow);
+    res.json({ ok: true, symbol: scope.symbol, interval: scope.interval, presets });
+  } catch (error) {
+    console.error('Presets list error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create or overwrite a named preset; `active: true` also switches the server feed to it
+app.post('/presets', (req, res) => {
+  try {
+    const body = req.body || {};
+    const scope = parsePresetScope(body);
+    if (scope.error) return res.status(400).json({ error: scope.error });
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 64) return res.status(400).json({ error: 'name is required (max 64 chars)' });
+    const { params, error } = parseAruParams(body.params);
+    if (error) return res.status(400).json({ error });
+
+    upsertPresetStmt.run(scope.symbol, scope.interval, name, JSON.stringify(params), Math.floor(Date.now() / 1000));
+    const row = selectPresetByNameStmt.get(scope.symbol, scope.interval, name);
+    if (body.active || row.active) {
+      setActivePreset(scope.symbol, scope.interval, row.id);
+      onActivePresetChanged(scope.symbol, scope.interval);
+    }
+    res.json({ ok: true, preset: presetFromRow(selectPresetStmt.get(row.id)) });
+  } catch (error) {
+    console.error('Preset save error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Pick which preset the server feed uses for a symbol/interval (id: null = defaults)
+app.put('/presets/active', (req, res) => {
+  try {
+    const body = req.body || {};
+    const scope = parsePresetScope(body);
+    if (scope.error) return res.status(400).json({ error: scope.error });
+    let id = null;
+    if (body.id != null) {
+      const row = selectPresetStmt.get(parseInt(body.id));
+      if (!row || row.symbol !== scope.symbol || row.interval !== scope.interval) {
+        return res.status(404).json({ error: 'Preset not found' });
+      }
+      id = row.id;
+    }
+    setActivePreset(scope.symbol, scope.interval, id);
+    onActivePresetChanged(scope.symbol, scope.interval);
+    res.json({ ok: true, activeId: id });
+  } catch (error) {
+    console.error('Preset activate error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/presets/:id', (req, res) => {
+  try {
+    const row = selectPresetStmt.get(parseInt(req.params.id));
+    if (!row) return res.status(404).json({ error: 'Preset not found' });
+    db.prepare('DELETE FROM aru_presets WHERE id = ?').run(row.id);
+    if (row.active) onActivePresetChanged(row.symbol, row.interval);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete preset error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Rule strategy endpoints
+app.get('/strategies', (req, res) => {
+  try {
+    res.json({ ok: true, strategies: selectRuleStrategiesStmt.all().map(ruleStrategyFromRow) });
+  } catch (error) {
+    console.error('Strategies list error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create or overwrite a rule strategy by name (body.name, else definition.name)
+app.post('/strategies', (req, res) => {
+  try {
+    const body = req.body || {};
+    const { definition, error } = parseRuleDefinition(body.definition);
+    if (error) return res.status(400).json({ error });
+    const name = String(body.name || definition.name || '').trim();
+    if (!name || name.length > 64) return res.status(400).json({ error: 'name is required (max 64 chars)' });
+
+    upsertRuleStrategyStmt.run(name, JSON.stringify(Object.assign({}, definition, { name })), Math.floor(Date.now() / 1000));
+    res.json({ ok: true, strategy: ruleStrategyFromRow(selectRuleStrategyByNameStmt.get(name)) });
+  } catch (error) {
+    console.error('Strategy save error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/strategies/:id', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM rule_strategies WHERE id = ?').run(parseInt(req.params.id));
+    if (result.changes === 0) return res.status(404).json({ error: 'Strategy not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete strategy error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ---------------- Backtest ----------------
+// Snake_case body fields from before body.params existed, mapped onto the shared param
+// names. Only the original sma/rsi strategies read them; newer ones take body.params only.
+const LEGACY_BACKTEST_STRATEGIES = ['sma', 'rsi'];
+const LEGACY_BACKTEST_FIELDS = {
+  sma_short: 'smaShort',
+  sma_long: 'smaLong',
+  rsi_period: 'rsiPeriod',
+  rsi_overbought: 'rsiOverbought',
+  rsi_oversold: 'rsiOversold'
+};
+
+// Collects strategy params from the legacy flat fields plus body.params (which wins)
+function backtestParamsFromBody(body, strategyId) {
+  const params = {};
+  if (LEGACY_BACKTEST_STRATEGIES.includes(strategyId)) {
+    const specs = STRATEGIES[strategyId].params;
+    for (const [field, name] of Object.entries(LEGACY_BACKTEST_FIELDS)) {
+      if (body[field] !== undefined && specs[name]) params[name] = Number(body[field]);
+    }
+  }
+  return Object.assign(params, body.params);
+}
+
+// strategy 'plugin' runs plugins/<body.plugin>.js in a sandboxed worker (strategy-plugins.js)
+const PLUGIN_STRATEGY = 'plugin';
+
+// Case-insensitive lookup so 'SMA', 'aruAlgo' and 'aruALGO' all resolve
+function findStrategyId(name) {
+  const wanted = String(name).toLowerCase();
+  return Object.keys(STRATEGIES).concat(RULES_STRATEGY, PLUGIN_STRATEGY).find(id => id.toLowerCase() === wanted) || null;
+}
+
+// strategy 'rules' runs a stored definition (body.rule_id) or an inline one (body.rules);
+// returns { rules }, or { error, status }
+function backtestRulesFromBody(body) {
+  if (body.rule_id !== undefined && body.rule_id !== null) {
+    const row = selectRuleStrategyStmt.get(parseInt(body.rule_id));
+    if (!row) return { error: 'Strategy not found', status: 404 };
+    return { rules: ruleStrategyFromRow(row).definition };
+  }
+  if (body.rules === undefined) return { error: 'strategy rules needs rule_id or a rules definition', status: 400 };
+  const { definition, error } = parseRuleDefinition(body.rules);
+  return error ? { error, status: 400 } : { rules: definition };
+}
+
+// Engine exit options (shorts, signal SL/TP, ATR trailing stop, time exit) from the body;
+// returns { exits } in runBacktest's option names, or { error }
+const EXIT_OPTION_FIELDS = {
+  trail_atr_mult: 'trailAtrMult',
+  trail_atr_period: 'trailAtrPeriod',
+  max_bars_in_trade: 'maxBarsInTrade'
+};
+
+function exitOptionsFromBody(body) {
+  for (const field of ['allow_short', 'use_signal_stops']) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      return { error: `${field} must be true or false` };
+    }
+  }
+  const exits = { allowShort: body.allow_short === true, useSignalStops: body.use_signal_stops !== false };
+  for (const [field, name] of Object.entries(EXIT_OPTION_FIELDS)) {
+    if (body[field] === undefined) continue;
+    const error = checkParams(EXIT_OPTION_SPECS, { [name]: body[field] });
+    if (error) return { error: error.replace(name, field) };
+    exits[name] = Number(body[field]);
+  }
+  return { exits };
+}
+
+// Capital, position sizing (public/sizing.js) and costs (public/costs.js) shared by backtests
+// and plugin paper sessions; returns { account } in runBacktest's option names, or { error }.
+// commission_pct is the older single fee rate, used for whichever of maker_fee / taker_fee is left out.
+const COST_FIELDS = {
+  maker_fee: 'makerFee',
+  taker_fee: 'takerFee',
+  slippage_bps: 'slippageBps',
+  slippage_atr_mult: 'slippageAtrMult',
+  slippage_atr_period: 'slippageAtrPeriod',
+  funding_rate: 'fundingRate',
+  funding_interval_hours: 'fundingIntervalHours',
+  commission_pct: 'commissionPct'
+};
+// size_pct is the equity mode's size (and Kelly's until it has enough trades)
+const SIZING_FIELDS = {
+  size_mode: 'sizeMode',
+  size_notional: 'sizeNotional',
+  risk_pct: 'riskPct',
+  size_atr_period: 'sizeAtrPeriod',
+  size_atr_mult: 'sizeAtrMult',
+  kelly_fraction: 'kellyFraction',
+  kelly_min_trades: 'kellyMinTrades',
+  kelly_lookback: 'kellyLookback'
+};
+
+// a validator's "<option> must ..." error for option `key`, reworded with its body field from fields
+function bodyFieldError(fields, key, error) {
+  const field = Object.keys(fields).find(f => fields[f] === key);
+  return field && error.startsWith(key) ? field + error.slice(key.length) : error;
+}
+
+function accountOptionsFromBody(body) {
+  const initialCapital = Number(body.initial_capital ?? 10000);
+  const sizePct = Number(body.size_pct ?? 0.1);
+  if (!(initialCapital > 0) || !(sizePct > 0 && sizePct <= 1)) {
+    return { error: 'initial_capital must be > 0 and size_pct in (0, 1]' };
+  }
+  const sizingInput = { sizePct };
+  for (const [field, name] of Object.entries(SIZING_FIELDS)) {
+    if (body[field] !== undefined) sizingInput[name] = body[field];
+  }
+  const { sizing, error: sizingError, key: sizingKey } = validateSizing(sizingInput);
+  if (sizingError) return { error: bodyFieldError({ size_pct: 'sizePct', ...SIZING_FIELDS }, sizingKey, sizingError) };
+  const input = {};
+  for (const [field, name] of Object.entries(COST_FIELDS)) {
+    if (body[field] !== undefined) input[name] = body[field];
+  }
+  const { costs, error, key } = validateCosts(input);
+  if (error) return { error: bodyFieldError(COST_FIELDS, key, error) };
+  return { account: Object.assign({ initialCapital }, sizing, costs) };
+}
+
+// Portfolio mode: body.symbols (a basket) with optional weights, max_positions and
+// rebalance_bars; returns { portfolio } as from portfolio.js validatePortfolio, or { error }
+const PORTFOLIO_FIELDS = { max_positions: 'maxPositions', rebalance_bars: 'rebalanceBars' };
+
+function portfolioFromBody(body) {
+  const input = { symbols: body.symbols, weights: body.weights };
+  for (const [field, name] of Object.entries(PORTFOLIO_FIELDS)) {
+    if (body[field] !== undefined) input[name] = body[field];
+  }
+  const { portfolio, error } = validatePortfolio(input);
+  if (error) {
+    return { error: Object.entries(PORTFOLIO_FIELDS).reduce((msg, [field, name]) => msg.replace(name, field), error) };
+  }
+  const invalid = portfolio.symbols.find(s => !/^[A-Z0-9]{3,12}$/.test(s));
+  return invalid ? { error: `Invalid symbol: ${invalid}` } : { portfolio };
+}
+
+const WALK_FORWARD_WORKER = path.join(__dirname, 'walk-forward-worker.js');
+let walkForwardWorkers = 0;
+
+// runWalkForward in its own walk-forward-worker.js thread, so the feeders, the heartbeat and
+// other requests keep running meanwhile; resolves { report } or { error }
+function runWalkForwardInWorker(candles, opts, walkForward) {
+  return new Promise(resolve => {
+    walkForwardWorkers++;
+    const thread = new Worker(WALK_FORWARD_WORKER, { workerData: { candles, opts, walkForward } });
+    let settled = false;
+    const settle = result => {
+      if (settled) return;
+      settled = true;
+      walkForwardWorkers--;
+      clearTimeout(timer);
+      resolve(result);
+    };
+    const timer = setTimeout(() => {
+      settle({ error: `Walk-forward did not finish within ${WALK_FORWARD_TIMEOUT_MS / 1000}s; use larger windows or a smaller space` });
+      thread.terminate();
+    }, WALK_FORWARD_TIMEOUT_MS);
+    thread.once('message', settle);
+    thread.once('error', err => settle({ error: `Walk-forward worker failed: ${err.message}` }));
+    thread.once('exit', code => settle({ error: `Walk-forward worker exited with code ${code}` }));
+  });
+}
+
+// Validates body.walk_forward into runWalkForward's { inSample, outOfSample, sweep };
+// returns { walkForward, runsPerWindow } or { error }
+function parseWalkForward(input, strategyId, rules) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'walk_forward must be an object' };
+  }
+  const inSample = Number(input.in_sample);
+  const outOfSample = Number(input.out_of_sample);
+  if (!Number.isInteger(inSample) || inSample < 2 || !Number.isInteger(outOfSample) || outOfSample < 1) {
+    return { error: 'walk_forward.in_sample must be an integer >= 2 and out_of_sample an integer >= 1' };
+  }
+  const mode = String(input.mode || 'grid');
+  if (mode !== 'grid' && mode !== 'random') {
+    return { error: 'walk_forward.mode must be grid or random' };
+  }
+  const metric = String(input.metric || 'totalReturnPct');
+  if (!METRIC_INFO[metric]) {
+    return { error: `Unknown metric: ${metric}` };
+  }
+  const samples = Number(input.samples ?? 100);
+  if (mode === 'random' && !(Number.isInteger(samples) && samples >= 1)) {
+    return { error: 'walk_forward.samples must be an integer >= 1' };
+  }
+
+  const space = input.space;
+  if (typeof space !== 'object' || space === null || Array.isArray(space) || !Object.keys(space).length) {
+    return { error: 'walk_forward.space must map at least one param to { from, to, step }' };
+  }
+  const specs = getStrategy(strategyId, rules).params;
+  for (const [name, axis] of Object.entries(space)) {
+    if (typeof axis !== 'object' || axis === null) {
+      return { error: `walk_forward.space.${name} must be { from, to, step }` };
+    }
+    const rangeError = checkParams(specs, { [name]: axis.from }) || checkParams(specs, { [name]: axis.to });
+    if (rangeError) return { error: `walk_forward.space: ${rangeError}` };
+  }
+
+  const sweep = { mode, space, samples, seed: Number(input.seed) || 1, metric };
+  try {
+    return { walkForward: { inSample, outOfSample, sweep }, runsPerWindow: sweepPoints(sweep).length };
+  } catch (err) {
+    return { error: `walk_forward.space: ${err.message}` };
+  }
+}
+
 // Backtest endpoint
 app.post('/backtest', async (req, res) => {
   try {
-    const {
-      symbol = 'BTCUSDT',
-      interval = '1m',
-      strategy = 'sma',
-      sma_short = 10,
-      sma_long = 30,
-      limit = 1000,
-      initial_capital = 10000
-    } = req.body;
-
-    // Get historical data
-    const key = keyFor(symbol, interval);
-    let candles = currentCandles.get(key);
-    
-    if (!candles || candles.length < Math.max(sma_short, sma_long)) {
-      // Fetch if not enough data
-      const historyUrl = `/history?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-      // This would need to be implemented properly
+    const body = req.body || {};
+    const symbol = String(body.symbol || 'BTCUSDT').toUpperCase();
+    const interval = String(body.interval || '1m');
+    const strategy = findStrategyId(body.strategy || 'sma');
+    const limit = parseLimitParam(body.limit, 1000, MAX_BACKTEST_BARS);
+
+    if (!/^[A-Z0-9]{3,12}$/.test(symbol)) {
+      return res.status(400).json({ error: 'Invalid symbol' });
+    }
+    if (!strategy) {
+      return res.status(400).json({ error: `Unknown strategy: ${body.strategy}` });
+    }
+
+    // body.symbols switches to a basket run on shared capital (public/portfolio.js)
+    let portfolio = null;
+    if (body.symbols !== undefined) {
+      const parsed = portfolioFromBody(body);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      if (strategy === PLUGIN_STRATEGY || (body.walk_forward !== undefined && body.walk_forward !== null)) {
+        return res.status(400).json({ error: 'symbols cannot be combined with plugin strategies or walk_forward' });
+      }
+      portfolio = parsed.portfolio;
+    }
+    if (body.params !== undefined && (typeof body.params !== 'object' || body.params === null || Array.isArray(body.params))) {
+      return res.status(400).json({ error: 'params must be an object' });
+    }
+
+    let rules;
+    let plugin;
+    if (strategy === RULES_STRATEGY) {
+      const loaded = backtestRulesFromBody(body);
+      if (loaded.error) {
+        return res.status(loaded.status).json({ error: loaded.error });
+      }
+      rules = loaded.rules;
+    } else if (strategy === PLUGIN_STRATEGY) {
+      if (!isPluginId(body.plugin)) {
+        return res.status(400).json({ error: 'strategy plugin needs a plugin name' });
+      }
+      if (body.walk_forward !== undefined && body.walk_forward !== null) {
+        return res.status(400).json({ error: 'walk_forward is not available for plugin strategies' });
+      }
+      plugin = body.plugin;
+    }
+
+    // plugin params are checked against the plugin's own specs inside its worker
+    let params = body.params || {};
+    if (!plugin) {
+      const validated = validateStrategyParams(strategy, backtestParamsFromBody(body, strategy), rules);
+      if (validated.error) {
+        return res.status(400).json({ error: validated.error });
+      }
+      params = validated.params;
+    }
+
+    const { exits, error: exitsError } = exitOptionsFromBody(body);
+    if (exitsError) {
+      return res.status(400).json({ error: exitsError });
+    }
+
+    let walkForward = null;
+    let runsPerWindow = 0;
+    if (body.walk_forward !== undefined && body.walk_forward !== null) {
+      const parsed = parseWalkForward(body.walk_forward, strategy, rules);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      ({ walkForward, runsPerWindow } = parsed);
+    }
+
+    const { account, error: accountError } = accountOptionsFromBody(body);
+    if (accountError) {
+      return res.status(400).json({ error: accountError });
+    }
+    const opts = { ...exits, ...account, symbol, interval, strategy, rules, params };
+
+    // intrabar_1m settles bars that hit both stop and target on their 1m candles
+    if (body.intrabar_1m !== undefined && typeof body.intrabar_1m !== 'boolean') {
+      return res.status(400).json({ error: 'intrabar_1m must be true or false' });
+    }
+    const intrabar = body.intrabar_1m === true;
+    if (intrabar) {
+      if (plugin || walkForward) {
+        return res.status(400).json({ error: 'intrabar_1m cannot be combined with plugin strategies or walk_forward' });
+      }
+      if (!(intervalToSeconds(interval) > 60)) {
+        return res.status(400).json({ error: 'intrabar_1m needs an interval longer than 1m' });
+      }
+    }
+
+    if (portfolio) {
+      // a basket sizes each symbol by its weight (portfolio.js)
+      if (account.sizeMode !== 'equity') {
+        return res.status(400).json({ error: 'size_mode must be equity for a portfolio; weights set each symbol\'s share' });
+      }
+      return await runPortfolioRequest(req, res, { body, interval, strategy, rules, params, limit, portfolio, exits, account, opts, intrabar });
+    }
+
+    const candles = await loadCandles(symbol, interval, limit);
+    if (!plugin && candles.length < getStrategy(strategy, rules).warmup(params) + 2) {
       return res.status(400).json({ error: 'Insufficient historical data' });
     }
 
-    // Simple SMA backtest
-    const results = {
-      symbol,
-      interval,
-      strategy,
-      initial_capital,
-      final_equity: initial_capital,
-      total_return: 0,
-      trades: []
-    };
+    let report;
+    let pluginLogs;
+    if (plugin) {
+      const result = await runPluginBacktest(plugin, candles, opts);
+      if (result.error) {
+        return res.status(400).json({ error: result.error, logs: result.logs });
+      }
+      report = result.report;
+      pluginLogs = result.logs;
+    } else if (walkForward) {
+      if (candles.length <= walkForward.inSample) {
+        return res.status(400).json({ error: 'Insufficient historical data for one walk-forward window' });
+      }
+      const runs = Math.ceil((candles.length - walkForward.inSample) / walkForward.outOfSample) * runsPerWindow;
+      if (runs > MAX_WALK_FORWARD_RUNS) {
+        return res.status(400).json({ error: `Walk-forward would run ${runs} backtests (max ${MAX_WALK_FORWARD_RUNS}); use larger windows or a smaller space` });
+      }
+      if (walkForwardWorkers >= MAX_WALK_FORWARD_WORKERS) {
+        return res.status(503).json({ error: `${MAX_WALK_FORWARD_WORKERS} walk-forwards are already running; try again shortly` });
+      }
+      const result = await runWalkForwardInWorker(candles, opts, walkForward);
+      if (result.error) {
+        return res.status(500).json({ error: 'Backtest failed', message: result.error });
+      }
+      report = result.report;
+    } else if (intrabar) {
+      report = await withIntrabarCandles(lookup => runBacktest(candles, { ...opts, intrabar: lookup }), intrabarFetcher(interval));
+    } else {
+      report = runBacktest(candles, opts);
+    }
+    const { metrics, trades, equity, roundTrips } = report;
+    if (plugin) params = report.params;
+
+    if (body.persistTrades) {
+      // One row per completed round trip so the paper history never sees half-open backtest fills
+      const persistAll = db.transaction(rows => {
+        for (const t of rows) {
+          insertTradeStmt.run(t.ts, symbol, t.side === 'short' ? 'sell' : 'buy', t.entryPrice, t.exitPrice, t.qty, t.pnl, `backtest_${plugin ? `plugin_${plugin}` : strategy}`);
+        }
+      });
+      persistAll(roundTrips);
+    }
 
-    res.json({ ok: true, ...results });
+    const response = { ok: true, symbol, interval, strategy, params, metrics, trades, equity };
+    const extras = {};
+    if (rules) response.rules = rules;
+    if (report.intrabar) response.intrabar = extras.intrabar = report.intrabar;
+    if (plugin) {
+      Object.assign(response, { plugin, logs: pluginLogs });
+      extras.logs = pluginLogs;
+    }
+    if (walkForward) {
+      // params above are the base values; each window's re-optimised params are listed here
+      response.walkForward = extras.walkForward = {
+        inSample: walkForward.inSample,
+        outOfSample: walkForward.outOfSample,
+        metric: walkForward.sweep.metric,
+        swept: Object.keys(walkForward.sweep.space),
+        windows: report.windows
+      };
+    }
+    const warmup = plugin || walkForward ? 0 : getStrategy(strategy, rules).warmup(params);
+    response.runId = recordBacktestRun({
+      symbols: [symbol], interval, strategy, rules, plugin, report, extras,
+      config: Object.assign({ params, rules, plugin, exits, ...account, limit, bars: candles.length, warmup },
+        walkForward ? { walkForward: body.walk_forward } : {}, intrabar ? { intrabar1m: true } : {})
+    });
+    res.json(response);
 
   } catch (error) {
     console.error('Backtest error:', error.message);
-    res.status(500).json({ error: 'Backtest failed' });
+    res.status(500).json({ error: 'Backtest failed', message: error.message });
+  }
+});
+
+// Second half of /backtest for a basket: every symbol's candles, then one shared-capital run
+async function runPortfolioRequest(req, res, { body, interval, strategy, rules, params, limit, portfolio, exits, account, opts, intrabar }) {
+  const warmup = getStrategy(strategy, rules).warmup(params);
+  const series = [];
+  for (const symbol of portfolio.symbols) {
+    const candles = await loadCandles(symbol, interval, limit);
+    if (candles.length < warmup + 2) {
+      return res.status(400).json({ error: `Insufficient historical data for ${symbol}` });
+    }
+    series.push({ symbol, candles });
+  }
+
+  const { maxPositions, rebalanceBars, weights } = portfolio;
+  const basket = { ...opts, weights, maxPositions, rebalanceBars };
+  const report = intrabar
+    ? await withIntrabarCandles(lookup => runPortfolioBacktest(series, { ...basket, intrabar: lookup }), intrabarFetcher(interval))
+    : runPortfolioBacktest(series, basket);
+  const { metrics, trades, equity, roundTrips } = report;
+
+  if (body.persistTrades) {
+    const persistAll = db.transaction(rows => {
+      for (const t of rows) {
+        insertTradeStmt.run(t.ts, t.symbol, t.side === 'short' ? 'sell' : 'buy', t.entryPrice, t.exitPrice, t.qty, t.pnl, `backtest_${strategy}`);
+      }
+    });
+    persistAll(roundTrips);
+  }
+
+  const response = {
+    ok: true, symbols: portfolio.symbols, interval, strategy, params, metrics, trades, equity,
+    portfolio: report.portfolio, intrabar: report.intrabar
+  };
+  if (rules) response.rules = rules;
+  response.runId = recordBacktestRun({
+    symbols: portfolio.symbols, interval, strategy, rules, report, extras: { portfolio: report.portfolio, intrabar: report.intrabar },
+    config: Object.assign({
+      params, rules, exits, ...account, limit, bars: Math.max(...series.map(s => s.candles.length)), warmup,
+      portfolio: { weights, maxPositions, rebalanceBars }
+    }, intrabar ? { intrabar1m: true } : {})
+  });
+  res.json(response);
+}
+
+// Saves a /backtest run to the history (backtest_runs); returns its id
+function recordBacktestRun({ symbols, interval, strategy, rules, plugin, report, extras, config }) {
+  return saveBacktestRun({
+    source: 'server', symbols, interval, strategy,
+    name: plugin ? `Plugin ${plugin}` : getStrategy(strategy, rules).name,
+    config, metrics: report.metrics, trades: report.trades,
+    report: Object.assign({ equity: report.equity, roundTrips: report.roundTrips }, extras)
+  });
+}
+
+// Saved runs: newest first, optionally filtered by ?symbol (also matches baskets), ?interval, ?strategy
+app.get('/backtests', (req, res) => {
+  try {
+    const limit = parseLimitParam(req.query.limit, 100, MAX_LISTED_BACKTESTS);
+    const rows = selectBacktestRunsStmt.all({
+      symbol: req.query.symbol ? String(req.query.symbol).toUpperCase() : null,
+      interval: req.query.interval ? String(req.query.interval) : null,
+      strategy: req.query.strategy ? String(req.query.strategy) : null,
+      limit
+    });
+    res.json({ ok: true, runs: rows.map(backtestRunSummary) });
+  } catch (error) {
+    console.error('Backtest list error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/backtests/:id', (req, res) => {
+  try {
+    const row = selectBacktestRunStmt.get(parseInt(req.params.id, 10));
+    if (!row) return res.status(404).json({ error: 'Backtest run not found' });
+    res.json({ ok: true, run: backtestRunFromRow(row) });
+  } catch (error) {
+    console.error('Backtest load error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// A run computed in the browser (the backtest modal), saved so it shows up in the history too
+app.post('/backtests', (req, res) => {
+  try {
+    const { run, error } = parseBacktestRunBody(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const id = saveBacktestRun(run);
+    res.json({ ok: true, run: backtestRunSummary(selectBacktestRunStmt.get(id)) });
+  } catch (error) {
+    console.error('Backtest save error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.delete('/backtests/:id', (req, res) => {
+  try {
+    if (deleteBacktestRun(parseInt(req.params.id, 10)) === 0) return res.status(404).json({ error: 'Backtest run not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete backtest error:', error.message);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ---------------- Strategy plugins ----------------
+// A plugin paper session runs the same plugin code as a plugin backtest, live: it is warmed up
+// on the latest stored bars, then fed each closed bar from the Binance feeder. Fills go into the
+// paper trades table — an open row on entry, exit price and P&L filled in on exit — and out to
+// clients as plugin_update. Sessions are kept in memory and end with the process.
+function pluginSessionSummary(entry) {
+  const { plugin, name, symbol, interval, params, startedAt, position, equity, openTradeId } = entry;
+  return { plugin, name, symbol, interval, params, startedAt, position, equity, openTradeId };
+}
+
+function recordPluginFills(entry, trades) {
+  for (const t of trades) {
+    if (t.entry_price != null) {
+      const result = insertTradeStmt.run(t.ts, entry.symbol, t.side, t.entry_price, null, t.qty, null, `plugin_${entry.plugin}`);
+      entry.openTradeId = result.lastInsertRowid;
+    } else if (entry.openTradeId != null) {
+      closeTradeStmt.run(t.exit_price, t.pnl, `plugin_${entry.plugin} ${t.note}`, entry.openTradeId);
+      entry.openTradeId = null;
+    }
+  }
+}
+
+function logPluginLines(entry, lines) {
+  for (const line of lines || []) console.log(`[plugin ${entry.plugin} ${entry.key}]`, line);
+}
+
+// Feeder hook: each closed bar goes to every session on that symbol/interval
+function feedPluginSessions(symbol, interval, candle) {
+  const key = keyFor(symbol, interval);
+  const bar = { time: candle.time, open: candle.open, high: candle.high, low: candle.low, close: candle.close, volume: candle.volume };
+  for (const entry of pluginSessions.values()) {
+    // a reconnecting feeder can repeat the last closed bar
+    if (entry.key !== key || bar.time <= entry.lastBarTime) continue;
+    entry.lastBarTime = bar.time;
+    entry.session.bar(bar).then(reply => {
+      logPluginLines(entry, reply.logs);
+      if (reply.error) {
+        console.error(`Plugin session ${entry.id} failed:`, reply.error);
+        return stopPluginSession(entry, reply.error);
+      }
+      recordPluginFills(entry, reply.trades);
+      entry.position = reply.position;
+      entry.equity = reply.equity;
+      broadcastToAll({ type: 'plugin_update', session: pluginSessionSummary(entry), trades: reply.trades });
+    }).catch(error => console.error('Plugin session error:', error.message));
+  }
+}
+
+// Closes the session's open position at the last close and ends its worker
+async function stopPluginSession(entry, reason) {
+  if (pluginSessions.get(entry.id) !== entry) return;
+  pluginSessions.delete(entry.id);
+  const reply = await entry.session.stop();
+  if (reply.error) {
+    if (entry.openTradeId != null) console.warn(`Plugin session ${entry.id} stopped with trade ${entry.openTradeId} still open:`, reply.error);
+  } else {
+    recordPluginFills(entry, reply.trades);
+  }
+  entry.position = null;
+  broadcastToAll({ type: 'plugin_update', session: pluginSessionSummary(entry), trades: reply.trades || [], stopped: reason || 'stopped' });
+}
+
+app.get('/plugins', async (req, res) => {
+  try {
+    const plugins = await listPlugins();
+    res.json({ ok: true, plugins, sessions: [...pluginSessions.values()].map(pluginSessionSummary) });
+  } catch (error) {
+    console.error('Plugins list error:', error.message);
+    res.status(500).json({ error: 'Failed to list plugins' });
+  }
+});
+
+// Start paper trading a plugin: { symbol, interval, params, initial_capital, size_pct, costs, exit options }
+app.post('/plugins/:id/paper', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const plugin = req.params.id;
+    const symbol = String(body.symbol || 'BTCUSDT').toUpperCase();
+    const interval = String(body.interval || '1m');
+    if (!isPluginId(plugin)) {
+      return res.status(400).json({ error: 'Invalid plugin name' });
+    }
+    if (!/^[A-Z0-9]{3,12}$/.test(symbol)) {
+      return res.status(400).json({ error: 'Invalid symbol' });
+    }
+    if (body.params !== undefined && (typeof body.params !== 'object' || body.params === null || Array.isArray(body.params))) {
+      return res.status(400).json({ error: 'params must be an object' });
+    }
+    const { exits, error: exitsError } = exitOptionsFromBody(body);
+    if (exitsError) {
+      return res.status(400).json({ error: exitsError });
+    }
+    const { account, error: accountError } = accountOptionsFromBody(body);
+    if (accountError) {
+      return res.status(400).json({ error: accountError });
+    }
+
+    const key = keyFor(symbol, interval);
+    const id = `${plugin}|${key}`;
+    if (pluginSessions.has(id)) {
+      return res.status(409).json({ error: 'Plugin is already paper trading this symbol/interval' });
+    }
+
+    const seed = await loadCandles(symbol, interval, MAX_SEED_CANDLES);
+    const opts = { ...exits, ...account, symbol, interval, params: body.params || {} };
+    const started = await startPluginSession(plugin, opts, seed);
+    if (started.error) {
+      return res.status(400).json({ error: started.error });
+    }
+    if (pluginSessions.has(id)) { // started twice concurrently
+      await started.session.stop();
+      return res.status(409).json({ error: 'Plugin is already paper trading this symbol/interval' });
+    }
+
+    const entry = {
+      id, key, plugin, symbol, interval,
+      name: started.session.info.name,
+      params: started.params,
+      session: started.session,
+      startedAt: Math.floor(Date.now() / 1000),
+      lastBarTime: seed.length ? seed[seed.length - 1].time : 0,
+      position: null,
+      equity: account.initialCapital,
+      openTradeId: null
+    };
+    started.session.onExit = reason => {
+      console.error(`Plugin session ${id} worker ended:`, reason);
+      stopPluginSession(entry, reason);
+    };
+    pluginSessions.set(id, entry);
+    startFeeder(symbol, interval);
+    res.json({ ok: true, session: pluginSessionSummary(entry) });
+  } catch (error) {
+    console.error('Plugin session start error:', error.message);
+    res.status(500).json({ error: 'Failed to start plugin session', message: error.message });
+  }
+});
+
+app.delete('/plugins/:id/paper', async (req, res) => {
+  try {
+    const symbol = String(req.query.symbol || 'BTCUSDT').toUpperCase();
+    const interval = String(req.query.interval || '1m');
+    const entry = pluginSessions.get(`${req.params.id}|${keyFor(symbol, interval)}`);
+    if (!entry) return res.status(404).json({ error: 'Plugin session not found' });
+    await stopPluginSession(entry, 'stopped');
+    res.json({ success: true, session: pluginSessionSummary(entry) });
+  } catch (error) {
+    console.error('Plugin session stop error:', error.message);
+    res.status(500).json({ error: 'Failed to stop plugin session' });
   }
 });
 
@@ -527,22 +1729,16 @@ function startFeeder(symbol = 'BTCUSDT', interval = '1m') {
 
       const key = keyFor(symbol, interval);
       
-      // Update candles cache
-      let candles = currentCandles.get(key) || [];
-      const lastCandle = candles[candles.length - 1];
-      
-      if (lastCandle && lastCandle.time === candle.time) {
-        // Update existing candle
-        candles[candles.length - 1] = candle;
-      } else {
-        // Add new candle
-        candles.push(candle);
-        if (candles.length > MAX_CANDLES_CACHE) {
-          candles = candles.slice(-MAX_CANDLES_CACHE);
+      liveCandles.set(key, candle);
+
+      // Persist closed bars so history survives restarts
+      if (candle.isFinal) {
+        try {
+          upsertCandleStmt.run(symbol.toUpperCase(), interval, candle.time, candle.open, candle.high, candle.low, candle.close, candle.volume);
+        } catch (error) {
+          console.warn('Candle store write failed:', error.message);
         }
       }
-      
-      currentCandles.set(key, candles);
 
       // Broadcast to subscribed clients
       broadcastToAll({
@@ -555,13 +1751,7 @@ function startFeeder(symbol = 'BTCUSDT', interval = '1m') {
 
       // Process indicators for final candles
       if (candle.isFinal) {
-        let indicator = indicatorInstances.get(key);
-        if (!indicator) {
-          indicator = new SimpleIndicator();
-          indicatorInstances.set(key, indicator);
-        }
-
-        const result = indicator.processCandle(candle);
+        const { signal, ...result } = getIndicator(symbol, interval).processCandle(candle);
         if (result.ready) {
           broadcastToAll({
             type: 'indicator_update',
@@ -570,17 +1760,19 @@ function startFeeder(symbol = 'BTCUSDT', interval = '1m') {
             data: result
           });
 
-          if (result.signal) {
+          if (signal) {
             broadcastToAll({
               type: 'signal',
               symbol,
               interval,
-              signal: result.signal
+              signal
             });
           }
         }
       }
 
+      if (candle.isFinal) feedPluginSessions(symbol, interval, candle);
+
     } catch (error) {
       console.warn('Message processing error:', error.message);
     }
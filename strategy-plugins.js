@@ -0,0 +1,208 @@
+// strategy-plugins.js — JavaScript strategy plugins (plugins/<id>.js) for the server.
+// Each run gets its own plugin-worker.js thread with a memory cap, a per-call CPU timeout and
+// a wall-clock limit, so a plugin that loops or leaks takes down only its worker. The same
+// worker code drives /backtest and the live paper sessions fed by the Binance feeder, so a
+// plugin goes from backtest to paper trading unchanged. See plugin-worker.js for the plugin API.
+//
+// Everything here resolves to { ...result } or { error } — plugin exceptions, timeouts and
+// memory blow-ups are the plugin's fault and come back as errors, not rejections.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const PLUGIN_DIR = path.join(__dirname, 'plugins');
+const PLUGIN_WORKER = path.join(__dirname, 'plugin-worker.js');
+const PLUGIN_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+const PLUGIN_LIMITS = {
+  maxOldGenerationSizeMb: 64,
+  maxYoungGenerationSizeMb: 16,
+  stackSizeMb: 4,
+  callTimeoutMs: 250,      // one init/onBar call
+  requestTimeoutMs: 30000, // one whole backtest, session start or bar, wall clock
+  maxLogLines: 200,        // per reply
+  historyLimit: 5000       // bars kept in ctx.candles
+};
+
+function isPluginId(id) {
+  return typeof id === 'string' && PLUGIN_ID_RE.test(id);
+}
+
+function pluginFile(id) {
+  if (!isPluginId(id)) return null;
+  const file = path.join(PLUGIN_DIR, `${id}.js`);
+  return fs.existsSync(file) ? file : null;
+}
+
+function listPluginIds() {
+  if (!fs.existsSync(PLUGIN_DIR)) return [];
+  return fs.readdirSync(PLUGIN_DIR)
+    .filter(f => f.endsWith('.js'))
+    .map(f => f.slice(0, -3))
+    .filter(isPluginId)
+    .sort();
+}
+
+function describeWorkerError(err) {
+  if (err && err.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+    return `plugin exceeded its memory limit (${PLUGIN_LIMITS.maxOldGenerationSizeMb} MB)`;
+  }
+  return `plugin worker failed: ${(err && err.message) || err}`;
+}
+
+/* Starts a worker for plugin id; resolves { worker } once the plugin has loaded, or { error }.
+   worker: { info: { id, name, params }, request(msg) -> Promise<reply | { error }>, terminate(),
+             onExit: null | (reason) => void — set by the caller for a worker that dies on its own } */
+function spawnPluginWorker(id) {
+  return new Promise(resolve => {
+    const file = pluginFile(id);
+    if (!file) return resolve({ error: `Unknown plugin: ${id}` });
+
+    const { maxOldGenerationSizeMb, maxYoungGenerationSizeMb, stackSizeMb } = PLUGIN_LIMITS;
+    const thread = new Worker(PLUGIN_WORKER, {
+      workerData: { id, file, callTimeoutMs: PLUGIN_LIMITS.callTimeoutMs, maxLogLines: PLUGIN_LIMITS.maxLogLines, historyLimit: PLUGIN_LIMITS.historyLimit },
+      resourceLimits: { maxOldGenerationSizeMb, maxYoungGenerationSizeMb, stackSizeMb }
+    });
+    const pending = new Map(); // requestId -> { resolve, timer }
+    let nextRequestId = 1;
+    let ready = false;
+    let failure = null;
+
+    const worker = {
+      info: null,
+      onExit: null,
+      request(msg) {
+        if (failure) return Promise.resolve({ error: failure });
+        return new Promise(done => {
+          const requestId = nextRequestId++;
+          const timer = setTimeout(() => {
+            fail(`plugin did not answer within ${PLUGIN_LIMITS.requestTimeoutMs}ms`);
+            thread.terminate();
+          }, PLUGIN_LIMITS.requestTimeoutMs);
+          pending.set(requestId, { resolve: done, timer });
+          thread.postMessage(Object.assign({ requestId }, msg));
+        });
+      },
+      terminate() {
+        fail('plugin worker stopped');
+        return thread.terminate();
+      }
+    };
+
+    function fail(reason) {
+      if (failure) return;
+      failure = reason;
+      for (const { resolve: done, timer } of pending.values()) {
+        clearTimeout(timer);
+        done({ error: reason });
+      }
+      pending.clear();
+      if (!ready) resolve({ error: reason });
+      else if (worker.onExit) worker.onExit(reason);
+    }
+
+    const loadTimer = setTimeout(() => {
+      fail(`plugin did not load within ${PLUGIN_LIMITS.requestTimeoutMs}ms`);
+      thread.terminate();
+    }, PLUGIN_LIMITS.requestTimeoutMs);
+
+    thread.on('message', msg => {
+      if (msg.type === 'ready') {
+        clearTimeout(loadTimer);
+        if (msg.error) {
+          fail(`plugin ${id}: ${msg.error}`);
+          thread.terminate();
+          return;
+        }
+        ready = true;
+        worker.info = msg.info;
+        resolve({ worker });
+        return;
+      }
+      const entry = pending.get(msg.replyTo);
+      if (!entry) return;
+      pending.delete(msg.replyTo);
+      clearTimeout(entry.timer);
+      entry.resolve(msg);
+    });
+    thread.on('error', err => fail(describeWorkerError(err)));
+    thread.on('exit', code => {
+      clearTimeout(loadTimer);
+      fail(`plugin worker exited with code ${code}`);
+    });
+  });
+}
+
+// Plugin metadata ({ id, name, params } or { id, error }) cached by file modification time
+const pluginInfoCache = new Map();
+
+async function describePlugin(id) {
+  const file = pluginFile(id);
+  if (!file) return { id, error: `Unknown plugin: ${id}` };
+  const mtimeMs = fs.statSync(file).mtimeMs;
+  const cached = pluginInfoCache.get(id);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.info;
+
+  const { worker, error } = await spawnPluginWorker(id);
+  const info = error ? { id, error } : worker.info;
+  if (worker) await worker.terminate();
+  pluginInfoCache.set(id, { mtimeMs, info });
+  return info;
+}
+
+// One plugin at a time: each description briefly starts a worker
+async function listPlugins() {
+  const out = [];
+  for (const id of listPluginIds()) out.push(await describePlugin(id));
+  return out;
+}
+
+/* runBacktest for a plugin; opts as backtest.js runBacktest (symbol, interval, params, capital,
+   costs, exit options). Resolves { report, logs } or { error, logs }. */
+async function runPluginBacktest(id, candles, opts) {
+  const { worker, error } = await spawnPluginWorker(id);
+  if (error) return { error };
+  try {
+    const reply = await worker.request({ type: 'backtest', candles, opts });
+    return reply.error ? { error: reply.error, logs: reply.logs || [] } : { report: reply.report, logs: reply.logs };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/* A live paper session: the plugin warmed up on seed (closed bars, oldest first), then fed one
+   closed bar at a time. Resolves { session, params } or { error }, where
+   session.bar(candle)  -> Promise<{ trades, position, equity, logs } | { error }>  new fills only
+   session.stop()       -> Promise<{ trades } | { error }>  closes an open position, ends the worker
+   session.onExit       set by the caller; called with a reason if the worker dies on its own */
+async function startPluginSession(id, opts, seed) {
+  const { worker, error } = await spawnPluginWorker(id);
+  if (error) return { error };
+  const started = await worker.request({ type: 'start', seed, opts });
+  if (started.error) {
+    await worker.terminate();
+    return { error: started.error };
+  }
+
+  const session = {
+    id,
+    info: worker.info,
+    onExit: null,
+    bar(candle) {
+      return worker.request({ type: 'bar', candle });
+    },
+    async stop() {
+      worker.onExit = null;
+      const reply = await worker.request({ type: 'stop' });
+      await worker.terminate();
+      return reply;
+    }
+  };
+  worker.onExit = reason => { if (session.onExit) session.onExit(reason); };
+  return { session, params: started.params };
+}
+
+module.exports = { PLUGIN_DIR, PLUGIN_LIMITS, isPluginId, listPluginIds, listPlugins, describePlugin, runPluginBacktest, startPluginSession };
@@ -5,11 +5,31 @@
  * Usage:
  *   node test_backtest.js --symbol=BTCUSDT --interval=1m --strategy=sma --limit=1000 --out=bt_res.json --timeout=30000 --retries=2
  *
+ * The server saves every run (GET /backtests/<runId>); --out also writes the full result to a file.
+ * Compare saved runs and/or result files side by side (the first is the baseline):
+ *   node test_backtest.js --compare=12,15,backtest_BTCUSDT_1758528194532.json
+ * Share a run as a standalone HTML report and/or CSV (of this run, or of a saved one with --export):
+ *   node test_backtest.js --symbol=ETHUSDT --html=eth.html --csv=eth
+ *   node test_backtest.js --export=12 --html --csv
+ * Run a whole matrix of symbols × intervals × strategies × params and gate on a saved baseline
+ * (exit code 4 when a run got worse than in the baseline summary):
+ *   node test_backtest.js --matrix=matrix.json --concurrency=4 --summary=baseline
+ *   node test_backtest.js --matrix=matrix.json --baseline=baseline.json
+ * (matrix expansion, run keys and the baseline comparison live in backtest-matrix.js; test_matrix.js checks them)
+ *
  * Requirements: Node.js 18+ (global fetch + AbortController)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { computeAruAlgo } = require('./public/indicator.js');
+const { describeMetrics } = require('./public/metrics.js');
+const { compareRuns } = require('./public/compare.js');
+const { toCsv, reportHtml, tradesCsv, equityCsv, reportBaseName } = require('./public/report.js');
+const {
+  MAX_MATRIX_RUNS, SUMMARY_METRICS, DEFAULT_TOLERANCES, sortedJson, describeParams, expandMatrix, resolveTolerances, compareToBaseline,
+  matrixExitCode
+} = require('./backtest-matrix.js');
 
 const DEFAULTS = {
   url: process.env.BACKTEST_URL || 'http://localhost:8080/backtest',
@@ -80,9 +100,71 @@ function usageAndExit(code = 0) {
   console.log(`Usage:
   node test_backtest.js [--url=http://host/backtest] [--symbol=BTCUSDT] [--interval=1m] [--strategy=sma]
                        [--limit=1000] [--out=path.json] [--timeout=30000] [--retries=2] [--persistTrades]
+                       [--signals] [--allow_short] [--no_signal_stops]
+                       [--trail_atr_mult=0] [--trail_atr_period=14] [--max_bars_in_trade=0] [--intrabar_1m]
+                       [--slippage_bps=5] [--commission_pct=0.0005] [--maker_fee=..] [--taker_fee=..]
+                       [--slippage_atr_mult=0] [--slippage_atr_period=14] [--funding_rate=0] [--funding_interval_hours=8]
+                       [--size_pct=0.1] [--size_mode=equity|fixed|risk|atr|kelly] [--size_notional=1000] [--risk_pct=0.01]
+                       [--size_atr_mult=2] [--size_atr_period=14] [--kelly_fraction=0.5] [--kelly_min_trades=20] [--kelly_lookback=100]
+                       [--plugin=name] [--symbols=BTCUSDT,ETHUSDT:2,...] [--max_positions=0] [--rebalance_bars=0]
+                       [--html[=report.html]] [--csv[=prefix]]
+  node test_backtest.js --compare=<runId|file.json>,<runId|file.json>[,...] [--url=...]
+  node test_backtest.js --export=<runId|file.json> [--html[=report.html]] [--csv[=prefix]] [--url=...]
+  node test_backtest.js --matrix=matrix.json [--concurrency=2] [--summary=prefix] [--baseline=summary.json]
+                       [--url=...] [--timeout=30000] [--retries=2]
+
+  --signals            also fetch the same candles from /history and print the AruAlgo signals
+                       computed by public/indicator.js (the library the chart and server use)
+  --allow_short        sell signals open shorts instead of only closing longs
+  --no_signal_stops    ignore the SL/TP levels a strategy attaches to its signals
+  --trail_atr_mult     ATR trailing stop distance in ATRs (0 = off)
+  --max_bars_in_trade  close a position after this many bars (0 = off)
+  --intrabar_1m        when a bar reaches both the stop and the target, let the server replay it on
+                       1m candles to find which came first (otherwise the stop is assumed)
+  --commission_pct     fee rate (0.0005 = 0.05%) for every fill; --maker_fee / --taker_fee override it
+                       for take-profit (limit) fills and for market / stop fills respectively
+  --slippage_bps       slippage on market and stop fills; --slippage_atr_mult adds that many ATRs
+  --funding_rate       perpetual funding per --funding_interval_hours settlement, paid by longs and
+                       received by shorts (see P&L before costs, Fees, Slippage and Funding in the metrics)
+  --size_mode          how each position is sized: equity (--size_pct of equity, the default), fixed
+                       (--size_notional per trade), risk (--risk_pct of equity lost at the signal's stop,
+                       or at --size_atr_mult ATRs without one), atr (--risk_pct per --size_atr_mult ATRs)
+                       or kelly (--kelly_fraction of the Kelly fraction of the last --kelly_lookback trades,
+                       --size_pct until --kelly_min_trades have closed); never more than the equity
+  --out                also write the full result to this JSON file (the server keeps every run
+                       in its history either way: GET /backtests, GET /backtests/<runId>)
+  --html               also write a standalone HTML report (equity and drawdown charts, metrics,
+                       settings, trades) that opens offline; named after the run when no path is given
+  --csv                also write <prefix>_trades.csv (fills) and <prefix>_equity.csv (equity, drawdown)
+  --export             instead of running a backtest, write --html / --csv for a saved run (id) or
+                       a result file
+  --compare            instead of running a backtest, compare saved runs (ids, fetched from the
+                       server's /backtests) and/or result files: metrics with deltas to the first,
+                       then the settings that differ
+  --matrix             instead of one backtest, run every combination in a JSON file:
+                         { "symbols": ["BTCUSDT", ["BTCUSDT", "ETHUSDT"]], "intervals": ["15m", "1h"],
+                           "strategies": ["sma", { "strategy": "rsi", "params": { "rsiPeriod": [7, 14] } }],
+                           "body": { "limit": 2000 }, "concurrency": 2, "regression": { "sharpe": 0.2 } }
+                       a nested symbols list is a portfolio basket; param arrays expand to every
+                       combination; body and extra strategy fields are sent as /backtest fields
+                       (at most ${MAX_MATRIX_RUNS} runs); prints one summary table
+  --concurrency        matrix runs in flight at once (1-${MAX_CONCURRENCY}, default ${DEFAULT_CONCURRENCY})
+  --summary            write the matrix summary to <prefix>.csv and <prefix>.json (default
+                       <matrix name>_<time>); the JSON serves as a later --baseline
+  --baseline           compare the matrix with a saved summary: a run worse by more than the
+                       tolerance (default ${Object.entries(DEFAULT_TOLERANCES).map(([k, v]) => `${k} ${v}`).join(', ')};
+                       "regression" in the matrix overrides) or failing where it passed is a regression
+  --plugin             run the server strategy plugin plugins/<name>.js (implies --strategy=plugin)
+  --symbols            portfolio mode: one run over a comma-separated basket sharing the capital,
+                       each symbol optionally weighted as SYMBOL:weight (default equal weights)
+  --max_positions      portfolio mode: at most this many positions open at once (0 = no cap)
+  --rebalance_bars     portfolio mode: resize open positions to their weights every N bars (0 = off)
 
 Short flags: -o (out), -s (symbol)
 
+Exit codes: 0 ok, 1 unexpected error, 2 bad arguments or input files, 3 backtest failed
+  (--matrix: some run failed), 4 --matrix regression against --baseline
+
 Environment:
   BACKTEST_URL  Override default backtest endpoint (default http://localhost:8080/backtest)
 `);
@@ -103,10 +185,323 @@ async function atomicWriteFile(filePath, content) {
   await fs.promises.rename(tmp, filePath);
 }
 
+// One POST to /backtest: { status, data } with the parsed JSON body, or throws (an HTTP error
+// carries its status and the start of the body)
+async function requestBacktest(url, payload, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutHandle = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+
+    if (!res.ok) {
+      // try to read body for helpful debug info (but cap length)
+      let bodyPreview = '';
+      try {
+        const txt = await res.text();
+        bodyPreview = txt.slice(0, 200);
+      } catch (e) {
+        bodyPreview = `<non-text response: ${e && e.message}>`;
+      }
+      throw Object.assign(new Error(`HTTP ${res.status} — ${bodyPreview}`), { status: res.status });
+    }
+
+    const ct = (res.headers.get && (res.headers.get('content-type') || '')).toLowerCase ? (res.headers.get('content-type') || '').toLowerCase() : '';
+    let data;
+    if (ct.includes('application/json') || ct.includes('+json')) {
+      data = await res.json();
+    } else {
+      // not JSON
+      const txt = await res.text();
+      throw new Error(`Expected JSON response but got content-type="${ct}". First bytes: ${txt.slice(0, 300)}`);
+    }
+
+    if (!data || typeof data !== 'object') throw new Error('Empty/invalid JSON payload received');
+    return { status: res.status, data };
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+// exponential backoff with jitter before retry number `attempt` + 1
+function retryDelay(attempt) {
+  return Math.round(500 * Math.pow(2, attempt - 1) + Math.random() * 200);
+}
+
+// Columns padded to their widest cell, two spaces apart
+function printTable(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(r => r[c].length)));
+  for (const r of rows) console.log(('  ' + r.map((cell, c) => cell.padEnd(widths[c])).join('  ')).trimEnd());
+}
+
+// Fetch the backtest's candle window from /history (same host) and summarise AruAlgo signals
+async function printAruAlgoSignals(url, payload, timeoutMs) {
+  const histUrl = new URL('/history', url);
+  histUrl.searchParams.set('symbol', payload.symbol);
+  histUrl.searchParams.set('interval', payload.interval);
+  histUrl.searchParams.set('limit', String(Math.min(1000, payload.limit)));
+
+  const controller = new AbortController();
+  const timeoutHandle = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(histUrl, { headers: { 'Accept': 'application/json' }, signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const body = await res.json();
+    const candles = Array.isArray(body.data) ? body.data : [];
+    const { signals } = computeAruAlgo(candles);
+    const counts = signals.reduce((acc, s) => { acc[s.type] = (acc[s.type] || 0) + 1; return acc; }, {});
+    console.log(`\nAruAlgo signals over ${candles.length} candles:`, counts);
+    for (const s of signals.slice(-5)) {
+      const c = candles[s.idx];
+      console.log(`  ${new Date(c.time * 1000).toISOString()} ${s.type} @ ${c.close} sl=${s.sl.toFixed(2)} tp=${s.tp.toFixed(2)}`);
+    }
+  } catch (err) {
+    console.error('Could not compute AruAlgo signals:', err && err.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : (err && err.message) || err);
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+// A saved run id (fetched from the server's /backtests) or a result file: { run, label }
+async function loadRunItem(url, item, timeoutMs) {
+  if (!/^\d+$/.test(item)) {
+    return { run: JSON.parse(await fs.promises.readFile(item, 'utf8')), label: path.basename(item, '.json') };
+  }
+  const controller = new AbortController();
+  const timeoutHandle = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(new URL(`/backtests/${item}`, url), { headers: { 'Accept': 'application/json' }, signal: controller.signal });
+    const body = await res.json();
+    if (!res.ok) throw new Error(`#${item}: ${body.error || `HTTP ${res.status}`}`);
+    return { run: body.run, label: `#${item}` };
+  } finally {
+    clearTimeout(timeoutHandle);
+  }
+}
+
+// Loads each --compare item and prints them side by side
+async function printComparison(url, items, timeoutMs) {
+  const runs = [];
+  const labels = [];
+  for (const item of items) {
+    const { run, label } = await loadRunItem(url, item, timeoutMs);
+    runs.push(run);
+    labels.push(label);
+  }
+
+  const comparison = compareRuns(runs, labels);
+  if (comparison.error) throw new Error(comparison.error);
+  const head = ['', ...comparison.runs.map((r, i) => (i === 0 ? `${r.label} (base)` : r.label))];
+  console.log(`Comparing ${comparison.runs.length} runs:`);
+  printTable([head, ...comparison.metrics.map(row => [row.label, ...row.texts.map((t, i) => (i === 0 ? t : `${t} (${row.deltas[i]})`))])]);
+  const differing = comparison.params.filter(row => row.differs);
+  console.log(differing.length ? '\nSettings that differ:' : '\nAll settings are the same');
+  if (differing.length) printTable([head, ...differing.map(row => [row.name, ...row.values])]);
+}
+
+// --html / --csv for one run (a /backtest response or a saved run), the same files the modal exports
+async function writeExports(input, args) {
+  const base = reportBaseName(input);
+  if (args.html) {
+    const file = path.resolve(args.html === true ? `${base}.html` : String(args.html));
+    await atomicWriteFile(file, reportHtml(input));
+    console.log(`Saved HTML report to: ${file}`);
+  }
+  if (args.csv) {
+    const prefix = args.csv === true ? base : String(args.csv).replace(/\.csv$/i, '');
+    for (const [name, write] of [['trades', tradesCsv], ['equity', equityCsv]]) {
+      const file = path.resolve(`${prefix}_${name}.csv`);
+      await atomicWriteFile(file, write(input));
+      console.log(`Saved ${name} CSV to: ${file}`);
+    }
+  }
+}
+
+// ---- --matrix: batch runs over symbols × intervals × strategies × param grids ----
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+// /backtest fields every matrix run starts from; a matrix's body and strategy entries override them
+const MATRIX_DEFAULTS = {
+  limit: DEFAULTS.limit,
+  initial_capital: DEFAULTS.initial_capital,
+  size_pct: DEFAULTS.size_pct,
+  slippage_bps: DEFAULTS.slippage_bps,
+  commission_pct: DEFAULTS.commission_pct,
+  persistTrades: DEFAULTS.persistTrades
+};
+
+// One matrix run with the usual retries (none for a 4xx: the request itself is wrong) -> summary row
+async function runMatrixItem(url, item, timeoutMs, maxAttempts) {
+  const row = { key: item.key, symbol: item.symbol, interval: item.interval, strategy: item.label, params: item.params, settings: item.settings, runId: null, status: 'ok', error: null, metrics: null };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { data } = await requestBacktest(url, item.payload, timeoutMs);
+      if (!data.metrics) throw new Error('response has no metrics');
+      row.runId = data.runId ?? null;
+      row.metrics = Object.fromEntries(SUMMARY_METRICS.map(k => [k, Number.isFinite(data.metrics[k]) ? data.metrics[k] : null]));
+      // no losing trades: null once sent as JSON, still the best profit factor there is
+      if (data.metrics.grossLoss === 0 && data.metrics.grossProfit > 0) row.metrics.profitFactor = Infinity;
+      return row;
+    } catch (err) {
+      const message = err && err.name === 'AbortError' ? `timed out after ${timeoutMs}ms` : (err && err.message) || String(err);
+      if (attempt >= maxAttempts || (err.status >= 400 && err.status < 500)) {
+        return Object.assign(row, { status: 'error', error: message });
+      }
+      await sleep(retryDelay(attempt));
+    }
+  }
+}
+
+// runs worker(item) over items with at most `concurrency` in flight; results in item order
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+}
+
+function printMatrixSummary(rows) {
+  const cols = ['totalReturnPct', 'maxDrawdownPct', 'sharpe', 'profitFactor', 'winRatePct', 'roundTrips'];
+  const labels = { totalReturnPct: 'Return', maxDrawdownPct: 'Max DD', sharpe: 'Sharpe', profitFactor: 'PF', winRatePct: 'Win', roundTrips: 'Trades' };
+  const table = [['Symbol', 'Interval', 'Strategy', 'Params', ...cols.map(k => labels[k]), 'Run']];
+  for (const row of rows) {
+    if (row.status !== 'ok') {
+      table.push([row.symbol, row.interval, row.strategy, describeParams(row.params), 'failed', ...cols.slice(1).map(() => ''), '']);
+      continue;
+    }
+    const texts = Object.fromEntries(describeMetrics(row.metrics).map(r => [r.key, r.text]));
+    if (row.metrics.profitFactor === Infinity) texts.profitFactor = '∞';
+    table.push([row.symbol, row.interval, row.strategy, describeParams(row.params), ...cols.map(k => texts[k] || '—'), row.runId != null ? `#${row.runId}` : '']);
+  }
+  printTable(table);
+  const failed = rows.filter(r => r.status !== 'ok');
+  if (failed.length) console.log('\nFailed runs:');
+  for (const row of failed) console.log(`  ${row.key}: ${row.error}`);
+}
+
+// <prefix>.csv (one row per run) and <prefix>.json (the summary, usable as a later --baseline)
+async function writeMatrixSummary(prefix, summary) {
+  const header = ['symbol', 'interval', 'strategy', 'params', 'settings', 'status', 'error', 'run_id', ...SUMMARY_METRICS];
+  const rows = summary.runs.map(r => [r.symbol, r.interval, r.strategy, describeParams(r.params), sortedJson(r.settings), r.status, r.error, r.runId,
+    ...SUMMARY_METRICS.map(k => (r.metrics ? r.metrics[k] : null))]);
+  const csvFile = path.resolve(`${prefix}.csv`);
+  const jsonFile = path.resolve(`${prefix}.json`);
+  await atomicWriteFile(csvFile, toCsv(header, rows));
+  await atomicWriteFile(jsonFile, JSON.stringify(summary, null, 2));
+  console.log(`Saved summary to: ${csvFile}`);
+  console.log(`Saved summary to: ${jsonFile}`);
+}
+
+/* --matrix: every run of the matrix file, at most --concurrency at a time, then the summary
+   table and files; with --baseline, the comparison. Exit code: 4 on a regression against the
+   baseline, else 3 if any run failed, 2 for a bad matrix or baseline file. */
+async function runMatrix(args) {
+  const url = args.url || DEFAULTS.url;
+  const timeoutMs = coerceNumber(args.timeout ?? DEFAULTS.timeout, DEFAULTS.timeout);
+  const retries = Math.max(0, Math.floor(coerceNumber(args.retries ?? DEFAULTS.retries, DEFAULTS.retries)));
+  const matrixFile = path.resolve(String(args.matrix));
+
+  let matrix, baseline = null;
+  try {
+    matrix = JSON.parse(await fs.promises.readFile(matrixFile, 'utf8'));
+    if (args.baseline && args.baseline !== true) {
+      baseline = JSON.parse(await fs.promises.readFile(path.resolve(String(args.baseline)), 'utf8'));
+      if (!baseline || !Array.isArray(baseline.runs)) throw new Error(`${args.baseline} is not a --matrix summary`);
+    }
+  } catch (err) {
+    console.error('Could not read the matrix:', (err && err.message) || err);
+    process.exitCode = 2;
+    return;
+  }
+  const { runs, error } = expandMatrix(matrix, MATRIX_DEFAULTS);
+  const { tolerances, error: toleranceError } = resolveTolerances(matrix && matrix.regression);
+  const concurrency = Math.floor(coerceNumber(args.concurrency ?? (matrix && matrix.concurrency) ?? DEFAULT_CONCURRENCY, DEFAULT_CONCURRENCY));
+  if (error || toleranceError || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    console.error('Invalid matrix:', error || toleranceError || `concurrency must be 1 to ${MAX_CONCURRENCY}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  console.log(`Matrix ${path.basename(matrixFile)}: ${runs.length} runs, ${concurrency} at a time → ${url}`);
+  let done = 0;
+  const rows = await runPool(runs, concurrency, async item => {
+    const row = await runMatrixItem(url, item, timeoutMs, retries + 1);
+    done++;
+    const outcome = row.status === 'ok'
+      ? `${row.metrics.totalReturnPct != null ? row.metrics.totalReturnPct.toFixed(2) : '—'}%${row.runId != null ? ` (run #${row.runId})` : ''}`
+      : `failed: ${row.error}`;
+    console.log(`[${done}/${runs.length}] ${item.symbol} ${item.interval} ${item.label} ${describeParams(item.params)} → ${outcome}`);
+    return row;
+  });
+
+  console.log('\nSummary:');
+  printMatrixSummary(rows);
+  const failed = rows.filter(r => r.status !== 'ok').length;
+  console.log(`\n${rows.length - failed}/${rows.length} runs completed${failed ? `, ${failed} failed` : ''}`);
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const prefix = args.summary && args.summary !== true
+    ? String(args.summary).replace(/\.(csv|json)$/i, '')
+    : `${path.basename(matrixFile, '.json')}_${stamp}`;
+  await writeMatrixSummary(prefix, { createdAt: new Date().toISOString(), url, matrix, runs: rows });
+
+  if (!baseline) {
+    process.exitCode = matrixExitCode(rows, null);
+    return;
+  }
+  const comparison = compareToBaseline(rows, baseline, tolerances);
+  const { regressions, missing, added } = comparison;
+  console.log(`\nAgainst baseline ${args.baseline} (${baseline.createdAt || 'undated'}):`);
+  if (missing.length) console.log(`  not run this time: ${missing.join(', ')}`);
+  if (added.length) console.log(`  not in the baseline: ${added.join(', ')}`);
+  for (const r of regressions) console.log(`  REGRESSION ${r.key}: ${r.text}`);
+  console.log(regressions.length ? `  ${regressions.length} regression(s)` : '  no regressions');
+  process.exitCode = matrixExitCode(rows, comparison);
+}
+
 async function run() {
   const args = parseArgs(process.argv);
   if (args.help || args.h) return usageAndExit(0);
 
+  if (args.export) {
+    if (!args.html && !args.csv) {
+      console.error('--export needs --html and/or --csv');
+      process.exitCode = 2;
+      return;
+    }
+    try {
+      const { run: saved } = await loadRunItem(args.url || DEFAULTS.url, String(args.export).trim(), coerceNumber(args.timeout ?? DEFAULTS.timeout, DEFAULTS.timeout));
+      await writeExports(saved, args);
+    } catch (err) {
+      console.error('Export failed:', err && err.name === 'AbortError' ? 'request timed out' : (err && err.message) || err);
+      process.exitCode = 2;
+    }
+    return;
+  }
+
+  if (args.matrix && args.matrix !== true) return runMatrix(args);
+
+  if (args.compare) {
+    const items = String(args.compare).split(',').map(x => x.trim()).filter(Boolean);
+    try {
+      await printComparison(args.url || DEFAULTS.url, items, coerceNumber(args.timeout ?? DEFAULTS.timeout, DEFAULTS.timeout));
+    } catch (err) {
+      console.error('Compare failed:', err && err.name === 'AbortError' ? 'request timed out' : (err && err.message) || err);
+      process.exitCode = 2;
+    }
+    return;
+  }
+
   // map some common short flags
   const outFlag = args.out || args.o || args['-o'];
   const symbolArg = args.symbol || args.s || args['-s'];
@@ -124,16 +519,51 @@ async function run() {
     commission_pct: coerceNumber(args.commission_pct ?? DEFAULTS.commission_pct, DEFAULTS.commission_pct),
     persistTrades: (typeof args.persistTrades !== 'undefined' ? !!args.persistTrades : DEFAULTS.persistTrades)
   };
+  if (args.plugin) {
+    payload.strategy = 'plugin';
+    payload.plugin = String(args.plugin);
+  }
+  if (args.symbols && args.symbols !== true) {
+    const weights = {};
+    payload.symbols = String(args.symbols).split(',').map(item => {
+      const [sym, w] = item.split(':').map(x => x.trim());
+      if (w !== undefined) weights[sym.toUpperCase()] = coerceNumber(w, 0);
+      return sym.toUpperCase();
+    }).filter(Boolean);
+    // symbols listed without a weight count as weight 1
+    if (Object.keys(weights).length) payload.weights = Object.fromEntries(payload.symbols.map(s => [s, weights[s] ?? 1]));
+    delete payload.symbol;
+    for (const k of ['max_positions', 'rebalance_bars']) {
+      if (args[k] !== undefined) payload[k] = coerceNumber(args[k], 0);
+    }
+  }
+  // exit options are only sent when given, so the server's defaults apply otherwise
+  if (args.allow_short) payload.allow_short = true;
+  if (args.no_signal_stops) payload.use_signal_stops = false;
+  if (args.intrabar_1m) payload.intrabar_1m = true;
+  for (const k of ['trail_atr_mult', 'trail_atr_period', 'max_bars_in_trade']) {
+    if (args[k] !== undefined) payload[k] = coerceNumber(args[k], 0);
+  }
+  // position sizing (public/sizing.js) beyond size_pct, likewise only when given
+  if (args.size_mode !== undefined) payload.size_mode = String(args.size_mode);
+  for (const k of ['size_notional', 'risk_pct', 'size_atr_mult', 'size_atr_period', 'kelly_fraction', 'kelly_min_trades', 'kelly_lookback']) {
+    if (args[k] !== undefined) payload[k] = coerceNumber(args[k], 0);
+  }
+  // the rest of the cost model (public/costs.js), likewise only when given
+  for (const k of ['maker_fee', 'taker_fee', 'slippage_atr_mult', 'slippage_atr_period', 'funding_rate', 'funding_interval_hours']) {
+    if (args[k] !== undefined) payload[k] = coerceNumber(args[k], 0);
+  }
 
   const timeoutMs = coerceNumber(args.timeout ?? DEFAULTS.timeout, DEFAULTS.timeout);
   const retries = Math.max(0, Math.floor(coerceNumber(args.retries ?? DEFAULTS.retries, DEFAULTS.retries)));
   const maxAttempts = retries + 1; // attempt count = initial try + retries
-  const outFile = outFlag || DEFAULTS.out || `backtest_${payload.symbol}_${Date.now()}.json`;
+  const outFile = outFlag || DEFAULTS.out;
   const url = args.url || DEFAULTS.url;
 
   // basic validation
-  if (!/^[A-Z0-9]{3,12}$/.test(payload.symbol)) {
-    console.error('Invalid symbol:', payload.symbol);
+  const invalidSymbol = (payload.symbols || [payload.symbol]).find(s => !/^[A-Z0-9]{3,12}$/.test(s));
+  if (invalidSymbol !== undefined) {
+    console.error('Invalid symbol:', invalidSymbol);
     return process.exit(2);
   }
   if (!payload.interval) {
@@ -148,56 +578,44 @@ async function run() {
 
   while (attempt < maxAttempts) {
     attempt++;
-    const controller = new AbortController();
-    const timeoutHandle = setTimeout(() => controller.abort(), timeoutMs);
-    let res = null;
     try {
-      res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-      clearTimeout(timeoutHandle);
-
-      if (!res.ok) {
-        // try to read body for helpful debug info (but cap length)
-        let bodyPreview = '';
-        try {
-          const txt = await res.text();
-          bodyPreview = txt.slice(0, 200);
-        } catch (e) {
-          bodyPreview = `<non-text response: ${e && e.message}>`;
-        }
-        throw new Error(`HTTP ${res.status} — ${bodyPreview}`);
-      }
+      const { status, data } = await requestBacktest(url, payload, timeoutMs);
 
-      const ct = (res.headers.get && (res.headers.get('content-type') || '')).toLowerCase ? (res.headers.get('content-type') || '').toLowerCase() : '';
-      let data;
-      if (ct.includes('application/json') || ct.includes('+json')) {
-        data = await res.json();
+      console.log(`\n✅ Backtest completed (HTTP ${status})`);
+      if (data.metrics) {
+        // same rows, labels and formatting as the backtest modal
+        console.log('Metrics:');
+        for (const row of describeMetrics(data.metrics)) console.log(`  ${row.label.padEnd(24)} ${row.text}`);
       } else {
-        // not JSON
-        const txt = await res.text();
-        throw new Error(`Expected JSON response but got content-type="${ct}". First bytes: ${txt.slice(0, 300)}`);
+        console.log('Metrics: none');
       }
-
-      if (!data || typeof data !== 'object') throw new Error('Empty/invalid JSON payload received');
-
-      console.log(`\n✅ Backtest completed (HTTP ${res.status})`);
-      console.log('Metrics:', data.metrics ?? 'none');
       console.log('Trades:', Array.isArray(data.trades) ? `${data.trades.length} trades (showing first 8)` : 'none');
       if (Array.isArray(data.trades)) console.log(JSON.stringify(data.trades.slice(0, 8), null, 2));
       if (Array.isArray(data.equity)) console.log('Equity points (first 8):', data.equity.slice(0, 8));
+      if (data.intrabar && data.intrabar.ambiguous) {
+        const { ambiguous, resolved } = data.intrabar;
+        console.log(`Bars reaching both SL and TP: ${ambiguous}, settled on 1m candles: ${resolved}${resolved < ambiguous ? ' (stop assumed for the rest)' : ''}`);
+      }
+      if (data.portfolio) {
+        console.log('Per-symbol contribution:');
+        for (const s of data.portfolio.symbols) {
+          console.log(`  ${s.symbol.padEnd(12)} weight ${(s.weight * 100).toFixed(1)}%  trades ${s.roundTrips}  P&L ${s.pnl.toFixed(2)}  (${s.contributionPct.toFixed(2)} pts)`);
+        }
+      }
 
-      // write result atomically
-      const text = JSON.stringify(data, null, 2);
-      const resolved = path.resolve(outFile);
-      await atomicWriteFile(resolved, text);
-      console.log(`Saved full result to: ${resolved}`);
+      if (data.runId != null) console.log(`Saved as backtest run #${data.runId} (${new URL(`/backtests/${data.runId}`, url)})`);
+      if (outFile) {
+        // write result atomically
+        const text = JSON.stringify(data, null, 2);
+        const resolved = path.resolve(outFile);
+        await atomicWriteFile(resolved, text);
+        console.log(`Saved full result to: ${resolved}`);
+      }
+      // the server's run id names the files, as when a saved run is exported
+      if (args.html || args.csv) await writeExports(Object.assign({ id: data.runId }, data), args);
+      if (args.signals && payload.symbol) await printAruAlgoSignals(url, payload, timeoutMs);
       return; // success
     } catch (err) {
-      clearTimeout(timeoutHandle);
       lastErr = err;
       if (err && err.name === 'AbortError') {
         console.error(`Attempt ${attempt}/${maxAttempts} timed out after ${timeoutMs}ms (URL: ${url})`);
@@ -205,7 +623,7 @@ async function run() {
         console.error(`Attempt ${attempt}/${maxAttempts} failed (URL: ${url}):`, err && err.message ? err.message : err);
       }
       if (attempt >= maxAttempts) break;
-      const delay = Math.round(500 * Math.pow(2, attempt - 1) + Math.random() * 200);
+      const delay = retryDelay(attempt);
       console.log(`Retrying in ${delay}ms (attempt ${attempt + 1}/${maxAttempts})...`);
       await sleep(delay);
     }
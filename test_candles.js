@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+/**
+ * test_candles.js — deterministic checks for the candle store's bookkeeping (candle-store.js),
+ * on fixed timestamps of 1m bars:
+ *   - findCandleGaps: the ranges /history and /backtest backfill before serving the latest bars
+ *   - findRangeGaps: the ranges a startTime/endTime request backfills, paged like the store
+ *   - the empty ranges a backfill remembers (createGapWalker, settledRanges) and how they are
+ *     taken off later gaps (subtractRanges), so a range Binance has no bars for is fetched once
+ *   - ranged /history: startTime/endTime bounds, paging through the store, and streaming the
+ *     response over a real socket, including a client that goes away mid-stream
+ *
+ * Usage:
+ *   node test_candles.js               run the checks (exit code 1 on any failure)
+ */
+
+'use strict';
+
+const http = require('http');
+const {
+  findCandleGaps, createGapWalker, findRangeGaps, subtractRanges, settledRanges, historyRange, iterateCandlePages, streamCandlesJSON
+} = require('./candle-store.js');
+
+const STEP = 60;
+const T0 = 1699999980; // a 1m bar open time
+
+// ---------------- Helpers ----------------
+// count bars of STEP from `from`
+const bars = (from, count) => Array.from({ length: count }, (_, i) => ({ time: from + i * STEP }));
+
+// ranges as offsets from T0 in minutes, so a failure reads as [from, to] bar numbers
+const minutes = ranges => JSON.stringify(ranges.map(r => [(r.from - T0) / STEP, (r.to - T0) / STEP]));
+const range = (from, to) => ({ from: T0 + from * STEP, to: T0 + to * STEP });
+
+function expectEqual(out, where, actual, expected) {
+  if (!Object.is(actual, expected)) out.push(`${where}: ${JSON.stringify(actual)} !== ${JSON.stringify(expected)}`);
+}
+
+function expectRanges(out, where, actual, expected) {
+  if (minutes(actual) !== minutes(expected)) out.push(`${where}: ${minutes(actual)} !== ${minutes(expected)}`);
+}
+
+// the rows in [from, to] in pages of `size`, as the store's iterateStoredCandles hands them out
+function pages(rows, from, to, size) {
+  const inRange = rows.filter(c => c.time >= from && c.time <= to);
+  const out = [];
+  for (let i = 0; i < inRange.length; i += size) out.push(inRange.slice(i, i + size));
+  return out;
+}
+
+// ---------------- Checks ----------------
+function checkCandleGaps() {
+  const out = [];
+  const minute = n => T0 + n * STEP;
+  const cases = [
+    // [name, stored rows, limit, now, expected gaps]
+    ['empty store: limit + 1 bars up to now', [], 10, minute(0), [range(-11, 0)]],
+    ['complete and current', bars(minute(0), 10), 10, minute(10), []],
+    ['the last closed bar is missing', bars(minute(0), 10), 10, minute(11), [range(10, 11)]],
+    ['hole inside', bars(minute(0), 3).concat(bars(minute(5), 5)), 8, minute(10), [range(3, 4)]],
+    ['hole inside and too few bars', bars(minute(0), 3).concat(bars(minute(5), 5)), 12, minute(10), [range(3, 4), range(-2, -1)]],
+    ['too few bars: the head before the first', bars(minute(0), 4), 10, minute(4), [range(-6, -1)]]
+  ];
+  for (const [name, rows, limit, now, expected] of cases) expectRanges(out, name, findCandleGaps(rows, STEP, limit, now), expected);
+  return out;
+}
+
+function checkRangeGaps() {
+  const out = [];
+  const stored = bars(T0, 10); // minutes 0..9
+  const holed = stored.filter(c => c.time !== T0 + 4 * STEP && c.time !== T0 + 5 * STEP);
+  const cases = [
+    // [name, stored rows, [from, to] in minutes, now in minutes, expected gaps]
+    ['inside the store', stored, [2, 7], 20, []],
+    ['before and after the store, all closed', stored, [-5, 15], 20, [range(-5, -1), range(10, 15)]],
+    ['after the store, not closed yet', stored, [-5, 15], 10, [range(-5, -1)]],
+    ['after the store, partly closed: fetched whole', stored, [-5, 15], 12, [range(-5, -1), range(10, 15)]],
+    ['entirely past the store', stored, [12, 15], 20, [range(12, 15)]],
+    ['entirely in the future', stored, [30, 40], 20, []],
+    ['hole across a page boundary', holed, [0, 9], 20, [range(4, 5)]],
+    ['nothing stored', [], [0, 3], 20, [range(0, 3)]]
+  ];
+  for (const [name, rows, [from, to], now, expected] of cases) {
+    const [start, end] = [T0 + from * STEP, T0 + to * STEP];
+    for (const size of [3, 1000]) {
+      expectRanges(out, `${name} (pages of ${size})`, findRangeGaps(pages(rows, start, end, size), start, end, STEP, T0 + now * STEP), expected);
+    }
+  }
+  return out;
+}
+
+function checkEmptyRanges() {
+  const out = [];
+  // Binance returned minutes 1, 2 and 5 for a gap of minutes 0..10
+  const walker = createGapWalker(T0, STEP);
+  for (const c of [bars(T0 + STEP, 2), bars(T0 + 5 * STEP, 1)].flat()) walker.add(c.time);
+  const empty = walker.finish(T0 + 10 * STEP);
+  expectRanges(out, 'before, between and after the bars', empty, [range(0, 0), range(3, 4), range(6, 10)]);
+  expectRanges(out, 'settled at minute 8', settledRanges(empty, T0 + 8 * STEP), [range(0, 0), range(3, 4), range(6, 8)]);
+  expectRanges(out, 'settled at minute 3', settledRanges(empty, T0 + 3 * STEP), [range(0, 0), range(3, 3)]);
+  expectRanges(out, 'settled before any', settledRanges(empty, T0 - STEP), []);
+  expectRanges(out, 'no bars: the whole gap', createGapWalker(T0, STEP).finish(T0 + 10 * STEP), [range(0, 10)]);
+  const full = createGapWalker(T0, STEP);
+  for (const c of bars(T0, 11)) full.add(c.time);
+  expectRanges(out, 'every bar: nothing empty', full.finish(T0 + 10 * STEP), []);
+  return out;
+}
+
+function checkSubtractRanges() {
+  const out = [];
+  const gap = range(0, 10);
+  const cases = [
+    // [name, known-empty ranges, expected open parts]
+    ['nothing known', [], [range(0, 10)]],
+    ['all known', [range(-10, 15)], []],
+    ['the middle known', [range(3, 4)], [range(0, 2), range(5, 10)]],
+    ['both ends known', [range(-2, 1), range(9, 20)], [range(2, 8)]],
+    ['adjacent ranges', [range(0, 0), range(1, 2)], [range(3, 10)]],
+    ['overlapping ranges', [range(3, 4), range(4, 7)], [range(0, 2), range(8, 10)]],
+    ['the first bar only', [range(0, 0)], [range(1, 10)]],
+    ['the last bar only', [range(10, 10)], [range(0, 9)]]
+  ];
+  for (const [name, known, expected] of cases) expectRanges(out, name, subtractRanges(gap, known, STEP), expected);
+  return out;
+}
+
+/* The loop behind f031b02: a symbol listed at minute 5 with an outage at minutes 8..9, and
+   minute 12 not yet published at minute 13. Each pass backfills the gaps left after the
+   remembered empty ranges. From the second on, only the two newest minutes, which Binance may
+   still publish, are fetched again; the head before the listing and the outage are not. */
+function checkBackfillSettles() {
+  const out = [];
+  const now = T0 + 13 * STEP;
+  const published = bars(T0 + 5 * STEP, 7).filter(c => c.time < T0 + 8 * STEP || c.time > T0 + 9 * STEP);
+  const store = new Map();
+  const remembered = [];
+  const pass = () => {
+    const rows = [...store.values()].sort((a, b) => a.time - b.time);
+    const gaps = findCandleGaps(rows, STEP, 13, now)
+      .flatMap(g => subtractRanges(g, remembered.filter(r => r.to >= g.from && r.from <= g.to).sort((a, b) => a.from - b.from), STEP));
+    for (const g of gaps) {
+      const walker = createGapWalker(g.from, STEP);
+      for (const c of published.filter(p => p.time >= g.from && p.time <= g.to)) {
+        walker.add(c.time);
+        store.set(c.time, c);
+      }
+      remembered.push(...settledRanges(walker.finish(g.to), now - 2 * STEP));
+    }
+    return gaps;
+  };
+  expectRanges(out, 'empty store: the whole window', pass(), [range(-1, 13)]);
+  expectRanges(out, 'remembered: before the listing, the outage', remembered, [range(-1, 4), range(8, 9)]);
+  expectRanges(out, 'second pass', pass(), [range(12, 13)]);
+  expectRanges(out, 'third pass', pass(), [range(12, 13)]);
+  expectEqual(out, 'stored bars', store.size, 5);
+  return out;
+}
+
+function checkHistoryRange() {
+  const out = [];
+  const now = T0 + 100 * STEP;
+  const bounds = opts => historyRange(Object.assign({ limit: 10, step: STEP, now, maxBars: 50 }, opts));
+  const cases = [
+    // [name, startTime / endTime in minutes, expected range or error]
+    ['both given', { startTime: 0, endTime: 20 }, range(0, 20)],
+    ['endTime only: limit bars before it', { endTime: 20 }, range(10, 20)],
+    ['startTime only: up to now', { startTime: 60 }, range(60, 100)],
+    ['one bar', { startTime: 5, endTime: 5 }, range(5, 5)],
+    ['maxBars exactly', { startTime: 0, endTime: 50 }, range(0, 50)],
+    ['past maxBars', { startTime: 0, endTime: 51 }, 'Range exceeds 50 bars'],
+    ['startTime after endTime', { startTime: 21, endTime: 20 }, 'startTime must not be after endTime']
+  ];
+  for (const [name, times, expected] of cases) {
+    const opts = {};
+    for (const [key, minute] of Object.entries(times)) opts[key] = T0 + minute * STEP;
+    const result = bounds(opts);
+    if (typeof expected === 'string') expectEqual(out, name, result.error, expected);
+    else expectRanges(out, name, result.error ? [] : [result], [expected]);
+  }
+  return out;
+}
+
+/* The store's page query over `count` bars from T0 (time >= cursor AND time <= to ORDER BY time
+   LIMIT size), counting the queries */
+function createPagedStore(count) {
+  const stored = bars(T0, count);
+  const store = {
+    queries: 0,
+    readPage(cursor, to, size) {
+      store.queries++;
+      return stored.filter(c => c.time >= cursor && c.time <= to).slice(0, size);
+    }
+  };
+  return store;
+}
+
+function checkPaging() {
+  const out = [];
+  const cases = [
+    // [name, [from, to] in minutes, expected page sizes, expected queries]
+    ['the whole store', [-10, 3000], [1000, 1000, 500], 3],
+    ['ends on a page boundary', [0, 1999], [1000, 1000], 2],
+    ['a full last page, then an empty query', [1500, 3499], [1000], 2],
+    ['one page, partly past the store', [2000, 2600], [500], 1],
+    ['before the store', [-100, -1], [], 1],
+    ['past the store', [2500, 2600], [], 1],
+    ['startTime after endTime', [10, 9], [], 0]
+  ];
+  for (const [name, [from, to], sizes, queries] of cases) {
+    const store = createPagedStore(2500);
+    const pagesRead = [...iterateCandlePages(store.readPage, T0 + from * STEP, T0 + to * STEP, 1000)];
+    expectEqual(out, `${name}: page sizes`, pagesRead.map(p => p.length).join(), sizes.join());
+    expectEqual(out, `${name}: queries`, store.queries, queries);
+    const times = pagesRead.flat().map(c => c.time);
+    const expected = bars(T0, 2500).map(c => c.time).filter(t => t >= T0 + from * STEP && t <= T0 + to * STEP);
+    if (times.join() !== expected.join()) out.push(`${name}: bars are not every stored bar in range once, in order`);
+  }
+  return out;
+}
+
+// `count` bars in pages of 1,000, made as they are pulled; pulled counts the pages handed out
+function lazyPages(count, pulled) {
+  return (function* () {
+    for (let from = 0; from < count; from += 1000) {
+      pulled.pages++;
+      yield bars(T0 + from * STEP, Math.min(1000, count - from)).map(c => ({ time: c.time, open: 1, high: 1, low: 1, close: 1, volume: 1 }));
+    }
+  })();
+}
+
+/* One /history-like server per stream: the handler streams `count` bars and reports what
+   streamCandlesJSON returned, with the response's listeners afterwards. client(port, done)
+   makes the request. Resolves { served, body, closeListeners, drainListeners, pages } */
+function streamOnce(count, client) {
+  return new Promise((resolve, reject) => {
+    const result = { pages: 0, body: '' };
+    const server = http.createServer(async (req, res) => {
+      const closeBefore = res.listenerCount('close');
+      result.served = await streamCandlesJSON(req, res, { ok: true, count }, lazyPages(count, result));
+      result.closeListeners = res.listenerCount('close') - closeBefore;
+      result.drainListeners = res.listenerCount('drain');
+      if (result.clientDone) finish();
+    });
+    const timer = setTimeout(() => {
+      server.close();
+      reject(new Error(`stream of ${count} bars did not finish within 10s`));
+    }, 10000);
+    const finish = () => {
+      if (result.served === undefined) return;
+      clearTimeout(timer);
+      server.close(() => resolve(result));
+    };
+    server.listen(0, '127.0.0.1', () => client(server.address().port, body => {
+      result.body = body;
+      result.clientDone = true;
+      finish();
+    }));
+  });
+}
+
+async function checkStreaming() {
+  const out = [];
+  const readAll = (port, done) => http.get({ host: '127.0.0.1', port, path: '/' }, res => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => done(body));
+  });
+
+  for (const count of [0, 1, 2500]) {
+    const result = await streamOnce(count, readAll);
+    let parsed = null;
+    try {
+      parsed = JSON.parse(result.body);
+    } catch (err) {
+      out.push(`${count} bars: response is not JSON (${err.message})`);
+      continue;
+    }
+    expectEqual(out, `${count} bars: served`, result.served, count);
+    expectEqual(out, `${count} bars: head kept`, parsed.ok && parsed.count, count);
+    expectEqual(out, `${count} bars: data`, parsed.data.map(c => c.time).join(), bars(T0, count).map(c => c.time).join());
+  }
+
+  // the client reads one chunk of 200,000 bars (about 16 MB), then hangs up while the server
+  // waits for the socket to drain: the stream must stop, pull no more pages and leave no listeners
+  const total = 200000;
+  const hangUp = (port, done) => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/' }, res => {
+      res.once('data', () => {
+        res.pause();
+        setTimeout(() => {
+          req.destroy();
+          done('');
+        }, 50);
+      });
+    });
+    req.on('error', () => {});
+  };
+  let aborted;
+  try {
+    aborted = await streamOnce(total, hangUp);
+  } catch (err) {
+    out.push(err.message);
+    return out;
+  }
+  if (!(aborted.served < total)) out.push(`aborted stream served all ${aborted.served} bars`);
+  if (!(aborted.pages < total / 1000)) out.push(`aborted stream pulled all ${aborted.pages} pages`);
+  expectEqual(out, 'aborted stream: close listeners left', aborted.closeListeners, 0);
+  expectEqual(out, 'aborted stream: drain listeners left', aborted.drainListeners, 0);
+  return out;
+}
+
+async function run() {
+  const checks = [
+    ['findCandleGaps: latest-bars gaps', checkCandleGaps],
+    ['findRangeGaps: ranged gaps, paged, only closed bars', checkRangeGaps],
+    ['empty ranges remembered from a backfill', checkEmptyRanges],
+    ['subtractRanges: known-empty ranges taken off a gap', checkSubtractRanges],
+    ['repeated backfills stop refetching empty ranges', checkBackfillSettles],
+    ['historyRange: startTime/endTime bounds', checkHistoryRange],
+    ['iterateCandlePages: every stored bar in range once, in pages', checkPaging],
+    ['streamCandlesJSON: whole, empty and client abort', checkStreaming]
+  ];
+
+  let failed = 0;
+  for (const [label, check] of checks) {
+    const problems = await check();
+    if (problems.length) {
+      failed++;
+      console.error(`✗ ${label}`);
+      for (const p of problems.slice(0, 10)) console.error(`    ${p}`);
+    } else {
+      console.log(`✓ ${label}`);
+    }
+  }
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  if (failed) process.exitCode = 1;
+}
+
+run().catch(err => {
+  console.error(err && (err.stack || err.message || err));
+  process.exitCode = 1;
+});
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * test_indicators.js — golden-vector checks for public/indicator.js
+ *
+ * Loads the indicator library twice — through require() the way server.js does, and as a
+ * classic <script> in a browser-like vm context the way index.html does — and checks both
+ * against the recorded vectors in test_fixtures/indicators_golden.json and against each
+ * other. Registry indicators (MACD, Bollinger, ...) are covered with their default params,
+ * and the streaming AruAlgo calculator (server feeder, live chart ticks) is checked against
+ * the batch result as well.
+ *
+ * Usage:
+ *   node test_indicators.js            run the checks (exit code 1 on any mismatch)
+ *   node test_indicators.js --update   regenerate the golden file after an intended change
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const LIB_PATH = path.join(__dirname, 'public', 'indicator.js');
+const GOLDEN_PATH = path.join(__dirname, 'test_fixtures', 'indicators_golden.json');
+
+const ARU_CASES = [
+  { name: 'defaults', params: {} },
+  { name: 'fast', params: { sensitivity: 3, atrPeriod: 10, trendEmaPeriod: 21, rsiOverbought: 55, rsiOversold: 45, adxThreshold: 10 } }
+];
+
+// ---------------- Library loaders ----------------
+function loadViaRequire() {
+  delete require.cache[require.resolve(LIB_PATH)];
+  return require(LIB_PATH);
+}
+
+function loadViaBrowserScript() {
+  const sandbox = {};
+  sandbox.self = sandbox;
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(LIB_PATH, 'utf8'), sandbox, { filename: 'indicator.js' });
+  if (!sandbox.JarnoxIndicators) throw new Error('indicator.js did not define window.JarnoxIndicators');
+  return sandbox.JarnoxIndicators;
+}
+
+// ---------------- Vector computation ----------------
+// Deterministic random walk (mulberry32) so --update is reproducible
+function makeCandles(count, seed) {
+  let a = seed >>> 0;
+  const rand = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const round = v => Math.round(v * 100) / 100;
+  const candles = [];
+  let close = 30000;
+  let drift = 0;
+  for (let i = 0; i < count; i++) {
+    if (i % 50 === 0) drift = (rand() - 0.5) * 120; // regime changes so trends and reversals both occur
+    const open = close;
+    close = round(Math.max(1, open + drift + (rand() - 0.5) * 300));
+    const high = round(Math.max(open, close) + rand() * 120);
+    const low = round(Math.min(open, close) - rand() * 120);
+    candles.push({ time: 1700000000 + i * 60, open, high, low, close, volume: round(rand() * 50) });
+  }
+  return candles;
+}
+
+function computeVectors(lib, candles) {
+  const closes = candles.map(c => c.close);
+  const aruAlgo = {};
+  for (const { name, params } of ARU_CASES) aruAlgo[name] = lib.computeAruAlgo(candles, params);
+  const registry = {};
+  for (const { id } of lib.listIndicators()) registry[id] = lib.computeIndicator(id, candles).values;
+  return {
+    sma20: lib.smaArray(closes, 20),
+    ema50: lib.emaArray(closes, 50),
+    atr20: lib.atrArray(candles, 20),
+    rsi14: lib.rsiArray(closes, 14),
+    adx14: lib.computeADX(candles, 14),
+    aruAlgo,
+    registry
+  };
+}
+
+// Per-bar stream output projected onto the batch result's shape, with a forming-bar tick
+// before every close so replaceLast() is exercised the way the live feed uses it
+function streamAruAlgo(lib, candles, params) {
+  const stream = lib.createAruAlgoStream(params);
+  const out = { smoothedAtrStop: [], trendEma: [], rsi: [], adx: [], atr: [], signals: [] };
+  candles.forEach((c, i) => {
+    const mid = (c.open + c.close) / 2;
+    stream.update({ ...c, high: Math.max(c.open, mid), low: Math.min(c.open, mid), close: mid });
+    const o = stream.replaceLast(c);
+    out.smoothedAtrStop[i] = o.smoothedAtrStop;
+    out.trendEma[i] = o.trendEma;
+    out.rsi[i] = o.rsi;
+    out.adx[i] = o.adx;
+    out.atr[i] = o.atr;
+    if (o.signal) out.signals.push(o.signal);
+  });
+  return out;
+}
+
+// ---------------- Comparison ----------------
+// Structural compare with Object.is on leaves; ignores prototypes so vm-realm arrays compare
+function diff(a, b, where, out) {
+  if (out.length >= 10) return out;
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    if (Array.isArray(a) !== Array.isArray(b) || (Array.isArray(a) && a.length !== b.length)) {
+      out.push(`${where}: shape differs`);
+      return out;
+    }
+    for (const k of keys) diff(a[k], b[k], `${where}.${k}`, out);
+    return out;
+  }
+  if (!Object.is(a, b)) out.push(`${where}: ${a} !== ${b}`);
+  return out;
+}
+
+// JSON round-trip: finite doubles survive exactly, NaN/undefined become null like the fixture
+const toJSONValue = v => JSON.parse(JSON.stringify(v));
+
+function run() {
+  const update = process.argv.includes('--update');
+  const nodeLib = loadViaRequire();
+  const browserLib = loadViaBrowserScript();
+
+  if (update) {
+    const candles = makeCandles(400, 20240601);
+    const golden = { candles, aruCases: ARU_CASES, vectors: computeVectors(nodeLib, candles) };
+    fs.mkdirSync(path.dirname(GOLDEN_PATH), { recursive: true });
+    fs.writeFileSync(GOLDEN_PATH, JSON.stringify(golden) + '\n');
+    console.log(`Wrote ${path.relative(process.cwd(), GOLDEN_PATH)}`);
+    return;
+  }
+
+  const golden = JSON.parse(fs.readFileSync(GOLDEN_PATH, 'utf8'));
+  const { candles } = golden;
+  const nodeVectors = computeVectors(nodeLib, candles);
+  const browserVectors = computeVectors(browserLib, candles);
+
+  const checks = [
+    ['require() matches golden vectors', () => diff(toJSONValue(nodeVectors), golden.vectors, 'vectors', [])],
+    ['browser <script> matches golden vectors', () => diff(toJSONValue(browserVectors), golden.vectors, 'vectors', [])],
+    ['browser <script> matches require() exactly', () => diff(browserVectors, nodeVectors, 'vectors', [])]
+  ];
+  for (const { name, params } of ARU_CASES) {
+    checks.push([`AruAlgo stream matches batch (${name})`, () => {
+      const batch = nodeVectors.aruAlgo[name];
+      const streamed = streamAruAlgo(nodeLib, candles, params);
+      const expected = {};
+      for (const k of Object.keys(streamed)) expected[k] = batch[k];
+      return diff(streamed, expected, `aruAlgo.${name}`, []);
+    }]);
+  }
+
+  let failed = 0;
+  for (const [label, check] of checks) {
+    const problems = check();
+    if (problems.length) {
+      failed++;
+      console.error(`✗ ${label}`);
+      for (const p of problems) console.error(`    ${p}`);
+    } else {
+      console.log(`✓ ${label}`);
+    }
+  }
+  const signalCount = ARU_CASES.map(c => `${c.name}=${golden.vectors.aruAlgo[c.name].signals.length}`).join(' ');
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed over ${candles.length} candles (signals: ${signalCount})`);
+  if (failed) process.exitCode = 1;
+}
+
+run();
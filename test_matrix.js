@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * test_matrix.js — checks for test_backtest.js --matrix / --baseline:
+ *   - expandMatrix: symbols × intervals × strategies × param grids, the payload each run sends,
+ *     and a matrix that lists the same run twice
+ *   - matrixRunKey: the name that pairs a run with its baseline run
+ *   - resolveTolerances and compareToBaseline: which changes count as regressions
+ *   - the CLI end to end against a stand-in /backtest server: exit code 0 without regressions,
+ *     4 on a regression against --baseline, 3 for a failed run and 2 for a bad matrix
+ *
+ * Usage:
+ *   node test_matrix.js               run the checks (exit code 1 on any failure)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+const {
+  MAX_MATRIX_RUNS, DEFAULT_TOLERANCES, matrixRunKey, expandMatrix, resolveTolerances, compareToBaseline, matrixExitCode
+} = require('./backtest-matrix.js');
+
+const DEFAULTS = { limit: 1000, initial_capital: 10000, size_pct: 0.1 };
+
+// ---------------- Helpers ----------------
+function expectEqual(out, where, actual, expected) {
+  const a = JSON.stringify(actual), e = JSON.stringify(expected);
+  if (a !== e) out.push(`${where}: ${a} !== ${e}`);
+}
+
+// a summary row as runMatrixItem makes it
+const okRow = (key, metrics) => ({ key, status: 'ok', error: null, metrics: Object.assign({ totalReturnPct: 10, maxDrawdownPct: 5, sharpe: 1 }, metrics) });
+const failedRow = (key, error) => ({ key, status: 'error', error, metrics: null });
+
+// ---------------- Checks ----------------
+function checkExpansion() {
+  const out = [];
+  const { runs, error } = expandMatrix({
+    symbols: ['btcusdt', ['BTCUSDT', 'ETHUSDT']],
+    intervals: ['1h', '4h'],
+    strategies: ['rsi', { strategy: 'sma', params: { short: [5, 10], long: [20, 30, 50] }, size_pct: 0.5 }, { strategy: 'x', plugin: 'mine' }],
+    body: { limit: 500, slippage_bps: 3 }
+  }, DEFAULTS);
+  if (error) return [`unexpected error: ${error}`];
+  // 2 markets × 2 intervals × (1 + 2 × 3 + 1) variants
+  expectEqual(out, 'run count', runs.length, 32);
+  expectEqual(out, 'keys unique', new Set(runs.map(r => r.key)).size, runs.length);
+
+  const first = runs[0];
+  expectEqual(out, 'single symbol upper-cased', [first.symbol, first.payload.symbol, first.payload.symbols], ['BTCUSDT', 'BTCUSDT', undefined]);
+  expectEqual(out, 'body over defaults', [first.payload.limit, first.payload.slippage_bps, first.payload.initial_capital, first.payload.size_pct], [500, 3, 10000, 0.1]);
+
+  const sma = runs.filter(r => r.symbol === 'BTCUSDT' && r.interval === '1h' && r.label === 'sma');
+  expectEqual(out, 'param grid', sma.map(r => `${r.params.long}/${r.params.short}`), ['20/5', '20/10', '30/5', '30/10', '50/5', '50/10']);
+  expectEqual(out, 'strategy fields over body', [sma[0].payload.size_pct, sma[0].payload.strategy, sma[0].settings], [0.5, 'sma', { limit: 500, slippage_bps: 3, size_pct: 0.5 }]);
+
+  const basket = runs.find(r => r.symbol === 'BTCUSDT,ETHUSDT');
+  expectEqual(out, 'portfolio basket', [basket.payload.symbols, basket.payload.symbol], [['BTCUSDT', 'ETHUSDT'], undefined]);
+  const plugin = runs.find(r => r.label === 'plugin:mine');
+  expectEqual(out, 'plugin strategy', plugin && [plugin.payload.strategy, plugin.payload.plugin], ['plugin', 'mine']);
+
+  const bad = [
+    [{ symbols: [], intervals: ['1h'], strategies: ['rsi'] }, 'symbols must be a non-empty array'],
+    [{ symbols: ['BTC-USD'], intervals: ['1h'], strategies: ['rsi'] }, 'invalid symbol: BTC-USD'],
+    [{ symbols: ['BTCUSDT'], intervals: ['1h'], strategies: [{ strategy: 'sma', params: { short: [] } }] }, 'sma: params.short must list at least one value'],
+    [{ symbols: ['BTCUSDT'], intervals: ['1h'], strategies: [{ strategy: 'sma', params: { a: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10], b: Array.from({ length: 51 }, (_, i) => i) } }] },
+      `the matrix expands to 510 runs (at most ${MAX_MATRIX_RUNS})`]
+  ];
+  for (const [matrix, expected] of bad) expectEqual(out, `error for ${JSON.stringify(matrix).slice(0, 60)}`, expandMatrix(matrix, DEFAULTS).error, expected);
+  return out;
+}
+
+function checkRunKeys() {
+  const out = [];
+  const run = { symbol: 'BTCUSDT', interval: '1h', label: 'sma', params: { short: 5, long: 20 }, settings: { slippage_bps: 3, limit: 500 } };
+  expectEqual(out, 'key', matrixRunKey(run), 'BTCUSDT|1h|sma|{"short":5,"long":20}|{"limit":500,"slippage_bps":3}');
+  // settings are keyed in sorted order, so the order a matrix file lists them in doesn't matter
+  expectEqual(out, 'settings order', matrixRunKey(Object.assign({}, run, { settings: { limit: 500, slippage_bps: 3 } })), matrixRunKey(run));
+  if (matrixRunKey(Object.assign({}, run, { settings: { limit: 1000 } })) === matrixRunKey(run)) out.push('different settings share a key');
+
+  // the same strategy twice with different extra fields are two runs; with the same fields, a mistake
+  const matrix = strategies => ({ symbols: ['BTCUSDT'], intervals: ['1h'], strategies });
+  const twice = expandMatrix(matrix([{ strategy: 'sma', size_pct: 0.1 }, { strategy: 'sma', size_pct: 0.2 }]), DEFAULTS);
+  expectEqual(out, 'same strategy, different settings', twice.runs && twice.runs.length, 2);
+  expectEqual(out, 'duplicate run', expandMatrix(matrix([{ strategy: 'sma', params: { short: 5 } }, { strategy: 'sma', params: { short: [5, 10] } }]), DEFAULTS).error,
+    'BTCUSDT 1h sma short=5 is listed twice with the same settings');
+  expectEqual(out, 'duplicate body-only run', expandMatrix(matrix(['rsi', 'rsi']), DEFAULTS).error, 'BTCUSDT 1h rsi is listed twice with the same settings');
+  return out;
+}
+
+function checkTolerances() {
+  const out = [];
+  expectEqual(out, 'defaults', resolveTolerances(undefined).tolerances, DEFAULT_TOLERANCES);
+  expectEqual(out, 'override', resolveTolerances({ sharpe: 0.5, profitFactor: 0 }).tolerances, Object.assign({}, DEFAULT_TOLERANCES, { sharpe: 0.5, profitFactor: 0 }));
+  expectEqual(out, 'not an object', resolveTolerances([1]).error, 'regression must map metrics to tolerances');
+  expectEqual(out, 'not kept in the summary', resolveTolerances({ calmar: 1 }).error, 'regression: calmar is not kept in the summary');
+  expectEqual(out, 'negative tolerance', resolveTolerances({ sharpe: -1 }).error, 'regression: sharpe needs a tolerance >= 0');
+  if (!/^regression: bogus is not one of /.test(resolveTolerances({ bogus: 1 }).error)) out.push('unknown metric accepted');
+  return out;
+}
+
+function checkBaselineDiff() {
+  const out = [];
+  const tolerances = { totalReturnPct: 0.5, maxDrawdownPct: 1, sharpe: 0.1, profitFactor: 0 };
+  const baseline = {
+    runs: [
+      okRow('return'), okRow('drawdown'), okRow('within'), okRow('better'), okRow('broke'),
+      okRow('pf', { profitFactor: null }), failedRow('was-failing', 'HTTP 500'), okRow('gone')
+    ]
+  };
+  const rows = [
+    okRow('return', { totalReturnPct: 9.4 }), // higher is better: 0.6 down
+    okRow('drawdown', { maxDrawdownPct: 6.5 }), // lower is better: 1.5 up
+    okRow('within', { totalReturnPct: 9.6, maxDrawdownPct: 5.9, sharpe: 0.95 }),
+    okRow('better', { totalReturnPct: 20, maxDrawdownPct: 1, sharpe: 3 }),
+    failedRow('broke', 'HTTP 400 — bad params'),
+    okRow('pf', { profitFactor: 1.2 }), // the baseline's was Infinity, saved as null
+    failedRow('was-failing', 'HTTP 500'),
+    okRow('new')
+  ];
+  const { regressions, missing, added } = compareToBaseline(rows, baseline, tolerances);
+  expectEqual(out, 'regressions', regressions.map(r => `${r.key}: ${r.text}`), [
+    'return: Total return % 10.00 → 9.40 (tolerance 0.5)',
+    'drawdown: Max drawdown % 5.00 → 6.50 (tolerance 1)',
+    'broke: failed (HTTP 400 — bad params)'
+  ]);
+  expectEqual(out, 'missing', missing, ['gone']);
+  expectEqual(out, 'added', added, ['new']);
+
+  const clean = compareToBaseline([okRow('a')], { runs: [okRow('a')] }, tolerances);
+  expectEqual(out, 'exit code: regression', matrixExitCode(rows, { regressions }), 4);
+  expectEqual(out, 'exit code: failed run, no regression', matrixExitCode([okRow('a'), failedRow('b', 'x')], clean), 3);
+  expectEqual(out, 'exit code: failed run, no baseline', matrixExitCode([failedRow('b', 'x')], null), 3);
+  expectEqual(out, 'exit code: clean', matrixExitCode([okRow('a')], clean), 0);
+  return out;
+}
+
+/* A stand-in /backtest: the total return is params.short + shift, anything with strategy
+   "broken" is a 400. Resolves { port, setShift, close }. */
+function fakeBacktestServer() {
+  let shift = 0, runId = 0;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      if (payload.strategy === 'broken') {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'Unknown strategy' }));
+      }
+      const metrics = { totalReturnPct: payload.params.short + shift, maxDrawdownPct: 4, sharpe: 1, grossProfit: 10, grossLoss: 5 };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ runId: ++runId, metrics }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    setShift: v => { shift = v; },
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+// runs test_backtest.js with args; resolves { code, output }
+function runCli(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, 'test_backtest.js'), ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), 30000);
+    child.on('error', reject);
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+async function checkCli() {
+  const out = [];
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'matrix-'));
+  const server = await fakeBacktestServer();
+  const file = name => path.join(dir, name);
+  const writeMatrix = (name, strategies) => {
+    fs.writeFileSync(file(name), JSON.stringify({ symbols: ['BTCUSDT', 'ETHUSDT'], intervals: ['1h'], strategies }));
+    return `--matrix=${file(name)}`;
+  };
+  const common = [`--url=http://127.0.0.1:${server.port}/backtest`, '--retries=0', '--timeout=5000'];
+  const expectExit = async (where, args, code, pattern) => {
+    const result = await runCli(args.concat(common));
+    if (result.code !== code) out.push(`${where}: exit code ${result.code}, expected ${code}\n      ${result.output.trim().split('\n').slice(-3).join('\n      ')}`);
+    else if (pattern && !pattern.test(result.output)) out.push(`${where}: output lacks ${pattern}`);
+  };
+
+  try {
+    const grid = writeMatrix('grid.json', [{ strategy: 'sma', params: { short: [5, 10] } }]);
+    await expectExit('first run, saved as the baseline', [grid, `--summary=${file('base')}`], 0);
+    const saved = JSON.parse(fs.readFileSync(file('base.json'), 'utf8'));
+    expectEqual(out, 'baseline summary returns', saved.runs.map(r => r.metrics && r.metrics.totalReturnPct), [5, 10, 5, 10]);
+
+    server.setShift(-0.3);
+    await expectExit('within tolerance', [grid, `--summary=${file('within')}`, `--baseline=${file('base.json')}`], 0, /no regressions/);
+    server.setShift(-2);
+    await expectExit('worse than the baseline', [grid, `--summary=${file('worse')}`, `--baseline=${file('base.json')}`], 4,
+      /REGRESSION BTCUSDT\|1h\|sma\|\{"short":5\}\|\{\}: Total return % 5\.00 → 3\.00/);
+    server.setShift(0);
+
+    const failing = writeMatrix('failing.json', [{ strategy: 'sma', params: { short: 5 } }, 'broken']);
+    await expectExit('a failed run', [failing, `--summary=${file('failing')}`], 3, /2\/4 runs completed, 2 failed/);
+    const dup = writeMatrix('dup.json', ['rsi', 'rsi']);
+    await expectExit('the same run twice', [dup, `--summary=${file('dup')}`], 2, /is listed twice with the same settings/);
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return out;
+}
+
+async function run() {
+  const checks = [
+    ['expandMatrix: runs, payloads and errors', checkExpansion],
+    ['matrixRunKey: baseline keys and duplicate runs', checkRunKeys],
+    ['resolveTolerances: regression tolerances', checkTolerances],
+    ['compareToBaseline and matrixExitCode: regressions, missing and added runs', checkBaselineDiff],
+    ['test_backtest.js --matrix --baseline: exit codes 0, 4, 3 and 2', checkCli]
+  ];
+
+  let failed = 0;
+  for (const [label, check] of checks) {
+    const problems = await check();
+    if (problems.length) {
+      failed++;
+      console.error(`✗ ${label}`);
+      for (const p of problems.slice(0, 10)) console.error(`    ${p}`);
+    } else {
+      console.log(`✓ ${label}`);
+    }
+  }
+  console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+  if (failed) process.exitCode = 1;
+}
+
+run().catch(err => {
+  console.error(err && (err.stack || err.message || err));
+  process.exitCode = 1;
+});
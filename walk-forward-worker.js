@@ -0,0 +1,18 @@
+// walk-forward-worker.js — runs one /backtest walk-forward (public/optimize.js runWalkForward)
+// for server.js, off the main thread: a request may sweep thousands of backtests, which would
+// otherwise stall the Binance feeders, the WebSocket heartbeat and every other request.
+// Started as a worker_threads Worker with workerData { candles, opts, walkForward }; posts
+// { report } or { error } once, then exits.
+
+'use strict';
+
+const { parentPort, workerData } = require('worker_threads');
+const { runWalkForward } = require('./public/optimize.js');
+
+const { candles, opts, walkForward } = workerData;
+
+try {
+  parentPort.postMessage({ report: runWalkForward(candles, opts, walkForward) });
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}